@@ -0,0 +1,4 @@
+// Compiles the dashboard's JSX for its tests; the bundle itself is built by esbuild (npm run build)
+module.exports = {
+    presets: ['@babel/preset-react']
+};
@@ -0,0 +1,51 @@
+const { simulateTemperature } = require('../calculations');
+const { ANNUAL_HOURS, getAnnualParams, summarizeMonths, summarizeYear } = require('../annual');
+
+const record = (dayOfYear, fields) => ({
+  dayOfYear, incidentEnergy: 0, usefulGain: 0, pipeLosses: 0, tankLosses: 0, tankDeliveredEnergy: 0, drawVolume: 0,
+  loadEnergy: 0, demandEnergy: 0, auxEnergy: 0, auxInputEnergy: 0, pumpEnergy: 0, pumpRunHours: 0, ...fields
+});
+
+describe('Monthly and Annual Summaries', () => {
+  const records = [
+    record(31, { loadEnergy: 100, demandEnergy: 100, auxEnergy: 60, auxInputEnergy: 75, usefulGain: 50, incidentEnergy: 100 }),
+    record(32, { loadEnergy: 100, demandEnergy: 100, auxEnergy: 20, auxInputEnergy: 25 }),
+    record(59, { loadEnergy: 100, demandEnergy: 100, auxEnergy: 20, auxInputEnergy: 25, pumpEnergy: 5 })
+  ];
+
+  test('groups reports by calendar month', () => {
+    const months = summarizeMonths(records, 0.8);
+    expect(months.map(month => month.name)).toEqual(['Jan', 'Feb']);
+    expect(months[1].loadEnergy).toBe(200);
+    expect(months[1].solarFraction).toBeCloseTo(0.8, 10);
+    expect(months[0].displacedAuxEnergy).toBe(40);
+    expect(months[0].displacedAuxInputEnergy).toBeCloseTo(50, 10);
+    expect(months[1].collectorEfficiency).toBeNull();
+  });
+
+  test('the year totals the months', () => {
+    const year = summarizeYear(records, 0.8);
+    const months = summarizeMonths(records, 0.8);
+    for (const field of ['loadEnergy', 'auxEnergy', 'pumpEnergy', 'displacedAuxEnergy']) {
+      expect(year[field]).toBeCloseTo(months.reduce((sum, month) => sum + month[field], 0), 10);
+    }
+  });
+
+  test('an annual run covers every month with more sun in summer', () => {
+    const params = getAnnualParams({
+      area: 4, efficiency: 0.85, pumpPower: 5, hour: 9, dayOfYear: 200, duration: 24, minAmbientTemp: 5, maxAmbientTemp: 20,
+      cloudCover: 0, specificHeat: 4186, fluidTemp: 20, transmittance: 0.9, absorptance: 0.95, tankVolume: 0.3,
+      tankTemp: 30, pumpEfficiency: 0.7, hydraulicHead: 5, U_L: 8, latitude: 40, tilt: 40, tankUA: 2,
+      loadProfile: 'residential', auxType: 'electric', currentState: null, fixedTemp: null
+    });
+    expect(params).toMatchObject({ hour: 0, dayOfYear: 1, duration: ANNUAL_HOURS });
+
+    const results = simulateTemperature(params, {});
+    expect(results).toHaveLength(ANNUAL_HOURS);
+    const months = summarizeMonths(results);
+    expect(months.map(month => month.month)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    expect(months[5].incidentEnergy).toBeGreaterThan(months[11].incidentEnergy);
+    expect(months[5].solarFraction).toBeGreaterThan(months[11].solarFraction);
+    expect(summarizeYear(results).drawVolume).toBeCloseTo(365 * 0.2, 6);
+  });
+});
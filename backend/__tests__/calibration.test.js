@@ -0,0 +1,94 @@
+const { simulateTemperature } = require('../calculations');
+const { fitLeastSquares, calibrate } = require('../calibration');
+
+const params = {
+  area: 4, efficiency: 0.85, pumpPower: 5, hour: 6, duration: 12, timeStep: 1800,
+  minAmbientTemp: 15, maxAmbientTemp: 25, cloudCover: 0, specificHeat: 4186, fluidTemp: 20,
+  transmittance: 0.9, absorptance: 0.95, tankVolume: 0.3, tankTemp: 30, pumpEfficiency: 0.7,
+  hydraulicHead: 5, U_L: 8, tankUA: 0, latitude: 40, dayOfYear: 172, tilt: 30, tankNodes: 4,
+  loadProfile: 'residential', auxType: 'electric', currentState: null, fixedTemp: null
+};
+const simulate = (runParams) => ({ params: runParams, temperatures: simulateTemperature(runParams, {}) });
+
+// Measurements taken from a run of the "true" system at the end of every hour, with alternating sensor noise
+const measure = (trueParams, noise = 0) => simulate(trueParams).temperatures.map((report, i) => ({
+  time: report.time + 1,
+  tankTemp: report.tankTemp + (i % 2 ? noise : -noise),
+  fluidTemp: report.fluidTemp - (i % 2 ? noise : -noise)
+}));
+
+describe('Least Squares', () => {
+  test('fits an exponential decay within bounds', () => {
+    const times = [0, 1, 2, 3, 4, 5];
+    const observed = times.map(t => 3 * Math.exp(-0.4 * t));
+    const fit = fitLeastSquares(
+      ([a, k]) => times.map((t, i) => a * Math.exp(-k * t) - observed[i]),
+      [1, 1],
+      [{ min: 0, max: 10 }, { min: 0, max: 2 }]
+    );
+    expect(fit.converged).toBe(true);
+    expect(fit.values[0]).toBeCloseTo(3, 3);
+    expect(fit.values[1]).toBeCloseTo(0.4, 3);
+    expect(fit.sumOfSquares).toBeLessThan(1e-8);
+  });
+
+  test('stops at a bound the optimum lies beyond', () => {
+    const fit = fitLeastSquares(([x]) => [x - 5, x - 5], [0], [{ min: 0, max: 2 }]);
+    expect(fit.values[0]).toBe(2);
+  });
+});
+
+describe('Calibration', () => {
+  test('recovers loss coefficients from measured temperatures', () => {
+    const measurements = measure({ ...params, U_L: 5, tankUA: 3 }, 0.02);
+    const result = calibrate(params, measurements, simulate, { parameters: ['U_L', 'tankUA'] });
+
+    const [U_L, tankUA] = result.parameters;
+    expect(U_L.initial).toBe(8);
+    expect(U_L.value).toBeCloseTo(5, 1);
+    expect(tankUA.value).toBeCloseTo(3, 1);
+    expect(U_L.standardError).toBeGreaterThan(0);
+    expect(U_L.confidenceInterval[0]).toBeLessThan(5);
+    expect(U_L.confidenceInterval[1]).toBeGreaterThan(5);
+    expect(U_L.atBound).toBe(false);
+    expect(result.correlations[0][0]).toBeCloseTo(1, 10);
+    expect(Math.abs(result.correlations[0][1])).toBeLessThanOrEqual(1);
+
+    expect(Object.keys(result.channels)).toEqual(['tankTemp', 'fluidTemp']);
+    expect(result.channels.tankTemp.count).toBe(measurements.length);
+    expect(result.channels.tankTemp.calibrated.rmse).toBeLessThan(0.1);
+    expect(result.channels.tankTemp.initial.rmse).toBeGreaterThan(result.channels.tankTemp.calibrated.rmse);
+    expect(result.params).toEqual({ ...params, U_L: U_L.value, tankUA: tankUA.value });
+  });
+
+  test('fits the transmittance-absorptance product as a whole', () => {
+    const measurements = measure({ ...params, transmittance: 0.8, absorptance: 0.9 });
+    const result = calibrate(params, measurements, simulate, { parameters: ['transmittanceAbsorptance'] });
+    expect(result.parameters[0].initial).toBeCloseTo(0.855, 10);
+    expect(result.parameters[0].value).toBeCloseTo(0.72, 2);
+    expect(result.params.absorptance).toBe(1);
+    expect(result.params.transmittance).toBe(result.parameters[0].value);
+  });
+
+  test('interpolates between reports', () => {
+    const temperatures = [{ time: 0, tankTemp: 20 }, { time: 1, tankTemp: 30 }];
+    const fixed = () => ({ params: { reportInterval: 3600 }, temperatures });
+    const result = calibrate(params, [{ time: 1.5, tankTemp: 25 }, { time: 2, tankTemp: 30 }, { time: 1, tankTemp: 19 }], fixed, {
+      parameters: ['U_L']
+    });
+    expect(result.channels.tankTemp.initial.rmse).toBeCloseTo(Math.sqrt(1 / 3), 10);
+    expect(result.channels.tankTemp.initial.bias).toBeCloseTo(1 / 3, 10);
+    // The model does not depend on U_L, so its uncertainty is unknown
+    expect(result.parameters[0].standardError).toBeNull();
+  });
+
+  test('rejects unusable requests', () => {
+    const measurements = measure(params);
+    expect(() => calibrate(params, measurements, simulate, { parameters: ['area'] })).toThrow('Unknown calibration parameter "area"');
+    expect(() => calibrate(params, [{ time: 1, tankTemp: 30 }], simulate, { parameters: ['U_L'] })).toThrow('At least 2 measured values');
+    expect(() => calibrate(params, [{ time: 1, oilTemp: 30 }], simulate)).toThrow('Unknown channel "oilTemp"');
+    expect(() => calibrate(params, [{ time: 40, tankTemp: 30 }, { time: 41, tankTemp: 30 }], simulate, { parameters: ['U_L'] }))
+      .toThrow('outside the run');
+    expect(() => calibrate({ ...params, collector: 'flat-plate-selective' }, measurements, simulate)).toThrow('generic collector');
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArguments, loadConfig, main } = require('../cli');
+
+const output = () => {
+  const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+  return stream;
+};
+
+describe('Command-Line Runner', () => {
+  let directory;
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'thermo-sim-cli-'));
+  });
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (name, text) => {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, text);
+    return filePath;
+  };
+
+  test('parses options and infers the format from the output file', () => {
+    const args = parseArguments(['system.yaml', '--output', 'out.json', '--columns=time, tankTemp', '--interval', '1800']);
+    expect(args).toMatchObject({ configPath: 'system.yaml', format: 'json', output: 'out.json', interval: '1800', columns: ['time', 'tankTemp'] });
+    expect(parseArguments(['system.json']).format).toBe('csv');
+    expect(() => parseArguments(['system.json', '--format', 'xml'])).toThrow('Unknown format "xml"');
+    expect(() => parseArguments(['system.json', '--speed', '2'])).toThrow('Unknown option "--speed"');
+    expect(() => parseArguments([])).toThrow('A configuration file is required');
+  });
+
+  test('reads YAML, JSON and saved configurations', () => {
+    expect(loadConfig(write('a.yaml', 'units: si\narea: 4\n'))).toEqual({ units: 'si', area: 4 });
+    expect(loadConfig(write('b.json', '{ "area": 3 }'))).toEqual({ area: 3 });
+    expect(loadConfig(write('c.json', '{ "name": "Roof", "params": { "area": 5 } }'))).toEqual({ area: 5 });
+    expect(() => loadConfig(write('d.yaml', '- 1\n- 2\n'))).toThrow('must hold an object');
+  });
+
+  test('reads a relative weather file path from the configuration file directory', () => {
+    fs.mkdirSync(path.join(directory, 'sites'));
+    const config = write(path.join('sites', 'roof.yaml'), 'weatherFile:\n  path: weather/roof.epw\n  startDate: 06-01\n');
+    expect(loadConfig(config).weatherFile).toEqual({ path: path.join(directory, 'sites', 'weather', 'roof.epw'), startDate: '06-01' });
+    const absolute = path.join(directory, 'roof.epw');
+    expect(loadConfig(write('e.json', JSON.stringify({ weatherFile: { path: absolute } }))).weatherFile.path).toBe(absolute);
+    expect(loadConfig(write('f.json', '{ "name": "Roof", "params": { "weatherFile": { "path": "roof.epw" } } }')).weatherFile.path)
+      .toBe(path.join(directory, 'roof.epw'));
+  });
+
+  test('writes the selected CSV columns at the chosen interval to stdout', () => {
+    const config = write('system.yaml', 'units: si\nduration: 2\ntankTemp: 40\n');
+    const stdout = output();
+    expect(main([config, '--interval', '1800', '--columns', 'time,tankTemp'], { stdout, stderr: output() })).toBe(0);
+    const lines = stdout.text.trim().split('\n');
+    expect(lines[0]).toBe('time,tankTemp');
+    expect(lines).toHaveLength(5);
+    expect(lines[2]).toMatch(/^0\.5,40/);
+  });
+
+  test('writes the JSON response to a file', () => {
+    const config = write('system.json', JSON.stringify({ units: 'si', duration: 3 }));
+    const file = path.join(directory, 'results.json');
+    expect(main([config, '--output', file], { stdout: output(), stderr: output() })).toBe(0);
+    const response = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(response.units).toBe('si');
+    expect(response.temperatures).toHaveLength(3);
+  });
+
+  test('reports invalid configurations and usage errors', () => {
+    const stderr = output();
+    expect(main([write('bad.json', '{ "area": -1 }')], { stdout: output(), stderr })).toBe(1);
+    expect(stderr.text).toBe('area must be greater than 0\n');
+    expect(main(['--format'], { stdout: output(), stderr: output() })).toBe(2);
+    expect(main([path.join(directory, 'missing.json')], { stdout: output(), stderr: output() })).toBe(1);
+  });
+});
@@ -0,0 +1,132 @@
+const {
+  REFERENCE_COLLECTORS,
+  createCollector,
+  getCollector,
+  getIncidenceAngleModifier,
+  getEffectiveIrradiance,
+  getLossCoefficient,
+  getCollectorMap,
+  getStagnationTemp,
+  createCollectorArray
+} = require('../collectors');
+
+describe('Collector Definitions', () => {
+  test('loads the reference collectors keyed by id', () => {
+    expect(Object.keys(REFERENCE_COLLECTORS)).toEqual(expect.arrayContaining([
+      'flat-plate-selective', 'flat-plate-black', 'evacuated-tube-heat-pipe', 'unglazed-pool'
+    ]));
+    for (const id of Object.keys(REFERENCE_COLLECTORS)) {
+      expect(getCollector(id).id).toBe(id);
+    }
+  });
+
+  test('custom collectors get default coefficients and are validated', () => {
+    const custom = createCollector({ area: 2.2, eta0: 0.75, a1: 4 });
+    expect(custom).toMatchObject({ type: 'flatPlate', a2: 0, a3: 0, iam: null, diffuseIAM: 1 });
+    expect(() => createCollector({ area: 2, eta0: 0.75 })).toThrow('a1');
+    expect(() => createCollector({ area: 2, eta0: 0.75, a1: 4, type: 'concentrator' })).toThrow('Unknown collector type');
+    expect(() => getCollector('no-such-collector')).toThrow('Unknown collector "no-such-collector"');
+  });
+
+  test('rejects non-numeric optional coefficients', () => {
+    const base = { area: 2, eta0: 0.75, a1: 4 };
+    expect(() => createCollector({ ...base, a2: '0.01' })).toThrow('a2');
+    expect(() => createCollector({ ...base, a3: null })).toThrow('a3');
+    expect(() => createCollector({ ...base, diffuseIAM: NaN })).toThrow('diffuseIAM');
+  });
+
+  test('rejects malformed incidence angle modifiers', () => {
+    const withIam = (iam) => () => createCollector({ area: 2, eta0: 0.75, a1: 4, iam });
+    expect(withIam({})).toThrow('iam needs { b0 }');
+    expect(withIam('x')).toThrow('iam must be');
+    expect(withIam({ b0: 'x' })).toThrow('b0 must be a number');
+    expect(withIam({ angles: [0, 50], values: [1] })).toThrow('same, non-zero length');
+    expect(withIam({ angles: [0, 'a'], values: [1, 0.9] })).toThrow('must be numbers');
+    expect(withIam({ angles: [50, 0], values: [0.9, 1] })).toThrow('ascending');
+    expect(withIam({ longitudinal: { b0: 0.1 } })).toThrow('iam transversal');
+    expect(withIam({ longitudinal: { b0: 0.1 }, transversal: { angles: [0], values: [] } })).toThrow('iam transversal');
+    expect(withIam({ longitudinal: { b0: 0.1 }, transversal: { angles: [0, 60], values: [1, 1.2] } })).not.toThrow();
+    for (const id of Object.keys(REFERENCE_COLLECTORS)) {
+      expect(() => getCollector(id)).not.toThrow();
+    }
+  });
+});
+
+describe('Incidence Angle Modifiers', () => {
+  const angles = (incidence, longitudinal = incidence, transversal = 0) => ({ incidence, longitudinal, transversal });
+
+  test('ASHRAE b0 form', () => {
+    const collector = createCollector({ area: 2, eta0: 0.8, a1: 4, iam: { b0: 0.1 } });
+    expect(getIncidenceAngleModifier(collector, angles(0))).toBe(1);
+    expect(getIncidenceAngleModifier(collector, angles(60))).toBeCloseTo(0.9, 10);
+    expect(getIncidenceAngleModifier(collector, angles(90))).toBe(0);
+  });
+
+  test('tabulated form interpolates linearly', () => {
+    const collector = createCollector({ area: 2, eta0: 0.8, a1: 4, iam: { angles: [0, 40, 80], values: [1, 0.9, 0.3] } });
+    expect(getIncidenceAngleModifier(collector, angles(20))).toBeCloseTo(0.95, 10);
+    expect(getIncidenceAngleModifier(collector, angles(60))).toBeCloseTo(0.6, 10);
+    expect(getIncidenceAngleModifier(collector, angles(85))).toBe(0.3);
+  });
+
+  test('biaxial form multiplies the longitudinal and transversal modifiers', () => {
+    const tube = getCollector('evacuated-tube-heat-pipe');
+    // Transversal modifiers above 1 come from the tubes' cylindrical absorbers and reflectors
+    expect(getIncidenceAngleModifier(tube, angles(50, 0, 50))).toBeCloseTo(1.12, 10);
+    expect(getIncidenceAngleModifier(tube, angles(60, 60, 0))).toBeCloseTo(0.85, 10);
+    expect(getIncidenceAngleModifier(tube, angles(70, 60, 50))).toBeCloseTo(0.85 * 1.12, 10);
+  });
+
+  test('diffuse irradiance uses the diffuse modifier', () => {
+    const collector = getCollector('flat-plate-selective');
+    const irradiance = { beam: 0, diffuse: 200, groundReflected: 20 };
+    expect(getEffectiveIrradiance(collector, irradiance, angles(30))).toBeCloseTo(0.9 * 220, 10);
+  });
+});
+
+describe('Rated Collector Performance', () => {
+  const collector = getCollector('flat-plate-selective');
+
+  test('collector map reproduces the test efficiency curve', () => {
+    const G = 900;
+    const ambientTemp = 20;
+    const capacityRate = 0.04 * 4180;
+    const inletTemp = 50;
+
+    // Solve the quadratic loss term by iterating the linearized map
+    let meanTemp = inletTemp;
+    let outletTemp;
+    for (let i = 0; i < 50; i++) {
+      const { a, b } = getCollectorMap(collector, capacityRate, G, ambientTemp, getLossCoefficient(collector, meanTemp, ambientTemp, 0));
+      outletTemp = a * inletTemp + b;
+      meanTemp = (inletTemp + outletTemp) / 2;
+    }
+
+    const x = meanTemp - ambientTemp;
+    const efficiency = collector.eta0 - collector.a1 * x / G - collector.a2 * x * x / G;
+    expect(capacityRate * (outletTemp - inletTemp) / (collector.area * G)).toBeCloseTo(efficiency, 8);
+  });
+
+  test('stagnation temperature balances losses against optical gain', () => {
+    const stagnation = getStagnationTemp(collector, 1000, 20, 0);
+    const x = stagnation - 20;
+    expect(collector.eta0 * 1000 - collector.a1 * x - collector.a2 * x * x).toBeCloseTo(0, 8);
+
+    const pool = getCollector('unglazed-pool');
+    expect(getStagnationTemp(pool, 1000, 20, 0)).toBeCloseTo(20 + 0.85 * 1000 / 12, 8);
+    expect(getStagnationTemp(pool, 1000, 20, 3)).toBeLessThan(getStagnationTemp(pool, 1000, 20, 0));
+  });
+});
+
+describe('Collector Arrays', () => {
+  test('total area covers every collector', () => {
+    expect(createCollectorArray({ collector: 'flat-plate-black', seriesCount: 3, parallelCount: 2 }))
+      .toMatchObject({ collectorArea: 2, totalArea: 12, seriesCount: 3, parallelCount: 2 });
+    expect(createCollectorArray({ area: 4 })).toMatchObject({ rated: null, collectorArea: 4, totalArea: 4 });
+  });
+
+  test('rejects non-integer collector counts', () => {
+    expect(() => createCollectorArray({ area: 4, seriesCount: 1.5 })).toThrow('positive integers');
+    expect(() => createCollectorArray({ area: 4, parallelCount: -1 })).toThrow('positive integers');
+  });
+});
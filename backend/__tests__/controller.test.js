@@ -0,0 +1,52 @@
+const {
+  createController,
+  updateController,
+  getPumpPower
+} = require('../controller');
+
+describe('Differential Thermostat', () => {
+  const controller = createController({ onDeltaT: 8, offDeltaT: 2, tankHighLimit: 80 });
+  const off = { pumpOn: false, speed: 0, highLimitTripped: false };
+  const on = { pumpOn: true, speed: 1, highLimitTripped: false };
+
+  test('switches on above the ON difference and off below the OFF difference', () => {
+    expect(updateController(controller, off, 49, 40, 50).pumpOn).toBe(true);
+    expect(updateController(controller, on, 41, 40, 50).pumpOn).toBe(false);
+  });
+
+  test('holds its state inside the hysteresis band', () => {
+    expect(updateController(controller, off, 45, 40, 50).pumpOn).toBe(false);
+    expect(updateController(controller, on, 45, 40, 50).pumpOn).toBe(true);
+  });
+
+  test('high-limit shuts the pump off until the tank cools by the deadband', () => {
+    const tripped = updateController(controller, on, 100, 40, 80);
+    expect(tripped).toEqual({ pumpOn: false, speed: 0, highLimitTripped: true });
+    expect(updateController(controller, tripped, 100, 40, 77).pumpOn).toBe(false);
+    expect(updateController(controller, tripped, 100, 40, 74).pumpOn).toBe(true);
+  });
+
+  test('always mode runs the pump regardless of temperatures', () => {
+    const always = createController({ pumpControl: 'always' });
+    expect(updateController(always, off, 10, 40, 90)).toEqual({ pumpOn: true, speed: 1, highLimitTripped: false });
+  });
+
+  test('rejects unknown control modes', () => {
+    expect(() => createController({ pumpControl: 'timer' })).toThrow('Unknown pump control mode');
+  });
+});
+
+describe('Variable-Speed Pump', () => {
+  const controller = createController({ variableSpeed: true, offDeltaT: 2, minSpeed: 0.3, fullSpeedDeltaT: 20 });
+  const on = { pumpOn: true, speed: 1, highLimitTripped: false };
+
+  test('modulates speed linearly between minimum and full speed', () => {
+    expect(updateController(controller, on, 42, 40, 50).speed).toBeCloseTo(0.3, 10);
+    expect(updateController(controller, on, 51, 40, 50).speed).toBeCloseTo(0.65, 10);
+    expect(updateController(controller, on, 70, 40, 50).speed).toBe(1);
+  });
+
+  test('electrical power follows the cube of speed', () => {
+    expect(getPumpPower(50, 0.5)).toBeCloseTo(6.25, 10);
+  });
+});
@@ -0,0 +1,57 @@
+const { createEconomics, analyzeEconomics } = require('../economics');
+
+// 3000 kWh of electric heating displaced, 50 kWh of pump electricity
+const year = { displacedAuxEnergy: 3000 * 3.6e6, displacedAuxInputEnergy: 3000 * 3.6e6, pumpEnergy: 50 * 3.6e6 };
+
+describe('Economic Analysis', () => {
+  test('without escalation or discounting the NPV is the undiscounted savings', () => {
+    const flat = {
+      installedCost: 4000, electricityPrice: 0.2, electricityEscalation: 0, maintenanceCost: 40,
+      maintenanceEscalation: 0, discountRate: 0, lifetime: 20
+    };
+    const result = analyzeEconomics(year, 'electric', flat);
+    const savings = 3000 * 0.2 - 50 * 0.2 - 40;
+    expect(result.annualSavings).toBeCloseTo(savings, 10);
+    expect(result.simplePayback).toBeCloseTo(4000 / savings, 10);
+    expect(result.discountedPayback).toBeCloseTo(4000 / savings, 10);
+    expect(result.npv).toBeCloseTo(20 * savings - 4000, 8);
+    expect(result.lcoh).toBeCloseTo((4000 + 20 * (10 + 40)) / (20 * 3000), 10);
+    expect(result.cashFlows).toHaveLength(21);
+  });
+
+  test('discounting lowers the NPV and escalation raises it', () => {
+    const base = { discountRate: 0.05, electricityEscalation: 0, maintenanceEscalation: 0 };
+    const discounted = analyzeEconomics(year, 'electric', base);
+    const escalating = analyzeEconomics(year, 'electric', { ...base, electricityEscalation: 0.04 });
+    const undiscounted = analyzeEconomics(year, 'electric', { ...base, discountRate: 0 });
+    expect(discounted.npv).toBeLessThan(undiscounted.npv);
+    expect(escalating.npv).toBeGreaterThan(discounted.npv);
+    expect(discounted.cashFlows[20].discountedSavings).toBeCloseTo(discounted.cashFlows[20].savings / 1.05 ** 20, 10);
+  });
+
+  test('gas heating is priced at the gas tariff and incentives reduce the cost', () => {
+    const gas = analyzeEconomics(year, 'gas', { gasPrice: 0.05, incentives: 1000 });
+    expect(gas.netCost).toBe(6000 - 1000);
+    expect(gas.cashFlows[1].auxSavings).toBeCloseTo(3000 * 0.05, 10);
+  });
+
+  test('a system that never pays back has no payback period', () => {
+    const result = analyzeEconomics({ displacedAuxEnergy: 0, displacedAuxInputEnergy: 0, pumpEnergy: 0 }, 'electric', {});
+    expect(result.simplePayback).toBeNull();
+    expect(result.discountedPayback).toBeNull();
+    expect(result.lcoh).toBeNull();
+    expect(result.npv).toBeLessThan(-6000);
+  });
+
+  test('rejects invalid lifetimes and discount rates', () => {
+    expect(() => createEconomics({ lifetime: 2.5 })).toThrow('lifetime');
+    expect(() => createEconomics({ discountRate: -1 })).toThrow('discountRate');
+  });
+
+  test('rejects non-numeric, negative and unknown parameters', () => {
+    expect(() => createEconomics({ installedCost: 'abc' })).toThrow('installedCost must be a number');
+    expect(() => createEconomics({ gasPrice: -0.05 })).toThrow('gasPrice must be at least 0');
+    expect(() => createEconomics({ fuelPrice: 0.1 })).toThrow('Unknown economic parameter "fuelPrice"');
+    expect(createEconomics({ gasPrice: null, gasEscalation: -0.01 })).toMatchObject({ gasPrice: 0.05, gasEscalation: -0.01 });
+  });
+});
@@ -0,0 +1,52 @@
+const {
+  checkEnergyBalance,
+  summarizeEnergyBalance
+} = require('../energy');
+
+const record = (overrides) => ({
+  time: 0, incidentEnergy: 1000, opticalLosses: 150, collectorLosses: 350, usefulGain: 500, pipeLosses: 0,
+  loadEnergy: 260, auxEnergy: 60, tankDeliveredEnergy: 200, tankLosses: 50, tankEnergyChange: 250, pumpEnergy: 20,
+  balanceResidual: 0,
+  ...overrides
+});
+
+describe('Energy Balance Check', () => {
+  test('closes when stored energy matches gains less draws and losses', () => {
+    const result = checkEnergyBalance(record({}));
+    expect(result.residual).toBe(0);
+    expect(result.closed).toBe(true);
+  });
+
+  test('flags a residual larger than the tolerance', () => {
+    const result = checkEnergyBalance(record({ tankEnergyChange: 240 }));
+    expect(result.residual).toBe(10);
+    expect(result.relativeResidual).toBeCloseTo(10 / 750, 10);
+    expect(result.closed).toBe(false);
+  });
+
+  test('balances the stored energy against the load and heater rather than the tank draw', () => {
+    // The draw at the tank outlet agrees with the stored energy, but the load less the auxiliary heat
+    // says 40 J more left the tank
+    const result = checkEnergyBalance(record({ loadEnergy: 300 }));
+    expect(result.residual).toBe(-40);
+    expect(result.closed).toBe(false);
+  });
+});
+
+describe('Energy Balance Summary', () => {
+  test('totals the run and reports its collector efficiency', () => {
+    const summary = summarizeEnergyBalance([record({}), record({ time: 1 })]);
+    expect(summary.incidentEnergy).toBe(2000);
+    expect(summary.pumpEnergy).toBe(40);
+    expect(summary.collectorEfficiency).toBeCloseTo(0.5, 10);
+    expect(summary.closed).toBe(true);
+    expect(summary.warnings).toEqual([]);
+  });
+
+  test('warns about each interval that does not close', () => {
+    const summary = summarizeEnergyBalance([record({}), record({ time: 1, tankEnergyChange: 300, balanceResidual: -50 })]);
+    expect(summary.closed).toBe(false);
+    expect(summary.warnings).toHaveLength(1);
+    expect(summary.warnings[0]).toContain('hour 1');
+  });
+});
@@ -0,0 +1,36 @@
+const { getColumns, selectColumns, toCSV, getExportRows } = require('../export');
+
+const reports = [
+  { time: 0, tankTemp: 20.5, tankNodeTemps: [21, 20], pumpOn: false, solarFraction: null },
+  { time: 1, tankTemp: 22, tankNodeTemps: [23, 21], pumpOn: true, solarFraction: 0.5 }
+];
+
+describe('CSV Export', () => {
+  test('spreads lists over one column per entry', () => {
+    expect(getColumns(reports)).toEqual(['time', 'tankTemp', 'tankNodeTemps.0', 'tankNodeTemps.1', 'pumpOn', 'solarFraction']);
+  });
+
+  test('writes a header and one row per report', () => {
+    expect(toCSV(reports)).toBe(
+      'time,tankTemp,tankNodeTemps.0,tankNodeTemps.1,pumpOn,solarFraction\n' +
+      '0,20.5,21,20,false,\n' +
+      '1,22,23,21,true,0.5\n'
+    );
+  });
+
+  test('selects columns, expanding lists by name', () => {
+    expect(toCSV(reports, ['time', 'tankNodeTemps'])).toBe('time,tankNodeTemps.0,tankNodeTemps.1\n0,21,20\n1,23,21\n');
+    expect(selectColumns(getColumns(reports), [])).toHaveLength(6);
+    expect(() => toCSV(reports, ['colour'])).toThrow('Unknown column "colour"');
+  });
+
+  test('quotes cells that need it', () => {
+    expect(toCSV([{ name: 'Jan, "cold"' }])).toBe('name\n"Jan, ""cold"""\n');
+  });
+
+  test('exports the monthly summary of annual runs without hourly reports', () => {
+    const monthlySummary = [{ month: 1 }];
+    expect(getExportRows({ temperatures: [], monthlySummary })).toBe(monthlySummary);
+    expect(getExportRows({ temperatures: reports, monthlySummary })).toBe(reports);
+  });
+});
@@ -0,0 +1,54 @@
+const {
+  FLUIDS,
+  getFluid,
+  getFluidProperties,
+  getFreezeWarnings
+} = require('../fluids');
+
+describe('Fluid Properties', () => {
+  test('returns tabulated water properties', () => {
+    const water = getFluidProperties(getFluid('water'), 20);
+    expect(water.density).toBeCloseTo(998.2, 6);
+    expect(water.specificHeat).toBeCloseTo(4182, 6);
+    expect(water.viscosity).toBeCloseTo(1.002e-3, 9);
+  });
+
+  test('interpolates between table points, viscosity logarithmically', () => {
+    const water = getFluidProperties(getFluid('water'), 30);
+    expect(water.density).toBeCloseTo((998.2 + 992.2) / 2, 6);
+    expect(water.viscosity).toBeCloseTo(Math.sqrt(1.002e-3 * 0.653e-3), 9);
+  });
+
+  test('clamps temperatures outside the table', () => {
+    const fluid = getFluid('propyleneGlycol40');
+    expect(getFluidProperties(fluid, 150)).toEqual(getFluidProperties(fluid, 100));
+    expect(getFluidProperties(fluid, -40).viscosity).toBe(40e-3);
+  });
+
+  test('glycol mixtures are denser, hold less heat and freeze lower than water', () => {
+    const water = getFluidProperties(getFluid('water'), 40);
+    for (const name of Object.keys(FLUIDS).filter(key => key !== 'water')) {
+      const glycol = getFluidProperties(getFluid(name), 40);
+      expect(glycol.density).toBeGreaterThan(water.density);
+      expect(glycol.specificHeat).toBeLessThan(water.specificHeat);
+      expect(glycol.viscosity).toBeGreaterThan(water.viscosity);
+      expect(FLUIDS[name].freezePoint).toBeLessThan(0);
+    }
+  });
+
+  test('rejects unknown fluids', () => {
+    expect(() => getFluid('brine')).toThrow('Unknown fluid');
+  });
+});
+
+describe('Freeze Warnings', () => {
+  test('lists the intervals flagged by the simulation', () => {
+    const warnings = getFreezeWarnings([
+      { time: 0, minCollectorTemp: 5, freezeWarning: false },
+      { time: 1, minCollectorTemp: -3, freezeWarning: true }
+    ], getFluid('water'));
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toContain('hour 1');
+    expect(warnings[0]).toContain('-3.0 °C');
+  });
+});
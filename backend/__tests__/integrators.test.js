@@ -0,0 +1,25 @@
+const { integrate } = require('../integrators');
+
+// Newton cooling, dT/dt = -(T - 20) / 600, with the exact solution 20 + 60 * exp(-t / 600)
+const cooling = (t, y) => [-(y[0] - 20) / 600];
+const exact = (t) => 20 + 60 * Math.exp(-t / 600);
+
+describe('Integrators', () => {
+  test('rk4 is far more accurate than euler for the same step', () => {
+    const euler = integrate('euler', cooling, 0, [80], 300);
+    const rk4 = integrate('rk4', cooling, 0, [80], 300);
+    expect(Math.abs(rk4[0] - exact(300))).toBeLessThan(0.05);
+    expect(Math.abs(euler[0] - exact(300))).toBeGreaterThan(1);
+  });
+
+  test('euler overshoots when the step exceeds the time constant, rk45 stays stable', () => {
+    const euler = integrate('euler', cooling, 0, [80], 1800);
+    const rk45 = integrate('rk45', cooling, 0, [80], 1800, { tolerance: 1e-4 });
+    expect(euler[0]).toBeLessThan(20);
+    expect(rk45[0]).toBeCloseTo(exact(1800), 3);
+  });
+
+  test('rejects unknown methods', () => {
+    expect(() => integrate('midpoint', cooling, 0, [80], 60)).toThrow('Unknown integrator');
+  });
+});
@@ -0,0 +1,74 @@
+const {
+  createLoad,
+  getDrawFlowRate,
+  calculateLoad,
+  getSolarHeat,
+  getSolarFraction,
+  summarizeDays
+} = require('../loads');
+
+describe('Draw Profiles', () => {
+  test('preset profiles draw the daily volume over 24 hours', () => {
+    const load = createLoad({ loadProfile: 'residential', dailyLoadVolume: 150 });
+    let litres = 0;
+    for (let hour = 0; hour < 24; hour++) {
+      litres += getDrawFlowRate(load, hour * 3600, hour) * 3600;
+    }
+    expect(litres).toBeCloseTo(150, 6);
+  });
+
+  test('user-supplied profiles are indexed by elapsed time and repeat', () => {
+    const load = createLoad({ loadProfile: [10, 0, 5], loadInterval: 600 });
+    expect(getDrawFlowRate(load, 0, 7)).toBeCloseTo(10 / 600, 10);
+    expect(getDrawFlowRate(load, 700, 7)).toBe(0);
+    expect(getDrawFlowRate(load, 1900, 7)).toBeCloseTo(10 / 600, 10);
+  });
+
+  test('rejects unknown presets', () => {
+    expect(() => createLoad({ loadProfile: 'hotel' })).toThrow('Unknown load profile');
+  });
+});
+
+describe('Auxiliary Heating', () => {
+  const load = createLoad({ mainsTemp: 10, auxType: 'gas', auxSetpoint: 50, auxCapacity: 3000 });
+
+  test('tops up cool tank water to the setpoint within the heater capacity', () => {
+    const result = calculateLoad(0.01, 30, load, 4186);
+    expect(result.deliveredTemp).toBeCloseTo(50, 10);
+    expect(result.auxPower).toBeCloseTo(0.01 * 4186 * 20, 6);
+    expect(result.auxInputPower).toBeCloseTo(result.auxPower / 0.8, 6);
+
+    const limited = calculateLoad(0.1, 30, load, 4186);
+    expect(limited.auxPower).toBe(3000);
+    expect(limited.deliveredTemp).toBeLessThan(50);
+  });
+
+  test('tempers hot tank water with mains water', () => {
+    const result = calculateLoad(0.01, 70, load, 4186);
+    expect(result.auxPower).toBe(0);
+    expect(result.deliveredTemp).toBe(50);
+    expect(result.tankFlowRate).toBeCloseTo(0.01 * 40 / 60, 10);
+  });
+
+  test('without an auxiliary heater water below the setpoint only meets part of the demand', () => {
+    const cold = calculateLoad(0.01, 30, createLoad({ mainsTemp: 10, auxType: 'none', auxSetpoint: 50 }), 4186);
+    expect(cold.auxPower).toBe(0);
+    expect(cold.loadPower).toBeCloseTo(0.01 * 4186 * 20, 6);
+    expect(cold.demandPower).toBeCloseTo(0.01 * 4186 * 40, 6);
+    const totals = { loadEnergy: cold.loadPower, demandEnergy: cold.demandPower, auxEnergy: 0 };
+    expect(getSolarHeat(totals)).toBeCloseTo(cold.loadPower, 6);
+    expect(getSolarFraction(totals)).toBeCloseTo(0.5, 10);
+    expect(getSolarFraction({ loadEnergy: 0, demandEnergy: 0, auxEnergy: 0 })).toBeNull();
+  });
+
+  test('daily summaries report the solar fraction', () => {
+    const days = summarizeDays([
+      { dayOfYear: 10, drawVolume: 0.1, loadEnergy: 100, demandEnergy: 100, auxEnergy: 25, auxInputEnergy: 30 },
+      { dayOfYear: 10, drawVolume: 0.1, loadEnergy: 100, demandEnergy: 100, auxEnergy: 15, auxInputEnergy: 20 },
+      { dayOfYear: 11, drawVolume: 0, loadEnergy: 0, demandEnergy: 0, auxEnergy: 0, auxInputEnergy: 0 }
+    ]);
+    expect(days).toHaveLength(2);
+    expect(days[0].solarFraction).toBeCloseTo(0.8, 10);
+    expect(days[1].solarFraction).toBeNull();
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  createPiping,
+  getFrictionFactor,
+  getPipeHeadLoss,
+  getPumpHead,
+  solveOperatingPoint,
+  solveLoopTemperatures
+} = require('../piping');
+
+const water = { density: 992, specificHeat: 4179, viscosity: 0.653e-3 };
+const pumpCurve = [{ flow: 0, head: 6 }, { flow: 20, head: 4.5 }, { flow: 40, head: 0 }];
+
+describe('Pipe Friction', () => {
+  test('uses 64/Re for laminar flow and Swamee-Jain for turbulent flow', () => {
+    expect(getFrictionFactor(1000, 0)).toBeCloseTo(0.064, 10);
+    expect(getFrictionFactor(1e5, 1e-4)).toBeCloseTo(0.0185, 3);
+  });
+
+  test('is continuous through the transition region', () => {
+    expect(getFrictionFactor(2300, 1e-4)).toBeCloseTo(getFrictionFactor(2299.999, 1e-4), 6);
+    expect(getFrictionFactor(4000, 1e-4)).toBeCloseTo(getFrictionFactor(4000.001, 1e-4), 6);
+  });
+
+  test('head loss grows with flow, length and fittings', () => {
+    const piping = createPiping({ supplyPipeLength: 10, returnPipeLength: 10 });
+    const flow = 12 / 60000;
+    expect(getPipeHeadLoss(0, water, piping)).toBe(0);
+    expect(getPipeHeadLoss(2 * flow, water, piping)).toBeGreaterThan(3 * getPipeHeadLoss(flow, water, piping));
+    expect(getPipeHeadLoss(flow, water, createPiping({ supplyPipeLength: 10, returnPipeLength: 10, fittingsK: 5 })))
+      .toBeGreaterThan(getPipeHeadLoss(flow, water, piping));
+  });
+});
+
+describe('Pump Operating Point', () => {
+  const piping = createPiping({ pumpCurve, supplyPipeLength: 15, returnPipeLength: 15, fittingsK: 10 });
+
+  test('pump head follows the affinity laws', () => {
+    expect(getPumpHead(pumpCurve, 10 / 60000, 1)).toBeCloseTo(5.25, 10);
+    expect(getPumpHead(pumpCurve, 5 / 60000, 0.5)).toBeCloseTo(0.25 * 5.25, 10);
+    expect(getPumpHead(pumpCurve, 50 / 60000, 1)).toBe(0);
+  });
+
+  test('pump head balances static head and friction at the operating point', () => {
+    const point = solveOperatingPoint({ ...piping, staticHead: 1 }, 1, water);
+    expect(point.flowRate).toBeGreaterThan(0);
+    expect(point.head).toBeCloseTo(1 + getPipeHeadLoss(point.flowRate, water, piping), 6);
+    expect(point.hydraulicPower).toBeCloseTo(water.density * 9.81 * point.flowRate * point.head, 6);
+  });
+
+  test('viscous fluids and lower speeds reduce the flow', () => {
+    const full = solveOperatingPoint(piping, 1, water).flowRate;
+    const coldGlycol = { density: 1057, specificHeat: 3420, viscosity: 18e-3 };
+    expect(solveOperatingPoint(piping, 1, coldGlycol).flowRate).toBeLessThan(full);
+    expect(solveOperatingPoint(piping, 0.5, water).flowRate).toBeLessThan(full);
+  });
+
+  test('no flow when the pump cannot overcome the static head', () => {
+    expect(solveOperatingPoint({ ...piping, staticHead: 7 }, 1, water).flowRate).toBe(0);
+  });
+});
+
+describe('Loop Temperatures', () => {
+  // Hottel-Whillier-Bliss collector: 4 m², F_R 0.8, S 700 W/m², U_L 8 W/(m²·K), ambient 10 °C
+  const collector = { collectorMaps: [{ a: 1 - 4 * 0.8 * 8 / 300, b: 4 * 0.8 * (700 + 8 * 10) / 300 }] };
+  const noPipes = createPiping({});
+
+  test('bare pipes lose heat through the outer film only', () => {
+    const piping = createPiping({ insulationThickness: 0, pipeDiameter: 0.02 });
+    expect(piping.lossCoefficient).toBeCloseTo(10 * Math.PI * 0.02, 10);
+    expect(createPiping({ pipeDiameter: 0.02 }).lossCoefficient).toBeLessThan(piping.lossCoefficient);
+  });
+
+  test('reduces to Hottel-Whillier-Bliss for a direct loop without pipes', () => {
+    const loop = solveLoopTemperatures({
+      ...collector, tankOutletTemp: 40, capacityRate: 300, piping: { ...noPipes, pipeAmbientTemp: 10 }, effectiveness: 0
+    });
+    expect(loop.usefulGain).toBeCloseTo(4 * 0.8 * (700 - 8 * 30), 8);
+    expect(loop.tankHeat).toBeCloseTo(loop.usefulGain, 8);
+    expect(loop.pipeLosses).toBeCloseTo(0, 8);
+  });
+
+  test('matches the collector-heat exchanger factor of Duffie & Beckman eq. 10.2.3', () => {
+    const loop = solveLoopTemperatures({
+      ...collector, tankOutletTemp: 40, capacityRate: 300, piping: { ...noPipes, pipeAmbientTemp: 10 },
+      effectiveness: 0.5, tankCapacityRate: 300
+    });
+    const factor = 1 / (1 + (4 * 0.8 * 8 / 300) * (300 / (0.5 * 300) - 1));
+    expect(loop.tankHeat).toBeCloseTo(factor * 4 * 0.8 * (700 - 8 * 30), 8);
+    expect(loop.collectorInletTemp).toBeGreaterThan(40);
+  });
+
+  test('pipe losses are the difference between collector gain and tank heat', () => {
+    const piping = { ...createPiping({ supplyPipeLength: 20, returnPipeLength: 20 }), pipeAmbientTemp: 0 };
+    const loop = solveLoopTemperatures({ ...collector, tankOutletTemp: 40, capacityRate: 300, piping, effectiveness: 0.7, tankCapacityRate: 300 });
+    expect(loop.pipeLosses).toBeGreaterThan(0);
+    expect(loop.tankHeat).toBeCloseTo(loop.usefulGain - loop.pipeLosses, 8);
+    expect(loop.minTemp).toBeLessThan(loop.collectorInletTemp + 1e-9);
+  });
+
+  test('collectors in series each feed the next', () => {
+    const half = { a: 0.9, b: 5 };
+    const loop = solveLoopTemperatures({
+      tankOutletTemp: 40, capacityRate: 300, collectorMaps: [half, half], piping: { ...noPipes, pipeAmbientTemp: 10 }, effectiveness: 0
+    });
+    expect(loop.seriesTemps).toHaveLength(3);
+    expect(loop.seriesTemps[1]).toBeCloseTo(41, 10);
+    expect(loop.collectorOutletTemp).toBeCloseTo(41.9, 10);
+    expect(loop.usefulGain).toBeCloseTo(300 * 1.9, 8);
+  });
+});
@@ -0,0 +1,82 @@
+const { summarizeRun, getRunSummary, compareRuns } = require('../runs');
+
+const report = (time, fields) => ({
+  time, tankTemp: 100, fluidTemp: 110, deliveredTemp: 120, usefulGain: 0, auxEnergy: 0, pumpEnergy: 0,
+  solarFraction: null, collectorEfficiency: null, incidentEnergy: 0, pipeLosses: 0, tankLosses: 0,
+  loadEnergy: 0, auxInputEnergy: 0, pumpRunHours: 0, ...fields
+});
+
+const baseline = {
+  id: 'a', name: 'Baseline', createdAt: '2024-01-01T00:00:00.000Z',
+  results: { temperatures: [
+    report(0, { tankTemp: 100, usefulGain: 1000, incidentEnergy: 2000, loadEnergy: 500, auxEnergy: 100 }),
+    report(1, { tankTemp: 105, usefulGain: 3000, incidentEnergy: 6000, loadEnergy: 500, auxEnergy: 300 })
+  ] }
+};
+const larger = {
+  id: 'b', name: 'Larger array', createdAt: '2024-01-02T00:00:00.000Z',
+  results: { temperatures: [
+    report(0, { tankTemp: 102, usefulGain: 1500, incidentEnergy: 3000, loadEnergy: 500, auxEnergy: 50 }),
+    report(1, { tankTemp: 110, usefulGain: 4500, incidentEnergy: 9000, loadEnergy: 500, auxEnergy: 150 }),
+    report(2, { tankTemp: 108 })
+  ] }
+};
+
+describe('Run Summaries', () => {
+  test('totals energies and derives ratios', () => {
+    const summary = summarizeRun(baseline.results.temperatures);
+    expect(summary.usefulGain).toBe(4000);
+    expect(summary.collectorEfficiency).toBeCloseTo(0.5, 10);
+    expect(summary.solarFraction).toBeCloseTo(0.6, 10);
+    expect(summarizeRun([report(0, {})]).solarFraction).toBeNull();
+  });
+
+  test('takes annual runs stored without reports from their annual summary', () => {
+    const annualSummary = { ...summarizeRun(baseline.results.temperatures), displacedAuxEnergy: 600 };
+    expect(getRunSummary({ temperatures: [], annualSummary })).toEqual(summarizeRun(baseline.results.temperatures));
+    expect(getRunSummary(baseline.results)).toEqual(summarizeRun(baseline.results.temperatures));
+  });
+});
+
+describe('Run Comparison', () => {
+  test('aligns runs by time step and differences them against the baseline', () => {
+    const comparison = compareRuns([baseline, larger], ['tankTemp', 'usefulGain']);
+    expect(comparison.runs.map(run => run.name)).toEqual(['Baseline', 'Larger array']);
+    expect(comparison.steps.map(step => step.time)).toEqual([0, 1, 2]);
+    expect(comparison.steps[1].values.tankTemp).toEqual([105, 110]);
+    expect(comparison.steps[1].differences.tankTemp).toEqual([0, 5]);
+    expect(comparison.steps[2].values.tankTemp).toEqual([null, 108]);
+    expect(comparison.steps[2].differences.tankTemp).toEqual([null, null]);
+    expect(comparison.summary.usefulGain.differences).toEqual([0, 2000]);
+    expect(comparison.summary.solarFraction.differences[1]).toBeCloseTo(0.2, 10);
+  });
+
+  test('compares annual runs by their annual and monthly summaries', () => {
+    const annual = (usefulGains) => ({
+      id: String(usefulGains[0]), name: 'Annual', createdAt: '2024-01-03T00:00:00.000Z',
+      results: {
+        temperatures: [],
+        monthlySummary: usefulGains.map((usefulGain, i) => ({ month: i + 1, name: ['Jan', 'Feb'][i], usefulGain })),
+        annualSummary: { usefulGain: usefulGains.reduce((sum, value) => sum + value, 0) }
+      }
+    });
+    const comparison = compareRuns([annual([100, 200]), annual([150])]);
+    expect(comparison.steps).toEqual([]);
+    expect(comparison.summary.usefulGain).toEqual({ values: [300, 150], differences: [0, -150] });
+    expect(comparison.months.map(month => month.name)).toEqual(['Jan', 'Feb']);
+    expect(comparison.months[0].differences.usefulGain).toEqual([0, 50]);
+    expect(comparison.months[1].values.usefulGain).toEqual([200, null]);
+    expect(compareRuns([baseline, larger]).months).toBeUndefined();
+  });
+
+  test('needs at least two runs and known metrics', () => {
+    expect(() => compareRuns([baseline])).toThrow('At least two runs');
+    expect(() => compareRuns([baseline, larger], ['colour'])).toThrow('Unknown metric "colour"');
+  });
+
+  test('only compares runs reported in the same unit system', () => {
+    const si = { ...larger, results: { ...larger.results, units: 'si' } };
+    expect(() => compareRuns([baseline, si])).toThrow('different unit systems (imperial, si)');
+    expect(compareRuns([baseline, { ...baseline, results: { ...baseline.results, units: 'imperial' } }]).units).toBe('imperial');
+  });
+});
@@ -0,0 +1,153 @@
+const {
+  SIMULATION_FIELDS, validateSimulationRequest, validateParameterChanges, validateParameterCombinations, formatErrors, describeFields
+} = require('../schema');
+
+const fieldsOf = (errors) => errors.map(error => error.field);
+
+describe('Simulation Request Schema', () => {
+  test('fills defaults in SI for missing fields', () => {
+    const { units, values, errors } = validateSimulationRequest({});
+    expect(errors).toEqual([]);
+    expect(units).toBe('imperial');
+    expect(values.area).toBe(2);
+    expect(values.fluidTemp).toBe(20);
+    expect(values.minAmbientTemp).toBeCloseTo(15.56, 2);
+    expect(values.fixedTemp).toBeNull();
+    expect(values.latitude).toBeUndefined();
+    expect(values.inputChanges).toEqual({});
+  });
+
+  test('keeps zeros instead of replacing them with defaults', () => {
+    const { values, errors } = validateSimulationRequest({ efficiency: 0, pumpPower: 0, hour: 0, cloudCover: '0', windLossCoefficient: 0 });
+    expect(errors).toEqual([]);
+    expect(values.efficiency).toBe(0);
+    expect(values.pumpPower).toBe(0);
+    expect(values.cloudCover).toBe(0);
+    expect(values.windLossCoefficient).toBe(0);
+  });
+
+  test('checks economic parameters field by field', () => {
+    const { values, errors } = validateSimulationRequest({
+      annual: true, economics: { installedCost: 'abc', gasPrice: -0.05, fuelPrice: 0.1, lifetime: '25', discountRate: null }
+    });
+    expect(fieldsOf(errors)).toEqual(['economics.installedCost', 'economics.gasPrice', 'economics.fuelPrice']);
+    expect(errors[2].message).toBe('is not a known parameter');
+    expect(values.economics).toMatchObject({ lifetime: 25, discountRate: null });
+  });
+
+  test('rejects a collector without heat losses', () => {
+    const { errors } = validateSimulationRequest({ U_L: 0 });
+    expect(fieldsOf(errors)).toEqual(['U_L']);
+  });
+
+  test('converts temperatures, temperature differences and percentages to SI', () => {
+    const imperial = validateSimulationRequest({ tankTemp: 140, pumpOnDeltaT: 18, pumpEfficiency: 50, fixedTemp: 32 }).values;
+    expect(imperial.tankTemp).toBeCloseTo(60, 10);
+    expect(imperial.pumpOnDeltaT).toBeCloseTo(10, 10);
+    expect(imperial.pumpEfficiency).toBeCloseTo(0.5, 10);
+    expect(imperial.fixedTemp).toBeCloseTo(0, 10);
+
+    const si = validateSimulationRequest({ units: 'si', tankTemp: 60, pumpOnDeltaT: 10, fixedTemp: 0 }).values;
+    expect(si.tankTemp).toBe(60);
+    expect(si.pumpOnDeltaT).toBe(10);
+    expect(si.fixedTemp).toBe(0);
+  });
+
+  test('converts input changes and the resumed state once, in the request units', () => {
+    const { values, errors } = validateSimulationRequest({
+      tankNodes: 2,
+      currentState: { fluidTemp: 68, panelTemp: 86, tankNodeTemps: [140, 104], pumpOn: true },
+      inputChanges: { 12: { tankTemp: 86, maxAmbientTemp: 95 } }
+    });
+    expect(errors).toEqual([]);
+    expect(values.currentState.fluidTemp).toBeCloseTo(20, 10);
+    expect(values.currentState.tankNodeTemps[1]).toBeCloseTo(40, 10);
+    expect(values.inputChanges[12].tankTemp).toBeCloseTo(30, 10);
+    expect(values.inputChanges[12].maxAmbientTemp).toBeCloseTo(35, 10);
+    expect(values.inputChanges[12].area).toBeUndefined();
+  });
+
+  test('reports every invalid field with limits in the request units', () => {
+    const { errors } = validateSimulationRequest({
+      area: 0, efficiency: 1.5, tankNodes: 2.5, duration: 'long', integrator: 'leapfrog', colour: 'blue',
+      tankTemp: -500, variableSpeed: 'yes'
+    });
+    expect(fieldsOf(errors).sort()).toEqual(
+      ['area', 'colour', 'duration', 'efficiency', 'integrator', 'tankNodes', 'tankTemp', 'variableSpeed']
+    );
+    const messages = formatErrors(errors);
+    expect(messages).toContain('area must be greater than 0');
+    expect(messages).toContain('tankTemp must be at least -459.67 °F');
+    expect(messages).toContain('integrator must be one of: euler, rk4, rk45');
+    expect(formatErrors(validateSimulationRequest({ units: 'si', tankTemp: -500 }).errors))
+      .toEqual(['tankTemp must be at least -273.15 °C']);
+  });
+
+  test('checks input changes, the resumed state and cross-field constraints', () => {
+    const { errors } = validateSimulationRequest({
+      minAmbientTemp: 90,
+      maxAmbientTemp: 70,
+      units: 'metric',
+      currentState: { fluidTemp: 20 },
+      pumpCurve: [{ flow: 10, head: 5 }, { flow: 5, head: 2 }],
+      inputChanges: { soon: { area: 3 }, 6: { tankNodes: 4, area: -1 } }
+    });
+    expect(fieldsOf(errors).sort()).toEqual([
+      'currentState.panelTemp', 'currentState.tankTemp', 'inputChanges.6.area', 'inputChanges.6.tankNodes',
+      'inputChanges.soon', 'maxAmbientTemp', 'pumpCurve', 'units'
+    ]);
+  });
+
+  test('requires the pump to stop below the difference it starts at', () => {
+    expect(formatErrors(validateSimulationRequest({ units: 'si', pumpOnDeltaT: 4, pumpOffDeltaT: 4 }).errors))
+      .toEqual(['pumpOffDeltaT must be below pumpOnDeltaT']);
+    expect(fieldsOf(validateSimulationRequest({ units: 'si', pumpOffDeltaT: 10 }).errors)).toEqual(['pumpOffDeltaT']);
+    expect(fieldsOf(validateSimulationRequest({ units: 'si', inputChanges: { 3: { pumpOnDeltaT: 1 } } }).errors))
+      .toEqual(['inputChanges.3.pumpOffDeltaT']);
+    expect(validateSimulationRequest({ units: 'si', pumpOnDeltaT: 4, pumpOffDeltaT: 3.5 }).errors).toEqual([]);
+  });
+
+  test('requires a heat exchanger to keep glycol out of the tank', () => {
+    expect(formatErrors(validateSimulationRequest({ units: 'si', collectorFluid: 'propyleneGlycol40' }).errors))
+      .toEqual(['heatExchangerEffectiveness is required when collectorFluid is not water']);
+    expect(validateSimulationRequest({ units: 'si', collectorFluid: 'propyleneGlycol40', heatExchangerEffectiveness: 0.8 }).errors).toEqual([]);
+    expect(fieldsOf(validateSimulationRequest({
+      units: 'si', inputChanges: { 2: { tankTemp: 40 }, 6: { collectorFluid: 'ethyleneGlycol40' }, 9: { area: 3 } }
+    }).errors)).toEqual(['inputChanges.6.heatExchangerEffectiveness']);
+
+    const water = { collectorFluid: 'water', minAmbientTemp: 10, maxAmbientTemp: 20 };
+    expect(validateParameterCombinations({ ...water, collectorFluid: 'ethyleneGlycol40' }, water, 'params.'))
+      .toEqual([{ field: 'params.heatExchangerEffectiveness', message: 'is required when collectorFluid is not water' }]);
+    const glycol = { ...water, collectorFluid: 'ethyleneGlycol40' };
+    expect(validateParameterCombinations({ ...glycol, area: 3 }, glycol)).toEqual([]);
+  });
+
+  test('accepts either a preset or a list of volumes as the load profile', () => {
+    expect(validateSimulationRequest({ loadProfile: 'residential' }).errors).toEqual([]);
+    expect(validateSimulationRequest({ loadProfile: [0, 10, 20] }).values.loadProfile).toEqual([0, 10, 20]);
+    expect(fieldsOf(validateSimulationRequest({ loadProfile: [0, -10] }).errors)).toEqual(['loadProfile.1']);
+    expect(fieldsOf(validateSimulationRequest({ loadProfile: 'hotel' }).errors)).toEqual(['loadProfile']);
+  });
+
+  test('validates parameter changes made during a run', () => {
+    const { values, errors } = validateParameterChanges({ tankTemp: 50, pumpPower: 0 }, 'si');
+    expect(errors).toEqual([]);
+    expect(values).toEqual({ tankTemp: 50, pumpPower: 0 });
+    expect(formatErrors(validateParameterChanges({ duration: 48 }, 'si', 'params').errors))
+      .toEqual(['params.duration cannot be changed during a run']);
+    expect(formatErrors(validateParameterChanges(undefined, 'si', 'params').errors)).toEqual(['params must be an object']);
+  });
+
+  test('describes fields for forms in the requested units', () => {
+    const fields = describeFields('imperial', { latitude: 40 });
+    expect(Object.keys(fields)).toEqual(Object.keys(SIMULATION_FIELDS));
+    expect(fields.tankTemp).toMatchObject({ type: 'number', unit: '°F', default: 68, fixed: false });
+    expect(fields.tankTemp.min).toBeCloseTo(-459.67, 10);
+    expect(fields.pumpEfficiency).toMatchObject({ unit: '%', above: 0, max: 100, default: 70 });
+    expect(fields.latitude.default).toBe(40);
+    expect(fields.duration).toMatchObject({ above: 0, default: 24, fixed: true });
+    expect(fields.collector).toMatchObject({ types: ['string', 'object'], nullable: true, default: null });
+    expect(fields.collector.values).toContain('flat-plate-selective');
+    expect(describeFields('si').pumpOnDeltaT).toMatchObject({ unit: 'K', min: 0, default: 8 });
+  });
+});
@@ -0,0 +1,83 @@
+const { createSession, MAX_SPEED } = require('../sessions');
+
+// A simulation of a few steps whose reports carry the parameter in effect
+const fakeSimulation = (stepCount) => {
+  let time = 0;
+  let params = { pumpPower: 50 };
+  return {
+    step: () => (time < stepCount ? { time: time++, pumpPower: params.pumpPower } : null),
+    applyChanges: (changes) => { params = { ...params, ...changes }; },
+    getState: () => ({ time }),
+    getParams: () => params,
+    isFinished: () => time >= stepCount
+  };
+};
+
+describe('Simulation Sessions', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('steps at its speed until the run ends', () => {
+    const session = createSession(fakeSimulation(3), { speed: 2 });
+    const events = [];
+    session.subscribe(event => events.push(event));
+    jest.advanceTimersByTime(500);
+    expect(events.filter(event => event.type === 'step')).toHaveLength(1);
+    jest.advanceTimersByTime(1500);
+    expect(events.map(event => event.type)).toEqual(['status', 'step', 'step', 'step', 'end']);
+    expect(events[4].data.status).toBe('finished');
+    expect(events[4].data.stepCount).toBe(3);
+  });
+
+  test('pauses, resumes and changes speed', () => {
+    const session = createSession(fakeSimulation(100), { speed: 1 });
+    jest.advanceTimersByTime(1000);
+    session.pause();
+    jest.advanceTimersByTime(5000);
+    expect(session.getStatus()).toMatchObject({ status: 'paused', stepCount: 1 });
+    session.resume();
+    session.setSpeed(10);
+    jest.advanceTimersByTime(1000);
+    expect(session.getStatus()).toMatchObject({ status: 'running', speed: 10, stepCount: 11 });
+    expect(() => session.setSpeed(0)).toThrow('speed must be');
+    expect(() => session.setSpeed(MAX_SPEED + 1)).toThrow('speed must be');
+  });
+
+  test('applies parameter changes from the next step', () => {
+    const session = createSession(fakeSimulation(4), { speed: 1, paused: true });
+    const steps = [];
+    session.subscribe(event => event.type === 'step' && steps.push(event.data));
+    session.resume();
+    jest.advanceTimersByTime(2000);
+    session.changeParameters({ pumpPower: 0 });
+    jest.advanceTimersByTime(2000);
+    expect(steps.map(step => step.pumpPower)).toEqual([50, 50, 0, 0]);
+  });
+
+  test('replays missed steps to late subscribers', () => {
+    const session = createSession(fakeSimulation(10), { speed: 1 });
+    jest.advanceTimersByTime(3000);
+    const events = [];
+    session.subscribe(event => events.push(event), 0);
+    expect(events.map(event => event.id)).toEqual([1, 2, null]);
+    expect(events[2].type).toBe('status');
+  });
+
+  test('cannot be controlled once closed', () => {
+    const session = createSession(fakeSimulation(10));
+    const events = [];
+    session.subscribe(event => events.push(event));
+    session.close();
+    expect(events[events.length - 1]).toMatchObject({ type: 'end', data: { status: 'closed' } });
+    expect(() => session.resume()).toThrow('has been closed');
+    jest.advanceTimersByTime(10000);
+    expect(session.getStatus().stepCount).toBe(0);
+  });
+
+  test('fails when the simulation throws', () => {
+    const simulation = { ...fakeSimulation(10), step: () => { throw new Error('diverged'); } };
+    const session = createSession(simulation);
+    jest.advanceTimersByTime(1000);
+    expect(session.getStatus()).toMatchObject({ status: 'failed', error: 'diverged' });
+  });
+});
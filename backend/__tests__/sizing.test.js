@@ -0,0 +1,101 @@
+const { simulateTemperature } = require('../calculations');
+const { DEFAULT_COSTS, createCosts, getRunMetrics, runSweep, runSensitivity, optimizeSizing } = require('../sizing');
+
+const params = {
+  area: 4, efficiency: 0.85, pumpPower: 5, hour: 6, duration: 12, timeStep: 1800,
+  minAmbientTemp: 15, maxAmbientTemp: 25, cloudCover: 0, specificHeat: 4186, fluidTemp: 20,
+  transmittance: 0.9, absorptance: 0.95, tankVolume: 0.3, tankTemp: 30, pumpEfficiency: 0.7,
+  hydraulicHead: 5, U_L: 8, latitude: 40, dayOfYear: 172, tilt: 30, tankNodes: 4,
+  loadProfile: 'residential', auxType: 'electric', currentState: null, fixedTemp: null
+};
+const simulate = (runParams) => ({ params: runParams, temperatures: simulateTemperature(runParams, {}) });
+
+// A synthetic system whose load is 100 MJ and whose solar gain saturates with area and tank volume
+const synthetic = (runParams) => {
+  const gain = 1e8 * (1 - Math.exp(-runParams.area / 4)) * Math.min(1, runParams.tankVolume / 0.4);
+  return {
+    params: runParams,
+    temperatures: [{ time: 0, tankTemp: 20 + gain / 4e6, usefulGain: gain, incidentEnergy: 2e8, loadEnergy: 1e8, auxEnergy: 1e8 - gain }]
+  };
+};
+
+describe('Run Metrics', () => {
+  test('cost covers the whole collector array and the tank', () => {
+    const metrics = getRunMetrics(synthetic({ collector: 'flat-plate-selective', seriesCount: 2, parallelCount: 2, tankVolume: 0.5 }), DEFAULT_COSTS);
+    expect(metrics.systemCost).toBeCloseTo(8 * 350 + 0.5 * 2000 + 1500, 10);
+    expect(metrics.energyPerCost).toBeCloseTo(metrics.usefulGain / 3.6e6 / metrics.systemCost, 10);
+  });
+
+  test('costs default individually and must be non-negative numbers', () => {
+    expect(createCosts({ fixed: 0, tankPerVolume: null })).toEqual({ ...DEFAULT_COSTS, fixed: 0 });
+    expect(() => createCosts({ collectorPerArea: 'abc' })).toThrow('collectorPerArea must be a non-negative number');
+    expect(() => createCosts({ fixed: -1 })).toThrow('fixed must be a non-negative number');
+    expect(() => createCosts({ tankPerVolume: Infinity })).toThrow('tankPerVolume must be a non-negative number');
+    expect(() => createCosts({ pipework: 100 })).toThrow('Unknown cost "pipework"');
+    expect(() => createCosts('cheap')).toThrow('costs must be an object');
+    expect(() => runSweep(params, { area: { values: [2] } }, simulate, { collectorPerArea: 'abc' })).toThrow('non-negative number');
+  });
+});
+
+describe('Parameter Sweep', () => {
+  test('runs the full grid and returns a chartable table', () => {
+    const table = runSweep(params, { area: { min: 2, max: 6, steps: 3 }, tankVolume: { values: [0.2, 0.4] } }, simulate);
+    expect(table.columns.slice(0, 3)).toEqual(['area', 'tankVolume', 'finalTankTemp']);
+    expect(table.rows).toHaveLength(6);
+    expect(table.rows.map(row => row.area)).toEqual([2, 2, 4, 4, 6, 6]);
+    const gainAt = (area, tankVolume) => table.rows.find(row => row.area === area && row.tankVolume === tankVolume).usefulGain;
+    expect(gainAt(6, 0.4)).toBeGreaterThan(gainAt(2, 0.4));
+  });
+
+  test('refuses oversized and malformed grids', () => {
+    const values = Array.from({ length: 30 }, (_, i) => i + 1);
+    expect(() => runSweep(params, { area: { values }, tankVolume: { values } }, simulate)).toThrow('more than the limit');
+    expect(() => runSweep(params, { area: { min: 5, max: 1 } }, simulate)).toThrow('Range for area');
+    expect(() => runSweep(params, {}, simulate)).toThrow('at least one parameter');
+  });
+});
+
+describe('Sensitivity Analysis', () => {
+  test('reports central-difference elasticities one parameter at a time', () => {
+    const table = runSensitivity(params, ['area', 'tankVolume'], simulate, { metrics: ['usefulGain', 'systemCost'] });
+    expect(table.rows).toHaveLength(4);
+    const row = (parameter, metric) => table.rows.find(r => r.parameter === parameter && r.metric === metric);
+    expect(row('area', 'usefulGain').lowValue).toBeCloseTo(3.6, 10);
+    expect(row('area', 'usefulGain').elasticity).toBeGreaterThan(0.3);
+    expect(row('area', 'usefulGain').elasticity).toBeLessThan(1.2);
+    const cost = row('tankVolume', 'systemCost');
+    expect(cost.elasticity).toBeCloseTo(0.3 * 2000 / cost.base, 10);
+  });
+
+  test('rejects parameters without a non-zero base value', () => {
+    expect(() => runSensitivity(params, ['tankUA'], simulate)).toThrow('Cannot vary tankUA');
+    expect(() => runSensitivity(params, ['area'], simulate, { metrics: ['colour'] })).toThrow('Unknown metric');
+  });
+});
+
+describe('Sizing Optimizer', () => {
+  const bounds = { area: { min: 1, max: 12 }, tankVolume: { min: 0.1, max: 1 } };
+
+  test('finds the largest system for solar fraction and trades it off against cost', () => {
+    const fraction = optimizeSizing({}, synthetic, { objective: 'solarFraction', bounds });
+    expect(fraction.best).toMatchObject({ area: 12, feasible: true });
+    expect(fraction.best.tankVolume).toBeGreaterThanOrEqual(0.4);
+
+    const value = optimizeSizing({}, synthetic, { objective: 'energyPerCost', bounds });
+    expect(value.best.area).toBeLessThan(12);
+    expect(value.best.tankVolume).toBeCloseTo(0.4, 1);
+    expect(value.rows.length).toBeGreaterThan(25);
+  });
+
+  test('respects constraints and reports when none can be met', () => {
+    const budget = optimizeSizing({}, synthetic, {
+      objective: 'solarFraction', bounds, constraints: [{ metric: 'systemCost', max: 4000 }]
+    });
+    expect(budget.best.systemCost).toBeLessThanOrEqual(4000);
+    expect(budget.rows.some(row => !row.feasible)).toBe(true);
+
+    const impossible = optimizeSizing({}, synthetic, { bounds, constraints: [{ metric: 'systemCost', max: 100 }] });
+    expect(impossible.best).toBeNull();
+    expect(() => optimizeSizing({}, synthetic, { objective: 'colour' })).toThrow('Unknown objective');
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  getDeclination,
+  getEquationOfTime,
+  getSurfaceAzimuth,
+  getSolarGeometry,
+  getProjectedIncidenceAngles,
+  getPlaneOfArrayIrradiance
+} = require('../solar');
+
+describe('Solar Geometry', () => {
+  test('declination peaks near the June solstice and crosses zero near the equinoxes', () => {
+    expect(getDeclination(172)).toBeCloseTo(23.45, 1);
+    expect(Math.abs(getDeclination(81))).toBeLessThan(0.5);
+  });
+
+  test('incidence angle matches textbook example (Madison, Feb 13, 10:30 solar time)', () => {
+    // Duffie & Beckman example 1.6.1: φ = 43°, β = 45°, γ = 15°, expected θ ≈ 35°
+    const dayOfYear = 44;
+    const clockHour = 10.5 - getEquationOfTime(dayOfYear) / 60;
+    const geometry = getSolarGeometry(clockHour, {
+      latitude: 43, longitude: -90, timeZone: -6, dayOfYear, tilt: 45, azimuth: 15
+    });
+    expect(geometry.declination).toBeCloseTo(-14, 0);
+    expect(geometry.hourAngle).toBeCloseTo(-22.5, 5);
+    expect(geometry.incidenceAngle).toBeCloseTo(35, 0);
+  });
+
+  test('projected incidence angles are consistent with the incidence angle', () => {
+    const site = { latitude: 40, dayOfYear: 172, tilt: 35, azimuth: 20 };
+    for (const hour of [8, 10.5, 12, 15]) {
+      const geometry = getSolarGeometry(hour, site);
+      const { longitudinal, transversal } = getProjectedIncidenceAngles(geometry, site);
+      const tan = angle => Math.tan(angle * Math.PI / 180);
+      expect(1 + tan(longitudinal) ** 2 + tan(transversal) ** 2).toBeCloseTo(1 / geometry.cosIncidence ** 2, 8);
+    }
+
+    // At solar noon on an equator-facing collector the sun lies in the longitudinal plane
+    const noon = getSolarGeometry(12 - getEquationOfTime(80) / 60, { latitude: 40, dayOfYear: 80, tilt: 40 });
+    const angles = getProjectedIncidenceAngles(noon, { latitude: 40, tilt: 40 });
+    expect(angles.transversal).toBeCloseTo(0, 6);
+    expect(angles.longitudinal).toBeCloseTo(noon.incidenceAngle, 6);
+  });
+
+  test('azimuth 0 faces the equator in the southern hemisphere too, east negative', () => {
+    // Cape Town in June: at solar noon a collector tilted by the latitude faces the low northern sun
+    const site = { latitude: -33.9, longitude: 18.4, timeZone: 2, dayOfYear: 172, tilt: 34 };
+    const noonHour = 12 - (4 * (18.4 - 30) + getEquationOfTime(172)) / 60;
+    const noon = getSolarGeometry(noonHour, site);
+    expect(noon.incidenceAngle).toBeCloseTo(23.4, 0);
+    expect(getSolarGeometry(noonHour, { ...site, azimuth: 180 }).incidenceAngle).toBeGreaterThan(90);
+    expect(getSurfaceAzimuth(0, -33.9)).toBe(-180);
+
+    // An east-facing collector (azimuth -90) sees the morning sun better than a west-facing one
+    const morning = (azimuth) => getSolarGeometry(noonHour - 3, { ...site, azimuth }).incidenceAngle;
+    expect(morning(-90)).toBeLessThan(morning(90));
+
+    const angles = getProjectedIncidenceAngles(noon, site);
+    expect(angles.transversal).toBeCloseTo(0, 6);
+    expect(angles.longitudinal).toBeCloseTo(noon.incidenceAngle, 6);
+  });
+});
+
+describe('Plane-of-Array Irradiance', () => {
+  test('a June day in Phoenix receives far more sun than a January day in Oslo', () => {
+    const phoenix = { latitude: 33.45, longitude: -112.07, timeZone: -7, dayOfYear: 172, tilt: 30 };
+    const oslo = { latitude: 59.91, longitude: 10.75, timeZone: 1, dayOfYear: 15, tilt: 30 };
+
+    let phoenixDaily = 0;
+    let osloDaily = 0;
+    for (let hour = 0; hour < 24; hour += 0.25) {
+      phoenixDaily += getPlaneOfArrayIrradiance(hour, phoenix).total;
+      osloDaily += getPlaneOfArrayIrradiance(hour, oslo).total;
+    }
+    expect(phoenixDaily).toBeGreaterThan(4 * osloDaily);
+  });
+
+  test('no irradiance at night and ground reflection only on tilted collectors', () => {
+    expect(getPlaneOfArrayIrradiance(0, { latitude: 40 }).total).toBe(0);
+
+    const horizontal = getPlaneOfArrayIrradiance(12, { latitude: 40, tilt: 0 });
+    const vertical = getPlaneOfArrayIrradiance(12, { latitude: 40, tilt: 90 });
+    expect(horizontal.groundReflected).toBe(0);
+    expect(vertical.groundReflected).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../store');
+
+describe('JSON File Store', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'thermo-sim-store-'));
+    filePath = path.join(directory, 'nested', 'store.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('creates, reads, updates and deletes records', () => {
+    const store = createStore(filePath);
+    expect(store.list('configurations')).toEqual([]);
+
+    const created = store.create('configurations', { name: 'Roof array', params: { area: 4 } });
+    expect(created.id).toEqual(expect.any(String));
+    expect(created.createdAt).toBe(created.updatedAt);
+    expect(store.get('configurations', created.id)).toEqual(created);
+
+    const updated = store.update('configurations', created.id, { name: 'Roof array B', id: 'ignored' });
+    expect(updated).toMatchObject({ id: created.id, name: 'Roof array B', params: { area: 4 }, createdAt: created.createdAt });
+
+    expect(store.remove('configurations', created.id)).toBe(true);
+    expect(store.remove('configurations', created.id)).toBe(false);
+    expect(store.get('configurations', created.id)).toBeNull();
+    expect(store.update('configurations', created.id, { name: 'Gone' })).toBeNull();
+  });
+
+  test('persists to disk and keeps collections separate', () => {
+    const store = createStore(filePath);
+    const configuration = store.create('configurations', { name: 'A' });
+    store.create('runs', { name: 'Run 1', configurationId: configuration.id });
+    store.create('runs', { name: 'Run 2', configurationId: null });
+
+    const reopened = createStore(filePath);
+    expect(reopened.list('configurations').map(record => record.name)).toEqual(['A']);
+    expect(reopened.list('runs', run => run.configurationId === configuration.id).map(run => run.name)).toEqual(['Run 1']);
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['store.json']);
+  });
+
+  test('keeps run results out of the index, one file per run', () => {
+    const store = createStore(filePath);
+    const results = { temperatures: [{ time: 0, tankTemp: 40 }, { time: 1, tankTemp: 42 }] };
+    const run = store.create('runs', { name: 'Run 1', summary: { maxTankTemp: 42 }, results });
+    expect(run.results).toEqual(results);
+
+    const index = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    expect(index.runs).toEqual([{ id: run.id, name: 'Run 1', summary: { maxTankTemp: 42 }, createdAt: run.createdAt, updatedAt: run.updatedAt }]);
+    const resultsPath = path.join(path.dirname(filePath), 'runs', `${run.id}.json`);
+    expect(JSON.parse(fs.readFileSync(resultsPath, 'utf8'))).toEqual({ results });
+
+    expect(store.list('runs')[0].results).toBeUndefined();
+    expect(createStore(filePath).get('runs', run.id)).toEqual(run);
+    expect(store.update('runs', run.id, { name: 'Run 1b' })).toMatchObject({ name: 'Run 1b', results });
+
+    expect(store.remove('runs', run.id)).toBe(true);
+    expect(fs.existsSync(resultsPath)).toBe(false);
+  });
+
+  test('reads runs stored with their results in the index', () => {
+    const results = { temperatures: [{ time: 0, tankTemp: 40 }] };
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ runs: [{ id: 'old', name: 'Old run', results }] }));
+    const store = createStore(filePath);
+    expect(store.get('runs', 'old').results).toEqual(results);
+
+    store.update('runs', 'old', { name: 'Old run, renamed' });
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).runs[0].results).toBeUndefined();
+    expect(store.get('runs', 'old')).toMatchObject({ name: 'Old run, renamed', results });
+  });
+
+  test('rejects unknown collections', () => {
+    expect(() => createStore(filePath).list('users')).toThrow('Unknown collection "users"');
+  });
+});
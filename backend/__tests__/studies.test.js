@@ -0,0 +1,21 @@
+const { runStudy, runStudySync } = require('../studies');
+
+const request = { units: 'si', area: 4, hour: 8, duration: 4, timeStep: 1800 };
+
+describe('Studies', () => {
+  test('runs a study in a worker thread', async () => {
+    const options = { ranges: { area: { values: [2, 6] } } };
+    const table = await runStudy('sweep', request, options);
+    expect(table.rows.map(row => row.area)).toEqual([2, 6]);
+    expect(table).toEqual(runStudySync('sweep', request, options));
+    expect(table.rows[1].usefulGain).toBeGreaterThan(table.rows[0].usefulGain);
+  });
+
+  test('rejects with the study error', async () => {
+    await expect(runStudy('sweep', request, { ranges: { area: { values: [2] } }, costs: { fixed: 'abc' } }))
+      .rejects.toThrow('Cost fixed must be a non-negative number');
+    await expect(runStudy('sweep', { ...request, area: -1 }, { ranges: { tankVolume: { values: [0.2] } } }))
+      .rejects.toThrow('area');
+    expect(() => runStudySync('forecast', request)).toThrow('Unknown study "forecast"');
+  });
+});
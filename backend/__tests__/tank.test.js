@@ -0,0 +1,48 @@
+const {
+  getNodeAtHeight,
+  createTank,
+  calculateTankNodeRates,
+  mixInversions,
+  getMeanTankTemp
+} = require('../tank');
+
+const tankParams = { volume: 0.3, height: 1.5, specificHeat: 4186, nodeCount: 6 };
+
+describe('Stratified Tank', () => {
+  test('maps heights to nodes from the top', () => {
+    expect(getNodeAtHeight(1, 6)).toBe(0);
+    expect(getNodeAtHeight(0, 6)).toBe(5);
+    expect(getNodeAtHeight(0.5, 4)).toBe(2);
+  });
+
+  test('a hot stream entering at the top heats the top node and displaces the bottom node', () => {
+    const tank = createTank(tankParams);
+    const nodeTemps = [30, 30, 30, 30, 30, 20];
+    const rates = calculateTankNodeRates(nodeTemps, tank, [
+      { flowRate: 0.05, temp: 50, inletHeight: 1, outletHeight: 0 }
+    ]);
+    expect(rates[0]).toBeGreaterThan(0);
+    expect(rates[5]).toBeGreaterThan(0);
+    expect(rates[2]).toBeCloseTo(0, 10);
+
+    // Stored energy rises by exactly what the stream brings in minus what it carries out
+    const nodeCapacity = tank.nodeMass * tank.specificHeat;
+    const storedRate = rates.reduce((sum, rate) => sum + rate * nodeCapacity, 0);
+    expect(storedRate).toBeCloseTo(0.05 * 4186 * (50 - 20), 6);
+  });
+
+  test('standby losses are shared by surface area and sum to UA times the temperature difference', () => {
+    const tank = createTank({ ...tankParams, UA: 2, roomTemp: 20 });
+    const rates = calculateTankNodeRates(new Array(6).fill(60), tank, []);
+    const lossRate = rates.reduce((sum, rate) => sum + rate * tank.nodeMass * tank.specificHeat, 0);
+    expect(lossRate).toBeCloseTo(-2 * 40, 6);
+    expect(rates[0]).toBeLessThan(rates[2]);
+  });
+
+  test('mixing removes inversions and conserves energy', () => {
+    const nodeTemps = [40, 50, 30, 35, 20];
+    const mixed = mixInversions(nodeTemps);
+    expect(mixed).toEqual([45, 45, 32.5, 32.5, 20]);
+    expect(getMeanTankTemp(mixed)).toBeCloseTo(getMeanTankTemp(nodeTemps), 10);
+  });
+});
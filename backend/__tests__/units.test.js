@@ -0,0 +1,35 @@
+const { toSI, fromSI, convertReports } = require('../units');
+
+describe('Unit Systems', () => {
+  test('imperial temperatures are in °F and differences in °F', () => {
+    expect(toSI(212, 'temperature', 'imperial')).toBeCloseTo(100, 10);
+    expect(toSI(18, 'temperatureDifference', 'imperial')).toBeCloseTo(10, 10);
+    expect(fromSI(10, 'temperatureDifference', 'imperial')).toBeCloseTo(18, 10);
+  });
+
+  test('SI temperatures pass through and percentages become fractions in both systems', () => {
+    expect(toSI(37, 'temperature', 'si')).toBe(37);
+    expect(toSI(8, 'temperatureDifference', 'si')).toBe(8);
+    expect(toSI(70, 'percent', 'si')).toBeCloseTo(0.7, 12);
+    expect(toSI(70, 'percent', 'imperial')).toBeCloseTo(0.7, 12);
+  });
+
+  test('rejects unknown unit systems and quantities', () => {
+    expect(() => toSI(1, 'temperature', 'kelvin')).toThrow('Unknown unit system "kelvin"');
+    expect(() => toSI(1, 'length', 'si')).toThrow('Unknown quantity "length"');
+  });
+
+  test('converts every temperature of a report', () => {
+    const report = {
+      time: 0, fluidTemp: 0, panelTemp: 100, tankTemp: 20, tankNodeTemps: [30, 10], deliveredTemp: 50,
+      ambientTemp: -40, minCollectorTemp: 5, usefulGain: 1000
+    };
+    const [imperial] = convertReports([report], 'imperial');
+    expect(imperial.fluidTemp).toBeCloseTo(32, 10);
+    expect(imperial.panelTemp).toBeCloseTo(212, 10);
+    expect(imperial.tankNodeTemps[0]).toBeCloseTo(86, 10);
+    expect(imperial.ambientTemp).toBeCloseTo(-40, 10);
+    expect(imperial.usefulGain).toBe(1000);
+    expect(convertReports([report], 'si')[0]).toEqual(report);
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseWeatherFile,
+  validateWeatherData,
+  loadWeatherFile,
+  selectDateRange,
+  getDayOfYear,
+  getMonth
+} = require('../weather');
+
+const epwHeader = [
+  'LOCATION,Phoenix Sky Harbor,AZ,USA,TMY3,722780,33.45,-111.98,-7.0,337.0',
+  'DESIGN CONDITIONS,0',
+  'TYPICAL/EXTREME PERIODS,0',
+  'GROUND TEMPERATURES,0',
+  'HOLIDAYS/DAYLIGHT SAVINGS,No,0,0,0',
+  'COMMENTS 1,Test file',
+  'COMMENTS 2,',
+  'DATA PERIODS,1,1,Data,Sunday, 1/ 1,12/31'
+];
+
+// year,month,day,hour,minute,source,dryBulb,dewPoint,RH,pressure,ETR,ETRN,IR,GHI,DNI,DHI,GHIllum,DNIllum,DHIllum,zenLum,windDir,windSpeed
+const epwRow = (month, day, hour, dryBulb, ghi, dni, dhi, wind) =>
+  `1995,${month},${day},${hour},0,?,${dryBulb},0,50,97000,0,0,300,${ghi},${dni},${dhi},0,0,0,0,180,${wind}`;
+
+describe('Weather File Parsing', () => {
+  test('parses EPW location and hourly records', () => {
+    const content = [...epwHeader, epwRow(1, 1, 1, 10.5, 0, 0, 0, 2.1), epwRow(1, 1, 13, 20, 600, 700, 100, 4)].join('\r\n');
+    const data = parseWeatherFile(content);
+    expect(data.format).toBe('epw');
+    expect(data.location.latitude).toBe(33.45);
+    expect(data.location.timeZone).toBe(-7);
+    expect(data.records[1]).toEqual({
+      month: 1, day: 1, hour: 12, dryBulb: 20, globalHorizontal: 600, diffuseHorizontal: 100, directNormal: 700, windSpeed: 4
+    });
+  });
+
+  test('parses TMY3 CSV by column name', () => {
+    const content = [
+      '722780,"PHOENIX SKY HARBOR INTL AP",AZ,-7.0,33.450,-111.983,337',
+      'Date (MM/DD/YYYY),Time (HH:MM),ETR (W/m^2),ETRN (W/m^2),GHI (W/m^2),GHI source,DNI (W/m^2),DNI source,DHI (W/m^2),DHI source,Dry-bulb (C),Dry-bulb source,Wspd (m/s),Wspd source',
+      '01/01/1988,12:00,800,1400,550,1,650,1,90,1,18.3,A,3.6,A'
+    ].join('\n');
+    const data = parseWeatherFile(content);
+    expect(data.format).toBe('tmy3');
+    expect(data.location.name).toBe('PHOENIX SKY HARBOR INTL AP, AZ');
+    expect(data.records[0]).toMatchObject({ hour: 11, globalHorizontal: 550, diffuseHorizontal: 90, dryBulb: 18.3, windSpeed: 3.6 });
+  });
+
+  test('interpolates missing values and rejects files without valid data', () => {
+    const content = [...epwHeader, epwRow(1, 1, 1, 10, 0, 0, 0, 2), epwRow(1, 1, 2, 99.9, 0, 0, 0, 999), epwRow(1, 1, 3, 14, 0, 0, 0, 4)].join('\n');
+    const data = parseWeatherFile(content);
+    const { errors, warnings } = validateWeatherData(data);
+    expect(errors).toEqual([]);
+    expect(data.records[1].dryBulb).toBe(12);
+    expect(data.records[1].windSpeed).toBe(3);
+    expect(warnings).toContain('Interpolated 1 missing dryBulb values');
+
+    const empty = parseWeatherFile([...epwHeader, epwRow(1, 1, 1, 99.9, 0, 0, 0, 2)].join('\n'));
+    expect(validateWeatherData(empty).errors).toContain('No valid dryBulb values');
+  });
+});
+
+describe('Leap-Year Weather Files', () => {
+  test('drops February 29th so that March starts on day 60', () => {
+    const rows = [];
+    for (const [month, days] of [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31].entries()) {
+      for (let day = 1; day <= days; day++) {
+        for (let hour = 1; hour <= 24; hour++) {
+          rows.push(epwRow(month + 1, day, hour, month === 1 && day === 29 ? 30 : 10, 0, 0, 0, 2));
+        }
+      }
+    }
+    expect(rows).toHaveLength(8784);
+
+    const data = loadWeatherFile({ content: [...epwHeader, ...rows].join('\n') });
+    expect(data.errors).toEqual([]);
+    expect(data.warnings).toEqual(['Dropped 24 records for February 29th']);
+    expect(data.records).toHaveLength(8760);
+    expect(data.records.some(record => record.month === 2 && record.day === 29)).toBe(false);
+    expect(data.records.every(record => record.dryBulb === 10)).toBe(true);
+    const march = data.records[59 * 24];
+    expect(march).toMatchObject({ month: 3, day: 1, hour: 0 });
+    expect(getMonth(getDayOfYear(march.month, march.day))).toBe(3);
+  });
+});
+
+describe('Weather File Paths', () => {
+  let directory;
+  let weatherDirectory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'thermo-sim-weather-'));
+    weatherDirectory = path.join(directory, 'weather');
+    fs.mkdirSync(weatherDirectory);
+    fs.writeFileSync(path.join(weatherDirectory, 'phoenix.epw'), [...epwHeader, epwRow(1, 1, 13, 20, 600, 700, 100, 4)].join('\n'));
+    fs.writeFileSync(path.join(directory, 'secret.txt'), 'not weather');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('reads paths within the weather data directory', () => {
+    const data = loadWeatherFile({ path: 'phoenix.epw' }, { directory: weatherDirectory });
+    expect(data.location.latitude).toBe(33.45);
+    expect(loadWeatherFile({ path: path.join(weatherDirectory, 'phoenix.epw') }, { directory: weatherDirectory }).errors).toEqual([]);
+  });
+
+  test('refuses paths outside the weather data directory', () => {
+    const load = (filePath) => () => loadWeatherFile({ path: filePath }, { directory: weatherDirectory });
+    expect(load('../secret.txt')).toThrow('outside the weather data directory');
+    expect(load(path.join(directory, 'secret.txt'))).toThrow('outside the weather data directory');
+    expect(load('.')).toThrow('outside the weather data directory');
+    expect(load('missing.epw')).toThrow('Weather file "missing.epw" not found');
+    expect(() => loadWeatherFile({ path: path.join(weatherDirectory, 'phoenix.epw') }, { directory: null })).toThrow('send their content instead');
+  });
+});
+
+describe('Date Range Selection', () => {
+  const records = [];
+  for (const [month, day] of [[1, 1], [6, 15], [12, 31]]) {
+    for (let hour = 0; hour < 24; hour++) {
+      records.push({ month, day, hour });
+    }
+  }
+
+  test('selects whole days inclusive of both ends', () => {
+    const selected = selectDateRange(records, '06-15', '06-15');
+    expect(selected).toHaveLength(24);
+    expect(selected[0]).toEqual({ month: 6, day: 15, hour: 0 });
+  });
+
+  test('wraps around the end of the year', () => {
+    const selected = selectDateRange(records, '12-31', '01-01');
+    expect(selected).toHaveLength(48);
+    expect(selected[24]).toEqual({ month: 1, day: 1, hour: 0 });
+  });
+});
+
+describe('Calendar Helpers', () => {
+  test('getMonth inverts getDayOfYear', () => {
+    expect(getMonth(1)).toBe(1);
+    expect(getMonth(31)).toBe(1);
+    expect(getMonth(32)).toBe(2);
+    expect(getMonth(365)).toBe(12);
+    for (let month = 1; month <= 12; month++) {
+      expect(getMonth(getDayOfYear(month, 15))).toBe(month);
+    }
+  });
+});
@@ -0,0 +1,103 @@
+const { getMonth } = require('./weather');
+const { getSolarHeat, getSolarFraction } = require('./loads');
+
+/**
+ * Annual simulation mode and monthly / annual summaries.
+ *
+ * An annual run covers ANNUAL_HOURS from midnight on January 1st (or the whole of a weather file,
+ * which is normally a typical year). Its reports are totalled by calendar month and for the year.
+ *
+ * The solar system displaces the auxiliary heating that the load would otherwise need: the heat
+ * delivered to the load less the auxiliary heat actually supplied, counted only up to the heat
+ * needed to deliver the draws at the auxiliary setpoint (displacedAuxEnergy), and the
+ * corresponding auxiliary electricity or fuel, divided by the heater efficiency
+ * (displacedAuxInputEnergy).
+ */
+
+const ANNUAL_HOURS = 8760;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Report totals carried into the summaries
+const SUMMED_FIELDS = [
+    'incidentEnergy', 'usefulGain', 'pipeLosses', 'tankLosses', 'tankDeliveredEnergy', 'drawVolume',
+    'loadEnergy', 'demandEnergy', 'auxEnergy', 'auxInputEnergy', 'pumpEnergy', 'pumpRunHours'
+];
+
+/**
+ * Builds the parameters of an annual run.
+ *
+ * @param {Object} params - Simulation parameters.
+ * @returns {Object} The parameters starting at hour 0 of January 1st and lasting ANNUAL_HOURS.
+ */
+const getAnnualParams = (params) => {
+    return { ...params, hour: 0, dayOfYear: 1, duration: ANNUAL_HOURS };
+};
+
+/**
+ * Totals a group of reports and derives its ratios and displaced auxiliary energy.
+ *
+ * @param {Array<Object>} temperatures - Reports from simulateTemperature.
+ * @param {number} auxEfficiency - Auxiliary heater efficiency (0-1).
+ * @returns {Object} The SUMMED_FIELDS totals (energies in J, draw volume in m³),
+ *   displacedAuxEnergy (the solar heat, see loads.getSolarHeat) and displacedAuxInputEnergy (J),
+ *   solarFraction (see loads.getSolarFraction) and collectorEfficiency (null without demand or sun).
+ */
+const summarizePeriod = (temperatures, auxEfficiency) => {
+    const summary = {};
+    for (const field of SUMMED_FIELDS) {
+        summary[field] = temperatures.reduce((sum, record) => sum + record[field], 0);
+    }
+
+    summary.displacedAuxEnergy = getSolarHeat(summary);
+    summary.displacedAuxInputEnergy = summary.displacedAuxEnergy / auxEfficiency;
+    summary.solarFraction = getSolarFraction(summary);
+    summary.collectorEfficiency = summary.incidentEnergy > 0 ? summary.usefulGain / summary.incidentEnergy : null;
+    return summary;
+};
+
+/**
+ * Totals a run by calendar month.
+ *
+ * @param {Array<Object>} temperatures - Reports from simulateTemperature.
+ * @param {number} auxEfficiency - Auxiliary heater efficiency (0-1), default 1.
+ * @returns {Array<Object>} One entry per month present in the run, in run order, with month (1-12),
+ *   name and the totals of summarizePeriod.
+ */
+const summarizeMonths = (temperatures, auxEfficiency = 1) => {
+    const groups = [];
+    for (const record of temperatures) {
+        const month = getMonth(record.dayOfYear);
+        let group = groups[groups.length - 1];
+        if (!group || group.month !== month) {
+            group = { month, records: [] };
+            groups.push(group);
+        }
+        group.records.push(record);
+    }
+
+    return groups.map(({ month, records }) => ({
+        month,
+        name: MONTH_NAMES[month - 1],
+        ...summarizePeriod(records, auxEfficiency)
+    }));
+};
+
+/**
+ * Totals a run for the year.
+ *
+ * @param {Array<Object>} temperatures - Reports from simulateTemperature.
+ * @param {number} auxEfficiency - Auxiliary heater efficiency (0-1), default 1.
+ * @returns {Object} The totals of summarizePeriod over the whole run.
+ */
+const summarizeYear = (temperatures, auxEfficiency = 1) => {
+    return summarizePeriod(temperatures, auxEfficiency);
+};
+
+module.exports = {
+    ANNUAL_HOURS,
+    MONTH_NAMES,
+    getAnnualParams,
+    summarizeMonths,
+    summarizeYear
+};
@@ -1,41 +1,85 @@
-const { fahrenheitToCelsius } = require('./utils');
-        
+const { getDayOfYear } = require('./weather');
+const { integrate } = require('./integrators');
+const { createTank, getNodeAtHeight, calculateTankNodeRates, mixInversions, getTankTimeConstant, getMeanTankTemp } = require('./tank');
+const { createLoad, getDrawFlowRate, calculateLoad, getSolarFraction } = require('./loads');
+const { createController, updateController, getPumpPower } = require('./controller');
+const { checkEnergyBalance } = require('./energy');
+const { DEFAULT_FLUID, getFluid, getFluidProperties } = require('./fluids');
+const { createPiping, solveOperatingPoint, solveLoopTemperatures } = require('./piping');
+const { createCollectorArray, getEffectiveIrradiance, getLossCoefficient, getCollectorMap, getStagnationTemp } = require('./collectors');
+const { DEFAULT_SITE, getSolarGeometry, getProjectedIncidenceAngles, getClearSkyIrradiance, getTiltedIrradiance } = require('./solar');
+
 
 /**
- * Calculates an approximation of solar irradiance for a given hour and cloud cover.
+ * Calculates the solar irradiance components on the collector plane and the sun's incidence
+ * angles for a given hour, site and cloud cover.
  * 
- * This function uses a simplified model to estimate solar irradiance:
- * 1. It assumes fixed sunrise and sunset times (6 AM and 6 PM respectively).
- * 2. It models solar energy using a cosine wave, peaking at noon.
- * 3. It applies a simple linear reduction based on cloud cover.
+ * This function uses the solar geometry model in solar.js:
+ * 1. Sun position from the site's latitude, longitude, time zone and day of year.
+ * 2. Beam and diffuse horizontal irradiance, either measured (from a weather file) or
+ *    estimated for a clear sky (Hottel / Liu-Jordan) and reduced linearly by cloud cover.
+ * 3. Transposition onto the tilted collector (beam, sky diffuse and ground-reflected).
  * 
- * Note: This is a basic approximation and does not account for factors such as:
- * - Seasonal variations in daylight hours
- * - Geographical location (latitude/longitude)
- * - Atmospheric conditions beyond cloud cover
- * - Diffuse vs. direct radiation
+ * Cloud cover is ignored for measured irradiance, since it is already reflected in the data.
  * 
- * @param {number} hour - The hour of the day (0-23).
- * @param {number} cloudCover - The cloud cover percentage (0-1), default is 0.
- * @returns {number} The approximate solar irradiance in MJ/m²/hour.
+ * @param {number} hour - The local clock hour (0-24, may be fractional).
+ * @param {number} cloudCover - The cloud cover percentage (0-100), default is 0.
+ * @param {Object} site - Site and collector orientation (latitude, longitude, timeZone, dayOfYear,
+ *   tilt, azimuth, albedo, altitude). Missing fields fall back to solar.DEFAULT_SITE. May also carry
+ *   measured globalHorizontal and diffuseHorizontal irradiance in W/m².
+ * @returns {Object} An object containing beam, diffuse, groundReflected and total irradiance on the
+ *   collector plane in W/m², and angles: the incidence, longitudinal and transversal incidence
+ *   angles in degrees (see solar.getProjectedIncidenceAngles).
  */
+const getIrradianceComponents = (hour, cloudCover = 0, site = {}) => {
+    const geometry = getSolarGeometry(hour, site);
+    const angles = { incidence: geometry.incidenceAngle, ...getProjectedIncidenceAngles(geometry, site) };
 
-const getSolarIrradiance = (hour, cloudCover = 0) => {
-    const sunrise = 6; // 6 AM
-    const sunset = 18; // 6 PM
-    const peakIrradiance = 1000; // Maximum solar irradiance in watts per square meter
-
-    // No solar energy available before sunrise or after sunset
-    if (hour < sunrise || hour > sunset) {
-        return 0;
+    if (site.globalHorizontal !== undefined) {
+        const diffuseHorizontal = Math.min(site.diffuseHorizontal, site.globalHorizontal);
+        return { ...getTiltedIrradiance(site.globalHorizontal - diffuseHorizontal, diffuseHorizontal, geometry, site), angles };
     }
 
-    // Cosine wave to model solar energy peaking at noon
-    const angle = Math.PI * (hour - sunrise) / (sunset - sunrise);
-    const irradiance = peakIrradiance * Math.cos(angle - Math.PI / 2) ** 2;
+    const { beam, diffuse } = getClearSkyIrradiance(geometry, site);
+    const tilted = getTiltedIrradiance(beam, diffuse, geometry, site);
+
+    // Adjust irradiance based on cloud cover
+    const clearness = 1 - (cloudCover/100);
+    return {
+        beam: tilted.beam * clearness,
+        diffuse: tilted.diffuse * clearness,
+        groundReflected: tilted.groundReflected * clearness,
+        total: tilted.total * clearness,
+        angles
+    };
+};
+
+/**
+ * Calculates the solar irradiance on the collector plane for a given hour, site and cloud cover.
+ * 
+ * @param {number} hour - The local clock hour (0-24, may be fractional).
+ * @param {number} cloudCover - The cloud cover percentage (0-100), default is 0.
+ * @param {Object} site - Site and collector orientation (see getIrradianceComponents).
+ * @returns {number} The solar irradiance on the collector plane in W/m².
+ */
+const getSolarIrradiance = (hour, cloudCover = 0, site = {}) => {
+    return getIrradianceComponents(hour, cloudCover, site).total;
+};
+
+/**
+ * Calculates the collector loop mass flow rate delivered by the pump.
+ * 
+ * @param {number} pumpPower - The power of the pump in Watts.
+ * @param {number} pumpEfficiency - The pump efficiency (0-1).
+ * @param {number} hydraulicHead - The hydraulic head in meters.
+ * @param {number} density - The density of the loop fluid in kg/m³, default 1000 (water).
+ * @returns {number} The mass flow rate in kg/s.
+ */
+const getMassFlowRate = (pumpPower, pumpEfficiency, hydraulicHead, density = 1000) => {
+    const gravity = 9.81; // Acceleration due to gravity in m/s²
 
-    // Adjust irradiance based on cloud cover and convert from W/m² to MJ/m²/hour
-    return irradiance * (1 - (cloudCover/100)) * 0.0036;
+    const volumetricFlowRate = (pumpPower * pumpEfficiency) / (hydraulicHead * gravity * density); // m³/s
+    return volumetricFlowRate * density; // kg/s
 };
 
 /**
@@ -45,69 +89,56 @@ const getSolarIrradiance = (hour, cloudCover = 0) => {
  * of a solar panel, taking into account various factors such as solar irradiance, panel efficiency,
  * and heat loss.
  * 
- * @param {number} hour - The hour of the day (0-23).
+ * @param {number} hour - The local clock hour (0-24, may be fractional).
  * @param {number} area - The area of the solar panel in m².
  * @param {number} efficiency - The efficiency of the solar panel (0-1).
  * @param {number} cloudCover - The cloud cover percentage (0-100).
  * @param {number} specificHeat - The specific heat of the fluid in J/(kg·K).
  * @param {number} T_ambient - The ambient temperature in °C, default is 15°C.
- * @param {number} T_plate - The plate temperature in °C.
+ * @param {number} T_inlet - The collector inlet fluid temperature in °C.
  * @param {number} transmittance - The transmittance of the cover plate.
  * @param {number} absorptance - The absorptance of the plate.
  * @param {number} U_L - The overall heat loss coefficient in W/(m²·K), default is 8.
  * @param {number} pumpPower - The power of the pump in Watts.
  * @param {number} hydraulicHead - The hydraulic head in meters, default is 5.
  * @param {number} pumpEfficiency - The pump efficiency (0-1)
+ * @param {number} mass_flow_rate - Overrides the pump-derived mass flow rate in kg/s (for testing,
+ *   or when the pump runs below full speed).
+ * @param {number} testAmbient - Overrides the ambient temperature in °C (for testing).
+ * @param {Object} site - Site and collector orientation passed to getSolarIrradiance.
  * 
  * @returns {Object} An object containing:
- *   - q_u: The useful energy gain per unit area in MJ/(m²·h).
+ *   - q_u: The useful energy gain per unit area in W/m².
  *   - F_R: The heat removal factor.
  *   - F_prime_prime: The collector flow factor.
+ *   - S: The absorbed solar radiation per unit area in W/m².
+ *   - G_T: The solar irradiance on the collector plane in W/m².
+ *   - mass_flow_rate: The collector mass flow rate in kg/s.
  */
-const calculatePanelUsefulEnergyGain = (hour, area, efficiency, cloudCover, specificHeat, T_ambient, T_plate, transmittance, absorptance, U_L, pumpPower, hydraulicHead, pumpEfficiency,mass_flow_rate=null,testAmbient =null) => {
-    const density = 1000; // Density of water in kg/m³
-    const gravity = 9.81; // Acceleration due to gravity in m/s²
-
-    // Calculate mass flow rate
-    const volumetricFlowRate = (pumpPower * pumpEfficiency) / (hydraulicHead * gravity * density); // m³/s
-
-    if (mass_flow_rate == null) {
-        // null mass flow rate is for testing purposes
-        var mass_flow_rate = volumetricFlowRate * density; // kg/s
+const calculatePanelUsefulEnergyGain = (hour, area, efficiency, cloudCover, specificHeat, T_ambient, T_inlet, transmittance, absorptance, U_L, pumpPower, hydraulicHead, pumpEfficiency, mass_flow_rate = null, testAmbient = null, site = {}) => {
+    if (mass_flow_rate === null) {
+        // An explicit mass flow rate is for testing purposes or set by the pump controller
+        mass_flow_rate = getMassFlowRate(pumpPower, pumpEfficiency, hydraulicHead);
     }
-    // Hottel-Whillier-Bliss: Qu=Ac[S−UL(Tplate−Tambient)]
+    // Hottel-Whillier-Bliss: Qu=Ac F_R[S−UL(Tinlet−Tambient)]
     const F_prime = efficiency; // Plate efficiency factor, user input
 
     let F_R, F_prime_prime;
     if (testAmbient!==null){
         T_ambient = testAmbient;
     }
-    // Log all parameters
-    console.log('Calculation parameters:');
-    console.log('Hour:', hour);
-    console.log('Area:', area);
-    console.log('Efficiency:', efficiency);
-    console.log('Cloud Cover:', cloudCover);
-    console.log('Specific Heat:', specificHeat);
-    console.log('Ambient Temperature:', T_ambient);
-    console.log('Plate Temperature:', T_plate);
-    console.log('Transmittance:', transmittance);
-    console.log('Absorptance:', absorptance);
-    console.log('Heat Loss Coefficient (U_L):', U_L);
-    console.log('Pump Power:', pumpPower);
-    console.log('Hydraulic Head:', hydraulicHead);
-    console.log('Pump Efficiency:', pumpEfficiency);
-    console.log('Mass Flow Rate:', mass_flow_rate);
-    console.log('Test Ambient Temperature:', testAmbient);
-
-
-    if (mass_flow_rate > 0) {
+
+    if (mass_flow_rate > 0 && F_prime === 0) {
+        // An absorber with no thermal contact to the fluid removes no heat; F'' tends to 1
+        F_R = 0;
+        F_prime_prime = 1;
+    } else if (mass_flow_rate > 0) {
         // Capacitance rate calculated according to mC/A(U_L)F'
         const capacitance_rate = (mass_flow_rate * specificHeat)/(area * U_L * F_prime);
 
 
-        // F'' - collector flow factor
-        F_prime_prime = capacitance_rate * (1 - Math.exp(-1 / capacitance_rate));
+        // F'' - collector flow factor, tending to 1 at high capacitance rates (expm1 keeps that limit accurate)
+        F_prime_prime = -capacitance_rate * Math.expm1(-1 / capacitance_rate);
 
         // F_R - Heat removal factor according to F'(F'')
         F_R = F_prime_prime * F_prime;
@@ -117,21 +148,14 @@ const calculatePanelUsefulEnergyGain = (hour, area, efficiency, cloudCover, spec
         F_prime_prime = 0;
     }
     
-    const solarIrradiance = getSolarIrradiance(hour, cloudCover)
-
-    // Average loss rate in MJ/(m²·h).
-    const U_L_Temp_Quotient = U_L * (T_plate - T_ambient) * 3600 / 1000000
-    console.log(U_L_Temp_Quotient)
-
-    // Useful energy gain in MJ/(m²·h).
-    const Q_u = F_R * area * ((solarIrradiance*transmittance*absorptance) - U_L_Temp_Quotient);
+    // Absorbed solar radiation in W/m²
+    const G_T = getSolarIrradiance(hour, cloudCover, site);
+    const S = G_T * transmittance * absorptance;
 
-    // Average useful energy gain per unit area
-    const q_u = Q_u / area;
+    // Useful energy gain per unit area in W/m²
+    const q_u = F_R * (S - U_L * (T_inlet - T_ambient));
 
-    
-
-    return {q_u: q_u, F_R: F_R, F_prime_prime: F_prime_prime}
+    return {q_u: q_u, F_R: F_R, F_prime_prime: F_prime_prime, S: S, G_T: G_T, mass_flow_rate: mass_flow_rate}
 };
 
 
@@ -143,10 +167,11 @@ const calculatePanelUsefulEnergyGain = (hour, area, efficiency, cloudCover, spec
  * It handles two scenarios: when there's no heat removal (F_R = 0) and when heat is being removed.
  *
  * @param {Object} solarPanelVars - An object containing solar panel variables:
- *   @param {number} q_u - The useful energy gain per unit area in MJ/(m²·h).
+ *   @param {number} q_u - The useful energy gain per unit area in W/m².
  *   @param {number} F_R - The heat removal factor.
  *   @param {number} F_prime_prime - The collector flow factor.
- * @param {number} currentFluidTemp - The current temperature of the fluid in °C.
+ * @param {number} currentFluidTemp - The collector inlet fluid temperature in °C, or the current
+ *   (stagnant) fluid temperature when there is no flow.
  * @param {number} U_L - The overall heat loss coefficient in W/(m²·K), default is 8.
  * 
  * @returns {Object} An object containing:
@@ -154,7 +179,7 @@ const calculatePanelUsefulEnergyGain = (hour, area, efficiency, cloudCover, spec
  *   - T_plate: The plate temperature in °C.
  */
 const calculateHeatTransferToFluid = (solarPanelVars, currentFluidTemp, U_L) => {
-    var {q_u, F_R, F_prime_prime} = solarPanelVars;
+    const {q_u, F_R, F_prime_prime} = solarPanelVars;
 
     if (F_R === 0) {
         // When F_R is 0, no heat is being removed from the collector
@@ -165,157 +190,726 @@ const calculateHeatTransferToFluid = (solarPanelVars, currentFluidTemp, U_L) =>
 
         return {T_fluid, T_plate};
     } else {
+        const T_fluid = currentFluidTemp + (q_u / (F_R * U_L) * (1 - F_prime_prime));
+        const T_plate = currentFluidTemp + (q_u / (F_R * U_L) * (1 - F_R));
 
-        const q_u_joules_per_second = (q_u * 1e6) / 3600;
+        return {T_fluid, T_plate};
+    }
+};
 
-        T_fluid = currentFluidTemp + ((q_u_joules_per_second) / (F_R * U_L) * (1 - F_prime_prime));
-        T_plate = currentFluidTemp + ((q_u_joules_per_second) / (F_R * U_L) * (1 - F_R));
+/**
+ * Builds the solar site description for a simulation step, advancing the day of year
+ * each time the clock passes midnight.
+ * 
+ * @param {Object} params - Current simulation parameters.
+ * @param {number} elapsedHour - Hours since midnight of the starting day.
+ * @returns {Object} Site description for getSolarIrradiance.
+ */
+const getSiteForStep = (params, elapsedHour) => {
+    const site = { ...DEFAULT_SITE };
+    for (const key of Object.keys(DEFAULT_SITE)) {
+        if (params[key] !== undefined && params[key] !== null) {
+            site[key] = params[key];
+        }
+    }
+    site.dayOfYear = ((site.dayOfYear - 1 + Math.floor(elapsedHour / 24)) % 365) + 1;
+    return site;
+};
 
-        return {T_fluid, T_plate};
+/**
+ * Determines the weather and sun conditions at a point in the simulation.
+ * 
+ * Weather file temperatures and wind speeds are interpolated linearly between hourly records;
+ * irradiance is held at the hourly average for the whole hour.
+ * 
+ * @param {Object} params - Current simulation parameters.
+ * @param {number} time - Seconds since the simulation's starting hour.
+ * @returns {Object} An object containing:
+ *   - hour: The local clock hour (0-24, fractional).
+ *   - site: Site description for getSolarIrradiance.
+ *   - ambientTemp: The ambient temperature in °C.
+ *   - windSpeed: The wind speed in m/s.
+ */
+const getConditions = (params, time) => {
+    const elapsedHours = time / 3600;
+    const site = getSiteForStep(params, params.hour + elapsedHours);
+    let hour = (params.hour + elapsedHours) % 24;
+
+    const records = params.weather ? params.weather.records : [];
+    const index = Math.floor(elapsedHours);
+    if (index < records.length) {
+        const record = records[index];
+        const next = records[Math.min(index + 1, records.length - 1)];
+        const fraction = elapsedHours - index;
+
+        hour = record.hour + fraction;
+        site.dayOfYear = getDayOfYear(record.month, record.day);
+        site.globalHorizontal = record.globalHorizontal;
+        site.diffuseHorizontal = record.diffuseHorizontal;
+        return {
+            hour,
+            site,
+            ambientTemp: record.dryBulb + (next.dryBulb - record.dryBulb) * fraction,
+            windSpeed: record.windSpeed + (next.windSpeed - record.windSpeed) * fraction
+        };
     }
+
+    // Calculate ambient temperature using sine wave interpolation
+    let ambientTemp;
+    if (params.fixedTemp !== null && params.fixedTemp !== undefined) {
+        ambientTemp = params.fixedTemp;
+    } else {
+        const tempAmplitude = (params.maxAmbientTemp - params.minAmbientTemp) / 2;
+        const tempMidpoint = (params.maxAmbientTemp + params.minAmbientTemp) / 2;
+        ambientTemp = tempMidpoint + tempAmplitude * Math.sin((hour - 6) * Math.PI / 12);
+    }
+
+    return { hour, site, ambientTemp, windSpeed: params.windSpeed || 0 };
 };
 
 /**
- * Calculates the heat transfer from the solar panel fluid to the storage tank and updates the tank temperature.
+ * Builds the storage tank description from the simulation parameters.
  * 
- * This function models the heat transfer process between the heated fluid from the solar panel
- * and the storage tank, taking into account factors such as pump power, fluid properties,
- * and tank characteristics.
+ * @param {Object} params - Current simulation parameters.
+ * @returns {Object} Tank description from tank.createTank.
+ */
+const getTankForStep = (params) => {
+    return createTank({
+        volume: params.tankVolume,
+        specificHeat: params.specificHeat,
+        nodeCount: params.tankNodes,
+        height: params.tankHeight,
+        UA: params.tankUA,
+        roomTemp: params.roomTemp,
+        conductivity: params.tankConductivity,
+        collectorReturnHeight: params.collectorReturnHeight,
+        collectorOutletHeight: params.collectorOutletHeight,
+        loadInletHeight: params.loadInletHeight,
+        loadOutletHeight: params.loadOutletHeight
+    });
+};
+
+/**
+ * Builds the hot-water load and auxiliary heater description from the simulation parameters.
  * 
- * @param {number} fluidTemp - The temperature of the fluid coming from the solar panel in °C.
- * @param {number} tankTemp - The current temperature of the tank in °C.
- * @param {number} tankVolume - The volume of the tank in m³.
- * @param {number} specificHeat - The specific heat of the fluid in J/(kg·K).
- * @param {number} timeStep - The time step for the simulation in seconds.
- * @param {number} pumpPower - The power of the pump in Watts.
- * @param {number} hydraulicHead - The hydraulic head in meters, default is 5.
- * @param {number} pumpEfficiency - The efficiency of the pump (0-1)
+ * @param {Object} params - Current simulation parameters.
+ * @returns {Object} Load description from loads.createLoad.
+ */
+const getLoadForStep = (params) => {
+    return createLoad({
+        loadProfile: params.loadProfile,
+        dailyLoadVolume: params.dailyLoadVolume,
+        loadInterval: params.loadInterval,
+        mainsTemp: params.mainsTemp,
+        auxType: params.auxType,
+        auxSetpoint: params.auxSetpoint,
+        auxCapacity: params.auxCapacity,
+        auxEfficiency: params.auxEfficiency
+    });
+};
+
+/**
+ * Builds the collector pump controller description from the simulation parameters.
  * 
- * @returns {number} The new temperature of the tank after heat transfer in °C.
+ * @param {Object} params - Current simulation parameters.
+ * @returns {Object} Controller description from controller.createController.
  */
-const calculateHeatTransferToTank = (fluidTemp, tankTemp, tankVolume, specificHeat, timeStep, pumpPower, hydraulicHead, pumpEfficiency) => {
-    const density = 1000; // Density of water in kg/m³ (approximately for water at room temperature)
-    const gravity = 9.81; // Acceleration due to gravity in m/s²
+const getControllerForStep = (params) => {
+    return createController({
+        pumpControl: params.pumpControl,
+        onDeltaT: params.pumpOnDeltaT,
+        offDeltaT: params.pumpOffDeltaT,
+        tankHighLimit: params.tankHighLimit,
+        highLimitDeadband: params.highLimitDeadband,
+        variableSpeed: params.variableSpeed,
+        minSpeed: params.minPumpSpeed,
+        fullSpeedDeltaT: params.fullSpeedDeltaT
+    });
+};
 
-    // Calculate the effective mass flow rate using pump power
-    const calculatedMassFlowRate = (pumpPower * pumpEfficiency) / (hydraulicHead * gravity * density); // m³/s
-    var massFlowRate = calculatedMassFlowRate * density; // Converting m³/s to kg/s by multiplying with the density of water
+/**
+ * Builds the collector loop piping and pump curve description from the simulation parameters.
+ * 
+ * @param {Object} params - Current simulation parameters.
+ * @returns {Object} Piping description from piping.createPiping.
+ */
+const getPipingForStep = (params) => {
+    return createPiping({
+        pumpCurve: params.pumpCurve,
+        staticHead: params.staticHead,
+        supplyPipeLength: params.supplyPipeLength,
+        returnPipeLength: params.returnPipeLength,
+        pipeDiameter: params.pipeDiameter,
+        pipeRoughness: params.pipeRoughness,
+        fittingsK: params.fittingsK,
+        insulationThickness: params.insulationThickness,
+        insulationConductivity: params.insulationConductivity,
+        pipeAmbientTemp: params.pipeAmbientTemp
+    });
+};
 
-    // Calculate the rate of heat transfer (Q = m * c_p * ΔT)
-    const heatTransferRate = massFlowRate * specificHeat * (fluidTemp - tankTemp); // Joules/s or Watts
+/**
+ * Builds the collector array description from the simulation parameters.
+ * 
+ * @param {Object} params - Current simulation parameters.
+ * @returns {Object} Collector array description from collectors.createCollectorArray.
+ */
+const getCollectorArrayForStep = (params) => {
+    return createCollectorArray({
+        collector: params.collector,
+        seriesCount: params.seriesCount,
+        parallelCount: params.parallelCount,
+        area: params.area
+    });
+};
 
-    // Calculate the thermal capacity of the tank's volume, using (Q = m * c_p * ΔT) again, where ΔT is 1 deg Celsius., and m = d*V
-    const thermalCapacity = tankVolume * density * specificHeat; // J/°C
+// Quantities integrated alongside the tank temperatures and reset each reporting interval.
+// Averaged quantities are reported as their mean over the interval, the others as totals.
+const ACCUMULATED_FIELDS = [
+    'ambientTemp', 'windSpeed', 'drawVolume', 'loadEnergy', 'demandEnergy', 'auxEnergy', 'auxInputEnergy', 'pumpEnergy', 'pumpRunHours',
+    'incidentEnergy', 'opticalLosses', 'collectorLosses', 'usefulGain', 'pipeLosses', 'tankDeliveredEnergy', 'tankLosses'
+];
+const AVERAGED_FIELDS = ['ambientTemp', 'windSpeed'];
 
-    // Calculate temperature change in the tank over the time step, based on (Q = m * c_p * ΔT)
-    const tankTempChange = (heatTransferRate * timeStep) / thermalCapacity; // °C
+/**
+ * Evaluates the system at one instant: the collector array draws fluid from the tank at the
+ * collector outlet height, heats it and returns it to the tank at the collector return height,
+ * while hot-water draws are replaced by mains water.
+ * 
+ * The generic collector follows the Hottel-Whillier-Bliss equation; rated collectors follow
+ * their test efficiency curve, with the loss coefficient of each collector linearized at its
+ * mean fluid temperature and iterated to convergence (see collectors.js). The array's rows share
+ * the loop flow equally, and within a row each collector's outlet feeds the next one's inlet.
+ * 
+ * With the pump stopped the collector stagnates: its outlet temperature is the temperature at
+ * which the absorber's losses balance the absorbed radiation, T_a + S / U_L for the generic collector.
+ * 
+ * The collector loop fluid's properties are taken at the tank outlet temperature. When a heat
+ * exchanger effectiveness is given the loop is closed and heats the tank through an external
+ * exchanger, with the tank side flow driven alongside the collector pump; otherwise the tank
+ * water circulates through the collector directly. The loop flow comes from the pump curve's
+ * operating point when a curve is given, and supply and return pipe losses are solved around the
+ * loop (see piping.js).
+ * 
+ * @param {Object} params - Current simulation parameters.
+ * @param {Object} tank - Tank description from getTankForStep.
+ * @param {Object} load - Load description from getLoadForStep.
+ * @param {Object} piping - Piping description from getPipingForStep.
+ * @param {Object} array - Collector array description from getCollectorArrayForStep.
+ * @param {number} time - Seconds since the simulation's starting hour.
+ * @param {Array<number>} nodeTemps - The tank node temperatures in °C, top node first.
+ * @param {number} pumpSpeed - Collector pump speed as a fraction of full speed (0-1), default 1.
+ * @returns {Object} An object containing the conditions (see getConditions), the effective U_L,
+ *   the solar panel variables, the collector mass flow rate, the collector inlet and outlet
+ *   temperatures, the temperatures along a row of collectors (seriesTemps, see
+ *   piping.solveLoopTemperatures; null when stagnant), the tank temperature feeding the collector
+ *   loop (tankOutletTemp), the coldest loop temperature (minLoopTemp), the load (see
+ *   loads.calculateLoad), the rate of change of each tank node temperature in °C/s and the
+ *   rates of the ACCUMULATED_FIELDS.
+ */
+const evaluateSystem = (params, tank, load, piping, array, time, nodeTemps, pumpSpeed = 1) => {
+    const conditions = getConditions(params, time);
+    const { ambientTemp, windSpeed } = conditions;
+    const { rated, seriesCount, parallelCount, collectorArea, totalArea } = array;
+
+    // Wind increases the collector's top loss coefficient
+    const U_L = params.U_L + (params.windLossCoefficient || 0) * windSpeed;
+
+    const tankOutletTemp = nodeTemps[getNodeAtHeight(tank.collectorOutletHeight, tank.nodeCount)];
+    const fluid = getFluidProperties(getFluid(params.collectorFluid || DEFAULT_FLUID), tankOutletTemp);
+    const pipeAmbientTemp = piping.pipeAmbientTemp !== null ? piping.pipeAmbientTemp : ambientTemp;
+
+    // Loop flow from the pump curve's operating point, or from the pump's rated power and head
+    let massFlowRate, pumpElectricPower;
+    if (piping.pumpCurve) {
+        const operatingPoint = solveOperatingPoint(piping, pumpSpeed, fluid);
+        massFlowRate = operatingPoint.flowRate * fluid.density;
+        pumpElectricPower = operatingPoint.hydraulicPower / params.pumpEfficiency;
+    } else {
+        massFlowRate = getMassFlowRate(params.pumpPower, params.pumpEfficiency, params.hydraulicHead, fluid.density) * pumpSpeed;
+        pumpElectricPower = getPumpPower(params.pumpPower, pumpSpeed);
+    }
+    // Each row of collectors carries an equal share of the loop flow
+    const collectorCapacityRate = massFlowRate / parallelCount * fluid.specificHeat;
+
+    let solarPanelVars, effectiveIrradiance;
+    if (rated) {
+        const irradiance = getIrradianceComponents(conditions.hour, params.cloudCover, conditions.site);
+        effectiveIrradiance = getEffectiveIrradiance(rated, irradiance, irradiance.angles);
+        solarPanelVars = { q_u: 0, F_R: 0, F_prime_prime: 0, S: rated.eta0 * effectiveIrradiance, G_T: irradiance.total, mass_flow_rate: massFlowRate };
+    } else {
+        solarPanelVars = calculatePanelUsefulEnergyGain(
+            conditions.hour, collectorArea, params.efficiency, params.cloudCover,
+            fluid.specificHeat, ambientTemp, tankOutletTemp, params.transmittance,
+            params.absorptance, U_L, params.pumpPower,
+            params.hydraulicHead, params.pumpEfficiency, massFlowRate / parallelCount, null, conditions.site
+        );
+    }
 
-    // New tank temperature after time step
-    const newTankTemp = tankTemp + tankTempChange;
+    let inletTemp = tankOutletTemp;
+    let outletTemp, returnTemp, minLoopTemp;
+    let seriesTemps = null;
+    let tankFlowRate = 0;
+    let pipeLosses = 0;
+    if (massFlowRate > 0) {
+        const capacityRate = massFlowRate * fluid.specificHeat;
+        const effectiveness = params.heatExchangerEffectiveness || 0;
+
+        // With a heat exchanger, the tank side flow defaults to the collector loop's heat capacity rate
+        tankFlowRate = massFlowRate;
+        if (effectiveness > 0) {
+            tankFlowRate = params.tankSideFlowRate
+                ? params.tankSideFlowRate * pumpSpeed
+                : capacityRate / params.specificHeat;
+        }
 
+        const solveLoop = (collectorMaps) => solveLoopTemperatures({
+            tankOutletTemp,
+            capacityRate,
+            collectorMaps,
+            piping: { ...piping, pipeAmbientTemp },
+            effectiveness,
+            tankCapacityRate: tankFlowRate * params.specificHeat
+        });
 
-    return newTankTemp; // Return the new temperature of the tank
+        let loop;
+        if (rated) {
+            // Linearize each collector's losses at its mean fluid temperature until the temperatures settle
+            let meanTemps = new Array(seriesCount).fill(tankOutletTemp);
+            for (let i = 0; i < 20; i++) {
+                loop = solveLoop(meanTemps.map(meanTemp => getCollectorMap(
+                    rated, collectorCapacityRate, effectiveIrradiance, ambientTemp,
+                    getLossCoefficient(rated, meanTemp, ambientTemp, windSpeed)
+                )));
+                const previous = meanTemps;
+                meanTemps = previous.map((_, j) => (loop.seriesTemps[j] + loop.seriesTemps[j + 1]) / 2);
+                if (meanTemps.every((temp, j) => Math.abs(temp - previous[j]) < 1e-6)) {
+                    break;
+                }
+            }
+        } else {
+            // Hottel-Whillier-Bliss: T_out = T_in + A_c F_R [S - U_L (T_in - T_a)] / (m_dot c_p)
+            const { F_R, S } = solarPanelVars;
+            const removed = collectorArea * F_R / collectorCapacityRate;
+            loop = solveLoop(new Array(seriesCount).fill({
+                a: 1 - removed * U_L,
+                b: removed * (S + U_L * ambientTemp)
+            }));
+        }
+        solarPanelVars = { ...solarPanelVars, q_u: loop.usefulGain / totalArea };
+        inletTemp = loop.collectorInletTemp;
+        outletTemp = loop.collectorOutletTemp;
+        seriesTemps = loop.seriesTemps;
+        pipeLosses = loop.pipeLosses;
+        minLoopTemp = loop.minTemp;
+
+        // The tank receives what is left of the useful gain at the collector (or exchanger) return
+        returnTemp = tankOutletTemp + loop.tankHeat / (tankFlowRate * params.specificHeat);
+    } else {
+        // Stagnant loop: the pipes settle at their surroundings' temperature
+        outletTemp = rated
+            ? getStagnationTemp(rated, effectiveIrradiance, ambientTemp, windSpeed)
+            : ambientTemp + solarPanelVars.S / U_L;
+        returnTemp = tankOutletTemp;
+        const hasPipes = piping.supplyPipeLength > 0 || piping.returnPipeLength > 0;
+        minLoopTemp = hasPipes ? Math.min(outletTemp, pipeAmbientTemp) : outletTemp;
+    }
+
+    const drawFlowRate = getDrawFlowRate(load, time, conditions.hour);
+    const loadOutletTemp = nodeTemps[getNodeAtHeight(tank.loadOutletHeight, tank.nodeCount)];
+    const loadResult = calculateLoad(drawFlowRate, loadOutletTemp, load, params.specificHeat);
+
+    const { G_T, S, q_u } = solarPanelVars;
+    const tankLosses = nodeTemps.reduce((sum, temp, i) => sum + tank.nodeUA[i] * (temp - tank.roomTemp), 0);
+
+    const nodeTempRates = calculateTankNodeRates(nodeTemps, tank, [{
+        flowRate: tankFlowRate,
+        temp: returnTemp,
+        inletHeight: tank.collectorReturnHeight,
+        outletHeight: tank.collectorOutletHeight
+    }, {
+        flowRate: loadResult.tankFlowRate,
+        temp: load.mainsTemp,
+        inletHeight: tank.loadInletHeight,
+        outletHeight: tank.loadOutletHeight
+    }]);
+
+    const accumulatedRates = {
+        ambientTemp: conditions.ambientTemp,
+        windSpeed: conditions.windSpeed,
+        drawVolume: drawFlowRate / tank.density,
+        loadEnergy: loadResult.loadPower,
+        demandEnergy: loadResult.demandPower,
+        auxEnergy: loadResult.auxPower,
+        auxInputEnergy: loadResult.auxInputPower,
+        pumpEnergy: pumpElectricPower,
+        pumpRunHours: pumpSpeed > 0 ? 1 / 3600 : 0,
+        incidentEnergy: G_T * totalArea,
+        opticalLosses: (G_T - S) * totalArea,
+        collectorLosses: (S - q_u) * totalArea,
+        usefulGain: q_u * totalArea,
+        pipeLosses,
+        tankDeliveredEnergy: loadResult.tankFlowRate * params.specificHeat * (loadOutletTemp - load.mainsTemp),
+        tankLosses
+    };
+
+    return {
+        conditions, U_L, solarPanelVars, massFlowRate, tankFlowRate, inletTemp, outletTemp, seriesTemps, tankOutletTemp,
+        minLoopTemp, load: loadResult, nodeTempRates, accumulatedRates
+    };
 };
 
 
+/**
+ * Sets up a simulation that is advanced one reporting interval at a time, so that it can be
+ * paused, run at a chosen pace and have its parameters changed between intervals (see sessions.js).
+ * Its reports are those of simulateTemperature.
+ *
+ * @param {Object} initialParams - Simulation parameters (see simulateTemperature).
+ * @param {Object} inputChanges - Parameter changes keyed by the hour (since the start) they apply from.
+ * @param {number} startStep - Hour to start the simulation from.
+ * @returns {Object} An object containing step, applyChanges and getState functions, getParams
+ *   (the parameters in effect) and isFinished.
+ */
+const createSimulation = (initialParams, inputChanges = {}, startStep = 0) => {
+    let currentParams = { ...initialParams };
+    let currentFluidTemp = initialParams.fluidTemp;
+    let currentPlateTemp = initialParams.fluidTemp;
+    let currentNodeTemps = new Array(initialParams.tankNodes || 1).fill(initialParams.tankTemp);
+    let pumpState = { pumpOn: false, speed: 0, highLimitTripped: false };
+    let pumpRunHours = 0;
+
+    // If there's a currentState, use it to initialize the simulation
+    if (initialParams.currentState) {
+        currentFluidTemp = initialParams.currentState.fluidTemp;
+        currentPlateTemp = initialParams.currentState.panelTemp;
+        currentNodeTemps = initialParams.currentState.tankNodeTemps
+            ? [...initialParams.currentState.tankNodeTemps]
+            : currentNodeTemps.fill(initialParams.currentState.tankTemp);
+        if (initialParams.currentState.pumpOn) {
+            pumpState = { pumpOn: true, speed: initialParams.currentState.pumpSpeed || 1, highLimitTripped: false };
+        }
+        pumpRunHours = initialParams.currentState.cumulativePumpRunHours || 0;
+    }
+
+    const timeStep = initialParams.timeStep || 3600;
+    const reportInterval = initialParams.reportInterval || 3600;
+    const integrator = initialParams.integrator || 'rk4';
+    if (!(timeStep > 0) || !(reportInterval > 0)) {
+        throw new Error('timeStep and reportInterval must be positive');
+    }
+
+    const endTime = initialParams.duration * 3600;
+    const changeHours = Object.keys(inputChanges)
+        .map(Number)
+        .filter(hour => hour >= startStep)
+        .sort((a, b) => a - b);
+
+    let time = startStep * 3600;
+    let reportStart = time;
+    let reportDayOfYear = getConditions(currentParams, time).site.dayOfYear;
+    let accumulated = ACCUMULATED_FIELDS.map(() => 0);
+    let tankEnergyChange = 0;
+    let minCollectorTemp = Infinity;
+
+    /**
+     * Changes parameters from the current time on.
+     *
+     * @param {Object} changes - Parameters to change; a fluidTemp or tankTemp (°C) resets the
+     *   collector or tank temperature.
+     */
+    const applyChanges = (changes) => {
+        currentParams = { ...currentParams, ...changes };
+        // If fluid or tank temperature is changed, update the current temperatures
+        if (changes.fluidTemp !== undefined) {
+            currentFluidTemp = changes.fluidTemp;
+            currentPlateTemp = changes.fluidTemp;
+        }
+        if (changes.tankTemp !== undefined) {
+            currentNodeTemps = currentNodeTemps.map(() => changes.tankTemp);
+        }
+    };
+
+    /**
+     * Advances the simulation to the end of the next reporting interval.
+     *
+     * @returns {Object|null} The interval's report, or null once the run has ended.
+     */
+    const step = () => {
+        while (time < endTime) {
+            // Apply any input changes scheduled for this time
+            while (changeHours.length > 0 && changeHours[0] * 3600 <= time) {
+                applyChanges(inputChanges[changeHours.shift()]);
+            }
+
+            // Never step past a reporting boundary, a scheduled change or the end of the run
+            const nextReport = reportStart + reportInterval;
+            const nextChange = changeHours.length > 0 ? changeHours[0] * 3600 : Infinity;
+            const h = Math.min(timeStep, nextReport - time, nextChange - time, endTime - time);
+
+            const stepParams = currentParams;
+            const tank = getTankForStep(stepParams);
+            const load = getLoadForStep(stepParams);
+            const controller = getControllerForStep(stepParams);
+            const piping = getPipingForStep(stepParams);
+            const array = getCollectorArrayForStep(stepParams);
+            if (tank.nodeCount !== currentNodeTemps.length) {
+                // Node count changed mid-run: redistribute the current mean temperature
+                currentNodeTemps = new Array(tank.nodeCount).fill(getMeanTankTemp(currentNodeTemps));
+            }
+
+            // The controller reads its sensors with the pump as it is, then holds its decision for the step
+            const sensors = evaluateSystem(stepParams, tank, load, piping, array, time, currentNodeTemps, pumpState.speed);
+            pumpState = updateController(controller, pumpState, sensors.outletTemp, sensors.tankOutletTemp, currentNodeTemps[0]);
+            const pumpSpeed = pumpState.speed;
+            const start = evaluateSystem(stepParams, tank, load, piping, array, time, currentNodeTemps, pumpSpeed);
+
+            // The state vector holds the tank node temperatures followed by the accumulated quantities
+            const nodeCount = tank.nodeCount;
+            const derivative = (t, y) => {
+                const { nodeTempRates, accumulatedRates } = evaluateSystem(stepParams, tank, load, piping, array, t, y.slice(0, nodeCount), pumpSpeed);
+                return [...nodeTempRates, ...ACCUMULATED_FIELDS.map(field => accumulatedRates[field])];
+            };
+
+            // Explicit methods are split into substeps no longer than the tank's shortest time
+            // constant so that small nodes and high flow rates cannot make them unstable
+            const timeConstant = getTankTimeConstant(tank, start.tankFlowRate + start.load.tankFlowRate);
+            const substeps = integrator === 'rk45' ? 1 : Math.max(1, Math.ceil(h / timeConstant));
+            const startNodeTemps = currentNodeTemps;
+            for (let i = 0; i < substeps; i++) {
+                const state = integrate(integrator, derivative, time + i * h / substeps, [...currentNodeTemps, ...accumulated], h / substeps, {
+                    tolerance: stepParams.tolerance,
+                    errorComponents: nodeCount
+                });
+                currentNodeTemps = mixInversions(state.slice(0, nodeCount));
+                accumulated = state.slice(nodeCount);
+            }
+            time += h;
+            tankEnergyChange += currentNodeTemps.reduce((sum, temp, i) => sum + tank.nodeMass * tank.specificHeat * (temp - startNodeTemps[i]), 0);
+
+            // Collector temperatures at the end of the step
+            const end = evaluateSystem(stepParams, tank, load, piping, array, time, currentNodeTemps, pumpSpeed);
+            if (end.massFlowRate > 0) {
+                // Average over a row of collectors; rated collectors report their mean fluid temperature
+                const { ambientTemp } = end.conditions;
+                const { F_R, S } = end.solarPanelVars;
+                const collectorTemps = end.seriesTemps.slice(0, -1).map((collectorInletTemp, i) => {
+                    if (array.rated) {
+                        const meanTemp = (collectorInletTemp + end.seriesTemps[i + 1]) / 2;
+                        return { T_fluid: meanTemp, T_plate: meanTemp };
+                    }
+                    const q_u = F_R * (S - end.U_L * (collectorInletTemp - ambientTemp));
+                    return calculateHeatTransferToFluid({ ...end.solarPanelVars, q_u }, collectorInletTemp, end.U_L);
+                });
+                currentFluidTemp = collectorTemps.reduce((sum, temps) => sum + temps.T_fluid, 0) / collectorTemps.length;
+                currentPlateTemp = collectorTemps.reduce((sum, temps) => sum + temps.T_plate, 0) / collectorTemps.length;
+            } else {
+                // Stagnant collector: fluid and plate settle at the stagnation temperature
+                currentFluidTemp = end.outletTemp;
+                currentPlateTemp = end.outletTemp;
+            }
+            minCollectorTemp = Math.min(minCollectorTemp, end.minLoopTemp);
+
+            if (time >= nextReport || time >= endTime) {
+                const elapsed = time - reportStart;
+                const totals = {};
+                ACCUMULATED_FIELDS.forEach((field, i) => {
+                    totals[field] = AVERAGED_FIELDS.includes(field) ? accumulated[i] / elapsed : accumulated[i];
+                });
+                pumpRunHours += totals.pumpRunHours;
+                totals.tankEnergyChange = tankEnergyChange;
+
+                const report = {
+                    time: reportStart / 3600,
+                    dayOfYear: reportDayOfYear,
+                    fluidTemp: currentFluidTemp,
+                    panelTemp: currentPlateTemp,
+                    tankTemp: getMeanTankTemp(currentNodeTemps),
+                    tankNodeTemps: [...currentNodeTemps],
+                    deliveredTemp: end.load.deliveredTemp,
+                    pumpOn: pumpState.pumpOn,
+                    pumpSpeed,
+                    cumulativePumpRunHours: pumpRunHours,
+                    ...totals,
+                    solarFraction: getSolarFraction(totals),
+                    collectorEfficiency: totals.incidentEnergy > 0 ? totals.usefulGain / totals.incidentEnergy : null,
+                    balanceResidual: checkEnergyBalance(totals).residual,
+                    minCollectorTemp,
+                    freezeWarning: minCollectorTemp < getFluid(stepParams.collectorFluid || DEFAULT_FLUID).freezePoint
+                };
+
+                reportStart = time;
+                reportDayOfYear = end.conditions.site.dayOfYear;
+                accumulated = ACCUMULATED_FIELDS.map(() => 0);
+                tankEnergyChange = 0;
+                minCollectorTemp = Infinity;
+                return report;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Describes the current state in the form of params.currentState, from which a new run can resume.
+     *
+     * @returns {Object} An object containing time (hours since the start of the run), fluidTemp,
+     *   panelTemp, tankTemp and tankNodeTemps (°C), pumpOn, pumpSpeed and cumulativePumpRunHours.
+     */
+    const getState = () => ({
+        time: time / 3600,
+        fluidTemp: currentFluidTemp,
+        panelTemp: currentPlateTemp,
+        tankTemp: getMeanTankTemp(currentNodeTemps),
+        tankNodeTemps: [...currentNodeTemps],
+        pumpOn: pumpState.pumpOn,
+        pumpSpeed: pumpState.speed,
+        cumulativePumpRunHours: pumpRunHours
+    });
+
+    return {
+        step,
+        applyChanges,
+        getState,
+        getParams: () => ({ ...currentParams }),
+        isFinished: () => time >= endTime
+    };
+};
+
 /**
  * Simulates the temperature changes in a solar panel system over a specified duration.
  * 
+ * The tank node temperatures are integrated with a configurable time step and integration method;
+ * the collector is treated as quasi-steady at each instant. Results are reported once per
+ * reporting interval: temperatures at the end of the interval and ambient conditions averaged
+ * over it. tankTemp is the mean tank temperature and tankNodeTemps lists the node temperatures
+ * from top to bottom. Parameter changes take effect at the start of the hour they are keyed by.
+ * 
+ * The collector pump is switched by a differential thermostat (see controller.js), evaluated at
+ * the start of every time step. Each report carries the pump state at the end of the interval,
+ * the hours the pump ran and the electrical energy it used during the interval, and the
+ * cumulative run-hours since the start of the run.
+ * 
+ * Each report also carries the interval's energy balance (see energy.js): incident solar energy,
+ * optical and thermal collector losses, useful gain, supply and return pipe losses, energy drawn
+ * from the tank by the load, tank standby losses, the change in stored tank energy, the collector efficiency over the interval
+ * (null without sun) and the balance residual.
+ * 
+ * fluidTemp and panelTemp are averaged over a row of collectors. Energies cover the whole array.
+ * 
+ * minCollectorTemp is the coldest collector loop temperature (collector and pipes) seen during the interval and
+ * freezeWarning flags intervals in which it fell below the loop fluid's freezing point.
+ * 
  * @param {Object} params - Simulation parameters
- * @param {number} params.area - Solar panel area in m²
+ * @param {number} params.area - Area of each generic collector in m²
  * @param {number} params.efficiency - Solar panel efficiency (0-1)
+ * @param {string|Object} params.collector - A rated collector: a key of collectors.REFERENCE_COLLECTORS
+ *   or a custom definition with its test coefficients. Without one, the generic collector is described
+ *   by area, efficiency, transmittance, absorptance and U_L
+ * @param {number} params.seriesCount - Collectors connected in series in each row, default 1
+ * @param {number} params.parallelCount - Rows of collectors connected in parallel, default 1
  * @param {number} params.hour - Starting hour of simulation (0-23)
  * @param {number} params.duration - Simulation duration in hours
- * @param {number} params.timeStep - Time step for simulation in seconds
+ * @param {number} params.timeStep - Maximum integration time step in seconds, default 3600. The
+ *   'euler' and 'rk4' integrators further subdivide steps longer than the tank's shortest time constant
+ * @param {number} params.reportInterval - Output interval in seconds, default 3600
+ * @param {string} params.integrator - Integration method: 'euler', 'rk4' (default) or 'rk45' (adaptive)
+ * @param {number} params.tolerance - Local error tolerance in °C for the 'rk45' integrator
  * @param {number} params.minAmbientTemp - Minimum ambient temperature in °C
  * @param {number} params.maxAmbientTemp - Maximum ambient temperature in °C
+ * @param {number|null} params.fixedTemp - Constant ambient temperature in °C replacing the daily cycle, or null
  * @param {number} params.cloudCover - Cloud cover percentage (0-100)
- * @param {number} params.specificHeat - Specific heat of fluid in J/(kg·K)
- * @param {number} params.pumpPower - Pump power in Watts
+ * @param {number} params.specificHeat - Specific heat of the tank water in J/(kg·K)
+ * @param {string} params.collectorFluid - Collector loop fluid, a key of fluids.FLUIDS, default 'water'
+ * @param {number} params.heatExchangerEffectiveness - Effectiveness (0-1) of an external heat exchanger
+ *   between the collector loop and the tank; without one the tank water flows through the collector,
+ *   so requests with any other collectorFluid must give one (see schema.js)
+ * @param {number} params.tankSideFlowRate - Heat exchanger tank side mass flow rate in kg/s at full pump
+ *   speed, default matching the collector loop's heat capacity rate
+ * @param {number} params.pumpPower - Pump power in Watts (sets the flow when no pump curve is given)
  * @param {number} params.fluidTemp - Initial fluid temperature in °C
  * @param {number} params.transmittance - Cover plate transmittance
  * @param {number} params.absorptance - Plate absorptance
  * @param {number} params.tankVolume - Tank volume in m³
- * @param {number} params.tankTemp - Initial tank temperature in °C
+ * @param {number} params.tankTemp - Initial tank temperature in °C (all nodes)
  * @param {number} params.U_L - Overall heat loss coefficient in W/(m²·K)
- * @param {number} params.hydraulicHead - Hydraulic head in meters
+ * @param {number} params.hydraulicHead - Hydraulic head in meters (used when no pump curve is given)
  * @param {number} params.pumpEfficiency - Pump efficiency (0-1)
+ * @param {Array<Object>} params.pumpCurve - Full-speed pump curve, points { flow (L/min), head (m) } in
+ *   ascending flow; when given, the loop flow is solved at the operating point against pipe friction
+ * @param {number} params.staticHead - Static lift in m that the pump curve must overcome, default 0
+ * @param {number} params.supplyPipeLength - Pipe length in m from the tank (or exchanger) to the collector, default 0
+ * @param {number} params.returnPipeLength - Pipe length in m from the collector back, default 0
+ * @param {number} params.pipeDiameter - Pipe inner diameter in m, default 0.015
+ * @param {number} params.pipeRoughness - Pipe wall roughness in m, default 1.5e-6 (copper)
+ * @param {number} params.fittingsK - Sum of fitting minor loss coefficients, default 0
+ * @param {number} params.insulationThickness - Pipe insulation thickness in m, default 0.013
+ * @param {number} params.insulationConductivity - Pipe insulation conductivity in W/(m·K), default 0.04
+ * @param {number} params.pipeAmbientTemp - Temperature around the pipes in °C, default outdoor ambient
+ * @param {number} params.latitude - Site latitude in degrees, north positive
+ * @param {number} params.longitude - Site longitude in degrees, east positive
+ * @param {number} params.timeZone - Site time zone offset from UTC in hours
+ * @param {number} params.dayOfYear - Day of year (1-365) at the starting hour
+ * @param {number} params.tilt - Collector tilt from horizontal in degrees
+ * @param {number} params.azimuth - Collector azimuth in degrees (0 = equator-facing, east negative)
+ * @param {number} params.albedo - Ground reflectance (0-1)
+ * @param {number} params.windSpeed - Wind speed in m/s (used when no weather file is given)
+ * @param {number} params.windLossCoefficient - Increase of U_L per m/s of wind in W/(m²·K)/(m/s), default 0
+ * @param {number} params.tankNodes - Number of stratified tank nodes, default 1 (fully mixed)
+ * @param {number} params.tankHeight - Tank height in m, default 1.5
+ * @param {number} params.tankUA - Tank standby loss coefficient in W/K, default 0
+ * @param {number} params.roomTemp - Temperature around the tank in °C, default 20
+ * @param {number} params.tankConductivity - Effective vertical conductivity in W/(m·K), default 0.6
+ * @param {number} params.collectorReturnHeight - Collector return inlet height (0 = bottom, 1 = top), default 1
+ * @param {number} params.collectorOutletHeight - Outlet height feeding the collector, default 0
+ * @param {number} params.loadInletHeight - Mains inlet height for load draws, default 0
+ * @param {number} params.loadOutletHeight - Outlet height for load draws, default 1
+ * @param {string|Array<number>} params.loadProfile - Hot-water draw profile: a preset name from
+ *   loads.LOAD_PROFILES or litres drawn per loadInterval from the start of the run; none by default
+ * @param {number} params.dailyLoadVolume - Daily draw volume in litres for preset profiles, default 200
+ * @param {number} params.loadInterval - Seconds per entry of a user-supplied load profile, default 3600
+ * @param {number} params.mainsTemp - Cold mains water temperature in °C, default 10
+ * @param {string} params.auxType - Auxiliary heater: 'none' (default), 'electric' or 'gas'
+ * @param {number} params.auxSetpoint - Hot-water delivery setpoint in °C, default 50
+ * @param {number} params.auxCapacity - Auxiliary heater output in W, default 4500
+ * @param {number} params.auxEfficiency - Auxiliary heater efficiency (0-1), default by type
+ * @param {string} params.pumpControl - 'differential' (default) or 'always' (pump never stops)
+ * @param {number} params.pumpOnDeltaT - Collector outlet minus tank bottom temperature difference in K
+ *   above which the pump starts, default 8
+ * @param {number} params.pumpOffDeltaT - Temperature difference in K below which the pump stops, default 2
+ * @param {number} params.tankHighLimit - Tank top temperature in °C at which the pump is shut off, default 80
+ * @param {number} params.highLimitDeadband - Cooling in K below the high limit before the pump may restart, default 5
+ * @param {boolean} params.variableSpeed - Modulate the pump speed with the temperature difference, default false
+ * @param {number} params.minPumpSpeed - Lowest variable speed as a fraction of full speed, default 0.3
+ * @param {number} params.fullSpeedDeltaT - Temperature difference in K at which a variable-speed pump
+ *   reaches full speed, default 20
+ * @param {Object} params.weather - Optional weather data from weather.js ({ location, records }). When
+ *   given, each hour takes its clock time, date, dry-bulb temperature, irradiance and wind speed from
+ *   the corresponding hourly record instead of the ambient/cloud cover parameters.
+ * @param {Object|null} params.currentState - State to resume from: fluidTemp, panelTemp, tankTemp or
+ *   tankNodeTemps (°C), pumpOn, pumpSpeed and cumulativePumpRunHours
+ * @param {Object} inputChanges - Parameter changes keyed by the hour (since the start) they apply from;
+ *   a fluidTemp or tankTemp (°C) resets the collector or tank temperature
+ * @param {number} startStep - Hour to start the simulation from
  * 
- * @returns {Array<Object>} Array of hourly temperature data
+ * @returns {Array<Object>} Array of temperature, load, auxiliary energy and pump data, one entry per
+ *   reporting interval (energies in J, draw volume in m³; see loads.summarizeDays for daily totals)
  */
 const simulateTemperature = (initialParams, inputChanges, startStep = 0) => {
-    let temperatures = [];
-    let currentParams = { ...initialParams };
-    let currentFluidTemp = initialParams.fluidTemp;
-    let currentPlateTemp = initialParams.fluidTemp;
-    let currentTankTemp = initialParams.tankTemp;
-
-    // If there's a currentState, use it to initialize the simulation
-    if (initialParams.currentState) {
-        currentFluidTemp = fahrenheitToCelsius(initialParams.currentState.fluidTemp);
-        currentPlateTemp = fahrenheitToCelsius(initialParams.currentState.panelTemp);
-        currentTankTemp = fahrenheitToCelsius(initialParams.currentState.tankTemp);
+    const simulation = createSimulation(initialParams, inputChanges, startStep);
+    const temperatures = [];
+    let report;
+    while ((report = simulation.step()) !== null) {
+        temperatures.push(report);
     }
-
-    for (let step = startStep; step < initialParams.duration; step++) {
-        // Apply any input changes for this hour
-        if (inputChanges[step]) {
-            currentParams = { ...currentParams, ...inputChanges[step] };
-            // If fluid or tank temperature is changed, update the current temperatures
-            if (inputChanges[step].fluidTemp !== undefined) {
-                currentFluidTemp = (inputChanges[step].fluidTemp);
-                currentPlateTemp = fahrenheitToCelsius(inputChanges[step].fluidTemp);
-            }
-            if (inputChanges[step].tankTemp !== undefined) {
-                currentTankTemp = fahrenheitToCelsius(inputChanges[step].tankTemp);
-            }
-        }
-
-        const currentHour = (initialParams.hour + step) % 24;
-
-        // Calculate ambient temperature using sine wave interpolation
-        let currentAmbientTemp;
-        if (currentParams.fixedTemp !== null && currentParams.fixedTemp !== 'None') {
-            currentAmbientTemp = fahrenheitToCelsius(parseFloat(currentParams.fixedTemp));
-        } else {
-            const tempAmplitude = (currentParams.maxAmbientTemp - currentParams.minAmbientTemp) / 2;
-            const tempMidpoint = (currentParams.maxAmbientTemp + currentParams.minAmbientTemp) / 2;
-            currentAmbientTemp = tempMidpoint + tempAmplitude * Math.sin((currentHour - 6) * Math.PI / 12);
-        }
-
-        const solarPanelVars = calculatePanelUsefulEnergyGain(
-            currentHour, currentParams.area, currentParams.efficiency, currentParams.cloudCover,
-            currentParams.specificHeat, currentAmbientTemp, currentPlateTemp, currentParams.transmittance,
-            currentParams.absorptance, currentParams.U_L, currentParams.pumpPower,
-            currentParams.hydraulicHead, currentParams.pumpEfficiency
-        );
-        
-        let updatedTemps = calculateHeatTransferToFluid(solarPanelVars, currentFluidTemp, currentParams.U_L);
-        currentFluidTemp = updatedTemps.T_fluid;
-        currentPlateTemp = updatedTemps.T_plate;
-
-        currentTankTemp = calculateHeatTransferToTank(
-            currentFluidTemp, currentTankTemp, currentParams.tankVolume, currentParams.specificHeat,
-            currentParams.timeStep, currentParams.pumpPower, currentParams.hydraulicHead, currentParams.pumpEfficiency
-        );
-
-        // Add the temperature data to the results
-        temperatures.push({
-            time: step,
-            fluidTemp: currentFluidTemp,
-            panelTemp: currentPlateTemp,
-            tankTemp: currentTankTemp,
-            ambientTemp: currentAmbientTemp
-        });
-    }
-
     return temperatures;
 };
 
 
 module.exports = {
     simulateTemperature,
+    createSimulation,
     calculatePanelUsefulEnergyGain,
     calculateHeatTransferToFluid,
-    getSolarIrradiance
-};
\ No newline at end of file
+    getSolarIrradiance,
+    getIrradianceComponents
+};
@@ -0,0 +1,425 @@
+/**
+ * Model calibration against measured temperatures.
+ *
+ * Uncertain parameters of the generic collector and the tank are fitted so that the simulated
+ * temperatures match a measured time series in the least-squares sense, using the
+ * Levenberg-Marquardt method with a forward-difference Jacobian and the parameters kept within
+ * their bounds.
+ *
+ * As with the sizing studies (see sizing.js), the simulation is passed in as a function from a
+ * parameter set to { params, temperatures }, and measurements are compared with the reports in the
+ * reports' units. A report holds the temperatures at the end of its interval, so measurements are
+ * compared with the reports interpolated linearly between interval ends.
+ *
+ * Fit statistics:
+ * - standardError: From the linearized covariance s² (JᵀJ)⁻¹, where s² is the residual sum of
+ *   squares over the degrees of freedom; null when the data cannot tell the parameter apart from
+ *   the others (JᵀJ is singular) or no degrees of freedom are left.
+ * - confidenceInterval: Approximate 95% interval, value ± 1.96 standardError.
+ * - rmse and bias (mean simulated minus measured) per temperature channel, before and after fitting.
+ */
+
+// Parameters that can be fitted: how each is read from resolved parameters and written to a request
+const CALIBRATION_PARAMETERS = {
+    U_L: {
+        min: 0.5, max: 30, // W/(m²·K)
+        get: (params) => params.U_L,
+        set: (value) => ({ U_L: value })
+    },
+    efficiency: {
+        min: 0.05, max: 1, // collector efficiency factor F'
+        get: (params) => params.efficiency,
+        set: (value) => ({ efficiency: value })
+    },
+    transmittanceAbsorptance: {
+        min: 0.3, max: 1, // only the product enters the model
+        get: (params) => params.transmittance * params.absorptance,
+        set: (value) => ({ transmittance: value, absorptance: 1 })
+    },
+    tankUA: {
+        min: 0, max: 50, // W/K
+        get: (params) => params.tankUA,
+        set: (value) => ({ tankUA: value })
+    }
+};
+
+const DEFAULT_PARAMETERS = ['U_L', 'efficiency', 'transmittanceAbsorptance', 'tankUA'];
+
+// Report temperatures that can be measured; tank nodes are addressed as tankNodeTemps.<index>
+const CHANNELS = ['tankTemp', 'fluidTemp', 'panelTemp', 'deliveredTemp'];
+
+const CONFIDENCE_Z = 1.96;
+
+/**
+ * Solves a small dense linear system by Gaussian elimination with partial pivoting.
+ *
+ * @param {Array<Array<number>>} A - The square matrix.
+ * @param {Array<number>} b - The right-hand side.
+ * @returns {Array<number>|null} The solution, or null if the matrix is singular.
+ */
+const solveLinearSystem = (A, b) => {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    const scale = Math.max(...A.map(row => Math.max(...row.map(Math.abs))), 1e-300);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) {
+                pivot = row;
+            }
+        }
+        if (Math.abs(M[pivot][col]) <= 1e-12 * scale) {
+            return null;
+        }
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            for (let k = col; k <= n; k++) {
+                M[row][k] -= factor * M[col][k];
+            }
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = M[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= M[row][k] * x[k];
+        }
+        x[row] = sum / M[row][row];
+    }
+    return x;
+};
+
+/**
+ * Inverts a small dense matrix column by column.
+ *
+ * @param {Array<Array<number>>} A - The square matrix.
+ * @returns {Array<Array<number>>|null} The inverse, or null if the matrix is singular.
+ */
+const invertMatrix = (A) => {
+    const n = A.length;
+    const columns = [];
+    for (let j = 0; j < n; j++) {
+        const column = solveLinearSystem(A, A.map((row, i) => (i === j ? 1 : 0)));
+        if (!column) {
+            return null;
+        }
+        columns.push(column);
+    }
+    return A.map((row, i) => columns.map(column => column[i]));
+};
+
+const sumOfSquares = (values) => values.reduce((sum, value) => sum + value * value, 0);
+
+/**
+ * Minimizes a sum of squared residuals within bounds by the Levenberg-Marquardt method.
+ *
+ * @param {Function} residuals - Maps a parameter vector to the vector of residuals.
+ * @param {Array<number>} initial - Starting parameter values.
+ * @param {Array<Object>} bounds - { min, max } for each parameter.
+ * @param {Object} options - An object containing:
+ *   - maxIterations: Largest number of accepted or rejected steps, default 30.
+ *   - tolerance: Relative decrease of the sum of squares below which the fit has converged,
+ *     default 1e-6.
+ *   - differenceStep: Forward-difference step as a fraction of each parameter's range, default 1e-3.
+ * @returns {Object} An object containing values, residuals, sumOfSquares, jacobian (at the
+ *   solution), iterations, evaluations and converged.
+ */
+const fitLeastSquares = (residuals, initial, bounds, options = {}) => {
+    const { maxIterations = 30, tolerance = 1e-6, differenceStep = 1e-3 } = options;
+    const clamp = (values) => values.map((value, j) => Math.min(bounds[j].max, Math.max(bounds[j].min, value)));
+    let evaluations = 0;
+    const evaluate = (values) => {
+        evaluations++;
+        return residuals(values);
+    };
+
+    // Forward differences, stepping backwards from an upper bound
+    const getJacobian = (values, r) => {
+        const columns = values.map((value, j) => {
+            let h = differenceStep * (bounds[j].max - bounds[j].min);
+            if (value + h > bounds[j].max) {
+                h = -h;
+            }
+            const shifted = [...values];
+            shifted[j] = value + h;
+            const rShifted = evaluate(shifted);
+            return rShifted.map((item, i) => (item - r[i]) / h);
+        });
+        return r.map((item, i) => columns.map(column => column[i]));
+    };
+
+    let values = clamp(initial);
+    let r = evaluate(values);
+    let cost = sumOfSquares(r);
+    let J = getJacobian(values, r);
+    let lambda = 1e-3;
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations && !converged) {
+        iterations++;
+        const n = values.length;
+        const JtJ = Array.from({ length: n }, (_, a) => Array.from({ length: n }, (__, b) => J.reduce((sum, row) => sum + row[a] * row[b], 0)));
+        const Jtr = Array.from({ length: n }, (_, a) => J.reduce((sum, row, i) => sum + row[a] * r[i], 0));
+        const damped = JtJ.map((row, a) => row.map((value, b) => (a === b ? value + lambda * Math.max(value, 1e-12) : value)));
+        const step = solveLinearSystem(damped, Jtr.map(value => -value));
+        if (!step) {
+            lambda *= 10;
+            continue;
+        }
+
+        const candidate = clamp(values.map((value, j) => value + step[j]));
+        if (candidate.every((value, j) => value === values[j])) {
+            converged = true;
+            break;
+        }
+        const rCandidate = evaluate(candidate);
+        const candidateCost = sumOfSquares(rCandidate);
+        if (candidateCost < cost) {
+            converged = (cost - candidateCost) <= tolerance * cost;
+            values = candidate;
+            r = rCandidate;
+            cost = candidateCost;
+            lambda = Math.max(lambda / 10, 1e-9);
+            if (!converged) {
+                J = getJacobian(values, r);
+            }
+        } else {
+            lambda *= 10;
+            converged = lambda > 1e9;
+        }
+    }
+
+    return { values, residuals: r, sumOfSquares: cost, jacobian: J, iterations, evaluations, converged };
+};
+
+/**
+ * Reads a measured channel from a report.
+ *
+ * @param {Object} report - A simulation report.
+ * @param {string} channel - One of CHANNELS or tankNodeTemps.<index>.
+ * @returns {number|undefined} The temperature.
+ */
+const getChannelValue = (report, channel) => {
+    const [field, index] = channel.split('.');
+    return index === undefined ? report[field] : (report[field] || [])[Number(index)];
+};
+
+/**
+ * Checks that a name is a measurable channel.
+ *
+ * @param {string} channel - A measurement field.
+ * @returns {boolean} Whether it names one of CHANNELS or a tank node.
+ */
+const isChannel = (channel) => CHANNELS.includes(channel) || /^tankNodeTemps\.\d+$/.test(channel);
+
+/**
+ * Interpolates simulated channels at the measurement times.
+ *
+ * @param {Array<Object>} reports - The simulation reports.
+ * @param {number} reportHours - The reporting interval in hours.
+ * @param {Array<Object>} points - Measured points { time, channel, value }.
+ * @returns {Array<number>} The simulated value at each point.
+ */
+const sampleReports = (reports, reportHours, points) => {
+    const endTimes = reports.map(report => report.time + reportHours);
+    return points.map(({ time, channel }) => {
+        const i = endTimes.findIndex(endTime => endTime >= time - 1e-9);
+        if (i < 0 || time < reports[0].time) {
+            throw new Error(`The measurement at hour ${time} lies outside the run`);
+        }
+        // Before the end of the first report there is nothing to interpolate from
+        if (i === 0 || Math.abs(endTimes[i] - time) <= 1e-9) {
+            return getChannelValue(reports[i], channel);
+        }
+        const fraction = (time - endTimes[i - 1]) / (endTimes[i] - endTimes[i - 1]);
+        const before = getChannelValue(reports[i - 1], channel);
+        return before + (getChannelValue(reports[i], channel) - before) * fraction;
+    });
+};
+
+/**
+ * Summarizes the differences between simulated and measured values per channel.
+ *
+ * @param {Array<Object>} points - Measured points { channel, value }.
+ * @param {Array<number>} simulated - The simulated value at each point.
+ * @returns {Object} For each channel, { count, rmse, bias }.
+ */
+const getChannelStatistics = (points, simulated) => {
+    const channels = {};
+    points.forEach(({ channel, value }, i) => {
+        const entry = channels[channel] || (channels[channel] = { count: 0, sumOfSquares: 0, sum: 0 });
+        const difference = simulated[i] - value;
+        entry.count++;
+        entry.sumOfSquares += difference * difference;
+        entry.sum += difference;
+    });
+    const statistics = {};
+    for (const [channel, { count, sumOfSquares: squares, sum }] of Object.entries(channels)) {
+        statistics[channel] = { count, rmse: Math.sqrt(squares / count), bias: sum / count };
+    }
+    return statistics;
+};
+
+/**
+ * Resolves the parameters to fit.
+ *
+ * @param {Array<string|Object>} parameters - Names from CALIBRATION_PARAMETERS, or
+ *   { name, min, max, initial } to narrow the bounds or set the starting value.
+ * @returns {Array<Object>} { name, min, max, initial } for each parameter (initial may be undefined).
+ */
+const resolveParameters = (parameters) => {
+    if (!Array.isArray(parameters) || parameters.length === 0) {
+        throw new Error('parameters must list at least one parameter to fit');
+    }
+    return parameters.map(parameter => {
+        const { name, min, max, initial } = typeof parameter === 'string' ? { name: parameter } : parameter || {};
+        const definition = CALIBRATION_PARAMETERS[name];
+        if (!definition) {
+            throw new Error(`Unknown calibration parameter "${name}", expected one of: ${Object.keys(CALIBRATION_PARAMETERS).join(', ')}`);
+        }
+        const resolved = {
+            name,
+            min: min !== undefined && min !== null ? min : definition.min,
+            max: max !== undefined && max !== null ? max : definition.max,
+            initial
+        };
+        if (!(typeof resolved.min === 'number' && typeof resolved.max === 'number' && resolved.min < resolved.max)) {
+            throw new Error(`${name} needs numeric bounds with min below max`);
+        }
+        return resolved;
+    });
+};
+
+/**
+ * Flattens measurements into points, one per measured channel value.
+ *
+ * @param {Array<Object>} measurements - Rows { time, <channel>: value }, time being the hour of the
+ *   measurement on the reports' clock. Missing or null values are skipped.
+ * @returns {Array<Object>} The points { time, channel, value }.
+ */
+const getMeasuredPoints = (measurements) => {
+    if (!Array.isArray(measurements) || measurements.length === 0) {
+        throw new Error('measurements must be a non-empty list of { time, <channel>: temperature } rows');
+    }
+    const points = [];
+    measurements.forEach((row, i) => {
+        if (!(row && typeof row.time === 'number' && row.time >= 0)) {
+            throw new Error(`measurements.${i}.time must be a non-negative number of hours`);
+        }
+        for (const [channel, value] of Object.entries(row)) {
+            if (channel === 'time' || value === null || value === undefined) {
+                continue;
+            }
+            if (!isChannel(channel)) {
+                throw new Error(`Unknown channel "${channel}" in measurements.${i}, expected one of: ${CHANNELS.join(', ')} or tankNodeTemps.<index>`);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`measurements.${i}.${channel} must be a number`);
+            }
+            points.push({ time: row.time, channel, value });
+        }
+    });
+    return points;
+};
+
+/**
+ * Calibrates a system model against measured temperatures.
+ *
+ * @param {Object} baseParams - The known inputs: parameters of every run (weather, load, sizes, ...).
+ * @param {Array<Object>} measurements - Measured rows, see getMeasuredPoints, in the reports' units.
+ * @param {Function} simulate - Runs a parameter set and returns { params, temperatures }, params as
+ *   resolved for simulateTemperature.
+ * @param {Object} options - An object containing:
+ *   - parameters: Parameters to fit (see resolveParameters), default DEFAULT_PARAMETERS.
+ *   - maxIterations, tolerance: See fitLeastSquares.
+ * @returns {Object} An object containing:
+ *   - parameters: For each fitted parameter: name, initial, value, standardError,
+ *     confidenceInterval ([low, high], or null) and atBound.
+ *   - correlations: The parameters' correlation matrix (null entries where unknown).
+ *   - channels: For each measured channel, count and the rmse and bias before (initial) and after
+ *     (calibrated) fitting.
+ *   - params: baseParams with the fitted values, ready to simulate.
+ *   - iterations, simulations and converged.
+ */
+const calibrate = (baseParams, measurements, simulate, options = {}) => {
+    if (baseParams.collector) {
+        throw new Error('Calibration fits the generic collector model; remove the rated collector to calibrate');
+    }
+    const parameters = resolveParameters(options.parameters || DEFAULT_PARAMETERS);
+    const points = getMeasuredPoints(measurements);
+    if (points.length <= parameters.length) {
+        throw new Error(`At least ${parameters.length + 1} measured values are needed to fit ${parameters.length} parameters`);
+    }
+
+    const applyValues = (values) => {
+        let params = { ...baseParams };
+        parameters.forEach(({ name }, j) => {
+            params = { ...params, ...CALIBRATION_PARAMETERS[name].set(values[j]) };
+        });
+        return params;
+    };
+    const simulatePoints = (params) => {
+        const run = simulate(params);
+        return { run, simulated: sampleReports(run.temperatures, (run.params.reportInterval || 3600) / 3600, points) };
+    };
+
+    // Start from the given values, or those the base parameters resolve to
+    const base = simulatePoints(baseParams);
+    const initial = parameters.map(({ name, initial: value }) => (value !== undefined ? value : CALIBRATION_PARAMETERS[name].get(base.run.params)));
+    const start = parameters.some(({ initial: value }) => value !== undefined) ? simulatePoints(applyValues(initial)) : base;
+
+    const residuals = (values) => {
+        const { simulated } = simulatePoints(applyValues(values));
+        return simulated.map((value, i) => value - points[i].value);
+    };
+    const fit = fitLeastSquares(residuals, initial, parameters, options);
+
+    // Linearized covariance of the fitted parameters
+    const degreesOfFreedom = points.length - parameters.length;
+    const variance = fit.sumOfSquares / degreesOfFreedom;
+    const n = parameters.length;
+    const JtJ = Array.from({ length: n }, (_, a) => Array.from({ length: n }, (__, b) => fit.jacobian.reduce((sum, row) => sum + row[a] * row[b], 0)));
+    const inverse = invertMatrix(JtJ);
+    const covariance = inverse ? inverse.map(row => row.map(value => value * variance)) : null;
+    const standardErrors = parameters.map((_, j) => (covariance && covariance[j][j] >= 0 ? Math.sqrt(covariance[j][j]) : null));
+
+    const calibratedParams = applyValues(fit.values);
+    const calibrated = fit.residuals.map((residual, i) => residual + points[i].value);
+    const before = getChannelStatistics(points, start.simulated);
+    const after = getChannelStatistics(points, calibrated);
+    const channels = {};
+    for (const channel of Object.keys(after)) {
+        channels[channel] = { count: after[channel].count, initial: { rmse: before[channel].rmse, bias: before[channel].bias }, calibrated: { rmse: after[channel].rmse, bias: after[channel].bias } };
+    }
+
+    return {
+        parameters: parameters.map(({ name, min, max }, j) => ({
+            name,
+            initial: initial[j],
+            value: fit.values[j],
+            standardError: standardErrors[j],
+            confidenceInterval: standardErrors[j] === null
+                ? null
+                : [fit.values[j] - CONFIDENCE_Z * standardErrors[j], fit.values[j] + CONFIDENCE_Z * standardErrors[j]],
+            atBound: fit.values[j] <= min || fit.values[j] >= max
+        })),
+        correlations: parameters.map((_, a) => parameters.map((__, b) => (
+            standardErrors[a] > 0 && standardErrors[b] > 0 ? covariance[a][b] / (standardErrors[a] * standardErrors[b]) : null
+        ))),
+        channels,
+        params: calibratedParams,
+        iterations: fit.iterations,
+        simulations: fit.evaluations + (start === base ? 1 : 2),
+        converged: fit.converged
+    };
+};
+
+module.exports = {
+    CALIBRATION_PARAMETERS,
+    DEFAULT_PARAMETERS,
+    CHANNELS,
+    fitLeastSquares,
+    calibrate
+};
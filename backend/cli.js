@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { prepareSimulation, runSimulation } = require('./simulation');
+const { toCSV, getExportRows } = require('./export');
+
+/**
+ * Command-line runner: simulates a system described in a JSON or YAML file without the server.
+ *
+ * The file holds the parameters of a /simulate request (in the unit system named by its units
+ * field), or a saved configuration as returned by GET /configurations/:id, whose params are used.
+ * A relative weatherFile path is read relative to the configuration file. Results are written as CSV (the reports, see export.js) or JSON (the /simulate response) to a
+ * file or to stdout. Exit status is 0 on success, 1 when the configuration is invalid or cannot be
+ * read and 2 for a usage error.
+ */
+
+const USAGE = `Usage: node backend/cli.js <config.json|config.yaml> [options]
+
+Options:
+  --format <csv|json>    Output format (default: from the --output extension, otherwise csv)
+  --output <file>        Write the results to a file instead of stdout
+  --interval <seconds>   Reporting interval, overriding the configuration's reportInterval
+  --columns <a,b,...>    CSV columns to write (default: all)
+  --help                 Show this message
+`;
+
+const FORMATS = ['csv', 'json'];
+
+// Options that take a value
+const OPTIONS = ['format', 'output', 'interval', 'columns'];
+
+/**
+ * Parses command-line arguments.
+ *
+ * @param {Array<string>} argv - The arguments after the script name.
+ * @returns {Object} An object containing configPath, format, output, interval, columns (a list) and
+ *   help.
+ */
+const parseArguments = (argv) => {
+    const args = { configPath: null, format: null, output: null, interval: null, columns: null, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (arg.startsWith('--')) {
+            const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            if (!OPTIONS.includes(name)) {
+                throw new Error(`Unknown option "${arg}"`);
+            }
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value === '') {
+                throw new Error(`Option --${name} needs a value`);
+            }
+            args[name] = value;
+        } else if (args.configPath === null) {
+            args.configPath = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+
+    if (args.columns !== null) {
+        args.columns = args.columns.split(',').map(column => column.trim()).filter(Boolean);
+    }
+    if (args.format === null) {
+        const extension = args.output ? path.extname(args.output).slice(1).toLowerCase() : '';
+        args.format = FORMATS.includes(extension) ? extension : 'csv';
+    } else if (!FORMATS.includes(args.format)) {
+        throw new Error(`Unknown format "${args.format}", expected one of: ${FORMATS.join(', ')}`);
+    }
+    if (!args.help && args.configPath === null) {
+        throw new Error('A configuration file is required');
+    }
+    return args;
+};
+
+/**
+ * Reads a system configuration file.
+ *
+ * @param {string} filePath - A .json, .yaml or .yml file.
+ * @returns {Object} The /simulate request parameters, with a relative weatherFile path resolved
+ *   against the file's directory.
+ */
+const loadConfig = (filePath) => {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    let config;
+    try {
+        config = extension === '.yaml' || extension === '.yml' ? yaml.load(text) : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+    }
+    if (!(config && typeof config === 'object' && !Array.isArray(config))) {
+        throw new Error(`${filePath} must hold an object of simulation parameters`);
+    }
+    // A saved configuration carries its parameters under params
+    const saved = config.params && typeof config.params === 'object' && typeof config.name === 'string';
+    const params = saved ? config.params : config;
+
+    const { weatherFile } = params;
+    if (weatherFile && typeof weatherFile.path === 'string' && !path.isAbsolute(weatherFile.path)) {
+        return { ...params, weatherFile: { ...weatherFile, path: path.resolve(path.dirname(filePath), weatherFile.path) } };
+    }
+    return params;
+};
+
+/**
+ * Runs the command line.
+ *
+ * @param {Array<string>} argv - The arguments after the script name.
+ * @param {Object} io - An object containing stdout and stderr streams (anything with write).
+ * @returns {number} The exit status.
+ */
+const main = (argv, { stdout, stderr } = process) => {
+    let args;
+    try {
+        args = parseArguments(argv);
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (args.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+
+    let request;
+    try {
+        request = loadConfig(args.configPath);
+    } catch (error) {
+        stderr.write(`${error.message}\n`);
+        return 1;
+    }
+    if (args.interval !== null) {
+        request = { ...request, reportInterval: args.interval };
+    }
+
+    const simulation = prepareSimulation(request);
+    if (simulation.errors) {
+        stderr.write(simulation.errors.map(message => `${message}\n`).join(''));
+        return 1;
+    }
+
+    let text;
+    try {
+        const response = runSimulation(simulation);
+        text = args.format === 'json'
+            ? `${JSON.stringify(response, null, 2)}\n`
+            : toCSV(getExportRows(response), args.columns);
+    } catch (error) {
+        stderr.write(`${error.message}\n`);
+        return 1;
+    }
+
+    if (args.output) {
+        fs.writeFileSync(args.output, text);
+    } else {
+        stdout.write(text);
+    }
+    return 0;
+};
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    parseArguments,
+    loadConfig,
+    main
+};
@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Rated solar collectors and collector arrays.
+ *
+ * Rated collectors are described by their ISO 9806 / SRCC steady-state test coefficients, based
+ * on the mean fluid temperature T_m and the collector's reference area:
+ *
+ *   η = η0 K(θ) - a1 (T_m - T_a) / G - a2 (T_m - T_a)² / G
+ *
+ * with an optional wind term a3 u (T_m - T_a) / G for unglazed collectors. The incidence angle
+ * modifier K applies to beam irradiance and a constant diffuse modifier to sky and ground
+ * diffuse irradiance. It is given either as:
+ * - { b0 }: the ASHRAE form K = 1 - b0 (1/cos θ - 1), usual for flat plates.
+ * - { angles, values }: a table of K against incidence angle in degrees.
+ * - { longitudinal, transversal }: a biaxial modifier for evacuated tubes, each axis in one of the
+ *   forms above, multiplied together (McIntire factorization).
+ *
+ * Reference collectors ship as JSON definitions in the collectors/ directory; custom collectors
+ * use the same fields.
+ *
+ * An array has seriesCount collectors in each row, each feeding the next, and parallelCount
+ * identical rows sharing the loop flow.
+ */
+
+const COLLECTOR_TYPES = ['flatPlate', 'evacuatedTube', 'unglazed'];
+const REQUIRED_FIELDS = ['area', 'eta0', 'a1'];
+const OPTIONAL_FIELDS = ['a2', 'a3', 'diffuseIAM'];
+const DEG = Math.PI / 180;
+
+/**
+ * Reads the reference collector definitions from a directory of JSON files.
+ *
+ * @param {string} directory - Directory containing one definition per .json file.
+ * @returns {Object} Collector definitions keyed by id.
+ */
+const loadReferenceCollectors = (directory) => {
+    const collectors = {};
+    for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.json')).sort()) {
+        const definition = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        collectors[definition.id] = definition;
+    }
+    return collectors;
+};
+
+const REFERENCE_COLLECTORS = loadReferenceCollectors(path.join(__dirname, 'collectors'));
+
+/**
+ * Checks a single-axis incidence angle modifier: { b0 } or equal-length { angles, values } tables
+ * with ascending angles.
+ *
+ * @param {*} modifier - The modifier to check.
+ * @param {string} label - How to name the modifier in errors.
+ * @returns {string|null} What is wrong with the modifier, or null when it is valid.
+ */
+const getAxisModifierError = (modifier, label) => {
+    if (!modifier || typeof modifier !== 'object' || Array.isArray(modifier)) {
+        return `${label} must be { b0 } or { angles, values }`;
+    }
+    if (modifier.b0 !== undefined) {
+        return Number.isFinite(modifier.b0) ? null : `${label} b0 must be a number`;
+    }
+    const { angles, values } = modifier;
+    if (!Array.isArray(angles) || !Array.isArray(values) || angles.length === 0 || angles.length !== values.length) {
+        return `${label} needs { b0 } or angles and values lists of the same, non-zero length`;
+    }
+    if (![...angles, ...values].every(Number.isFinite)) {
+        return `${label} angles and values must be numbers`;
+    }
+    if (angles.some((angle, i) => i > 0 && angle <= angles[i - 1])) {
+        return `${label} angles must be ascending`;
+    }
+    return null;
+};
+
+/**
+ * Checks an incidence angle modifier in any of the forms accepted by createCollector.
+ *
+ * @param {*} iam - The modifier to check.
+ * @returns {string|null} What is wrong with the modifier, or null when it is valid.
+ */
+const getIncidenceAngleModifierError = (iam) => {
+    if (iam && (iam.longitudinal !== undefined || iam.transversal !== undefined)) {
+        return getAxisModifierError(iam.longitudinal, 'iam longitudinal') || getAxisModifierError(iam.transversal, 'iam transversal');
+    }
+    return getAxisModifierError(iam, 'iam');
+};
+
+/**
+ * Validates a collector definition and fills in optional coefficients.
+ *
+ * @param {Object} definition - Collector definition: name, type (one of COLLECTOR_TYPES), area (m²),
+ *   eta0, a1 (W/(m²·K)), a2 (W/(m²·K²), default 0), a3 (W/(m²·K)/(m/s), default 0), iam (default
+ *   none) and diffuseIAM (default 1).
+ * @returns {Object} The collector description.
+ */
+const createCollector = (definition) => {
+    for (const field of REQUIRED_FIELDS) {
+        if (!(typeof definition[field] === 'number' && definition[field] >= 0)) {
+            throw new Error(`Collector "${definition.name || definition.id || 'custom'}" needs a non-negative number for ${field}`);
+        }
+    }
+    const type = definition.type || 'flatPlate';
+    if (!COLLECTOR_TYPES.includes(type)) {
+        throw new Error(`Unknown collector type "${type}", expected one of: ${COLLECTOR_TYPES.join(', ')}`);
+    }
+    const name = definition.name || definition.id || 'custom';
+    for (const field of OPTIONAL_FIELDS) {
+        if (definition[field] !== undefined && !Number.isFinite(definition[field])) {
+            throw new Error(`Collector "${name}" needs a number for ${field}`);
+        }
+    }
+    if (definition.iam !== undefined && definition.iam !== null) {
+        const iamError = getIncidenceAngleModifierError(definition.iam);
+        if (iamError) {
+            throw new Error(`Collector "${name}": ${iamError}`);
+        }
+    }
+
+    return {
+        name: 'Custom collector',
+        a2: 0,
+        a3: 0,
+        iam: null,
+        diffuseIAM: 1,
+        ...definition,
+        type
+    };
+};
+
+/**
+ * Resolves a collector by reference id or from a custom definition.
+ *
+ * @param {string|Object} collector - A key of REFERENCE_COLLECTORS or a custom definition.
+ * @returns {Object} The collector description from createCollector.
+ */
+const getCollector = (collector) => {
+    if (typeof collector === 'string') {
+        const definition = REFERENCE_COLLECTORS[collector];
+        if (!definition) {
+            throw new Error(`Unknown collector "${collector}", expected one of: ${Object.keys(REFERENCE_COLLECTORS).join(', ')}`);
+        }
+        return createCollector(definition);
+    }
+    return createCollector(collector);
+};
+
+/**
+ * Evaluates a single-axis incidence angle modifier.
+ *
+ * @param {Object} modifier - { b0 } or { angles, values }.
+ * @param {number} angle - Incidence angle in degrees.
+ * @returns {number} The modifier (0 at or beyond 90°).
+ */
+const getAxisModifier = (modifier, angle) => {
+    if (angle >= 90) {
+        return 0;
+    }
+    if (modifier.b0 !== undefined) {
+        return Math.max(0, 1 - modifier.b0 * (1 / Math.cos(angle * DEG) - 1));
+    }
+
+    const { angles, values } = modifier;
+    let i = 0;
+    while (i < angles.length - 2 && angles[i + 1] < angle) {
+        i++;
+    }
+    if (angle <= angles[0]) {
+        return values[0];
+    }
+    if (angle >= angles[angles.length - 1]) {
+        return values[values.length - 1];
+    }
+    const fraction = (angle - angles[i]) / (angles[i + 1] - angles[i]);
+    return values[i] + (values[i + 1] - values[i]) * fraction;
+};
+
+/**
+ * Calculates the beam incidence angle modifier.
+ *
+ * @param {Object} collector - Collector description from createCollector.
+ * @param {Object} angles - Incidence angles in degrees: incidence, longitudinal and transversal.
+ * @returns {number} The beam incidence angle modifier.
+ */
+const getIncidenceAngleModifier = (collector, angles) => {
+    const { iam } = collector;
+    if (!iam) {
+        return angles.incidence < 90 ? 1 : 0;
+    }
+    if (iam.longitudinal && iam.transversal) {
+        return getAxisModifier(iam.longitudinal, angles.longitudinal) * getAxisModifier(iam.transversal, angles.transversal);
+    }
+    return getAxisModifier(iam, angles.incidence);
+};
+
+/**
+ * Calculates the irradiance on the collector weighted by its incidence angle modifiers.
+ *
+ * @param {Object} collector - Collector description from createCollector.
+ * @param {Object} irradiance - Plane-of-array beam, diffuse and groundReflected irradiance in W/m².
+ * @param {Object} angles - Incidence angles in degrees: incidence, longitudinal and transversal.
+ * @returns {number} The effective irradiance in W/m².
+ */
+const getEffectiveIrradiance = (collector, irradiance, angles) => {
+    const { beam, diffuse, groundReflected } = irradiance;
+    return getIncidenceAngleModifier(collector, angles) * beam + collector.diffuseIAM * (diffuse + groundReflected);
+};
+
+/**
+ * Calculates the collector's heat loss coefficient linearized at a mean fluid temperature, so
+ * that losses are coefficient * (T_m - T_a).
+ *
+ * @param {Object} collector - Collector description from createCollector.
+ * @param {number} meanTemp - Mean fluid temperature in °C.
+ * @param {number} ambientTemp - Ambient temperature in °C.
+ * @param {number} windSpeed - Wind speed in m/s.
+ * @returns {number} The loss coefficient in W/(m²·K).
+ */
+const getLossCoefficient = (collector, meanTemp, ambientTemp, windSpeed) => {
+    return collector.a1 + collector.a2 * Math.abs(meanTemp - ambientTemp) + collector.a3 * windSpeed;
+};
+
+/**
+ * Maps a collector's inlet temperature to its outlet temperature for a given loss coefficient:
+ * m_dot c_p (T_out - T_in) = A [η0 G_eff - U (T_m - T_a)] with T_m = (T_in + T_out) / 2.
+ *
+ * @param {Object} collector - Collector description from createCollector.
+ * @param {number} capacityRate - m_dot * c_p through the collector in W/K.
+ * @param {number} effectiveIrradiance - Irradiance weighted by the incidence angle modifiers in W/m².
+ * @param {number} ambientTemp - Ambient temperature in °C.
+ * @param {number} lossCoefficient - Linearized loss coefficient from getLossCoefficient in W/(m²·K).
+ * @returns {Object} The map { a, b } with T_out = a * T_in + b.
+ */
+const getCollectorMap = (collector, capacityRate, effectiveIrradiance, ambientTemp, lossCoefficient) => {
+    const halfLoss = collector.area * lossCoefficient / 2;
+    return {
+        a: (capacityRate - halfLoss) / (capacityRate + halfLoss),
+        b: collector.area * (collector.eta0 * effectiveIrradiance + lossCoefficient * ambientTemp) / (capacityRate + halfLoss)
+    };
+};
+
+/**
+ * Calculates the stagnation temperature, at which the collector's losses equal its optical gain.
+ *
+ * @param {Object} collector - Collector description from createCollector.
+ * @param {number} effectiveIrradiance - Irradiance weighted by the incidence angle modifiers in W/m².
+ * @param {number} ambientTemp - Ambient temperature in °C.
+ * @param {number} windSpeed - Wind speed in m/s.
+ * @returns {number} The stagnation temperature in °C.
+ */
+const getStagnationTemp = (collector, effectiveIrradiance, ambientTemp, windSpeed) => {
+    const { eta0, a1, a2, a3 } = collector;
+    const linear = a1 + a3 * windSpeed;
+    const gain = eta0 * Math.max(0, effectiveIrradiance);
+    if (a2 > 0) {
+        return ambientTemp + (Math.sqrt(linear ** 2 + 4 * a2 * gain) - linear) / (2 * a2);
+    }
+    return ambientTemp + (linear > 0 ? gain / linear : 0);
+};
+
+/**
+ * Describes a collector array.
+ *
+ * @param {Object} params - An object containing:
+ *   - collector: A reference id or custom definition, or null for the generic Hottel-Whillier-Bliss
+ *     collector described by the simulation's efficiency, U_L, transmittance and absorptance.
+ *   - seriesCount: Collectors in each row, default 1.
+ *   - parallelCount: Rows, default 1.
+ *   - area: Area of each generic collector in m².
+ * @returns {Object} An object containing rated (the collector description, or null for the generic
+ *   collector), seriesCount, parallelCount, collectorArea and totalArea (m²).
+ */
+const createCollectorArray = (params) => {
+    const rated = params.collector ? getCollector(params.collector) : null;
+    const seriesCount = params.seriesCount || 1;
+    const parallelCount = params.parallelCount || 1;
+    if (!Number.isInteger(seriesCount) || !Number.isInteger(parallelCount) || seriesCount < 1 || parallelCount < 1) {
+        throw new Error('seriesCount and parallelCount must be positive integers');
+    }
+
+    const collectorArea = rated ? rated.area : params.area;
+    return {
+        rated,
+        seriesCount,
+        parallelCount,
+        collectorArea,
+        totalArea: collectorArea * seriesCount * parallelCount
+    };
+};
+
+module.exports = {
+    COLLECTOR_TYPES,
+    REFERENCE_COLLECTORS,
+    createCollector,
+    getCollector,
+    getIncidenceAngleModifier,
+    getEffectiveIrradiance,
+    getLossCoefficient,
+    getCollectorMap,
+    getStagnationTemp,
+    createCollectorArray
+};
@@ -0,0 +1,106 @@
+/**
+ * Collector loop pump controller.
+ *
+ * A differential thermostat compares the collector outlet temperature with the tank bottom
+ * temperature (the water that would be sent to the collector):
+ * - The pump switches ON when the difference rises above onDeltaT.
+ * - It switches OFF when the difference falls below offDeltaT (offDeltaT < onDeltaT gives hysteresis).
+ * - A high-limit shuts the pump off while the top of the tank is at or above tankHighLimit, and
+ *   only allows it to restart once the tank has cooled by highLimitDeadband.
+ *
+ * With variable-speed modulation the pump runs between minSpeed and full speed, rising linearly
+ * with the temperature difference up to fullSpeedDeltaT. Flow scales with speed and electrical
+ * power with speed cubed (pump affinity laws).
+ *
+ * The 'always' mode keeps the pump running at full speed, as the simulation did originally.
+ */
+
+const DEFAULT_CONTROLLER = {
+    pumpControl: 'differential', // 'differential' or 'always'
+    onDeltaT: 8, // K
+    offDeltaT: 2, // K
+    tankHighLimit: 80, // °C
+    highLimitDeadband: 5, // K
+    variableSpeed: false,
+    minSpeed: 0.3, // fraction of full speed
+    fullSpeedDeltaT: 20 // K
+};
+
+const PUMP_CONTROL_MODES = ['differential', 'always'];
+
+/**
+ * Resolves controller parameters.
+ *
+ * @param {Object} params - Controller parameters (see DEFAULT_CONTROLLER).
+ * @returns {Object} The controller description.
+ */
+const createController = (params) => {
+    const controller = { ...DEFAULT_CONTROLLER };
+    for (const key of Object.keys(params)) {
+        if (params[key] !== undefined && params[key] !== null) {
+            controller[key] = params[key];
+        }
+    }
+    if (!PUMP_CONTROL_MODES.includes(controller.pumpControl)) {
+        throw new Error(`Unknown pump control mode "${controller.pumpControl}", expected one of: ${PUMP_CONTROL_MODES.join(', ')}`);
+    }
+    return controller;
+};
+
+/**
+ * Decides the pump state for the next time step.
+ *
+ * @param {Object} controller - Controller description from createController.
+ * @param {Object} state - Current controller state: { pumpOn, speed, highLimitTripped }.
+ * @param {number} collectorOutletTemp - Collector outlet (sensor) temperature in °C.
+ * @param {number} tankBottomTemp - Temperature at the tank's collector outlet in °C.
+ * @param {number} tankTopTemp - Temperature at the top of the tank in °C.
+ * @returns {Object} The new controller state: { pumpOn, speed (0-1), highLimitTripped }.
+ */
+const updateController = (controller, state, collectorOutletTemp, tankBottomTemp, tankTopTemp) => {
+    if (controller.pumpControl === 'always') {
+        return { pumpOn: true, speed: 1, highLimitTripped: false };
+    }
+
+    const { onDeltaT, offDeltaT, tankHighLimit, highLimitDeadband, variableSpeed, minSpeed, fullSpeedDeltaT } = controller;
+    const deltaT = collectorOutletTemp - tankBottomTemp;
+
+    let highLimitTripped = state.highLimitTripped;
+    if (tankTopTemp >= tankHighLimit) {
+        highLimitTripped = true;
+    } else if (tankTopTemp < tankHighLimit - highLimitDeadband) {
+        highLimitTripped = false;
+    }
+
+    let pumpOn = state.pumpOn ? deltaT >= offDeltaT : deltaT > onDeltaT;
+    if (highLimitTripped) {
+        pumpOn = false;
+    }
+
+    let speed = pumpOn ? 1 : 0;
+    if (pumpOn && variableSpeed) {
+        const fraction = (deltaT - offDeltaT) / Math.max(fullSpeedDeltaT - offDeltaT, 1e-9);
+        speed = Math.max(minSpeed, Math.min(1, minSpeed + (1 - minSpeed) * fraction));
+    }
+
+    return { pumpOn, speed, highLimitTripped };
+};
+
+/**
+ * Calculates the pump's electrical power at a given speed.
+ *
+ * @param {number} pumpPower - Full-speed electrical power in Watts.
+ * @param {number} speed - Pump speed as a fraction of full speed (0-1).
+ * @returns {number} Electrical power in Watts.
+ */
+const getPumpPower = (pumpPower, speed) => {
+    return pumpPower * speed ** 3;
+};
+
+module.exports = {
+    DEFAULT_CONTROLLER,
+    PUMP_CONTROL_MODES,
+    createController,
+    updateController,
+    getPumpPower
+};
@@ -0,0 +1,165 @@
+/**
+ * Life-cycle economics of a solar water heating system.
+ *
+ * Savings come from the auxiliary electricity or fuel the system displaces, less the electricity
+ * its pump uses and its maintenance. Prices escalate yearly at their own rates and future cash
+ * flows are discounted at the discount rate:
+ *
+ *   savings_n = displaced_aux * auxPrice (1 + e_aux)^(n-1) - pump * electricityPrice (1 + e_el)^(n-1)
+ *               - maintenance (1 + e_m)^(n-1)
+ *   NPV = -netCost + Σ savings_n / (1 + d)^n
+ *
+ * The levelized cost of heat (LCOH) spreads the net installed cost and the discounted running
+ * costs over the discounted solar heat delivered to the load:
+ *
+ *   LCOH = (netCost + Σ running_n / (1 + d)^n) / Σ heat_n / (1 + d)^n
+ *
+ * Energies are priced per kWh; the currency is whatever the prices and costs are given in.
+ */
+
+const DEFAULT_ECONOMICS = {
+    installedCost: 6000, // collectors, tank, pump, controls and installation
+    incentives: 0, // grants and tax credits deducted from the installed cost
+    electricityPrice: 0.15, // per kWh
+    gasPrice: 0.05, // per kWh of fuel
+    electricityEscalation: 0.03, // per year
+    gasEscalation: 0.03, // per year
+    maintenanceCost: 60, // per year
+    maintenanceEscalation: 0.02, // per year
+    discountRate: 0.05, // per year
+    lifetime: 20 // years
+};
+
+// Request schema of the economic parameters (see schema.js); null takes the default
+const rate = { type: 'number', above: -1, nullable: true };
+const amount = { type: 'number', min: 0, nullable: true };
+const ECONOMICS_FIELDS = {
+    installedCost: amount,
+    incentives: amount,
+    electricityPrice: amount,
+    gasPrice: amount,
+    electricityEscalation: rate,
+    gasEscalation: rate,
+    maintenanceCost: amount,
+    maintenanceEscalation: rate,
+    discountRate: rate,
+    lifetime: { type: 'integer', min: 1, nullable: true }
+};
+
+const J_PER_KWH = 3.6e6;
+
+/**
+ * Resolves economic parameters.
+ *
+ * @param {Object} params - Economic parameters (see DEFAULT_ECONOMICS), limited as in ECONOMICS_FIELDS.
+ * @returns {Object} The economics description.
+ */
+const createEconomics = (params = {}) => {
+    const economics = { ...DEFAULT_ECONOMICS };
+    for (const [key, value] of Object.entries(params)) {
+        const spec = ECONOMICS_FIELDS[key];
+        if (!spec) {
+            throw new Error(`Unknown economic parameter "${key}", expected one of: ${Object.keys(ECONOMICS_FIELDS).join(', ')}`);
+        }
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (!Number.isFinite(value)) {
+            throw new Error(`${key} must be a number`);
+        }
+        if (spec.min !== undefined && value < spec.min) {
+            throw new Error(`${key} must be at least ${spec.min}`);
+        }
+        if (spec.above !== undefined && value <= spec.above) {
+            throw new Error(`${key} must be greater than ${spec.above}`);
+        }
+        economics[key] = value;
+    }
+    if (!Number.isInteger(economics.lifetime)) {
+        throw new Error('lifetime must be a positive whole number of years');
+    }
+    return economics;
+};
+
+/**
+ * Analyses the economics of a system from its annual performance.
+ *
+ * @param {Object} year - Annual totals from annual.summarizeYear: displacedAuxEnergy,
+ *   displacedAuxInputEnergy and pumpEnergy in J.
+ * @param {string} auxType - The auxiliary heater displaced: 'electric' (priced at electricityPrice)
+ *   or 'gas' (priced at gasPrice); 'none' is priced as electric.
+ * @param {Object} params - Economic parameters (see DEFAULT_ECONOMICS).
+ * @returns {Object} An object containing:
+ *   - netCost: Installed cost less incentives.
+ *   - annualSavings: First-year savings.
+ *   - simplePayback: netCost / annualSavings in years, or null if the system saves nothing.
+ *   - discountedPayback: Years until the discounted savings repay netCost, or null if they never do
+ *     within the lifetime.
+ *   - npv: Net present value over the lifetime.
+ *   - lcoh: Levelized cost of heat per kWh, or null if no heat reaches the load.
+ *   - cashFlows: One entry per year: year, auxSavings, pumpCost, maintenanceCost, savings,
+ *     discountedSavings and cumulativeDiscountedSavings (year 0 holds -netCost).
+ */
+const analyzeEconomics = (year, auxType, params = {}) => {
+    const economics = createEconomics(params);
+    const {
+        installedCost, incentives, electricityPrice, gasPrice, electricityEscalation, gasEscalation,
+        maintenanceCost, maintenanceEscalation, discountRate, lifetime
+    } = economics;
+
+    const auxPrice = auxType === 'gas' ? gasPrice : electricityPrice;
+    const auxEscalation = auxType === 'gas' ? gasEscalation : electricityEscalation;
+    const displacedInput = year.displacedAuxInputEnergy / J_PER_KWH;
+    const heat = year.displacedAuxEnergy / J_PER_KWH;
+    const pumpElectricity = year.pumpEnergy / J_PER_KWH;
+    const netCost = installedCost - incentives;
+
+    const cashFlows = [{
+        year: 0, auxSavings: 0, pumpCost: 0, maintenanceCost: 0,
+        savings: -netCost, discountedSavings: -netCost, cumulativeDiscountedSavings: -netCost
+    }];
+    let discountedRunningCost = 0;
+    let discountedHeat = 0;
+    let discountedPayback = null;
+    for (let n = 1; n <= lifetime; n++) {
+        const discount = Math.pow(1 + discountRate, n);
+        const auxSavings = displacedInput * auxPrice * Math.pow(1 + auxEscalation, n - 1);
+        const pumpCost = pumpElectricity * electricityPrice * Math.pow(1 + electricityEscalation, n - 1);
+        const yearMaintenance = maintenanceCost * Math.pow(1 + maintenanceEscalation, n - 1);
+        const savings = auxSavings - pumpCost - yearMaintenance;
+        const previous = cashFlows[n - 1].cumulativeDiscountedSavings;
+        const cumulative = previous + savings / discount;
+
+        if (discountedPayback === null && previous < 0 && cumulative >= 0) {
+            // Interpolate within the year in which the savings catch up
+            discountedPayback = n - 1 + (-previous) / (savings / discount);
+        }
+        discountedRunningCost += (pumpCost + yearMaintenance) / discount;
+        discountedHeat += heat / discount;
+        cashFlows.push({
+            year: n, auxSavings, pumpCost, maintenanceCost: yearMaintenance,
+            savings, discountedSavings: savings / discount, cumulativeDiscountedSavings: cumulative
+        });
+    }
+    if (netCost <= 0) {
+        discountedPayback = 0;
+    }
+
+    const annualSavings = cashFlows[1].savings;
+    return {
+        netCost,
+        annualSavings,
+        simplePayback: annualSavings > 0 ? Math.max(0, netCost) / annualSavings : null,
+        discountedPayback,
+        npv: cashFlows[lifetime].cumulativeDiscountedSavings,
+        lcoh: discountedHeat > 0 ? (netCost + discountedRunningCost) / discountedHeat : null,
+        cashFlows
+    };
+};
+
+module.exports = {
+    DEFAULT_ECONOMICS,
+    ECONOMICS_FIELDS,
+    createEconomics,
+    analyzeEconomics
+};
@@ -0,0 +1,91 @@
+/**
+ * Energy balance of a simulation run.
+ *
+ * The collector is quasi-steady, so the solar energy incident on it splits into optical losses,
+ * thermal losses and the useful gain delivered to the tank:
+ *
+ *   incidentEnergy = opticalLosses + collectorLosses + usefulGain
+ *
+ * The tank stores whatever it receives from the collector, less the supply and return pipe
+ * losses, that is not drawn off by the load or lost to the room. The auxiliary heater sits after
+ * the tank, so the heat drawn from the tank is the heat delivered to the load less the auxiliary
+ * heat:
+ *
+ *   tankEnergyChange = usefulGain - pipeLosses - (loadEnergy - auxEnergy) - tankLosses
+ *
+ * tankEnergyChange is measured from the tank node temperatures at either end of an interval, while
+ * the flows on the right come from the collector, load and heater models, so the residual measures
+ * how well the model conserves energy rather than closing by construction. tankDeliveredEnergy,
+ * the draw at the tank's own outlet, should match loadEnergy - auxEnergy. Pump electrical energy is
+ * reported for reference only; it is not added to the fluid.
+ */
+
+// Largest residual, as a fraction of the energy passing through the tank, for a balance to close
+const BALANCE_TOLERANCE = 1e-3;
+
+const BALANCE_FIELDS = [
+    'incidentEnergy', 'opticalLosses', 'collectorLosses', 'usefulGain', 'pipeLosses', 'loadEnergy',
+    'auxEnergy', 'tankDeliveredEnergy', 'tankLosses', 'tankEnergyChange', 'pumpEnergy'
+];
+
+/**
+ * Calculates the tank balance residual and checks that it closes.
+ *
+ * @param {Object} totals - Energies in J: usefulGain, pipeLosses (default 0), loadEnergy, auxEnergy
+ *   (default 0), tankLosses and tankEnergyChange.
+ * @param {number} tolerance - Largest acceptable relative residual, default BALANCE_TOLERANCE.
+ * @returns {Object} An object containing:
+ *   - residual: usefulGain - pipeLosses - (loadEnergy - auxEnergy) - tankLosses - tankEnergyChange in J.
+ *   - relativeResidual: The residual as a fraction of the energy passing through the tank.
+ *   - closed: Whether the relative residual is within the tolerance.
+ */
+const checkEnergyBalance = (totals, tolerance = BALANCE_TOLERANCE) => {
+    const { usefulGain, pipeLosses = 0, loadEnergy, auxEnergy = 0, tankLosses, tankEnergyChange } = totals;
+    const drawnEnergy = loadEnergy - auxEnergy;
+    const residual = usefulGain - pipeLosses - drawnEnergy - tankLosses - tankEnergyChange;
+
+    // Scale by the flows through the loop and tank; 1 J keeps idle runs from dividing by zero
+    const throughput = Math.max(Math.abs(usefulGain) + Math.abs(pipeLosses) + Math.abs(drawnEnergy) + Math.abs(tankLosses), 1);
+    const relativeResidual = Math.abs(residual) / throughput;
+
+    return { residual, relativeResidual, closed: relativeResidual <= tolerance };
+};
+
+/**
+ * Totals the energy balance over a simulation run.
+ *
+ * @param {Array<Object>} temperatures - Output of simulateTemperature.
+ * @param {number} tolerance - Largest acceptable relative residual, default BALANCE_TOLERANCE.
+ * @returns {Object} An object containing the totals of the BALANCE_FIELDS in J, the run's
+ *   collectorEfficiency (usefulGain / incidentEnergy, or null without sun), the residual,
+ *   relativeResidual and closed flag (see checkEnergyBalance), and warnings listing the
+ *   reporting intervals whose own balance does not close.
+ */
+const summarizeEnergyBalance = (temperatures, tolerance = BALANCE_TOLERANCE) => {
+    const totals = {};
+    for (const field of BALANCE_FIELDS) {
+        totals[field] = temperatures.reduce((sum, record) => sum + record[field], 0);
+    }
+
+    const warnings = [];
+    for (const record of temperatures) {
+        const { residual, closed } = checkEnergyBalance(record, tolerance);
+        if (!closed) {
+            warnings.push(`Energy balance does not close at hour ${record.time}: residual ${residual.toFixed(0)} J`);
+        }
+    }
+
+    return {
+        ...totals,
+        collectorEfficiency: totals.incidentEnergy > 0 ? totals.usefulGain / totals.incidentEnergy : null,
+        ...checkEnergyBalance(totals, tolerance),
+        warnings
+    };
+};
+
+module.exports = {
+    BALANCE_TOLERANCE,
+    BALANCE_FIELDS,
+    checkEnergyBalance,
+    summarizeEnergyBalance
+};
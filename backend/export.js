@@ -0,0 +1,115 @@
+/**
+ * Export of simulation reports as CSV.
+ *
+ * Each report becomes a row. Columns are the report fields, with lists spread over one column per
+ * entry: the per-node tank temperatures become tankNodeTemps.0 (the top node), tankNodeTemps.1, ...
+ * and selecting tankNodeTemps selects all of them. Booleans are written as true / false and missing
+ * values (a null solar fraction, say) as empty cells.
+ */
+
+/**
+ * Flattens a report into its columns.
+ *
+ * @param {Object} report - A report or other record.
+ * @returns {Object} The values keyed by column name.
+ */
+const flattenReport = (report) => {
+    const flat = {};
+    for (const [field, value] of Object.entries(report)) {
+        if (Array.isArray(value)) {
+            value.forEach((item, i) => {
+                flat[`${field}.${i}`] = item;
+            });
+        } else {
+            flat[field] = value;
+        }
+    }
+    return flat;
+};
+
+/**
+ * Lists the columns of a set of reports.
+ *
+ * @param {Array<Object>} reports - Reports from simulateTemperature, or rows of any flat records.
+ * @returns {Array<string>} The column names, in report field order.
+ */
+const getColumns = (reports) => {
+    const columns = new Set();
+    for (const report of reports) {
+        Object.keys(flattenReport(report)).forEach(column => columns.add(column));
+    }
+    return [...columns];
+};
+
+/**
+ * Resolves a column selection against the columns available.
+ *
+ * @param {Array<string>} available - Columns from getColumns.
+ * @param {Array<string>} selected - Requested column names; the name of a list (tankNodeTemps)
+ *   stands for all its columns. All columns when empty or not given.
+ * @returns {Array<string>} The selected columns.
+ */
+const selectColumns = (available, selected) => {
+    if (!selected || selected.length === 0) {
+        return available;
+    }
+    return selected.flatMap(column => {
+        if (available.includes(column)) {
+            return [column];
+        }
+        const expanded = available.filter(name => name.startsWith(`${column}.`));
+        if (expanded.length === 0) {
+            throw new Error(`Unknown column "${column}", expected one of: ${available.join(', ')}`);
+        }
+        return expanded;
+    });
+};
+
+/**
+ * Formats one CSV cell, quoting it when needed.
+ *
+ * @param {*} value - The cell value.
+ * @returns {string} The cell text.
+ */
+const formatCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes reports as CSV.
+ *
+ * @param {Array<Object>} reports - Reports from simulateTemperature, or rows of any flat records.
+ * @param {Array<string>} columns - Column names to write (see selectColumns), default all.
+ * @returns {string} The CSV text: a header line and one line per report, each ending in a newline.
+ */
+const toCSV = (reports, columns) => {
+    const selected = selectColumns(getColumns(reports), columns);
+    const lines = [selected.map(formatCell).join(',')];
+    for (const report of reports) {
+        const flat = flattenReport(report);
+        lines.push(selected.map(column => formatCell(flat[column])).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Selects the rows exported from a /simulate response: its reports, or the monthly summary of an
+ * annual run without hourly reports.
+ *
+ * @param {Object} response - Output of simulation.runSimulation.
+ * @returns {Array<Object>} The rows.
+ */
+const getExportRows = (response) => {
+    return response.temperatures.length === 0 && response.monthlySummary ? response.monthlySummary : response.temperatures;
+};
+
+module.exports = {
+    getColumns,
+    selectColumns,
+    toCSV,
+    getExportRows
+};
@@ -0,0 +1,152 @@
+/**
+ * Heat transfer fluid library.
+ *
+ * Properties of water and aqueous glycol mixtures (concentrations by mass) are tabulated against
+ * temperature, after ASHRAE Handbook - Fundamentals (ch. 31). Density and specific heat are
+ * interpolated linearly and viscosity logarithmically between table points; temperatures outside
+ * a table are clamped to its ends. Each fluid also carries its freezing point, below which the
+ * collector loop is at risk.
+ */
+
+const FLUIDS = {
+    water: {
+        name: 'Water',
+        freezePoint: 0, // °C
+        temps: [0, 20, 40, 60, 80, 100], // °C
+        density: [999.8, 998.2, 992.2, 983.2, 971.8, 958.4], // kg/m³
+        specificHeat: [4217, 4182, 4179, 4185, 4197, 4216], // J/(kg·K)
+        viscosity: [1.792e-3, 1.002e-3, 0.653e-3, 0.467e-3, 0.355e-3, 0.282e-3] // Pa·s
+    },
+    propyleneGlycol25: {
+        name: 'Propylene glycol 25%',
+        freezePoint: -10,
+        temps: [-10, 0, 20, 40, 60, 80, 100],
+        density: [1027, 1025, 1021, 1012, 1002, 990, 977],
+        specificHeat: [3870, 3890, 3930, 3970, 4010, 4050, 4090],
+        viscosity: [7.0e-3, 4.2e-3, 2.2e-3, 1.3e-3, 0.85e-3, 0.6e-3, 0.45e-3]
+    },
+    propyleneGlycol40: {
+        name: 'Propylene glycol 40%',
+        freezePoint: -21,
+        temps: [-20, 0, 20, 40, 60, 80, 100],
+        density: [1055, 1048, 1038, 1027, 1015, 1002, 988],
+        specificHeat: [3580, 3620, 3680, 3740, 3800, 3860, 3920],
+        viscosity: [40e-3, 12e-3, 5.0e-3, 2.5e-3, 1.5e-3, 1.0e-3, 0.7e-3]
+    },
+    propyleneGlycol50: {
+        name: 'Propylene glycol 50%',
+        freezePoint: -33,
+        temps: [-30, -20, 0, 20, 40, 60, 80, 100],
+        density: [1068, 1064, 1057, 1045, 1032, 1018, 1003, 987],
+        specificHeat: [3330, 3360, 3420, 3480, 3540, 3600, 3660, 3720],
+        viscosity: [180e-3, 70e-3, 18e-3, 7.0e-3, 3.2e-3, 1.8e-3, 1.1e-3, 0.75e-3]
+    },
+    ethyleneGlycol25: {
+        name: 'Ethylene glycol 25%',
+        freezePoint: -11,
+        temps: [-10, 0, 20, 40, 60, 80, 100],
+        density: [1042, 1039, 1033, 1024, 1013, 1001, 988],
+        specificHeat: [3630, 3650, 3690, 3730, 3770, 3810, 3850],
+        viscosity: [4.2e-3, 3.0e-3, 1.8e-3, 1.1e-3, 0.75e-3, 0.55e-3, 0.42e-3]
+    },
+    ethyleneGlycol40: {
+        name: 'Ethylene glycol 40%',
+        freezePoint: -24,
+        temps: [-20, -10, 0, 20, 40, 60, 80, 100],
+        density: [1066, 1064, 1061, 1053, 1043, 1031, 1018, 1004],
+        specificHeat: [3320, 3340, 3360, 3410, 3460, 3510, 3560, 3610],
+        viscosity: [14e-3, 8.5e-3, 5.5e-3, 2.9e-3, 1.7e-3, 1.1e-3, 0.8e-3, 0.6e-3]
+    },
+    ethyleneGlycol50: {
+        name: 'Ethylene glycol 50%',
+        freezePoint: -36,
+        temps: [-30, -20, -10, 0, 20, 40, 60, 80, 100],
+        density: [1084, 1081, 1078, 1075, 1066, 1055, 1043, 1029, 1015],
+        specificHeat: [3120, 3140, 3160, 3180, 3230, 3280, 3330, 3380, 3430],
+        viscosity: [45e-3, 21e-3, 12e-3, 7.5e-3, 3.8e-3, 2.2e-3, 1.4e-3, 0.95e-3, 0.7e-3]
+    }
+};
+
+const DEFAULT_FLUID = 'water';
+
+/**
+ * Looks up a fluid by name.
+ *
+ * @param {string} name - A key of FLUIDS.
+ * @returns {Object} The fluid definition.
+ */
+const getFluid = (name) => {
+    const fluid = FLUIDS[name];
+    if (!fluid) {
+        throw new Error(`Unknown fluid "${name}", expected one of: ${Object.keys(FLUIDS).join(', ')}`);
+    }
+    return fluid;
+};
+
+/**
+ * Interpolates a property table at a temperature, clamping to the ends of the table.
+ *
+ * @param {Array<number>} temps - Table temperatures in °C, ascending.
+ * @param {Array<number>} values - Property values at those temperatures.
+ * @param {number} temp - Temperature in °C.
+ * @param {boolean} logarithmic - Interpolate the logarithm of the property.
+ * @returns {number} The interpolated property value.
+ */
+const interpolate = (temps, values, temp, logarithmic) => {
+    if (temp <= temps[0]) {
+        return values[0];
+    }
+    const last = temps.length - 1;
+    if (temp >= temps[last]) {
+        return values[last];
+    }
+
+    let i = 0;
+    while (temps[i + 1] < temp) {
+        i++;
+    }
+    const fraction = (temp - temps[i]) / (temps[i + 1] - temps[i]);
+    if (logarithmic) {
+        return values[i] * Math.pow(values[i + 1] / values[i], fraction);
+    }
+    return values[i] + (values[i + 1] - values[i]) * fraction;
+};
+
+/**
+ * Calculates the properties of a fluid at a given temperature.
+ *
+ * @param {Object} fluid - Fluid definition from getFluid.
+ * @param {number} temp - Temperature in °C.
+ * @returns {Object} An object containing:
+ *   - density: Density in kg/m³.
+ *   - specificHeat: Specific heat in J/(kg·K).
+ *   - viscosity: Dynamic viscosity in Pa·s.
+ */
+const getFluidProperties = (fluid, temp) => {
+    return {
+        density: interpolate(fluid.temps, fluid.density, temp, false),
+        specificHeat: interpolate(fluid.temps, fluid.specificHeat, temp, false),
+        viscosity: interpolate(fluid.temps, fluid.viscosity, temp, true)
+    };
+};
+
+/**
+ * Lists the reporting intervals in which the collector loop fell below the fluid's freezing point.
+ *
+ * @param {Array<Object>} temperatures - Output of simulateTemperature.
+ * @param {Object} fluid - Fluid definition from getFluid.
+ * @returns {Array<string>} One warning per affected reporting interval.
+ */
+const getFreezeWarnings = (temperatures, fluid) => {
+    return temperatures
+        .filter(record => record.freezeWarning)
+        .map(record => `${fluid.name} in the collector loop fell to ${record.minCollectorTemp.toFixed(1)} °C at hour ${record.time}, below its freezing point of ${fluid.freezePoint} °C`);
+};
+
+module.exports = {
+    FLUIDS,
+    DEFAULT_FLUID,
+    getFluid,
+    getFluidProperties,
+    getFreezeWarnings
+};
@@ -0,0 +1,175 @@
+/**
+ * Numerical integrators for the collector/tank ODE system.
+ *
+ * All integrators advance a state vector y (array of numbers) governed by dy/dt = derivative(t, y)
+ * from t to t + dt, with t in seconds.
+ *
+ * - 'euler': explicit (forward) Euler, one derivative evaluation per step. Cheap, but only
+ *   stable when dt is small compared with the system's shortest time constant.
+ * - 'rk4': classical fourth-order Runge-Kutta.
+ * - 'rk45': adaptive Dormand-Prince 5(4) that subdivides dt until the local error estimate
+ *   is below the requested tolerance.
+ */
+
+// Dormand-Prince 5(4) Butcher tableau
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+const DEFAULT_TOLERANCE = 1e-3; // K
+const MAX_ADAPTIVE_SUBSTEPS = 10000;
+
+/**
+ * Returns y + sum(weights[i] * k[i]) * h.
+ *
+ * @param {Array<number>} y - Base state.
+ * @param {Array<Array<number>>} k - Stage derivatives.
+ * @param {Array<number>} weights - Stage weights.
+ * @param {number} h - Step size in seconds.
+ * @returns {Array<number>} Combined state.
+ */
+const combine = (y, k, weights, h) => {
+    return y.map((value, i) => {
+        let sum = 0;
+        for (let j = 0; j < weights.length; j++) {
+            if (weights[j] !== 0) {
+                sum += weights[j] * k[j][i];
+            }
+        }
+        return value + h * sum;
+    });
+};
+
+/**
+ * Advances the state by one explicit Euler step.
+ *
+ * @param {Function} derivative - dy/dt = derivative(t, y).
+ * @param {number} t - Current time in seconds.
+ * @param {Array<number>} y - Current state.
+ * @param {number} h - Step size in seconds.
+ * @returns {Array<number>} State at t + h.
+ */
+const eulerStep = (derivative, t, y, h) => {
+    return combine(y, [derivative(t, y)], [1], h);
+};
+
+/**
+ * Advances the state by one classical fourth-order Runge-Kutta step.
+ *
+ * @param {Function} derivative - dy/dt = derivative(t, y).
+ * @param {number} t - Current time in seconds.
+ * @param {Array<number>} y - Current state.
+ * @param {number} h - Step size in seconds.
+ * @returns {Array<number>} State at t + h.
+ */
+const rk4Step = (derivative, t, y, h) => {
+    const k1 = derivative(t, y);
+    const k2 = derivative(t + h / 2, combine(y, [k1], [1 / 2], h));
+    const k3 = derivative(t + h / 2, combine(y, [k2], [1 / 2], h));
+    const k4 = derivative(t + h, combine(y, [k3], [1], h));
+    return combine(y, [k1, k2, k3, k4], [1 / 6, 1 / 3, 1 / 3, 1 / 6], h);
+};
+
+/**
+ * Attempts one Dormand-Prince step and estimates its local error.
+ *
+ * @param {Function} derivative - dy/dt = derivative(t, y).
+ * @param {number} t - Current time in seconds.
+ * @param {Array<number>} y - Current state.
+ * @param {number} h - Step size in seconds.
+ * @param {number} errorComponents - Number of leading state components included in the error.
+ * @returns {Object} An object containing:
+ *   - y: Fifth-order solution at t + h.
+ *   - error: Maximum absolute difference between the fifth- and fourth-order solutions.
+ */
+const dormandPrinceStep = (derivative, t, y, h, errorComponents) => {
+    const k = [];
+    for (let stage = 0; stage < DP_C.length; stage++) {
+        k.push(derivative(t + DP_C[stage] * h, combine(y, k, DP_A[stage], h)));
+    }
+    const y5 = combine(y, k, DP_B5, h);
+    const y4 = combine(y, k, DP_B4, h);
+    const error = Math.max(...y5.slice(0, errorComponents).map((value, i) => Math.abs(value - y4[i])));
+    return { y: y5, error };
+};
+
+/**
+ * Advances the state over dt with the adaptive Dormand-Prince method, subdividing the
+ * interval as needed to keep the local error below the tolerance.
+ *
+ * @param {Function} derivative - dy/dt = derivative(t, y).
+ * @param {number} t - Current time in seconds.
+ * @param {Array<number>} y - Current state.
+ * @param {number} dt - Interval to advance in seconds.
+ * @param {Object} options - Options:
+ *   - tolerance: Maximum local error per substep (state units, e.g. K).
+ *   - errorComponents: Number of leading state components used for error control, default all.
+ *     Trailing components (such as accumulated energies) are integrated but not error-controlled.
+ * @returns {Array<number>} State at t + dt.
+ */
+const adaptiveStep = (derivative, t, y, dt, options = {}) => {
+    const tolerance = options.tolerance || DEFAULT_TOLERANCE;
+    const errorComponents = options.errorComponents || y.length;
+    const end = t + dt;
+    let h = dt;
+    let substeps = 0;
+
+    while (t < end) {
+        h = Math.min(h, end - t);
+        const attempt = dormandPrinceStep(derivative, t, y, h, errorComponents);
+
+        if (attempt.error <= tolerance || substeps >= MAX_ADAPTIVE_SUBSTEPS) {
+            t += h;
+            y = attempt.y;
+        }
+        substeps++;
+
+        // Standard step-size controller with safety factor and growth limits
+        const scale = attempt.error === 0 ? 5 : 0.9 * Math.pow(tolerance / attempt.error, 1 / 5);
+        h *= Math.min(5, Math.max(0.2, scale));
+    }
+
+    return y;
+};
+
+const INTEGRATORS = {
+    euler: eulerStep,
+    rk4: rk4Step,
+    rk45: adaptiveStep
+};
+
+/**
+ * Advances the state over dt using the named integration method.
+ *
+ * @param {string} method - One of 'euler', 'rk4' or 'rk45'.
+ * @param {Function} derivative - dy/dt = derivative(t, y).
+ * @param {number} t - Current time in seconds.
+ * @param {Array<number>} y - Current state.
+ * @param {number} dt - Interval to advance in seconds.
+ * @param {Object} options - Integrator options; `tolerance` and `errorComponents` are used by 'rk45'.
+ * @returns {Array<number>} State at t + dt.
+ */
+const integrate = (method, derivative, t, y, dt, options = {}) => {
+    const step = INTEGRATORS[method];
+    if (!step) {
+        throw new Error(`Unknown integrator "${method}", expected one of: ${Object.keys(INTEGRATORS).join(', ')}`);
+    }
+    return step(derivative, t, y, dt, options);
+};
+
+module.exports = {
+    INTEGRATORS,
+    eulerStep,
+    rk4Step,
+    adaptiveStep,
+    integrate
+};
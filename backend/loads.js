@@ -0,0 +1,207 @@
+/**
+ * Hot-water loads and auxiliary (backup) heating.
+ *
+ * Water is drawn from the tank at the load outlet height and replaced by cold mains water at the
+ * load inlet height. An in-line auxiliary heater on the delivery line tops the water up to the
+ * setpoint; when the tank is hotter than the setpoint, a tempering valve blends in mains water
+ * so that less hot water is drawn from the tank.
+ *
+ * Draws are described either by a built-in preset (fractions of the daily volume for each clock
+ * hour) or by a user-supplied array of volumes in litres, one per `loadInterval` seconds from the
+ * start of the simulation, repeating once the array is exhausted.
+ *
+ * The demand is the heat needed to deliver every draw at the auxiliary setpoint. The solar
+ * fraction is the share of it met from the tank, whether or not an auxiliary heater makes up the
+ * rest: water delivered below the setpoint counts only for what it did deliver.
+ */
+
+const WATER_DENSITY = 1000; // kg/m³
+
+// Hourly fractions of the daily draw volume, starting at midnight
+const LOAD_PROFILES = {
+    residential: [
+        0.006, 0.003, 0.001, 0.001, 0.003, 0.016, 0.054, 0.093, 0.089, 0.074, 0.061, 0.050,
+        0.042, 0.036, 0.031, 0.030, 0.036, 0.047, 0.058, 0.061, 0.056, 0.051, 0.038, 0.022
+    ],
+    morningPeak: [
+        0, 0, 0, 0, 0, 0.05, 0.20, 0.25, 0.15, 0.05, 0.03, 0.03,
+        0.03, 0.02, 0.02, 0.02, 0.02, 0.03, 0.03, 0.03, 0.02, 0.01, 0.01, 0
+    ],
+    eveningPeak: [
+        0, 0, 0, 0, 0, 0.01, 0.04, 0.06, 0.04, 0.02, 0.02, 0.02,
+        0.03, 0.02, 0.02, 0.02, 0.04, 0.08, 0.14, 0.16, 0.14, 0.08, 0.04, 0.02
+    ],
+    flat: new Array(24).fill(1 / 24)
+};
+
+const AUX_EFFICIENCY = {
+    electric: 1.0,
+    gas: 0.8
+};
+
+const DEFAULT_LOAD = {
+    loadProfile: null,
+    dailyLoadVolume: 200, // L/day, used with preset profiles
+    loadInterval: 3600, // s per entry of a user-supplied profile
+    mainsTemp: 10, // °C
+    auxType: 'none', // 'none', 'electric' or 'gas'
+    auxSetpoint: 50, // °C delivery temperature
+    auxCapacity: 4500 // W thermal output
+};
+
+/**
+ * Resolves load and auxiliary heater parameters.
+ *
+ * @param {Object} params - Load parameters (see DEFAULT_LOAD) plus an optional auxEfficiency (0-1),
+ *   which defaults by heater type.
+ * @returns {Object} The load description; preset profiles are resolved to normalized hourly fractions.
+ */
+const createLoad = (params) => {
+    const load = { ...DEFAULT_LOAD };
+    for (const key of Object.keys(params)) {
+        if (params[key] !== undefined && params[key] !== null) {
+            load[key] = params[key];
+        }
+    }
+
+    if (typeof load.loadProfile === 'string') {
+        const fractions = LOAD_PROFILES[load.loadProfile];
+        if (!fractions) {
+            throw new Error(`Unknown load profile "${load.loadProfile}", expected one of: ${Object.keys(LOAD_PROFILES).join(', ')}`);
+        }
+        const total = fractions.reduce((sum, value) => sum + value, 0);
+        load.hourlyFractions = fractions.map(value => value / total);
+    }
+    load.auxEfficiency = load.auxEfficiency || AUX_EFFICIENCY[load.auxType] || 1;
+
+    return load;
+};
+
+/**
+ * Calculates the hot-water draw at a point in the simulation.
+ *
+ * @param {Object} load - Load description from createLoad.
+ * @param {number} time - Seconds since the simulation's starting hour.
+ * @param {number} clockHour - Local clock hour (0-24).
+ * @returns {number} The draw mass flow rate in kg/s.
+ */
+const getDrawFlowRate = (load, time, clockHour) => {
+    const { loadProfile, hourlyFractions, dailyLoadVolume, loadInterval } = load;
+    if (!loadProfile) {
+        return 0;
+    }
+
+    if (Array.isArray(loadProfile)) {
+        const litres = loadProfile[Math.floor(time / loadInterval) % loadProfile.length] || 0;
+        return litres / 1000 * WATER_DENSITY / loadInterval;
+    }
+
+    return hourlyFractions[Math.floor(clockHour) % 24] * dailyLoadVolume / 1000 * WATER_DENSITY / 3600;
+};
+
+/**
+ * Calculates the tank draw, delivery temperature and auxiliary heating for a hot-water draw.
+ *
+ * @param {number} drawFlowRate - Requested hot-water flow at the tap in kg/s.
+ * @param {number} tankOutletTemp - Temperature of the water leaving the tank in °C.
+ * @param {Object} load - Load description from createLoad.
+ * @param {number} specificHeat - Specific heat of water in J/(kg·K).
+ * @returns {Object} An object containing:
+ *   - tankFlowRate: Flow drawn from the tank (and replaced by mains water) in kg/s.
+ *   - deliveredTemp: Temperature delivered to the tap in °C.
+ *   - loadPower: Heat delivered to the load above mains temperature in W.
+ *   - demandPower: Heat needed to deliver the draw at the setpoint in W.
+ *   - auxPower: Auxiliary heater thermal output in W.
+ *   - auxInputPower: Auxiliary heater electricity or fuel input in W.
+ */
+const calculateLoad = (drawFlowRate, tankOutletTemp, load, specificHeat) => {
+    const { mainsTemp, auxType, auxSetpoint, auxCapacity, auxEfficiency } = load;
+
+    if (!(drawFlowRate > 0)) {
+        return { tankFlowRate: 0, deliveredTemp: tankOutletTemp, loadPower: 0, demandPower: 0, auxPower: 0, auxInputPower: 0 };
+    }
+
+    let tankFlowRate = drawFlowRate;
+    let deliveredTemp = tankOutletTemp;
+    let auxPower = 0;
+
+    if (tankOutletTemp > auxSetpoint && auxSetpoint > mainsTemp) {
+        // Tempering valve: blend mains water into the hot draw to deliver at the setpoint
+        tankFlowRate = drawFlowRate * (auxSetpoint - mainsTemp) / (tankOutletTemp - mainsTemp);
+        deliveredTemp = auxSetpoint;
+    } else if (auxType !== 'none' && tankOutletTemp < auxSetpoint) {
+        const demand = drawFlowRate * specificHeat * (auxSetpoint - tankOutletTemp);
+        auxPower = Math.min(demand, auxCapacity);
+        deliveredTemp = tankOutletTemp + auxPower / (drawFlowRate * specificHeat);
+    }
+
+    return {
+        tankFlowRate,
+        deliveredTemp,
+        loadPower: drawFlowRate * specificHeat * (deliveredTemp - mainsTemp),
+        demandPower: drawFlowRate * specificHeat * Math.max(0, auxSetpoint - mainsTemp),
+        auxPower,
+        auxInputPower: auxPower / auxEfficiency
+    };
+};
+
+/**
+ * Calculates the solar heat delivered to the load: the load less the auxiliary heat, counted up to
+ * the demand.
+ *
+ * @param {Object} totals - loadEnergy, demandEnergy and auxEnergy over a period in J.
+ * @returns {number} The solar heat in J.
+ */
+const getSolarHeat = ({ loadEnergy, demandEnergy, auxEnergy }) => {
+    return Math.max(0, Math.min(loadEnergy, demandEnergy) - auxEnergy);
+};
+
+/**
+ * Calculates the solar fraction: the share of the demand met by solar heat.
+ *
+ * @param {Object} totals - loadEnergy, auxEnergy and demandEnergy over a period (see getSolarHeat).
+ * @returns {number|null} The solar fraction, or null without demand.
+ */
+const getSolarFraction = (totals) => {
+    return totals.demandEnergy > 0 ? getSolarHeat(totals) / totals.demandEnergy : null;
+};
+
+/**
+ * Groups simulation output by day and totals the load and auxiliary energy.
+ *
+ * @param {Array<Object>} temperatures - Output of simulateTemperature.
+ * @returns {Array<Object>} One entry per day with dayOfYear, drawVolume (m³), loadEnergy,
+ *   demandEnergy, auxEnergy and auxInputEnergy (J), and solarFraction (see getSolarFraction, null
+ *   on days without demand).
+ */
+const summarizeDays = (temperatures) => {
+    const days = [];
+    for (const record of temperatures) {
+        let day = days[days.length - 1];
+        if (!day || day.dayOfYear !== record.dayOfYear) {
+            day = { dayOfYear: record.dayOfYear, drawVolume: 0, loadEnergy: 0, demandEnergy: 0, auxEnergy: 0, auxInputEnergy: 0 };
+            days.push(day);
+        }
+        day.drawVolume += record.drawVolume;
+        day.loadEnergy += record.loadEnergy;
+        day.demandEnergy += record.demandEnergy;
+        day.auxEnergy += record.auxEnergy;
+        day.auxInputEnergy += record.auxInputEnergy;
+    }
+
+    return days.map(day => ({
+        ...day,
+        solarFraction: getSolarFraction(day)
+    }));
+};
+
+module.exports = {
+    LOAD_PROFILES,
+    DEFAULT_LOAD,
+    createLoad,
+    getDrawFlowRate,
+    calculateLoad,
+    getSolarHeat,
+    getSolarFraction,
+    summarizeDays
+};
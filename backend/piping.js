@@ -0,0 +1,252 @@
+/**
+ * Collector loop hydraulics and piping.
+ *
+ * Flow: when a pump head-flow curve is given, the loop flow is the operating point where the
+ * pump head (scaled with speed by the affinity laws) equals the static head plus the friction
+ * head of the supply and return pipes and fittings (Darcy-Weisbach, with the friction factor
+ * from the fluid's viscosity).
+ *
+ * Heat: the supply pipe (tank or heat exchanger to collector) and return pipe (collector back)
+ * lose heat to their surroundings through their insulation. Every element of the loop maps its
+ * inlet temperature linearly to its outlet temperature, so the loop is solved exactly by
+ * composing those maps; with a heat exchanger the loop is closed and its collector inlet
+ * temperature is the fixed point of the composed map.
+ */
+
+const GRAVITY = 9.81; // m/s²
+const OUTER_FILM_COEFFICIENT = 10; // W/(m²·K), combined convection and radiation outside the pipe
+
+const DEFAULT_PIPING = {
+    pumpCurve: null, // [{ flow (L/min), head (m) }], ascending flow
+    staticHead: 0, // m, lift not recovered around the loop (0 for a closed loop)
+    supplyPipeLength: 0, // m
+    returnPipeLength: 0, // m
+    pipeDiameter: 0.015, // m, inner diameter
+    pipeRoughness: 1.5e-6, // m, drawn copper
+    fittingsK: 0, // sum of minor loss coefficients (elbow ~0.5, tee ~1.8, valve ~0.2)
+    insulationThickness: 0.013, // m
+    insulationConductivity: 0.04, // W/(m·K)
+    pipeAmbientTemp: null // °C, outdoor ambient when null
+};
+
+/**
+ * Resolves piping parameters and derives the pipe heat loss coefficients.
+ *
+ * @param {Object} params - Piping parameters (see DEFAULT_PIPING).
+ * @returns {Object} The piping description with lossCoefficient (W/(m·K) of pipe), supplyUA and
+ *   returnUA (W/K) added.
+ */
+const createPiping = (params) => {
+    const piping = { ...DEFAULT_PIPING };
+    for (const key of Object.keys(params)) {
+        if (params[key] !== undefined && params[key] !== null) {
+            piping[key] = params[key];
+        }
+    }
+
+    // Conduction through the insulation in series with the outer film
+    const { pipeDiameter, insulationThickness, insulationConductivity } = piping;
+    const outerDiameter = pipeDiameter + 2 * insulationThickness;
+    const insulationResistance = insulationThickness > 0
+        ? Math.log(outerDiameter / pipeDiameter) / (2 * Math.PI * insulationConductivity)
+        : 0;
+    const lossCoefficient = 1 / (insulationResistance + 1 / (OUTER_FILM_COEFFICIENT * Math.PI * outerDiameter));
+
+    return {
+        ...piping,
+        lossCoefficient,
+        supplyUA: lossCoefficient * piping.supplyPipeLength,
+        returnUA: lossCoefficient * piping.returnPipeLength
+    };
+};
+
+/**
+ * Calculates the Darcy friction factor: 64/Re for laminar flow, Swamee-Jain for turbulent flow
+ * and a linear blend between the two in the transition region.
+ *
+ * @param {number} reynolds - Reynolds number.
+ * @param {number} relativeRoughness - Pipe roughness divided by diameter.
+ * @returns {number} The Darcy friction factor.
+ */
+const getFrictionFactor = (reynolds, relativeRoughness) => {
+    const laminar = (re) => 64 / re;
+    const turbulent = (re) => 0.25 / Math.log10(relativeRoughness / 3.7 + 5.74 / Math.pow(re, 0.9)) ** 2;
+
+    if (reynolds < 2300) {
+        return laminar(reynolds);
+    }
+    if (reynolds > 4000) {
+        return turbulent(reynolds);
+    }
+    const fraction = (reynolds - 2300) / 1700;
+    return laminar(2300) + (turbulent(4000) - laminar(2300)) * fraction;
+};
+
+/**
+ * Calculates the friction head of the supply and return pipes and fittings.
+ *
+ * @param {number} flowRate - Volumetric flow rate in m³/s.
+ * @param {Object} fluid - Fluid properties (density in kg/m³, viscosity in Pa·s).
+ * @param {Object} piping - Piping description from createPiping.
+ * @returns {number} The friction head in m.
+ */
+const getPipeHeadLoss = (flowRate, fluid, piping) => {
+    if (!(flowRate > 0)) {
+        return 0;
+    }
+    const { pipeDiameter, pipeRoughness, supplyPipeLength, returnPipeLength, fittingsK } = piping;
+    const velocity = flowRate / (Math.PI * pipeDiameter ** 2 / 4);
+    const reynolds = fluid.density * velocity * pipeDiameter / fluid.viscosity;
+    const friction = getFrictionFactor(reynolds, pipeRoughness / pipeDiameter);
+    const length = supplyPipeLength + returnPipeLength;
+    return (friction * length / pipeDiameter + fittingsK) * velocity ** 2 / (2 * GRAVITY);
+};
+
+/**
+ * Calculates the pump head at a flow rate from its full-speed curve, scaled by the affinity laws.
+ *
+ * @param {Array<Object>} pumpCurve - Full-speed curve points { flow (L/min), head (m) }, ascending flow.
+ * @param {number} flowRate - Volumetric flow rate in m³/s.
+ * @param {number} speed - Pump speed as a fraction of full speed (0-1).
+ * @returns {number} The pump head in m, never negative.
+ */
+const getPumpHead = (pumpCurve, flowRate, speed) => {
+    if (!(speed > 0)) {
+        return 0;
+    }
+    // Affinity laws: the curve's flows scale with speed and its heads with speed squared
+    const flow = flowRate * 60000 / speed;
+    let i = 0;
+    while (i < pumpCurve.length - 2 && pumpCurve[i + 1].flow < flow) {
+        i++;
+    }
+    const lower = pumpCurve[i];
+    const upper = pumpCurve[Math.min(i + 1, pumpCurve.length - 1)];
+    const head = upper.flow === lower.flow
+        ? lower.head
+        : lower.head + (upper.head - lower.head) * (flow - lower.flow) / (upper.flow - lower.flow);
+    return Math.max(0, head) * speed ** 2;
+};
+
+/**
+ * Solves for the loop operating point, where the pump head equals the static head plus friction.
+ *
+ * @param {Object} piping - Piping description from createPiping, including its pumpCurve.
+ * @param {number} speed - Pump speed as a fraction of full speed (0-1).
+ * @param {Object} fluid - Fluid properties (density in kg/m³, viscosity in Pa·s).
+ * @returns {Object} An object containing:
+ *   - flowRate: The volumetric flow rate in m³/s (0 if the pump cannot overcome the static head).
+ *   - head: The pump head at the operating point in m.
+ *   - hydraulicPower: The power delivered to the fluid in W.
+ */
+const solveOperatingPoint = (piping, speed, fluid) => {
+    const { pumpCurve, staticHead } = piping;
+    const excessHead = (flowRate) => getPumpHead(pumpCurve, flowRate, speed) - staticHead - getPipeHeadLoss(flowRate, fluid, piping);
+
+    if (excessHead(0) <= 0) {
+        return { flowRate: 0, head: 0, hydraulicPower: 0 };
+    }
+
+    // Bracket the operating point by the flow at which the pump head falls to zero
+    const last = pumpCurve[pumpCurve.length - 1];
+    const previous = pumpCurve[Math.max(0, pumpCurve.length - 2)];
+    const runout = last.head > 0 && previous.head > last.head
+        ? last.flow + last.head * (last.flow - previous.flow) / (previous.head - last.head)
+        : last.flow;
+    let low = 0;
+    let high = runout * speed / 60000;
+
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (excessHead(mid) > 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    const flowRate = (low + high) / 2;
+    const head = getPumpHead(pumpCurve, flowRate, speed);
+    return { flowRate, head, hydraulicPower: fluid.density * GRAVITY * flowRate * head };
+};
+
+/**
+ * Solves the temperatures around the collector loop for a flowing fluid.
+ *
+ * @param {Object} loop - An object containing:
+ *   - tankOutletTemp: Temperature of the tank water feeding the loop in °C.
+ *   - capacityRate: Collector loop m_dot * c_p in W/K.
+ *   - collectorMaps: The collectors in flow order, each mapping its inlet temperature to its outlet
+ *     temperature as { a, b } with T_out = a * T_in + b (parallel rows share one chain).
+ *   - piping: Piping description from createPiping, with pipeAmbientTemp resolved.
+ *   - effectiveness, tankCapacityRate: Heat exchanger effectiveness and tank side m_dot * c_p (W/K),
+ *     or effectiveness 0 when the tank water flows through the collector directly.
+ * @returns {Object} An object containing:
+ *   - collectorInletTemp, collectorOutletTemp: Collector array temperatures in °C.
+ *   - seriesTemps: The inlet temperature of each collector in the chain followed by the array outlet in °C.
+ *   - usefulGain: Heat gained in the collectors in W.
+ *   - pipeLosses: Heat lost from the supply and return pipes in W.
+ *   - tankHeat: Heat delivered to the tank in W.
+ *   - minTemp: The coldest temperature in the loop in °C.
+ */
+const solveLoopTemperatures = (loop) => {
+    const { tankOutletTemp, capacityRate, collectorMaps, piping, effectiveness, tankCapacityRate } = loop;
+
+    // Each element maps its inlet temperature to its outlet temperature as a * T_in + b
+    const pipe = (UA) => {
+        const retained = Math.exp(-UA / capacityRate);
+        return { a: retained, b: piping.pipeAmbientTemp * (1 - retained) };
+    };
+    const apply = ({ a, b }, temp) => a * temp + b;
+    const compose = (elements) => elements.reduce((map, element) => ({
+        a: element.a * map.a,
+        b: element.a * map.b + element.b
+    }), { a: 1, b: 0 });
+    const collector = compose(collectorMaps);
+    const supply = pipe(piping.supplyUA);
+    const ret = pipe(piping.returnUA);
+
+    let collectorInletTemp, supplyInletTemp, tankHeat;
+    if (effectiveness > 0) {
+        // Closed loop: collectors, return pipe, exchanger hot side and supply pipe back to the collectors
+        const exchange = effectiveness * Math.min(capacityRate, tankCapacityRate) / capacityRate;
+        const exchanger = { a: 1 - exchange, b: exchange * tankOutletTemp };
+        const loopMap = compose([collector, ret, exchanger, supply]);
+        collectorInletTemp = loopMap.b / (1 - loopMap.a);
+        const exchangerInletTemp = apply(ret, apply(collector, collectorInletTemp));
+        supplyInletTemp = apply(exchanger, exchangerInletTemp);
+        tankHeat = capacityRate * (exchangerInletTemp - supplyInletTemp);
+    } else {
+        supplyInletTemp = tankOutletTemp;
+        collectorInletTemp = apply(supply, tankOutletTemp);
+        tankHeat = capacityRate * (apply(ret, apply(collector, collectorInletTemp)) - tankOutletTemp);
+    }
+
+    const seriesTemps = [collectorInletTemp];
+    for (const map of collectorMaps) {
+        seriesTemps.push(apply(map, seriesTemps[seriesTemps.length - 1]));
+    }
+    const collectorOutletTemp = seriesTemps[seriesTemps.length - 1];
+    const returnOutletTemp = apply(ret, collectorOutletTemp);
+    const pipeLosses = capacityRate * (supplyInletTemp - collectorInletTemp + collectorOutletTemp - returnOutletTemp);
+
+    return {
+        collectorInletTemp,
+        collectorOutletTemp,
+        seriesTemps,
+        usefulGain: capacityRate * (collectorOutletTemp - collectorInletTemp),
+        pipeLosses,
+        tankHeat,
+        minTemp: Math.min(supplyInletTemp, returnOutletTemp, ...seriesTemps)
+    };
+};
+
+module.exports = {
+    DEFAULT_PIPING,
+    createPiping,
+    getFrictionFactor,
+    getPipeHeadLoss,
+    getPumpHead,
+    solveOperatingPoint,
+    solveLoopTemperatures
+};
@@ -0,0 +1,163 @@
+const { DEFAULT_UNIT_SYSTEM } = require('./units');
+const { getSolarFraction } = require('./loads');
+
+/**
+ * Simulation run history: run summaries and side-by-side comparison.
+ *
+ * A stored run keeps the request that produced it (inputs) and the /simulate response (results).
+ * Runs are compared by aligning their reports on the simulation hour; a run without a report at
+ * some hour (a shorter run, or one with a different reporting interval) shows null there.
+ * Differences are taken against the first run, the baseline. Only runs reported in the same unit
+ * system can be compared.
+ *
+ * Annual runs keep their hourly reports only when asked to (includeHourly), so their totals are
+ * taken from the stored annual summary, and runs that all have monthly summaries are also compared
+ * month by month.
+ */
+
+// Per-report quantities compared by default
+const STEP_METRICS = [
+    'tankTemp', 'fluidTemp', 'deliveredTemp', 'usefulGain', 'auxEnergy', 'pumpEnergy', 'solarFraction', 'collectorEfficiency'
+];
+
+// Run totals and ratios
+const SUMMARY_METRICS = [
+    'incidentEnergy', 'usefulGain', 'pipeLosses', 'tankLosses', 'loadEnergy', 'demandEnergy', 'auxEnergy', 'auxInputEnergy',
+    'pumpEnergy', 'pumpRunHours', 'solarFraction', 'collectorEfficiency'
+];
+
+/**
+ * Totals a run's energy flows and derives its solar fraction and collector efficiency.
+ *
+ * @param {Array<Object>} temperatures - Reports from simulateTemperature (or the /simulate response).
+ * @returns {Object} An object containing the SUMMARY_METRICS: energies in J, pump run-hours, and
+ *   solarFraction and collectorEfficiency (null without load or sun).
+ */
+const summarizeRun = (temperatures) => {
+    const summary = {};
+    for (const metric of SUMMARY_METRICS.filter(field => field !== 'solarFraction' && field !== 'collectorEfficiency')) {
+        summary[metric] = temperatures.reduce((sum, record) => sum + (record[metric] || 0), 0);
+    }
+    // Reports of runs made before demandEnergy was added take the load as the demand
+    if (temperatures.some(record => record.demandEnergy === undefined)) {
+        summary.demandEnergy = summary.loadEnergy;
+    }
+    summary.solarFraction = getSolarFraction(summary);
+    summary.collectorEfficiency = summary.incidentEnergy > 0 ? summary.usefulGain / summary.incidentEnergy : null;
+    return summary;
+};
+
+/**
+ * Summarizes a stored run: from its annual summary when it has one, otherwise from its reports.
+ *
+ * @param {Object} results - The stored /simulate response.
+ * @returns {Object} An object containing the SUMMARY_METRICS, as from summarizeRun.
+ */
+const getRunSummary = (results) => {
+    if (!results.annualSummary) {
+        return summarizeRun(results.temperatures);
+    }
+    return Object.fromEntries(SUMMARY_METRICS.map(metric => [metric, results.annualSummary[metric]]));
+};
+
+/**
+ * Lists each value's difference from the baseline (first) value.
+ *
+ * @param {Array<number|null>} values - One value per run.
+ * @returns {Array<number|null>} The differences, null where either value is missing.
+ */
+const getDifferences = (values) => {
+    const baseline = values[0];
+    return values.map(value => (value === null || value === undefined || baseline === null || baseline === undefined)
+        ? null
+        : value - baseline);
+};
+
+/**
+ * Compares two or more stored runs step by step and overall.
+ *
+ * @param {Array<Object>} runs - Stored runs ({ id, name, createdAt, results }), the first being the baseline.
+ * @param {Array<string>} metrics - Per-report quantities to compare, default STEP_METRICS.
+ * @returns {Object} An object containing:
+ *   - runs: The id, name and createdAt of each run, in the order compared.
+ *   - units: The unit system of the runs' reports.
+ *   - metrics: The compared per-report quantities.
+ *   - steps: One entry per simulation hour reported by any run, { time, values, differences },
+ *     each metric listing one value per run.
+ *   - summary: For each of the SUMMARY_METRICS, { values, differences } with one entry per run.
+ *   - months: When every run has a monthly summary, one entry per month of any run,
+ *     { month, name, values, differences }, each of the SUMMARY_METRICS listing one value per run.
+ */
+const compareRuns = (runs, metrics = STEP_METRICS) => {
+    if (runs.length < 2) {
+        throw new Error('At least two runs are needed for a comparison');
+    }
+    for (const metric of metrics) {
+        if (!STEP_METRICS.includes(metric) && !SUMMARY_METRICS.includes(metric)) {
+            throw new Error(`Unknown metric "${metric}", expected one of: ${[...new Set([...STEP_METRICS, ...SUMMARY_METRICS])].join(', ')}`);
+        }
+    }
+    // Runs stored before unit systems were introduced were reported in the default one
+    const units = [...new Set(runs.map(run => run.results.units || DEFAULT_UNIT_SYSTEM))];
+    if (units.length > 1) {
+        throw new Error(`Runs reported in different unit systems (${units.join(', ')}) cannot be compared`);
+    }
+
+    const reportsByTime = runs.map(run => new Map(run.results.temperatures.map(record => [record.time, record])));
+    const times = [...new Set(reportsByTime.flatMap(reports => [...reports.keys()]))].sort((a, b) => a - b);
+
+    const steps = times.map(time => {
+        const values = {};
+        const differences = {};
+        for (const metric of metrics) {
+            values[metric] = reportsByTime.map(reports => {
+                const record = reports.get(time);
+                return record && record[metric] !== undefined ? record[metric] : null;
+            });
+            differences[metric] = getDifferences(values[metric]);
+        }
+        return { time, values, differences };
+    });
+
+    const summaries = runs.map(run => getRunSummary(run.results));
+    const summary = {};
+    for (const metric of SUMMARY_METRICS) {
+        const values = summaries.map(runSummary => runSummary[metric]);
+        summary[metric] = { values, differences: getDifferences(values) };
+    }
+
+    const comparison = {
+        runs: runs.map(({ id, name, createdAt }) => ({ id, name, createdAt })),
+        units: units[0],
+        metrics,
+        steps,
+        summary
+    };
+
+    if (runs.every(run => run.results.monthlySummary)) {
+        const monthsByNumber = runs.map(run => new Map(run.results.monthlySummary.map(month => [month.month, month])));
+        const numbers = [...new Set(monthsByNumber.flatMap(months => [...months.keys()]))].sort((a, b) => a - b);
+        comparison.months = numbers.map(number => {
+            const name = monthsByNumber.map(months => months.get(number)).find(Boolean).name;
+            const values = {};
+            const differences = {};
+            for (const metric of SUMMARY_METRICS) {
+                values[metric] = monthsByNumber.map(months => {
+                    const month = months.get(number);
+                    return month && month[metric] !== undefined ? month[metric] : null;
+                });
+                differences[metric] = getDifferences(values[metric]);
+            }
+            return { month: number, name, values, differences };
+        });
+    }
+    return comparison;
+};
+
+module.exports = {
+    STEP_METRICS,
+    SUMMARY_METRICS,
+    summarizeRun,
+    getRunSummary,
+    compareRuns
+};
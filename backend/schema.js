@@ -0,0 +1,497 @@
+const { INTEGRATORS } = require('./integrators');
+const { DEFAULT_TANK } = require('./tank');
+const { LOAD_PROFILES, DEFAULT_LOAD } = require('./loads');
+const { DEFAULT_CONTROLLER, PUMP_CONTROL_MODES } = require('./controller');
+const { FLUIDS, DEFAULT_FLUID } = require('./fluids');
+const { DEFAULT_PIPING } = require('./piping');
+const { REFERENCE_COLLECTORS } = require('./collectors');
+const { ECONOMICS_FIELDS } = require('./economics');
+const { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM, getConversion } = require('./units');
+const { fahrenheitToCelsius } = require('./utils');
+
+/**
+ * Request schema of the simulation API.
+ *
+ * Every /simulate parameter is described by its type, the quantity it holds (see units.js), its
+ * allowed range and its default. validateSimulationRequest checks a request against the schema
+ * and converts it from the request's unit system to SI, so the calculation core never sees
+ * anything else. A parameter that is missing takes its default; one that is given, even as 0, is
+ * used as given or rejected.
+ *
+ * Field specifications:
+ *   - type: 'number', 'integer', 'boolean', 'string', 'array' or 'object', or a list of
+ *     alternatives chosen by the JSON type of the value (e.g. a profile name or a list of volumes).
+ *     Numbers may be sent as numeric strings.
+ *   - quantity: 'temperature', 'temperatureDifference' or 'percent' for values that are converted.
+ *   - min / max: Inclusive limits, above: exclusive lower limit, all in SI.
+ *   - values: The allowed strings.
+ *   - items: Specification of each element of an array; fields: of each field of an object.
+ *   - nullable: null is accepted (as is the legacy "None").
+ *   - required: The field must be given.
+ *   - fixed: The field describes the run as a whole and cannot be changed during it (by inputChanges
+ *     or in a session).
+ *   - default: SI value used when the field is missing.
+ */
+
+const ABSOLUTE_ZERO = -273.15;
+
+const temperature = (defaultValue, options = {}) => ({
+    type: 'number', quantity: 'temperature', min: ABSOLUTE_ZERO, default: defaultValue, ...options
+});
+
+const temperatureDifference = (defaultValue, options = {}) => ({
+    type: 'number', quantity: 'temperatureDifference', min: 0, default: defaultValue, ...options
+});
+
+// State to resume a run from, as reported by a previous run
+const CURRENT_STATE_FIELDS = {
+    fluidTemp: temperature(undefined, { required: true }),
+    panelTemp: temperature(undefined, { required: true }),
+    tankTemp: temperature(undefined),
+    tankNodeTemps: { type: 'array', items: temperature(undefined) },
+    pumpOn: { type: 'boolean' },
+    pumpSpeed: { type: 'number', min: 0, max: 1 },
+    cumulativePumpRunHours: { type: 'number', min: 0 }
+};
+
+const SIMULATION_FIELDS = {
+    units: { type: 'string', values: Object.keys(UNIT_SYSTEMS), fixed: true },
+
+    // Run
+    hour: { type: 'number', min: 0, max: 24, default: 0, fixed: true },
+    duration: { type: 'number', above: 0, default: 24, fixed: true },
+    startHour: { type: 'number', min: 0, default: 0, fixed: true },
+    timeStep: { type: 'number', above: 0, default: 3600, fixed: true },
+    reportInterval: { type: 'number', above: 0, default: 3600, fixed: true },
+    integrator: { type: 'string', values: Object.keys(INTEGRATORS), default: 'rk4', fixed: true },
+    tolerance: { type: 'number', above: 0, fixed: true },
+    currentState: { type: 'object', fields: CURRENT_STATE_FIELDS, nullable: true, default: null, fixed: true },
+    inputChanges: { type: 'object', fixed: true },
+    weatherFile: { type: 'object', fixed: true },
+    annual: { type: 'boolean', default: false, fixed: true },
+    includeHourly: { type: 'boolean', default: false, fixed: true },
+    economics: { type: 'object', fields: ECONOMICS_FIELDS, fixed: true },
+
+    // Weather
+    minAmbientTemp: temperature(fahrenheitToCelsius(60)),
+    maxAmbientTemp: temperature(fahrenheitToCelsius(80)),
+    fixedTemp: temperature(null, { nullable: true }),
+    cloudCover: { type: 'number', min: 0, max: 100, default: 0 },
+    windSpeed: { type: 'number', min: 0, default: 0 },
+
+    // Site (defaults from solar.DEFAULT_SITE or the weather file's location)
+    latitude: { type: 'number', min: -90, max: 90 },
+    longitude: { type: 'number', min: -180, max: 180 },
+    timeZone: { type: 'number', min: -12, max: 14 },
+    dayOfYear: { type: 'integer', min: 1, max: 365, fixed: true },
+    tilt: { type: 'number', min: 0, max: 180 },
+    azimuth: { type: 'number', min: -180, max: 180 },
+    albedo: { type: 'number', min: 0, max: 1 },
+    altitude: { type: 'number', min: -500 },
+
+    // Collectors
+    area: { type: 'number', above: 0, default: 2 },
+    efficiency: { type: 'number', min: 0, max: 1, default: 0.15 },
+    transmittance: { type: 'number', min: 0, max: 1, default: 0.9 },
+    absorptance: { type: 'number', min: 0, max: 1, default: 0.95 },
+    // Without losses a stagnant collector has no equilibrium temperature
+    U_L: { type: 'number', above: 0, default: 8 },
+    windLossCoefficient: { type: 'number', min: 0, default: 0 },
+    collector: {
+        type: [{ type: 'string', values: Object.keys(REFERENCE_COLLECTORS) }, { type: 'object' }],
+        nullable: true,
+        default: null
+    },
+    seriesCount: { type: 'integer', min: 1, default: 1 },
+    parallelCount: { type: 'integer', min: 1, default: 1 },
+
+    // Collector loop
+    fluidTemp: temperature(20),
+    specificHeat: { type: 'number', above: 0, default: 4186 },
+    collectorFluid: { type: 'string', values: Object.keys(FLUIDS), default: DEFAULT_FLUID },
+    heatExchangerEffectiveness: { type: 'number', quantity: 'percent', above: 0, max: 1 },
+    tankSideFlowRate: { type: 'number', above: 0 },
+    pumpPower: { type: 'number', min: 0, default: 50 },
+    pumpEfficiency: { type: 'number', quantity: 'percent', above: 0, max: 1, default: 0.7 },
+    hydraulicHead: { type: 'number', above: 0, default: 5 },
+    pumpCurve: {
+        type: 'array',
+        items: { type: 'object', fields: { flow: { type: 'number', min: 0, required: true }, head: { type: 'number', min: 0, required: true } } },
+        nullable: true,
+        default: DEFAULT_PIPING.pumpCurve
+    },
+    staticHead: { type: 'number', min: 0, default: DEFAULT_PIPING.staticHead },
+    supplyPipeLength: { type: 'number', min: 0, default: DEFAULT_PIPING.supplyPipeLength },
+    returnPipeLength: { type: 'number', min: 0, default: DEFAULT_PIPING.returnPipeLength },
+    pipeDiameter: { type: 'number', above: 0, default: DEFAULT_PIPING.pipeDiameter },
+    pipeRoughness: { type: 'number', min: 0, default: DEFAULT_PIPING.pipeRoughness },
+    fittingsK: { type: 'number', min: 0, default: DEFAULT_PIPING.fittingsK },
+    insulationThickness: { type: 'number', min: 0, default: DEFAULT_PIPING.insulationThickness },
+    insulationConductivity: { type: 'number', above: 0, default: DEFAULT_PIPING.insulationConductivity },
+    pipeAmbientTemp: temperature(DEFAULT_PIPING.pipeAmbientTemp, { nullable: true }),
+
+    // Controller
+    pumpControl: { type: 'string', values: PUMP_CONTROL_MODES, default: DEFAULT_CONTROLLER.pumpControl },
+    pumpOnDeltaT: temperatureDifference(DEFAULT_CONTROLLER.onDeltaT),
+    pumpOffDeltaT: temperatureDifference(DEFAULT_CONTROLLER.offDeltaT),
+    tankHighLimit: temperature(DEFAULT_CONTROLLER.tankHighLimit),
+    highLimitDeadband: temperatureDifference(DEFAULT_CONTROLLER.highLimitDeadband),
+    variableSpeed: { type: 'boolean', default: DEFAULT_CONTROLLER.variableSpeed },
+    minPumpSpeed: { type: 'number', quantity: 'percent', min: 0, max: 1, default: DEFAULT_CONTROLLER.minSpeed },
+    fullSpeedDeltaT: temperatureDifference(DEFAULT_CONTROLLER.fullSpeedDeltaT, { min: undefined, above: 0 }),
+
+    // Tank
+    tankVolume: { type: 'number', above: 0, default: 0.3 },
+    tankTemp: temperature(20),
+    tankNodes: { type: 'integer', min: 1, max: 100, default: DEFAULT_TANK.nodeCount, fixed: true },
+    tankHeight: { type: 'number', above: 0, default: DEFAULT_TANK.height },
+    tankUA: { type: 'number', min: 0, default: DEFAULT_TANK.UA },
+    roomTemp: temperature(DEFAULT_TANK.roomTemp),
+    tankConductivity: { type: 'number', min: 0, default: DEFAULT_TANK.conductivity },
+    collectorReturnHeight: { type: 'number', min: 0, max: 1, default: DEFAULT_TANK.collectorReturnHeight },
+    collectorOutletHeight: { type: 'number', min: 0, max: 1, default: DEFAULT_TANK.collectorOutletHeight },
+    loadInletHeight: { type: 'number', min: 0, max: 1, default: DEFAULT_TANK.loadInletHeight },
+    loadOutletHeight: { type: 'number', min: 0, max: 1, default: DEFAULT_TANK.loadOutletHeight },
+
+    // Load and auxiliary heater
+    loadProfile: {
+        type: [{ type: 'string', values: Object.keys(LOAD_PROFILES) }, { type: 'array', items: { type: 'number', min: 0 } }],
+        nullable: true,
+        default: DEFAULT_LOAD.loadProfile
+    },
+    dailyLoadVolume: { type: 'number', min: 0, default: DEFAULT_LOAD.dailyLoadVolume },
+    loadInterval: { type: 'number', above: 0, default: DEFAULT_LOAD.loadInterval },
+    mainsTemp: temperature(DEFAULT_LOAD.mainsTemp),
+    auxType: { type: 'string', values: ['none', 'electric', 'gas'], default: DEFAULT_LOAD.auxType },
+    auxSetpoint: temperature(DEFAULT_LOAD.auxSetpoint),
+    auxCapacity: { type: 'number', min: 0, default: DEFAULT_LOAD.auxCapacity },
+    auxEfficiency: { type: 'number', quantity: 'percent', above: 0, max: 1 }
+};
+
+/**
+ * Formats an SI limit in the request's units for an error message.
+ *
+ * @param {number} value - The limit in SI.
+ * @param {Object} spec - The field specification.
+ * @param {string} units - A key of UNIT_SYSTEMS.
+ * @returns {string} The limit and its unit.
+ */
+const formatLimit = (value, spec, units) => {
+    if (!spec.quantity) {
+        return String(value);
+    }
+    const { unit, fromSI } = getConversion(spec.quantity, units);
+    return `${Number(fromSI(value).toPrecision(6))} ${unit}`;
+};
+
+/**
+ * Describes the values a specification accepts, for an error message.
+ *
+ * @param {Object} spec - The field specification.
+ * @returns {string} The description.
+ */
+const describeType = (spec) => {
+    if (Array.isArray(spec.type)) {
+        return spec.type.map(describeType).join(' or ');
+    }
+    if (spec.values) {
+        return `one of: ${spec.values.join(', ')}`;
+    }
+    return {
+        number: 'a number',
+        integer: 'a whole number',
+        boolean: 'true or false',
+        string: 'a string',
+        array: 'a list',
+        object: 'an object'
+    }[spec.type];
+};
+
+/**
+ * Checks whether a value has the JSON type of a specification.
+ *
+ * @param {Object} spec - The field specification.
+ * @param {*} value - The value.
+ * @returns {boolean} Whether the value is of the right type (not yet whether it is valid).
+ */
+const matchesType = (spec, value) => {
+    switch (spec.type) {
+        case 'number':
+        case 'integer':
+            return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '');
+        case 'boolean':
+            return typeof value === 'boolean' || value === 'true' || value === 'false';
+        case 'string':
+            return typeof value === 'string';
+        case 'array':
+            return Array.isArray(value);
+        default:
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+};
+
+/**
+ * Validates one value against its specification and converts it to SI.
+ *
+ * @param {Object} spec - The field specification.
+ * @param {*} value - The value as given (not undefined).
+ * @param {string} field - The field's path for error messages, e.g. 'currentState.tankNodeTemps.2'.
+ * @param {string} units - A key of UNIT_SYSTEMS.
+ * @param {Array<Object>} errors - Receives { field, message } for each problem found.
+ * @returns {*} The converted value (undefined when invalid).
+ */
+const validateValue = (spec, value, field, units, errors) => {
+    if (spec.nullable && (value === null || value === 'None')) {
+        return null;
+    }
+    if (Array.isArray(spec.type)) {
+        const alternative = spec.type.find(option => matchesType(option, value));
+        if (!alternative) {
+            errors.push({ field, message: `must be ${describeType(spec)}` });
+            return undefined;
+        }
+        return validateValue(alternative, value, field, units, errors);
+    }
+    if (!matchesType(spec, value)) {
+        errors.push({ field, message: `must be ${describeType(spec)}` });
+        return undefined;
+    }
+
+    switch (spec.type) {
+        case 'number':
+        case 'integer': {
+            const number = Number(value);
+            if (!Number.isFinite(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+                errors.push({ field, message: `must be ${describeType(spec)}` });
+                return undefined;
+            }
+            const converted = spec.quantity ? getConversion(spec.quantity, units).toSI(number) : number;
+            // Allow for round-off in the conversion of values given exactly at a limit
+            const slack = spec.quantity ? 1e-9 * Math.max(1, Math.abs(converted)) : 0;
+            if (spec.min !== undefined && converted < spec.min - slack) {
+                errors.push({ field, message: `must be at least ${formatLimit(spec.min, spec, units)}` });
+            } else if (spec.above !== undefined && converted <= spec.above) {
+                errors.push({ field, message: `must be greater than ${formatLimit(spec.above, spec, units)}` });
+            } else if (spec.max !== undefined && converted > spec.max + slack) {
+                errors.push({ field, message: `must be at most ${formatLimit(spec.max, spec, units)}` });
+            } else {
+                return converted;
+            }
+            return undefined;
+        }
+        case 'boolean':
+            return value === true || value === 'true';
+        case 'string':
+            if (spec.values && !spec.values.includes(value)) {
+                errors.push({ field, message: `must be ${describeType(spec)}` });
+                return undefined;
+            }
+            return value;
+        case 'array':
+            return spec.items
+                ? value.map((item, i) => validateValue(spec.items, item, `${field}.${i}`, units, errors))
+                : value;
+        default:
+            return spec.fields ? validateFields(spec.fields, value, units, { prefix: `${field}.` }, errors) : value;
+    }
+};
+
+/**
+ * Validates an object's fields against their specifications and converts them to SI.
+ *
+ * @param {Object} fields - Field specifications keyed by field name.
+ * @param {Object} input - The object as given.
+ * @param {string} units - A key of UNIT_SYSTEMS.
+ * @param {Object} options - An object containing:
+ *   - prefix: Prepended to field names in error messages, default ''.
+ *   - defaults: Fill missing fields with their defaults, default false.
+ *   - allowed: Names of the fields that may be given, default all.
+ * @param {Array<Object>} errors - Receives { field, message } for each problem found.
+ * @returns {Object} The converted fields; only those given unless defaults are filled.
+ */
+const validateFields = (fields, input, units, options, errors) => {
+    const { prefix = '', defaults = false, allowed = Object.keys(fields) } = options;
+    const values = {};
+    for (const key of Object.keys(input)) {
+        if (!fields[key]) {
+            errors.push({ field: `${prefix}${key}`, message: 'is not a known parameter' });
+        } else if (!allowed.includes(key)) {
+            errors.push({ field: `${prefix}${key}`, message: 'cannot be changed during a run' });
+        } else if (input[key] !== undefined) {
+            values[key] = validateValue(fields[key], input[key], `${prefix}${key}`, units, errors);
+        }
+    }
+    for (const [key, spec] of Object.entries(fields)) {
+        if (input[key] !== undefined) {
+            continue;
+        }
+        if (spec.required) {
+            errors.push({ field: `${prefix}${key}`, message: 'is required' });
+        } else if (defaults && spec.default !== undefined) {
+            values[key] = spec.default;
+        }
+    }
+    return values;
+};
+
+/**
+ * Validates a set of parameter changes made during a run and converts them to SI. Fields marked
+ * fixed describe the run as a whole and cannot be changed.
+ *
+ * @param {Object} changes - The parameters to change.
+ * @param {string} units - A key of UNIT_SYSTEMS.
+ * @param {string} field - The name of the changes for error messages, default 'changes'.
+ * @returns {Object} An object containing values (the changed parameters in SI) and errors
+ *   ({ field, message } entries, empty when the changes are valid).
+ */
+const validateParameterChanges = (changes, units, field = 'changes') => {
+    const errors = [];
+    if (!matchesType({ type: 'object' }, changes)) {
+        errors.push({ field, message: 'must be an object' });
+        return { values: {}, errors };
+    }
+    const changeable = Object.keys(SIMULATION_FIELDS).filter(key => !SIMULATION_FIELDS[key].fixed);
+    const values = validateFields(SIMULATION_FIELDS, changes, units, { prefix: `${field}.`, allowed: changeable }, errors);
+    return { values, errors };
+};
+
+/**
+ * Checks the constraints between parameters that their field specs cannot express.
+ *
+ * @param {Object} params - Parameters in SI, as validated by validateFields.
+ * @param {Object|null} before - The parameters before a change to them, whose broken constraints are
+ *   not reported again, or null.
+ * @param {string} prefix - Prefix of the field names in the errors, default none.
+ * @returns {Array<Object>} One { field, message } per violated constraint, empty when there is none.
+ */
+const validateParameterCombinations = (params, before = null, prefix = '') => {
+    const errors = [];
+    if (params.minAmbientTemp > params.maxAmbientTemp) {
+        errors.push({ field: 'maxAmbientTemp', message: 'must be at least minAmbientTemp' });
+    }
+    // The pump controller's hysteresis needs the pump to stop at a smaller difference than it starts at
+    if (params.pumpOffDeltaT >= params.pumpOnDeltaT) {
+        errors.push({ field: 'pumpOffDeltaT', message: 'must be below pumpOnDeltaT' });
+    }
+    // Without a heat exchanger the tank's potable water runs through the collectors
+    if (params.collectorFluid && params.collectorFluid !== DEFAULT_FLUID && !params.heatExchangerEffectiveness) {
+        errors.push({ field: 'heatExchangerEffectiveness', message: `is required when collectorFluid is not ${DEFAULT_FLUID}` });
+    }
+    const broken = before ? validateParameterCombinations(before).map(error => error.field) : [];
+    return errors
+        .filter(error => !broken.includes(error.field))
+        .map(({ field, message }) => ({ field: `${prefix}${field}`, message }));
+};
+
+/**
+ * Validates a simulation request and converts it to SI.
+ *
+ * The request's units field selects the unit system of every value in it, including its
+ * inputChanges and currentState (default DEFAULT_UNIT_SYSTEM). Missing fields take their defaults;
+ * site fields without a value are left undefined for the caller to take from the site or weather
+ * file. Structured parameters that have their own validation (collector definitions and
+ * weatherFile) are only checked for their type here.
+ *
+ * @param {Object} request - The request body.
+ * @returns {Object} An object containing:
+ *   - units: The unit system of the request.
+ *   - values: The parameters in SI, with inputChanges keyed by hour.
+ *   - errors: One { field, message } per invalid field, empty when the request is valid.
+ */
+const validateSimulationRequest = (request) => {
+    const errors = [];
+    const units = UNIT_SYSTEMS[request.units] ? request.units : DEFAULT_UNIT_SYSTEM;
+    const values = validateFields(SIMULATION_FIELDS, request, units, { defaults: true }, errors);
+
+    // Parameter changes keyed by the hour they apply from
+    const inputChanges = {};
+    for (const [hour, changes] of Object.entries(values.inputChanges || {})) {
+        if (!(hour.trim() !== '' && Number(hour) >= 0)) {
+            errors.push({ field: `inputChanges.${hour}`, message: 'must be keyed by a non-negative hour' });
+        } else {
+            const changed = validateParameterChanges(changes, units, `inputChanges.${hour}`);
+            inputChanges[hour] = changed.values;
+            errors.push(...changed.errors);
+        }
+    }
+    values.inputChanges = inputChanges;
+
+    // Check the parameters as they stand initially and after each change
+    errors.push(...validateParameterCombinations(values));
+    let current = values;
+    for (const hour of Object.keys(inputChanges).sort((a, b) => Number(a) - Number(b))) {
+        const changed = { ...current, ...inputChanges[hour] };
+        errors.push(...validateParameterCombinations(changed, current, `inputChanges.${hour}.`));
+        current = changed;
+    }
+    const { currentState } = values;
+    if (currentState) {
+        if (currentState.tankTemp === undefined && currentState.tankNodeTemps === undefined) {
+            errors.push({ field: 'currentState.tankTemp', message: 'is required without currentState.tankNodeTemps' });
+        }
+        if (currentState.tankNodeTemps && currentState.tankNodeTemps.length !== values.tankNodes) {
+            errors.push({ field: 'currentState.tankNodeTemps', message: `must list one temperature per tank node (${values.tankNodes})` });
+        }
+    }
+    const { pumpCurve } = values;
+    if (Array.isArray(pumpCurve) && (pumpCurve.length === 0 || pumpCurve.some((point, i) => i > 0 && point && pumpCurve[i - 1] && !(point.flow > pumpCurve[i - 1].flow)))) {
+        errors.push({ field: 'pumpCurve', message: 'must list { flow, head } points in ascending flow order' });
+    }
+
+    return { units, values, errors };
+};
+
+/**
+ * Formats field errors as the messages of an error response.
+ *
+ * @param {Array<Object>} errors - { field, message } entries from validateSimulationRequest.
+ * @returns {Array<string>} One "field message" string per error.
+ */
+const formatErrors = (errors) => errors.map(({ field, message }) => `${field} ${message}`);
+
+/**
+ * Describes the simulation parameters for clients building a form, with limits and defaults in a
+ * unit system.
+ *
+ * @param {string} units - A key of UNIT_SYSTEMS.
+ * @param {Object} defaults - SI defaults of fields the schema leaves to the caller (site fields).
+ * @returns {Object} For each field, an object containing type (or types, for alternatives), unit
+ *   (for converted quantities), min, max, above, values, default, nullable and fixed, as they apply.
+ */
+const describeFields = (units = DEFAULT_UNIT_SYSTEM, defaults = {}) => {
+    const descriptions = {};
+    for (const [key, spec] of Object.entries(SIMULATION_FIELDS)) {
+        const convert = spec.quantity ? getConversion(spec.quantity, units).fromSI : (value) => value;
+        const alternatives = Array.isArray(spec.type) ? spec.type : [spec];
+        const values = alternatives.flatMap(option => option.values || []);
+        const defaultValue = spec.default !== undefined ? spec.default : defaults[key];
+        const description = Array.isArray(spec.type) ? { types: spec.type.map(option => option.type) } : { type: spec.type };
+        if (spec.quantity) {
+            description.unit = getConversion(spec.quantity, units).unit;
+        }
+        for (const limit of ['min', 'max', 'above']) {
+            if (spec[limit] !== undefined) {
+                description[limit] = convert(spec[limit]);
+            }
+        }
+        if (values.length > 0) {
+            description.values = values;
+        }
+        if (defaultValue !== undefined) {
+            description.default = typeof defaultValue === 'number' ? convert(defaultValue) : defaultValue;
+        }
+        description.nullable = Boolean(spec.nullable);
+        description.fixed = Boolean(spec.fixed);
+        descriptions[key] = description;
+    }
+    return descriptions;
+};
+
+module.exports = {
+    SIMULATION_FIELDS,
+    validateSimulationRequest,
+    validateParameterChanges,
+    validateParameterCombinations,
+    formatErrors,
+    describeFields
+};
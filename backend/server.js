@@ -1,67 +1,580 @@
+const path = require('path');
+const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
-const { simulateTemperature } = require('./calculations');
-const { fahrenheitToCelsius, celsiusToFahrenheit } = require('./utils');  // Import the utility functions
+const { createSimulation } = require('./calculations');
+const { REFERENCE_COLLECTORS } = require('./collectors');
+const { createStore } = require('./store');
+const { getRunSummary, compareRuns } = require('./runs');
+const { runStudy } = require('./studies');
+const { loadWeatherFile, summarizeWeatherData } = require('./weather');
+const { createSession } = require('./sessions');
+const { validateParameterChanges, validateParameterCombinations, formatErrors, describeFields } = require('./schema');
+const { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM, convertReport } = require('./units');
+const { DEFAULT_SITE } = require('./solar');
+const { prepareSimulation, runSimulation } = require('./simulation');
+const { toCSV, getExportRows } = require('./export');
 
 const app = express();
 const PORT = 3001;
+const store = createStore(process.env.STORE_PATH || undefined);
+const MAX_SESSIONS = 20;
+const MAX_STUDIES = 2; // studies running at once, each in its own worker thread
+let runningStudies = 0;
+const sessions = new Map(); // id -> { session, units }
+const DASHBOARD_PATH = path.join(__dirname, '..', 'frontend', 'public');
+// Weather files can be referenced by path only within WEATHER_DIR; without it they are sent as content
+const WEATHER_OPTIONS = { directory: process.env.WEATHER_DIR ? path.resolve(process.env.WEATHER_DIR) : null };
+const SIMULATION_OPTIONS = { weatherDirectory: WEATHER_OPTIONS.directory };
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
+app.use(express.text({ type: ['text/plain', 'text/csv'], limit: '10mb' }));
 
+// The dashboard (frontend/), bundled into frontend/public by npm run build
+app.use(express.static(DASHBOARD_PATH));
+
+/**
+ * Parses and validates an EPW or TMY3 weather file. The file can be uploaded as the raw
+ * request body (text/plain or text/csv) or referenced as JSON: { content } or { path }, a path
+ * within WEATHER_DIR.
+ */
+app.post('/weather', (req, res) => {
+    const source = typeof req.body === 'string' ? { content: req.body } : req.body;
+
+    let weather;
+    try {
+        weather = loadWeatherFile(source, WEATHER_OPTIONS);
+    } catch (error) {
+        return res.status(400).json({ errors: [error.message], warnings: [] });
+    }
+
+    const { format, location, records, errors, warnings } = weather;
+    if (errors.length > 0) {
+        return res.status(400).json({ errors, warnings });
+    }
+
+    const formatDate = ({ month, day }) => `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    res.json({
+        format,
+        location,
+        startDate: formatDate(records[0]),
+        endDate: formatDate(records[records.length - 1]),
+        summary: summarizeWeatherData(records),
+        warnings
+    });
+});
+
+/**
+ * Lists the reference collectors that can be selected by id.
+ */
+app.get('/collectors', (req, res) => {
+    res.json(Object.values(REFERENCE_COLLECTORS));
+});
+
+/**
+ * Describes the /simulate parameters (see schema.describeFields) with limits and defaults in the
+ * unit system given as ?units=.
+ */
+app.get('/schema', (req, res) => {
+    const units = req.query.units || DEFAULT_UNIT_SYSTEM;
+    if (!UNIT_SYSTEMS[units]) {
+        return res.status(400).json({ errors: [`Unknown unit system "${units}", expected one of: ${Object.keys(UNIT_SYSTEMS).join(', ')}`] });
+    }
+    res.json({ units, fields: describeFields(units, DEFAULT_SITE) });
+});
+
+/**
+ * Runs a simulation and records it in the run history.
+ *
+ * @param {Object} request - The /simulate request body.
+ * @param {Object} run - Run details: name and the configurationId it was run from (or null).
+ * @returns {Object} Either { errors, fieldErrors } or the stored run ({ id, name, configurationId, inputs,
+ *   summary, results, ... }); the summary (see runs.getRunSummary) is kept for listing the runs without
+ *   their results.
+ */
+const recordRun = (request, { name, configurationId }) => {
+    const simulation = prepareSimulation(request, SIMULATION_OPTIONS);
+    if (simulation.errors) {
+        return simulation;
+    }
+    const results = runSimulation(simulation);
+    return store.create('runs', { name, configurationId, inputs: request, summary: getRunSummary(results), results });
+};
+
+/**
+ * Sends a simulation response as JSON, or as a CSV download of its reports (see export.js) when
+ * the client prefers text/csv. The CSV columns can be chosen with ?columns=time,tankTemp,...
+ *
+ * @param {Object} req - The Express request.
+ * @param {Object} res - The Express response.
+ * @param {Object} response - Output of runSimulation, possibly with a runId.
+ * @param {string} filename - Name of the CSV download, without extension.
+ */
+const sendSimulationResponse = (req, res, response, filename) => {
+    if (req.accepts(['application/json', 'text/csv']) !== 'text/csv') {
+        return res.json(response);
+    }
+    const columns = req.query.columns ? String(req.query.columns).split(',').filter(Boolean) : undefined;
+    let csv;
+    try {
+        csv = toCSV(getExportRows(response), columns);
+    } catch (error) {
+        return res.status(400).json({ errors: [error.message] });
+    }
+    if (response.runId) {
+        res.set('X-Run-Id', response.runId);
+    }
+    res.attachment(`${filename.replace(/[^\w.-]+/g, '_')}.csv`).type('text/csv').send(csv);
+};
+
+/**
+ * Runs a simulation. With saveRun set the run is kept in the run history (under runName, when
+ * given) and its id returned as runId. With annual set, the run covers a whole year from
+ * January 1st and returns monthly and annual summaries, hourly reports only with includeHourly,
+ * and an economic analysis when economics parameters are given. Clients that accept text/csv
+ * (and not JSON first) get the reports, or an annual run's monthly summary, as CSV.
+ */
 app.post('/simulate', (req, res) => {
-    const initialParams = {
-        area: parseFloat(req.body.area) || 2.0,
-        efficiency: parseFloat(req.body.efficiency) || 0.15,
-        pumpPower: req.body.pumpPower !== undefined ? parseFloat(req.body.pumpPower) : 50,
-        hour: req.body.hour !== undefined ? parseFloat(req.body.hour) : 0,
-        duration: parseFloat(req.body.duration) || 24,
-        timeStep: 3600,
-        minAmbientTemp: fahrenheitToCelsius(parseFloat(req.body.minAmbientTemp) || 60),
-        maxAmbientTemp: fahrenheitToCelsius(parseFloat(req.body.maxAmbientTemp) || 80),
-        cloudCover: parseFloat(req.body.cloudCover) || 0,
-        specificHeat: parseFloat(req.body.specificHeat) || 4186,
-        fluidTemp: fahrenheitToCelsius(parseFloat(req.body.fluidTemp)) || 68,
-        transmittance: parseFloat(req.body.transmittance) || 0.9,
-        absorptance: parseFloat(req.body.absorptance) || 0.95,
-        tankVolume: parseFloat(req.body.tankVolume) || 1000,
-        tankTemp: fahrenheitToCelsius(parseFloat(req.body.tankTemp)) || 68,
-        pumpEfficiency: parseFloat(req.body.pumpEfficiency)/100 || 0.7,
-        hydraulicHead: parseFloat(req.body.hydraulicHead) || 5,
-        U_L: parseFloat(req.body.U_L) || 8,
-        currentState: req.body.currentState || null,
-        fixedTemp: req.body.fixedTemp === 'None' ? null : fahrenheitToCelsius(parseFloat(req.body.fixedTemp))   
-        };
-
-    const inputChanges = req.body.inputChanges || {};
-    const startStep = req.body.startHour || 0;
-
-    // Convert input changes temperatures to Celsius
-    for (const hour in inputChanges) {
-        if (inputChanges[hour].minAmbientTemp) {
-            inputChanges[hour].minAmbientTemp = fahrenheitToCelsius(inputChanges[hour].minAmbientTemp);
+    const { saveRun, runName, ...request } = req.body;
+    if (saveRun !== true) {
+        const simulation = prepareSimulation(request, SIMULATION_OPTIONS);
+        if (simulation.errors) {
+            return res.status(400).json({ errors: simulation.errors, fieldErrors: simulation.fieldErrors });
         }
-        if (inputChanges[hour].maxAmbientTemp) {
-            inputChanges[hour].maxAmbientTemp = fahrenheitToCelsius(inputChanges[hour].maxAmbientTemp);
+        return sendSimulationResponse(req, res, runSimulation(simulation), 'simulation');
+    }
+
+    const run = recordRun(request, { name: runName || null, configurationId: null });
+    if (run.errors) {
+        return res.status(400).json({ errors: run.errors, fieldErrors: run.fieldErrors });
+    }
+    sendSimulationResponse(req, res, { runId: run.id, ...run.results }, runName || 'simulation');
+});
+
+/**
+ * Describes a session in its request's units.
+ *
+ * @param {Object} status - Output of the session's getStatus.
+ * @param {string} units - The session's unit system.
+ * @returns {Object} The status with units added and its state converted.
+ */
+const formatSessionStatus = (status, units) => ({ ...status, units, state: convertReport(status.state, units) });
+
+/**
+ * Opens an interactive simulation session (see sessions.js) from a /simulate request (without
+ * annual or economics) plus its speed in steps per second and whether it starts paused. Steps are
+ * streamed from GET /sessions/:id/events.
+ */
+app.post('/sessions', (req, res) => {
+    const { speed, paused, ...request } = req.body;
+    const simulation = prepareSimulation(request, SIMULATION_OPTIONS);
+    if (simulation.errors) {
+        return res.status(400).json({ errors: simulation.errors, fieldErrors: simulation.fieldErrors });
+    }
+    if (simulation.annual) {
+        return res.status(400).json({ errors: ['annual runs cannot be run as sessions'] });
+    }
+
+    // Forget sessions that have ended before refusing a new one
+    for (const [id, { session }] of sessions) {
+        if (!['running', 'paused'].includes(session.getStatus().status)) {
+            sessions.delete(id);
         }
-        if (inputChanges[hour].fluidTemp) {
-            inputChanges[hour].fluidTemp = fahrenheitToCelsius(inputChanges[hour].fluidTemp);
+    }
+    if (sessions.size >= MAX_SESSIONS) {
+        return res.status(429).json({ errors: [`At most ${MAX_SESSIONS} sessions can be open at once`] });
+    }
+
+    let session;
+    try {
+        const { initialParams, inputChanges, startStep } = simulation;
+        session = createSession(createSimulation(initialParams, inputChanges, startStep), { speed, paused: Boolean(paused) });
+    } catch (error) {
+        return res.status(400).json({ errors: [error.message] });
+    }
+    sessions.set(session.id, { session, units: simulation.units });
+    res.status(201).json(formatSessionStatus(session.getStatus(), simulation.units));
+});
+
+/**
+ * Looks up the session of a request, answering 404 when there is none.
+ *
+ * @param {Object} req - The Express request, with the session id as :id.
+ * @param {Object} res - The Express response.
+ * @returns {Object|null} The session's { session, units }, or null once a 404 has been sent.
+ */
+const getSession = (req, res) => {
+    const entry = sessions.get(req.params.id);
+    if (!entry) {
+        res.status(404).json({ errors: [`No session with id "${req.params.id}"`] });
+        return null;
+    }
+    return entry;
+};
+
+app.get('/sessions/:id', (req, res) => {
+    const entry = getSession(req, res);
+    if (entry) {
+        res.json(formatSessionStatus(entry.session.getStatus(), entry.units));
+    }
+});
+
+/**
+ * Streams a session as Server-Sent Events: 'step' events (with the step index as event id),
+ * 'status' events after control changes and a final 'end' event. A client that reconnects with a
+ * Last-Event-ID header (or ?after=<index>) is sent the steps it missed first.
+ */
+app.get('/sessions/:id/events', (req, res) => {
+    const entry = getSession(req, res);
+    if (!entry) {
+        return;
+    }
+    const { session, units } = entry;
+    const after = parseInt(req.get('Last-Event-ID') || req.query.after, 10);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    const unsubscribe = session.subscribe(({ type, id, data }) => {
+        const payload = type === 'step' ? convertReport(data, units) : formatSessionStatus(data, units);
+        res.write(`${id !== null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+        if (type === 'end') {
+            res.end();
         }
-        if (inputChanges[hour].tankTemp) {
-            inputChanges[hour].tankTemp = fahrenheitToCelsius(inputChanges[hour].tankTemp);
+    }, isNaN(after) ? -1 : after);
+    req.on('close', unsubscribe);
+});
+
+/**
+ * Handles a session control request: runs the action on the session and returns its status.
+ *
+ * @param {Function} action - Called with the session, its units and the request body; returns the
+ *   session's status or { errors, fieldErrors } when the request is invalid.
+ * @returns {Function} The Express handler.
+ */
+const handleSessionControl = (action) => (req, res) => {
+    const entry = getSession(req, res);
+    if (!entry) {
+        return;
+    }
+    const { session, units } = entry;
+    if (!['running', 'paused'].includes(session.getStatus().status)) {
+        return res.status(409).json({ errors: [`Session "${session.id}" has ended`] });
+    }
+    try {
+        const result = action(session, units, req.body || {});
+        if (result.errors) {
+            return res.status(400).json(result);
         }
+        res.json(formatSessionStatus(result, units));
+    } catch (error) {
+        res.status(400).json({ errors: [error.message] });
     }
+};
+
+app.post('/sessions/:id/pause', handleSessionControl(session => session.pause()));
 
-    const temperatures = simulateTemperature(initialParams, inputChanges, startStep).map(temp => ({
-        time: temp.time,
-        fluidTemp: celsiusToFahrenheit(temp.fluidTemp),
-        panelTemp: celsiusToFahrenheit(temp.panelTemp),
-        tankTemp: celsiusToFahrenheit(temp.tankTemp),
-        ambientTemp: celsiusToFahrenheit(temp.ambientTemp)
-    }));
-    res.json({ temperatures });
+app.post('/sessions/:id/resume', handleSessionControl(session => session.resume()));
+
+/**
+ * Changes a session's pace: { speed } in steps per second.
+ */
+app.post('/sessions/:id/speed', handleSessionControl((session, units, body) => session.setSpeed(body.speed)));
+
+/**
+ * Changes a session's parameters from its next step: { params } in the session's units. Parameters
+ * that describe the run as a whole (duration, time step, ...) cannot be changed.
+ */
+app.post('/sessions/:id/changes', handleSessionControl((session, units, body) => {
+    const { values, errors } = validateParameterChanges(body.params, units, 'params');
+    if (errors.length === 0) {
+        const params = session.getParams();
+        errors.push(...validateParameterCombinations({ ...params, ...values }, params, 'params.'));
+    }
+    if (errors.length > 0) {
+        return { errors: formatErrors(errors), fieldErrors: errors };
+    }
+    return session.changeParameters(values);
+}));
+
+app.delete('/sessions/:id', (req, res) => {
+    const entry = getSession(req, res);
+    if (entry) {
+        entry.session.close();
+        sessions.delete(req.params.id);
+        res.status(204).end();
+    }
+});
+
+/**
+ * Validates a saved system configuration: a name, an optional description and the /simulate
+ * request parameters.
+ *
+ * @param {Object} fields - The configuration fields from the request body.
+ * @param {boolean} partial - Whether only the fields given are being updated.
+ * @returns {Array<string>} Validation errors, empty when the configuration is valid.
+ */
+const validateConfiguration = (fields, partial) => {
+    const errors = [];
+    if ((!partial || fields.name !== undefined) && !(typeof fields.name === 'string' && fields.name.trim())) {
+        errors.push('name must be a non-empty string');
+    }
+    if (!partial || fields.params !== undefined) {
+        if (!(fields.params && typeof fields.params === 'object' && !Array.isArray(fields.params))) {
+            errors.push('params must be an object of /simulate parameters');
+        } else {
+            errors.push(...(prepareSimulation(fields.params, SIMULATION_OPTIONS).errors || []).map(error => `params.${error}`));
+        }
+    }
+    return errors;
+};
+
+app.get('/configurations', (req, res) => {
+    res.json(store.list('configurations'));
+});
+
+app.post('/configurations', (req, res) => {
+    const errors = validateConfiguration(req.body, false);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    const { name, description, params } = req.body;
+    res.status(201).json(store.create('configurations', { name: name.trim(), description: description || '', params }));
+});
+
+app.get('/configurations/:id', (req, res) => {
+    const configuration = store.get('configurations', req.params.id);
+    if (!configuration) {
+        return res.status(404).json({ errors: [`No configuration with id "${req.params.id}"`] });
+    }
+    res.json(configuration);
+});
+
+app.put('/configurations/:id', (req, res) => {
+    const errors = validateConfiguration(req.body, true);
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+    const fields = {};
+    for (const key of ['name', 'description', 'params']) {
+        if (req.body[key] !== undefined) {
+            fields[key] = key === 'name' ? req.body.name.trim() : req.body[key];
+        }
+    }
+    const configuration = store.update('configurations', req.params.id, fields);
+    if (!configuration) {
+        return res.status(404).json({ errors: [`No configuration with id "${req.params.id}"`] });
+    }
+    res.json(configuration);
+});
+
+app.delete('/configurations/:id', (req, res) => {
+    if (!store.remove('configurations', req.params.id)) {
+        return res.status(404).json({ errors: [`No configuration with id "${req.params.id}"`] });
+    }
+    res.status(204).end();
+});
+
+/**
+ * Runs a saved configuration, optionally overriding some of its parameters, and records the run.
+ */
+app.post('/configurations/:id/run', (req, res) => {
+    const configuration = store.get('configurations', req.params.id);
+    if (!configuration) {
+        return res.status(404).json({ errors: [`No configuration with id "${req.params.id}"`] });
+    }
+    const { runName, overrides } = req.body || {};
+    const run = recordRun({ ...configuration.params, ...overrides }, {
+        name: runName || configuration.name,
+        configurationId: configuration.id
+    });
+    if (run.errors) {
+        return res.status(400).json({ errors: run.errors, fieldErrors: run.fieldErrors });
+    }
+    res.status(201).json(run);
+});
+
+/**
+ * Lists the run history without results, optionally for one configuration (?configurationId=).
+ */
+app.get('/runs', (req, res) => {
+    const { configurationId } = req.query;
+    const runs = store.list('runs', run => !configurationId || run.configurationId === configurationId);
+    // Runs saved before summaries were stored still hold their results in the list
+    res.json(runs.map(({ results, ...run }) => ({ ...run, summary: run.summary || getRunSummary(results) })));
+});
+
+/**
+ * Compares stored runs aligned by time step: ?ids=<baseline>,<other>,...&metrics=tankTemp,usefulGain
+ */
+app.get('/runs/compare', (req, res) => {
+    const ids = String(req.query.ids || '').split(',').filter(Boolean);
+    const runs = ids.map(id => store.get('runs', id));
+    const missing = ids.filter((id, i) => !runs[i]);
+    if (missing.length > 0) {
+        return res.status(404).json({ errors: missing.map(id => `No run with id "${id}"`) });
+    }
+    const metrics = req.query.metrics ? String(req.query.metrics).split(',').filter(Boolean) : undefined;
+    try {
+        res.json(compareRuns(runs, metrics));
+    } catch (error) {
+        res.status(400).json({ errors: [error.message] });
+    }
+});
+
+/**
+ * Returns a stored run: as JSON, or its reports as CSV for clients that prefer text/csv (see
+ * sendSimulationResponse).
+ */
+app.get('/runs/:id', (req, res) => {
+    const run = store.get('runs', req.params.id);
+    if (!run) {
+        return res.status(404).json({ errors: [`No run with id "${req.params.id}"`] });
+    }
+    if (req.accepts(['application/json', 'text/csv']) === 'text/csv') {
+        return sendSimulationResponse(req, res, { runId: run.id, ...run.results }, run.name || run.id);
+    }
+    res.json(run);
+});
+
+app.delete('/runs/:id', (req, res) => {
+    if (!store.remove('runs', req.params.id)) {
+        return res.status(404).json({ errors: [`No run with id "${req.params.id}"`] });
+    }
+    res.status(204).end();
+});
+
+/**
+ * Resolves the base parameters of a study: a saved configuration (configurationId) with params
+ * overriding it, or params alone.
+ *
+ * @param {Object} body - The study request body.
+ * @returns {Object} Either { errors, fieldErrors, status } or { params }.
+ */
+const getStudyParams = (body) => {
+    let params = body.params || {};
+    if (body.configurationId) {
+        const configuration = store.get('configurations', body.configurationId);
+        if (!configuration) {
+            return { status: 404, errors: [`No configuration with id "${body.configurationId}"`] };
+        }
+        params = { ...configuration.params, ...params };
+    }
+    const { errors, fieldErrors } = prepareSimulation(params, SIMULATION_OPTIONS);
+    return errors ? { status: 400, errors, fieldErrors } : { params };
+};
+
+/**
+ * Runs a study in a worker thread (see studies.js), at most MAX_STUDIES at once.
+ *
+ * @param {Object} res - The Express response, answered with 429 if too many studies are running.
+ * @param {string} study - One of studies.STUDIES.
+ * @param {Object} params - The study's base parameters.
+ * @param {Object} options - The study's options.
+ * @returns {Promise<Object|null>} The study's result, or null once res has been answered with an error.
+ */
+const runStudyFor = async (res, study, params, options) => {
+    if (runningStudies >= MAX_STUDIES) {
+        res.status(429).json({ errors: [`At most ${MAX_STUDIES} studies can run at once`] });
+        return null;
+    }
+    runningStudies++;
+    try {
+        return await runStudy(study, params, options, SIMULATION_OPTIONS);
+    } catch (error) {
+        res.status(400).json({ errors: [error.message] });
+        return null;
+    } finally {
+        runningStudies--;
+    }
+};
+
+/**
+ * Handles a study request: resolves its base parameters and returns the study's table.
+ *
+ * @param {string} study - One of studies.STUDIES.
+ * @param {Function} getOptions - Reads the study's options from the request body.
+ * @returns {Function} The Express handler.
+ */
+const handleStudy = (study, getOptions) => async (req, res) => {
+    const { params, errors, fieldErrors, status } = getStudyParams(req.body);
+    if (errors) {
+        return res.status(status).json({ errors, fieldErrors });
+    }
+    const result = await runStudyFor(res, study, params, getOptions(req.body));
+    if (result) {
+        res.json(result);
+    }
+};
+
+/**
+ * Runs every combination of parameter ranges:
+ * { params | configurationId, ranges: { area: { min, max, steps } | { values } }, costs }
+ */
+app.post('/sweep', handleStudy('sweep', (body) => ({ ranges: body.ranges, costs: body.costs })));
+
+/**
+ * Varies parameters one at a time: { params | configurationId, parameters, variation, metrics, costs }
+ */
+app.post('/sensitivity', handleStudy('sensitivity', (body) => ({
+    parameters: body.parameters,
+    variation: body.variation,
+    metrics: body.metrics,
+    costs: body.costs
+})));
+
+/**
+ * Searches for the best sizing: { params | configurationId, objective, goal, bounds, constraints,
+ * gridSize, refinements, costs }
+ */
+app.post('/optimize', handleStudy('optimize', (body) => ({
+    objective: body.objective,
+    goal: body.goal,
+    bounds: body.bounds,
+    constraints: body.constraints,
+    gridSize: body.gridSize,
+    refinements: body.refinements,
+    costs: body.costs
+})));
+
+/**
+ * Fits uncertain model parameters to measured temperatures (see calibration.js):
+ * { params | configurationId, measurements, parameters, maxIterations, saveAs }
+ * The measurements are in the request's units. With saveAs, the calibrated parameters are saved as
+ * a new configuration of that name, returned as configuration.
+ */
+app.post('/calibrate', async (req, res) => {
+    const { params, errors, fieldErrors, status } = getStudyParams(req.body);
+    if (errors) {
+        return res.status(status).json({ errors, fieldErrors });
+    }
+    const { measurements, parameters, maxIterations, saveAs } = req.body;
+    if (saveAs !== undefined && !(typeof saveAs === 'string' && saveAs.trim())) {
+        return res.status(400).json({ errors: ['saveAs must be a non-empty string'] });
+    }
+    const calibration = await runStudyFor(res, 'calibrate', params, { measurements, parameters, maxIterations });
+    if (!calibration) {
+        return;
+    }
+    if (saveAs === undefined) {
+        return res.json(calibration);
+    }
+    const { params: calibratedParams, ...fit } = calibration;
+    const configuration = store.create('configurations', {
+        name: saveAs.trim(),
+        description: `Calibrated against ${measurements.length} measurements`,
+        params: calibratedParams,
+        calibration: { ...fit, configurationId: req.body.configurationId || null }
+    });
+    res.status(201).json({ ...calibration, configuration });
 });
 
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+    if (!fs.existsSync(path.join(DASHBOARD_PATH, 'dashboard.js'))) {
+        console.log('The dashboard has not been built; run npm run build to serve it');
+    }
 });
\ No newline at end of file
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+
+/**
+ * Interactive simulation sessions.
+ *
+ * A session holds a running simulation (calculations.createSimulation) between steps and advances
+ * it one reporting interval at a time on a timer, at a chosen speed in steps per second. It can be
+ * paused, resumed, sped up or slowed down and have its parameters changed at any time; changes
+ * apply from the next step.
+ *
+ * Subscribers are called with events { type, id, data }:
+ *   - 'step': A report (id is its index in the run, data the report).
+ *   - 'status': The session's status (see getStatus) after it was paused, resumed or changed.
+ *   - 'end': The run finished, failed or the session was closed (data is the final status).
+ *
+ * Every report is kept, so a subscriber that connects late or reconnects is first sent the steps
+ * it missed.
+ */
+
+const SESSION_STATUSES = ['running', 'paused', 'finished', 'failed', 'closed'];
+
+const DEFAULT_SPEED = 4; // steps per second
+const MAX_SPEED = 1000;
+
+// Sessions that can still step
+const ACTIVE_STATUSES = ['running', 'paused'];
+
+/**
+ * Checks a session speed.
+ *
+ * @param {number} speed - Steps per second.
+ * @returns {number} The speed.
+ */
+const checkSpeed = (speed) => {
+    if (!(typeof speed === 'number' && speed > 0 && speed <= MAX_SPEED)) {
+        throw new Error(`speed must be a number of steps per second above 0 and at most ${MAX_SPEED}`);
+    }
+    return speed;
+};
+
+/**
+ * Starts a session.
+ *
+ * @param {Object} simulation - A simulation from calculations.createSimulation.
+ * @param {Object} options - An object containing:
+ *   - speed: Steps per second, default DEFAULT_SPEED.
+ *   - paused: Start paused, default false.
+ * @returns {Object} An object containing the session's id and its subscribe, pause, resume,
+ *   setSpeed, changeParameters, close, getStatus and getParams (the current parameters in SI) functions.
+ */
+const createSession = (simulation, { speed = DEFAULT_SPEED, paused = false } = {}) => {
+    const id = crypto.randomUUID();
+    const reports = [];
+    const listeners = new Set();
+    let status = paused ? 'paused' : 'running';
+    let error = null;
+    let timer = null;
+    checkSpeed(speed);
+
+    /**
+     * Describes the session.
+     *
+     * @returns {Object} An object containing id, status, speed, stepCount, error (the message of a
+     *   failed run, or null) and state (see createSimulation's getState).
+     */
+    const getStatus = () => ({ id, status, speed, stepCount: reports.length, error, state: simulation.getState() });
+
+    const emit = (event) => {
+        for (const listener of listeners) {
+            listener(event);
+        }
+    };
+
+    const stop = (finalStatus) => {
+        clearTimeout(timer);
+        timer = null;
+        status = finalStatus;
+        emit({ type: 'end', id: null, data: getStatus() });
+        listeners.clear();
+    };
+
+    const tick = () => {
+        timer = null;
+        let report;
+        try {
+            report = simulation.step();
+        } catch (stepError) {
+            error = stepError.message;
+            return stop('failed');
+        }
+        if (report === null) {
+            return stop('finished');
+        }
+        reports.push(report);
+        emit({ type: 'step', id: reports.length - 1, data: report });
+        schedule();
+    };
+
+    const schedule = () => {
+        if (status === 'running' && timer === null) {
+            timer = setTimeout(tick, 1000 / speed);
+        }
+    };
+
+    const checkActive = () => {
+        if (!ACTIVE_STATUSES.includes(status)) {
+            throw new Error(`Session "${id}" has ${status === 'closed' ? 'been closed' : status}`);
+        }
+    };
+
+    const changeStatus = () => {
+        emit({ type: 'status', id: null, data: getStatus() });
+    };
+
+    /**
+     * Adds a subscriber. It is first sent the steps after the given index and the current status
+     * (or the end event of a session that is over).
+     *
+     * @param {Function} listener - Called with each event.
+     * @param {number} after - Index of the last step already received, default -1 (none).
+     * @returns {Function} Removes the subscriber.
+     */
+    const subscribe = (listener, after = -1) => {
+        reports.slice(Math.max(0, after + 1)).forEach((report, i) => {
+            listener({ type: 'step', id: Math.max(0, after + 1) + i, data: report });
+        });
+        if (!ACTIVE_STATUSES.includes(status)) {
+            listener({ type: 'end', id: null, data: getStatus() });
+            return () => {};
+        }
+        listener({ type: 'status', id: null, data: getStatus() });
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    /**
+     * Stops stepping until the session is resumed.
+     *
+     * @returns {Object} The session's status.
+     */
+    const pause = () => {
+        checkActive();
+        clearTimeout(timer);
+        timer = null;
+        status = 'paused';
+        changeStatus();
+        return getStatus();
+    };
+
+    /**
+     * Resumes stepping after a pause.
+     *
+     * @returns {Object} The session's status.
+     */
+    const resume = () => {
+        checkActive();
+        status = 'running';
+        schedule();
+        changeStatus();
+        return getStatus();
+    };
+
+    /**
+     * Changes the pace of the session; a step already waiting is rescheduled at the new pace.
+     *
+     * @param {number} newSpeed - Steps per second, above 0 and at most MAX_SPEED.
+     * @returns {Object} The session's status.
+     */
+    const setSpeed = (newSpeed) => {
+        checkActive();
+        speed = checkSpeed(newSpeed);
+        if (timer !== null) {
+            clearTimeout(timer);
+            timer = null;
+            schedule();
+        }
+        changeStatus();
+        return getStatus();
+    };
+
+    /**
+     * Changes simulation parameters from the next step on.
+     *
+     * @param {Object} changes - Parameters in SI (see calculations.createSimulation's applyChanges).
+     * @returns {Object} The session's status.
+     */
+    const changeParameters = (changes) => {
+        checkActive();
+        simulation.applyChanges(changes);
+        changeStatus();
+        return getStatus();
+    };
+
+    /**
+     * Ends the session, if it has not already ended, and lets its subscribers go.
+     */
+    const close = () => {
+        if (ACTIVE_STATUSES.includes(status)) {
+            stop('closed');
+        }
+    };
+
+    schedule();
+    return { id, subscribe, pause, resume, setSpeed, changeParameters, close, getStatus, getParams: simulation.getParams };
+};
+
+module.exports = {
+    SESSION_STATUSES,
+    DEFAULT_SPEED,
+    MAX_SPEED,
+    createSession
+};
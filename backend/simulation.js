@@ -0,0 +1,129 @@
+const { simulateTemperature } = require('./calculations');
+const { DEFAULT_SITE } = require('./solar');
+const { createLoad, summarizeDays } = require('./loads');
+const { summarizeEnergyBalance } = require('./energy');
+const { FLUIDS, getFreezeWarnings } = require('./fluids');
+const { createCollectorArray } = require('./collectors');
+const { getAnnualParams, summarizeMonths, summarizeYear } = require('./annual');
+const { createEconomics, analyzeEconomics } = require('./economics');
+const { loadWeatherFile, selectDateRange } = require('./weather');
+const { validateSimulationRequest, formatErrors } = require('./schema');
+const { convertReports } = require('./units');
+
+/**
+ * Simulation requests: validation, preparation and running, shared by the HTTP server (server.js)
+ * and the command-line runner (cli.js).
+ *
+ * A request holds the /simulate parameters in the unit system named by its units field (see
+ * schema.js). prepareSimulation checks it and resolves it to SI parameters for simulateTemperature;
+ * runSimulation runs it and formats the response in the request's units.
+ */
+
+/**
+ * Parses and validates a simulation request and converts it to SI (see schema.js and units.js).
+ *
+ * @param {Object} request - The /simulate request body, in the unit system named by its units field.
+ * @param {Object} options - An object containing weatherDirectory, where a weather file path may
+ *   point (see weather.loadWeatherFile; default anywhere).
+ * @returns {Object} Either { errors, fieldErrors } or { units, initialParams, inputChanges, startStep,
+ *   annual, includeHourly, economics } ready for simulateTemperature.
+ */
+const prepareSimulation = (request, { weatherDirectory } = {}) => {
+    const { units, values, errors } = validateSimulationRequest(request);
+    const { weatherFile, inputChanges, startHour, annual, includeHourly, economics, ...params } = values;
+    delete params.units;
+
+    // Optional weather file: { path | content, startDate, endDate } with dates as "MM-DD"
+    let weather = null;
+    if (weatherFile && errors.length === 0) {
+        try {
+            const { location, records, errors: weatherErrors } = loadWeatherFile(weatherFile, { directory: weatherDirectory });
+            weatherErrors.forEach(message => errors.push({ field: 'weatherFile', message }));
+            if (weatherErrors.length === 0) {
+                weather = { location, records: selectDateRange(records, weatherFile.startDate, weatherFile.endDate) };
+            }
+        } catch (error) {
+            errors.push({ field: 'weatherFile', message: error.message });
+        }
+    }
+
+    // Site parameters that were not given come from the weather file's location or the default site
+    const siteDefaults = weather ? { ...DEFAULT_SITE, ...weather.location } : DEFAULT_SITE;
+    for (const key of Object.keys(DEFAULT_SITE)) {
+        if (params[key] === undefined) {
+            params[key] = siteDefaults[key];
+        }
+    }
+    // A weather file is simulated to its end unless a shorter duration is asked for
+    if (weather) {
+        const requested = request.duration !== undefined && !annual ? params.duration : Infinity;
+        params.duration = Math.min(requested, weather.records.length);
+    }
+    const initialParams = { ...params, weather };
+
+    if (errors.length === 0) {
+        try {
+            createCollectorArray(initialParams);
+        } catch (error) {
+            errors.push({ field: 'collector', message: error.message });
+        }
+    }
+
+    // Annual mode runs a whole year (or the whole weather file) and reports monthly and annual totals
+    if (economics !== undefined && !annual) {
+        errors.push({ field: 'economics', message: 'requires an annual run ("annual": true)' });
+    } else if (economics !== undefined) {
+        try {
+            createEconomics(economics);
+        } catch (error) {
+            errors.push({ field: 'economics', message: error.message });
+        }
+    }
+
+    if (errors.length > 0) {
+        return { errors: formatErrors(errors), fieldErrors: errors };
+    }
+    return {
+        units,
+        initialParams: annual && !weather ? getAnnualParams(initialParams) : initialParams,
+        inputChanges,
+        startStep: annual ? 0 : startHour,
+        annual,
+        includeHourly: !annual || includeHourly,
+        economics
+    };
+};
+
+/**
+ * Runs a prepared simulation and formats its results for the response (temperatures in the request's units).
+ *
+ * @param {Object} simulation - Output of prepareSimulation.
+ * @returns {Object} An object containing units, temperatures (empty for annual runs unless includeHourly),
+ *   dailySummary, energyBalance and warnings; annual runs add monthlySummary and annualSummary (see
+ *   annual.js) and, when economic parameters were given, economics (see economics.js).
+ */
+const runSimulation = ({ units, initialParams, inputChanges, startStep, annual, includeHourly, economics }) => {
+    const results = simulateTemperature(initialParams, inputChanges, startStep);
+    const response = {
+        units,
+        temperatures: includeHourly ? convertReports(results, units) : [],
+        dailySummary: summarizeDays(results),
+        energyBalance: summarizeEnergyBalance(results),
+        warnings: getFreezeWarnings(results, FLUIDS[initialParams.collectorFluid])
+    };
+
+    if (annual) {
+        const { auxType, auxEfficiency } = createLoad({ auxType: initialParams.auxType, auxEfficiency: initialParams.auxEfficiency });
+        response.monthlySummary = summarizeMonths(results, auxEfficiency);
+        response.annualSummary = summarizeYear(results, auxEfficiency);
+        if (economics !== undefined) {
+            response.economics = analyzeEconomics(response.annualSummary, auxType, economics);
+        }
+    }
+    return response;
+};
+
+module.exports = {
+    prepareSimulation,
+    runSimulation
+};
@@ -0,0 +1,350 @@
+const { createCollectorArray } = require('./collectors');
+const { summarizeRun } = require('./runs');
+
+/**
+ * Parameter sweeps, sensitivity analysis and system sizing.
+ *
+ * Each study runs the simulation many times with some parameters changed from a base parameter
+ * set. The simulation is passed in as a function from a parameter set to { params, temperatures }:
+ * the parameters as the simulation resolved them (in SI units, defaults filled in) and its reports.
+ * So the same studies serve the HTTP API (imperial requests) and direct calls (SI parameters);
+ * metrics are reported in the units of the reports. Every study returns a table, { columns, rows },
+ * with one row object per run or comparison, ready to chart.
+ *
+ * Metrics of a run:
+ * - finalTankTemp, maxTankTemp: Mean tank temperature at the end of the run and its highest report.
+ * - usefulGain, auxEnergy, pumpEnergy: Run totals in J.
+ * - solarFraction, collectorEfficiency: See runs.summarizeRun (null without load or sun).
+ * - systemCost: Collector, tank and fixed costs (see DEFAULT_COSTS).
+ * - energyPerCost: Useful gain in kWh per unit of systemCost.
+ */
+
+const METRICS = [
+    'finalTankTemp', 'maxTankTemp', 'usefulGain', 'auxEnergy', 'pumpEnergy',
+    'solarFraction', 'collectorEfficiency', 'systemCost', 'energyPerCost'
+];
+
+const DEFAULT_COSTS = {
+    collectorPerArea: 350, // per m² of collector
+    tankPerVolume: 2000, // per m³ of storage
+    fixed: 1500 // pump, controller, piping and installation
+};
+
+// Largest number of simulations a single study may run
+const MAX_RUNS = 500;
+
+const OPTIMIZER_GOALS = ['maximize', 'minimize'];
+
+/**
+ * Resolves cost parameters.
+ *
+ * @param {Object} params - Cost parameters (see DEFAULT_COSTS); a missing or null cost takes its default.
+ * @returns {Object} The cost description.
+ * @throws {Error} If params is not an object, names an unknown cost or gives a cost that is not a
+ *   non-negative number.
+ */
+const createCosts = (params = {}) => {
+    if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+        throw new Error('costs must be an object');
+    }
+    const costs = { ...DEFAULT_COSTS };
+    for (const key of Object.keys(params)) {
+        if (!(key in DEFAULT_COSTS)) {
+            throw new Error(`Unknown cost "${key}", expected one of: ${Object.keys(DEFAULT_COSTS).join(', ')}`);
+        }
+        const value = params[key];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (!(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+            throw new Error(`Cost ${key} must be a non-negative number`);
+        }
+        costs[key] = value;
+    }
+    return costs;
+};
+
+/**
+ * Calculates the METRICS of a run.
+ *
+ * @param {Object} run - The simulation's output: params (area, collector, seriesCount, parallelCount
+ *   and tankVolume in m³) and temperatures (the reports).
+ * @param {Object} costs - Cost description from createCosts.
+ * @returns {Object} The value of each metric.
+ */
+const getRunMetrics = ({ params, temperatures }, costs) => {
+    const summary = summarizeRun(temperatures);
+    const { totalArea } = createCollectorArray(params);
+    const systemCost = costs.collectorPerArea * totalArea + costs.tankPerVolume * params.tankVolume + costs.fixed;
+    return {
+        finalTankTemp: temperatures[temperatures.length - 1].tankTemp,
+        maxTankTemp: Math.max(...temperatures.map(record => record.tankTemp)),
+        usefulGain: summary.usefulGain,
+        auxEnergy: summary.auxEnergy,
+        pumpEnergy: summary.pumpEnergy,
+        solarFraction: summary.solarFraction,
+        collectorEfficiency: summary.collectorEfficiency,
+        systemCost,
+        energyPerCost: systemCost > 0 ? summary.usefulGain / 3.6e6 / systemCost : null
+    };
+};
+
+/**
+ * Lists the values a parameter takes in a study.
+ *
+ * @param {string} name - Parameter name, for error messages.
+ * @param {Object} range - Either { values } or { min, max, steps } (steps evenly spaced values, default 5).
+ * @returns {Array<number>} The parameter values.
+ */
+const getRangeValues = (name, range) => {
+    if (Array.isArray(range.values) && range.values.length > 0) {
+        return range.values;
+    }
+    const { min, max, steps = 5 } = range;
+    if (typeof min !== 'number' || typeof max !== 'number' || !(max >= min) || !(Number.isInteger(steps) && steps >= 1)) {
+        throw new Error(`Range for ${name} needs values or numeric min <= max and a positive integer steps`);
+    }
+    if (steps === 1 || max === min) {
+        return [min];
+    }
+    return Array.from({ length: steps }, (_, i) => min + (max - min) * i / (steps - 1));
+};
+
+/**
+ * Checks that a study stays within MAX_RUNS.
+ *
+ * @param {number} runs - Number of simulations the study needs.
+ */
+const checkRunCount = (runs) => {
+    if (runs > MAX_RUNS) {
+        throw new Error(`The study needs ${runs} runs, more than the limit of ${MAX_RUNS}`);
+    }
+};
+
+/**
+ * Runs the full grid of parameter ranges.
+ *
+ * @param {Object} baseParams - Parameters shared by every run.
+ * @param {Object} ranges - Ranges keyed by parameter name (see getRangeValues).
+ * @param {Function} simulate - Runs a parameter set and returns { params, temperatures }.
+ * @param {Object} costs - Cost parameters (see DEFAULT_COSTS).
+ * @returns {Object} A table with one row per grid point: the varied parameters and the METRICS.
+ */
+const runSweep = (baseParams, ranges, simulate, costs = {}) => {
+    const names = Object.keys(ranges);
+    if (names.length === 0) {
+        throw new Error('A sweep needs at least one parameter range');
+    }
+    const values = names.map(name => getRangeValues(name, ranges[name]));
+    checkRunCount(values.reduce((count, list) => count * list.length, 1));
+
+    const resolvedCosts = createCosts(costs);
+    let points = [{}];
+    names.forEach((name, i) => {
+        points = points.flatMap(point => values[i].map(value => ({ ...point, [name]: value })));
+    });
+
+    const rows = points.map(point => {
+        const params = { ...baseParams, ...point };
+        return { ...point, ...getRunMetrics(simulate(params), resolvedCosts) };
+    });
+    return { columns: [...names, ...METRICS], rows };
+};
+
+/**
+ * Varies each parameter one at a time around the base parameters.
+ *
+ * The elasticity of a metric to a parameter is the relative change in the metric per relative
+ * change in the parameter, from a central difference: (high - low) / base / (2 * variation).
+ *
+ * @param {Object} baseParams - The base parameter set.
+ * @param {Array<string>} parameters - Names of the numeric parameters to vary.
+ * @param {Function} simulate - Runs a parameter set and returns { params, temperatures }.
+ * @param {Object} options - An object containing:
+ *   - variation: Fractional change of each parameter either side of its base value, default 0.1.
+ *   - metrics: The METRICS to report, default all.
+ *   - costs: Cost parameters (see DEFAULT_COSTS).
+ * @returns {Object} A table with one row per parameter and metric: parameter, baseValue, lowValue,
+ *   highValue, metric, low, base, high and elasticity (null when the base metric is 0 or missing).
+ */
+const runSensitivity = (baseParams, parameters, simulate, options = {}) => {
+    const { variation = 0.1, metrics = METRICS } = options;
+    if (!(variation > 0 && variation < 1)) {
+        throw new Error('variation must be between 0 and 1');
+    }
+    for (const metric of metrics) {
+        if (!METRICS.includes(metric)) {
+            throw new Error(`Unknown metric "${metric}", expected one of: ${METRICS.join(', ')}`);
+        }
+    }
+    for (const parameter of parameters) {
+        if (!(typeof baseParams[parameter] === 'number' && baseParams[parameter] !== 0)) {
+            throw new Error(`Cannot vary ${parameter}: its base value must be a non-zero number`);
+        }
+    }
+    checkRunCount(1 + 2 * parameters.length);
+
+    const costs = createCosts(options.costs);
+    const evaluate = (params) => getRunMetrics(simulate(params), costs);
+    const base = evaluate(baseParams);
+
+    const rows = [];
+    for (const parameter of parameters) {
+        const baseValue = baseParams[parameter];
+        const lowValue = baseValue * (1 - variation);
+        const highValue = baseValue * (1 + variation);
+        const low = evaluate({ ...baseParams, [parameter]: lowValue });
+        const high = evaluate({ ...baseParams, [parameter]: highValue });
+        for (const metric of metrics) {
+            const defined = [low[metric], base[metric], high[metric]].every(value => value !== null && value !== undefined);
+            rows.push({
+                parameter, baseValue, lowValue, highValue, metric,
+                low: low[metric], base: base[metric], high: high[metric],
+                elasticity: defined && base[metric] !== 0
+                    ? (high[metric] - low[metric]) / base[metric] / (2 * variation)
+                    : null
+            });
+        }
+    }
+
+    return {
+        columns: ['parameter', 'baseValue', 'lowValue', 'highValue', 'metric', 'low', 'base', 'high', 'elasticity'],
+        rows
+    };
+};
+
+/**
+ * Checks a run's metrics against constraints.
+ *
+ * @param {Object} metrics - Output of getRunMetrics.
+ * @param {Array<Object>} constraints - Constraints { metric, min, max }, either bound optional.
+ * @returns {boolean} Whether every constraint holds (a missing metric fails its constraint).
+ */
+const meetsConstraints = (metrics, constraints) => {
+    return constraints.every(({ metric, min, max }) => {
+        const value = metrics[metric];
+        if (value === null || value === undefined) {
+            return false;
+        }
+        return (min === undefined || min === null || value >= min) && (max === undefined || max === null || value <= max);
+    });
+};
+
+/**
+ * Searches for the parameter values that best meet an objective, subject to constraints.
+ *
+ * The search evaluates an evenly spaced grid over the bounds, then repeatedly narrows the bounds
+ * to one grid spacing either side of the best feasible point and searches again. A grid search
+ * rather than a gradient method copes with the steps the pump controller puts in the metrics.
+ *
+ * @param {Object} baseParams - Parameters shared by every run.
+ * @param {Function} simulate - Runs a parameter set and returns { params, temperatures }.
+ * @param {Object} options - An object containing:
+ *   - objective: The metric to optimize, one of METRICS, default 'solarFraction'.
+ *   - goal: 'maximize' (default) or 'minimize'.
+ *   - bounds: Search bounds { min, max } keyed by parameter, default area 1-10 m² and tankVolume 0.1-1 m³.
+ *   - constraints: Constraints { metric, min, max } every run must meet, default none.
+ *   - gridSize: Grid points per parameter in each round, default 5.
+ *   - refinements: Rounds of narrowing after the first grid, default 3.
+ *   - costs: Cost parameters (see DEFAULT_COSTS).
+ * @returns {Object} An object containing objective, goal, best (the best feasible row, or null if no
+ *   run met the constraints) and a table of every run, its METRICS and whether it was feasible.
+ */
+const optimizeSizing = (baseParams, simulate, options = {}) => {
+    const {
+        objective = 'solarFraction',
+        goal = 'maximize',
+        bounds = { area: { min: 1, max: 10 }, tankVolume: { min: 0.1, max: 1 } },
+        constraints = [],
+        gridSize = 5,
+        refinements = 3
+    } = options;
+
+    if (!METRICS.includes(objective)) {
+        throw new Error(`Unknown objective "${objective}", expected one of: ${METRICS.join(', ')}`);
+    }
+    if (!OPTIMIZER_GOALS.includes(goal)) {
+        throw new Error(`Unknown goal "${goal}", expected one of: ${OPTIMIZER_GOALS.join(', ')}`);
+    }
+    for (const { metric } of constraints) {
+        if (!METRICS.includes(metric)) {
+            throw new Error(`Unknown constraint metric "${metric}", expected one of: ${METRICS.join(', ')}`);
+        }
+    }
+    const names = Object.keys(bounds);
+    if (names.length === 0 || !(Number.isInteger(gridSize) && gridSize >= 2) || !(Number.isInteger(refinements) && refinements >= 0)) {
+        throw new Error('The optimizer needs at least one bound, a gridSize of at least 2 and non-negative refinements');
+    }
+    checkRunCount(gridSize ** names.length * (refinements + 1));
+
+    const costs = createCosts(options.costs);
+    const evaluated = new Map();
+    const rows = [];
+    const better = (a, b) => goal === 'maximize' ? a > b : a < b;
+    let best = null;
+
+    let current = names.map(name => {
+        const { min, max } = bounds[name];
+        if (typeof min !== 'number' || typeof max !== 'number' || !(max >= min)) {
+            throw new Error(`Bounds for ${name} need numeric min <= max`);
+        }
+        return { min, max };
+    });
+
+    for (let round = 0; round <= refinements; round++) {
+        let points = [{}];
+        names.forEach((name, i) => {
+            const values = getRangeValues(name, { ...current[i], steps: gridSize });
+            points = points.flatMap(point => values.map(value => ({ ...point, [name]: value })));
+        });
+
+        for (const point of points) {
+            const key = JSON.stringify(names.map(name => point[name]));
+            if (evaluated.has(key)) {
+                continue;
+            }
+            const params = { ...baseParams, ...point };
+            const metrics = getRunMetrics(simulate(params), costs);
+            const feasible = meetsConstraints(metrics, constraints) && metrics[objective] !== null;
+            const row = { ...point, ...metrics, feasible };
+            evaluated.set(key, row);
+            rows.push(row);
+            if (feasible && (!best || better(metrics[objective], best[objective]))) {
+                best = row;
+            }
+        }
+
+        if (!best) {
+            break;
+        }
+        // Narrow the bounds to one grid spacing either side of the best point
+        current = names.map((name, i) => {
+            const { min, max } = current[i];
+            const spacing = (max - min) / (gridSize - 1);
+            return {
+                min: Math.max(bounds[name].min, best[name] - spacing),
+                max: Math.min(bounds[name].max, best[name] + spacing)
+            };
+        });
+    }
+
+    return {
+        objective,
+        goal,
+        best,
+        columns: [...names, ...METRICS, 'feasible'],
+        rows
+    };
+};
+
+module.exports = {
+    METRICS,
+    DEFAULT_COSTS,
+    MAX_RUNS,
+    OPTIMIZER_GOALS,
+    createCosts,
+    getRunMetrics,
+    runSweep,
+    runSensitivity,
+    optimizeSizing
+};
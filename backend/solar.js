@@ -0,0 +1,294 @@
+/**
+ * Solar geometry and plane-of-array irradiance.
+ *
+ * Equations follow Duffie & Beckman, "Solar Engineering of Thermal Processes":
+ * - Declination (Cooper, eq. 1.6.1a) and equation of time (eq. 1.5.3)
+ * - Hour angle from apparent solar time
+ * - Zenith and incidence angles on a tilted, oriented surface (eqs. 1.6.2 and 1.6.5)
+ * - Hottel clear-sky beam transmittance and Liu-Jordan diffuse correlation (sec. 2.8)
+ * - Isotropic sky model for total irradiance on a tilted surface (eq. 2.15.1)
+ *
+ * Sign conventions (Duffie & Beckman):
+ * - Latitude: north positive.
+ * - Longitude: east positive.
+ * - Time zone: hours offset from UTC (e.g. -7 for MST).
+ * - Surface azimuth: 0 = facing the equator (south in the northern hemisphere, north in the
+ *   southern), east negative, west positive. Duffie & Beckman measure it from due south, so southern
+ *   sites are mirrored into that convention (see getSurfaceAzimuth).
+ */
+
+const SOLAR_CONSTANT = 1367; // W/m²
+const DEG = Math.PI / 180;
+
+// Zenith cosine below which the beam tilt factor R_b becomes numerically unreliable (~85°).
+const MIN_COS_ZENITH_FOR_BEAM = 0.0872;
+
+/**
+ * Default site used when no location is supplied: a horizontal collector on the equator
+ * at the March equinox. This roughly reproduces the legacy 6 AM - 6 PM, ~1000 W/m² curve.
+ */
+const DEFAULT_SITE = {
+    latitude: 0,
+    longitude: 0,
+    timeZone: 0,
+    dayOfYear: 80,
+    tilt: 0,
+    azimuth: 0,
+    albedo: 0.2,
+    altitude: 0
+};
+
+/**
+ * Calculates solar declination using Cooper's equation.
+ *
+ * @param {number} dayOfYear - Day of the year (1-365).
+ * @returns {number} Declination in degrees.
+ */
+const getDeclination = (dayOfYear) => {
+    return 23.45 * Math.sin(DEG * 360 * (284 + dayOfYear) / 365);
+};
+
+/**
+ * Calculates the equation of time using Spencer's series.
+ *
+ * @param {number} dayOfYear - Day of the year (1-365).
+ * @returns {number} Equation of time in minutes.
+ */
+const getEquationOfTime = (dayOfYear) => {
+    const B = DEG * (dayOfYear - 1) * 360 / 365;
+    return 229.2 * (0.000075 + 0.001868 * Math.cos(B) - 0.032077 * Math.sin(B)
+        - 0.014615 * Math.cos(2 * B) - 0.04089 * Math.sin(2 * B));
+};
+
+/**
+ * Converts local clock (standard) time to apparent solar time.
+ *
+ * @param {number} clockHour - Local standard time in hours (may be fractional).
+ * @param {number} dayOfYear - Day of the year (1-365).
+ * @param {number} longitude - Site longitude in degrees, east positive.
+ * @param {number} timeZone - Time zone offset from UTC in hours.
+ * @returns {number} Apparent solar time in hours.
+ */
+const getSolarTime = (clockHour, dayOfYear, longitude, timeZone) => {
+    const standardMeridian = 15 * timeZone;
+    const correctionMinutes = 4 * (longitude - standardMeridian) + getEquationOfTime(dayOfYear);
+    return clockHour + correctionMinutes / 60;
+};
+
+/**
+ * Calculates the hour angle: 0 at solar noon, 15° per hour, morning negative.
+ *
+ * @param {number} solarTime - Apparent solar time in hours.
+ * @returns {number} Hour angle in degrees.
+ */
+const getHourAngle = (solarTime) => {
+    return 15 * (solarTime - 12);
+};
+
+/**
+ * Calculates the extraterrestrial irradiance on a plane normal to the sun's rays.
+ *
+ * @param {number} dayOfYear - Day of the year (1-365).
+ * @returns {number} Extraterrestrial normal irradiance in W/m².
+ */
+const getExtraterrestrialIrradiance = (dayOfYear) => {
+    return SOLAR_CONSTANT * (1 + 0.033 * Math.cos(DEG * 360 * dayOfYear / 365));
+};
+
+/**
+ * Converts a surface azimuth measured from the equator to Duffie & Beckman's, measured from due
+ * south (east negative in both).
+ *
+ * @param {number} azimuth - Surface azimuth in degrees, 0 facing the equator.
+ * @param {number} latitude - Site latitude in degrees, north positive.
+ * @returns {number} Surface azimuth in degrees from due south.
+ */
+const getSurfaceAzimuth = (azimuth, latitude) => {
+    if (latitude >= 0) {
+        return azimuth;
+    }
+    // Facing north is ±180° from south; turning east from north is turning away from -180°
+    return azimuth > 0 ? 180 - azimuth : -180 - azimuth;
+};
+
+/**
+ * Calculates the sun position relative to the site and the incidence angle on the collector.
+ *
+ * @param {number} clockHour - Local standard time in hours (may be fractional).
+ * @param {Object} site - Site and collector description (see DEFAULT_SITE).
+ * @returns {Object} An object containing:
+ *   - declination: Solar declination in degrees.
+ *   - hourAngle: Hour angle in degrees.
+ *   - cosZenith: Cosine of the solar zenith angle (negative when the sun is below the horizon).
+ *   - cosIncidence: Cosine of the angle of incidence on the collector (negative when the sun is behind it).
+ *   - zenithAngle: Zenith angle in degrees.
+ *   - incidenceAngle: Angle of incidence on the collector in degrees.
+ */
+const getSolarGeometry = (clockHour, site = {}) => {
+    const { latitude, longitude, timeZone, dayOfYear, tilt, azimuth } = { ...DEFAULT_SITE, ...site };
+
+    const declination = getDeclination(dayOfYear);
+    const hourAngle = getHourAngle(getSolarTime(clockHour, dayOfYear, longitude, timeZone));
+
+    const phi = latitude * DEG;
+    const delta = declination * DEG;
+    const omega = hourAngle * DEG;
+    const beta = tilt * DEG;
+    const gamma = getSurfaceAzimuth(azimuth, latitude) * DEG;
+
+    const cosZenith = Math.cos(phi) * Math.cos(delta) * Math.cos(omega) + Math.sin(phi) * Math.sin(delta);
+
+    const cosIncidence = Math.sin(delta) * Math.sin(phi) * Math.cos(beta)
+        - Math.sin(delta) * Math.cos(phi) * Math.sin(beta) * Math.cos(gamma)
+        + Math.cos(delta) * Math.cos(phi) * Math.cos(beta) * Math.cos(omega)
+        + Math.cos(delta) * Math.sin(phi) * Math.sin(beta) * Math.cos(gamma) * Math.cos(omega)
+        + Math.cos(delta) * Math.sin(beta) * Math.sin(gamma) * Math.sin(omega);
+
+    return {
+        declination,
+        hourAngle,
+        cosZenith,
+        cosIncidence,
+        zenithAngle: Math.acos(Math.max(-1, Math.min(1, cosZenith))) / DEG,
+        incidenceAngle: Math.acos(Math.max(-1, Math.min(1, cosIncidence))) / DEG
+    };
+};
+
+/**
+ * Calculates the incidence angle projected onto the collector's two symmetry planes, as used by
+ * biaxial incidence angle modifiers (e.g. for evacuated tubes running up the slope):
+ * - Longitudinal: in the plane containing the surface normal and the up-slope direction.
+ * - Transversal: in the plane containing the surface normal and the horizontal in-plane direction.
+ *
+ * @param {Object} geometry - Result of getSolarGeometry.
+ * @param {Object} site - Site and collector description; uses latitude, tilt and azimuth.
+ * @returns {Object} An object containing longitudinal and transversal angles in degrees (0-90;
+ *   90 when the sun is behind the collector).
+ */
+const getProjectedIncidenceAngles = (geometry, site = {}) => {
+    const { latitude, tilt, azimuth } = { ...DEFAULT_SITE, ...site };
+    const phi = latitude * DEG;
+    const delta = geometry.declination * DEG;
+    const omega = geometry.hourAngle * DEG;
+    const beta = tilt * DEG;
+    const gamma = getSurfaceAzimuth(azimuth, latitude) * DEG;
+
+    // Sun direction in east-north-up coordinates
+    const sunEast = -Math.cos(delta) * Math.sin(omega);
+    const sunNorth = Math.sin(delta) * Math.cos(phi) - Math.cos(delta) * Math.cos(omega) * Math.sin(phi);
+    const sunUp = geometry.cosZenith;
+
+    // Components along the collector's up-slope and horizontal in-plane axes
+    const upSlope = sunEast * Math.cos(beta) * Math.sin(gamma) + sunNorth * Math.cos(beta) * Math.cos(gamma) + sunUp * Math.sin(beta);
+    const horizontal = sunEast * Math.cos(gamma) - sunNorth * Math.sin(gamma);
+
+    if (geometry.cosIncidence <= 0) {
+        return { longitudinal: 90, transversal: 90 };
+    }
+    return {
+        longitudinal: Math.atan2(Math.abs(upSlope), geometry.cosIncidence) / DEG,
+        transversal: Math.atan2(Math.abs(horizontal), geometry.cosIncidence) / DEG
+    };
+};
+
+/**
+ * Estimates clear-sky beam and diffuse irradiance on a horizontal surface using Hottel's
+ * beam transmittance (23 km visibility standard atmosphere) and the Liu-Jordan diffuse correlation.
+ *
+ * @param {Object} geometry - Result of getSolarGeometry.
+ * @param {Object} site - Site description; uses dayOfYear and altitude (m).
+ * @returns {Object} An object containing beam and diffuse horizontal irradiance in W/m².
+ */
+const getClearSkyIrradiance = (geometry, site = {}) => {
+    const { dayOfYear, altitude } = { ...DEFAULT_SITE, ...site };
+    const { cosZenith } = geometry;
+
+    if (cosZenith <= 0) {
+        return { beam: 0, diffuse: 0 };
+    }
+
+    const A = Math.min(altitude / 1000, 2.5); // km; Hottel's fit is valid up to 2.5 km
+    const a0 = 0.4237 - 0.00821 * (6 - A) ** 2;
+    const a1 = 0.5055 + 0.00595 * (6.5 - A) ** 2;
+    const k = 0.2711 + 0.01858 * (2.5 - A) ** 2;
+
+    const tauBeam = a0 + a1 * Math.exp(-k / cosZenith);
+    const tauDiffuse = 0.271 - 0.294 * tauBeam;
+    const G_on = getExtraterrestrialIrradiance(dayOfYear);
+
+    return {
+        beam: G_on * tauBeam * cosZenith,
+        diffuse: G_on * tauDiffuse * cosZenith
+    };
+};
+
+/**
+ * Transposes horizontal beam and diffuse irradiance onto the tilted collector plane using
+ * the isotropic sky model: G_T = G_b R_b + G_d (1 + cos β)/2 + G ρ_g (1 - cos β)/2.
+ *
+ * Near sunrise and sunset, where R_b is ill-conditioned, beam is treated as diffuse.
+ *
+ * @param {number} beamHorizontal - Beam irradiance on a horizontal surface in W/m².
+ * @param {number} diffuseHorizontal - Diffuse irradiance on a horizontal surface in W/m².
+ * @param {Object} geometry - Result of getSolarGeometry.
+ * @param {Object} site - Site description; uses tilt and albedo.
+ * @returns {Object} An object containing beam, diffuse, groundReflected and total irradiance in W/m².
+ */
+const getTiltedIrradiance = (beamHorizontal, diffuseHorizontal, geometry, site = {}) => {
+    const { tilt, albedo } = { ...DEFAULT_SITE, ...site };
+    const { cosZenith, cosIncidence } = geometry;
+    const cosTilt = Math.cos(tilt * DEG);
+    const globalHorizontal = beamHorizontal + diffuseHorizontal;
+
+    let beamOnPlane = 0;
+    let skyDiffuse = diffuseHorizontal;
+    if (cosZenith >= MIN_COS_ZENITH_FOR_BEAM) {
+        beamOnPlane = beamHorizontal * Math.max(cosIncidence, 0) / cosZenith;
+    } else {
+        skyDiffuse += beamHorizontal;
+    }
+
+    const diffuse = skyDiffuse * (1 + cosTilt) / 2;
+    const groundReflected = globalHorizontal * albedo * (1 - cosTilt) / 2;
+
+    return {
+        beam: beamOnPlane,
+        diffuse,
+        groundReflected,
+        total: beamOnPlane + diffuse + groundReflected
+    };
+};
+
+/**
+ * Calculates irradiance on the collector plane for a given clock hour and site.
+ *
+ * @param {number} clockHour - Local standard time in hours (may be fractional).
+ * @param {Object} site - Site and collector description (see DEFAULT_SITE).
+ * @returns {Object} Tilted-surface irradiance components in W/m² plus the zenith and incidence angles.
+ */
+const getPlaneOfArrayIrradiance = (clockHour, site = {}) => {
+    const geometry = getSolarGeometry(clockHour, site);
+    const { beam, diffuse } = getClearSkyIrradiance(geometry, site);
+    const tilted = getTiltedIrradiance(beam, diffuse, geometry, site);
+
+    return {
+        ...tilted,
+        zenithAngle: geometry.zenithAngle,
+        incidenceAngle: geometry.incidenceAngle
+    };
+};
+
+module.exports = {
+    DEFAULT_SITE,
+    getDeclination,
+    getEquationOfTime,
+    getSolarTime,
+    getHourAngle,
+    getExtraterrestrialIrradiance,
+    getSurfaceAzimuth,
+    getSolarGeometry,
+    getProjectedIncidenceAngles,
+    getClearSkyIrradiance,
+    getTiltedIrradiance,
+    getPlaneOfArrayIrradiance
+};
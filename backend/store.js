@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File-backed storage for saved system configurations and simulation runs.
+ *
+ * The records live in an index, a single JSON file holding one array per collection. The index
+ * is read on every call and rewritten in full on every change (via a temporary file and a rename,
+ * so a crash never leaves it half written), which keeps separate server processes consistent and
+ * is fast enough for the hundreds of records a design study produces.
+ *
+ * Bulky fields (DETACHED_FIELDS, such as a run's hourly results) are kept out of the index, in one
+ * file per record in a directory named after the collection next to the index. list returns
+ * records without them; get, create and update return whole records.
+ *
+ * Every record gets an id and createdAt / updatedAt timestamps.
+ */
+
+const COLLECTIONS = ['configurations', 'runs'];
+
+// Fields stored in a file of their own for each record rather than in the index
+const DETACHED_FIELDS = {
+    configurations: [],
+    runs: ['results']
+};
+
+const DEFAULT_STORE_PATH = path.join(__dirname, 'data', 'store.json');
+
+/**
+ * Writes a JSON file via a temporary file and a rename.
+ *
+ * @param {string} filePath - The file to write.
+ * @param {*} data - The value to write.
+ */
+const writeJSON = (filePath, data) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const temporaryPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(data));
+    fs.renameSync(temporaryPath, filePath);
+};
+
+/**
+ * Opens a store, creating its files on the first write.
+ *
+ * @param {string} filePath - Path of the JSON index file, default DEFAULT_STORE_PATH.
+ * @returns {Object} An object containing list, get, create, update and remove functions, each
+ *   taking a collection name (one of COLLECTIONS) first.
+ */
+const createStore = (filePath = DEFAULT_STORE_PATH) => {
+    const read = () => {
+        const data = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+        for (const collection of COLLECTIONS) {
+            data[collection] = data[collection] || [];
+        }
+        return data;
+    };
+
+    const write = (data) => writeJSON(filePath, data);
+
+    const getDetachedPath = (collection, id) => path.join(path.dirname(filePath), collection, `${id}.json`);
+
+    // A record without a file of its own has no detached fields, or was stored with them in the index
+    const readDetached = (collection, record) => {
+        const detachedPath = getDetachedPath(collection, record.id);
+        return fs.existsSync(detachedPath) ? JSON.parse(fs.readFileSync(detachedPath, 'utf8')) : {};
+    };
+
+    // Splits a record into its index entry and its DETACHED_FIELDS
+    const split = (collection, record) => {
+        const entry = { ...record };
+        const detached = {};
+        for (const field of DETACHED_FIELDS[collection]) {
+            if (field in entry) {
+                detached[field] = entry[field];
+                delete entry[field];
+            }
+        }
+        return { entry, detached };
+    };
+
+    const checkCollection = (collection) => {
+        if (!COLLECTIONS.includes(collection)) {
+            throw new Error(`Unknown collection "${collection}", expected one of: ${COLLECTIONS.join(', ')}`);
+        }
+    };
+
+    /**
+     * Lists the records of a collection, oldest first, without their DETACHED_FIELDS.
+     *
+     * @param {string} collection - Collection name.
+     * @param {Function} filter - Optional predicate selecting records.
+     * @returns {Array<Object>} The matching records.
+     */
+    const list = (collection, filter = () => true) => {
+        checkCollection(collection);
+        return read()[collection].filter(filter);
+    };
+
+    /**
+     * Looks up a record by id.
+     *
+     * @param {string} collection - Collection name.
+     * @param {string} id - Record id.
+     * @returns {Object|null} The record, or null if there is none with that id.
+     */
+    const get = (collection, id) => {
+        checkCollection(collection);
+        const entry = read()[collection].find(record => record.id === id);
+        return entry ? { ...entry, ...readDetached(collection, entry) } : null;
+    };
+
+    /**
+     * Adds a record.
+     *
+     * @param {string} collection - Collection name.
+     * @param {Object} fields - The record's fields; id and timestamps are assigned by the store.
+     * @returns {Object} The stored record.
+     */
+    const create = (collection, fields) => {
+        checkCollection(collection);
+        const data = read();
+        const now = new Date().toISOString();
+        const record = { ...fields, id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+        const { entry, detached } = split(collection, record);
+        if (Object.keys(detached).length > 0) {
+            writeJSON(getDetachedPath(collection, record.id), detached);
+        }
+        data[collection].push(entry);
+        write(data);
+        return record;
+    };
+
+    /**
+     * Replaces fields of a record.
+     *
+     * @param {string} collection - Collection name.
+     * @param {string} id - Record id.
+     * @param {Object} fields - Fields to replace; id and createdAt cannot be changed.
+     * @returns {Object|null} The updated record, or null if there is none with that id.
+     */
+    const update = (collection, id, fields) => {
+        checkCollection(collection);
+        const data = read();
+        const index = data[collection].findIndex(record => record.id === id);
+        if (index < 0) {
+            return null;
+        }
+        const existing = { ...data[collection][index], ...readDetached(collection, data[collection][index]) };
+        const record = { ...existing, ...fields, id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+        const { entry, detached } = split(collection, record);
+        if (Object.keys(detached).length > 0) {
+            writeJSON(getDetachedPath(collection, id), detached);
+        }
+        data[collection][index] = entry;
+        write(data);
+        return record;
+    };
+
+    /**
+     * Deletes a record.
+     *
+     * @param {string} collection - Collection name.
+     * @param {string} id - Record id.
+     * @returns {boolean} Whether a record was deleted.
+     */
+    const remove = (collection, id) => {
+        checkCollection(collection);
+        const data = read();
+        const remaining = data[collection].filter(record => record.id !== id);
+        if (remaining.length === data[collection].length) {
+            return false;
+        }
+        data[collection] = remaining;
+        write(data);
+        fs.rmSync(getDetachedPath(collection, id), { force: true });
+        return true;
+    };
+
+    return { list, get, create, update, remove };
+};
+
+module.exports = {
+    COLLECTIONS,
+    DETACHED_FIELDS,
+    DEFAULT_STORE_PATH,
+    createStore
+};
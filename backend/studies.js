@@ -0,0 +1,103 @@
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { simulateTemperature } = require('./calculations');
+const { runSweep, runSensitivity, optimizeSizing } = require('./sizing');
+const { calibrate } = require('./calibration');
+const { prepareSimulation } = require('./simulation');
+const { convertReports } = require('./units');
+
+/**
+ * Studies run for the HTTP server: sweeps, sensitivity analyses, sizing optimizations (see
+ * sizing.js) and calibrations (see calibration.js).
+ *
+ * A study runs up to sizing.MAX_RUNS simulations, seconds each for annual runs, so each runs in
+ * its own worker thread to keep the server answering other requests and session streams meanwhile.
+ * The worker is this module: it runs the study named in its workerData and posts back either
+ * { result } or { error }.
+ */
+
+/**
+ * Runs one simulation of a study.
+ *
+ * @param {Object} request - /simulate request parameters.
+ * @param {Object} simulationOptions - Options for simulation.prepareSimulation.
+ * @returns {Object} An object containing params (as resolved for simulateTemperature) and temperatures.
+ */
+const simulateForStudy = (request, simulationOptions = {}) => {
+    const simulation = prepareSimulation(request, simulationOptions);
+    if (simulation.errors) {
+        throw new Error(simulation.errors.join('; '));
+    }
+    const { units, initialParams, inputChanges, startStep } = simulation;
+    return { params: initialParams, temperatures: convertReports(simulateTemperature(initialParams, inputChanges, startStep), units) };
+};
+
+// How each study is run from its base parameters, the simulation and the study's options
+const STUDIES = {
+    sweep: (params, simulate, { ranges, costs }) => runSweep(params, ranges || {}, simulate, costs),
+    sensitivity: (params, simulate, { parameters, ...options }) => runSensitivity(params, parameters || [], simulate, options),
+    optimize: (params, simulate, options) => optimizeSizing(params, simulate, options),
+    calibrate: (params, simulate, { measurements, ...options }) => calibrate(params, measurements, simulate, options)
+};
+
+/**
+ * Runs a study in the current thread.
+ *
+ * @param {string} study - One of the STUDIES.
+ * @param {Object} params - The study's base /simulate request parameters.
+ * @param {Object} options - The study's options (see STUDIES and the functions they call).
+ * @param {Object} simulationOptions - Options for simulation.prepareSimulation.
+ * @returns {Object} The study's result.
+ */
+const runStudySync = (study, params, options = {}, simulationOptions = {}) => {
+    if (!STUDIES[study]) {
+        throw new Error(`Unknown study "${study}", expected one of: ${Object.keys(STUDIES).join(', ')}`);
+    }
+    return STUDIES[study](params, (request) => simulateForStudy(request, simulationOptions), options);
+};
+
+/**
+ * Runs a study in a worker thread.
+ *
+ * @param {string} study - One of the STUDIES.
+ * @param {Object} params - The study's base /simulate request parameters.
+ * @param {Object} options - The study's options (see STUDIES and the functions they call).
+ * @param {Object} simulationOptions - Options for simulation.prepareSimulation.
+ * @returns {Promise<Object>} The study's result; rejected with the study's error if it failed.
+ */
+const runStudy = (study, params, options = {}, simulationOptions = {}) => new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { study, params, options, simulationOptions } });
+    let settled = false;
+    worker.once('message', ({ result, error }) => {
+        settled = true;
+        if (error) {
+            reject(new Error(error));
+        } else {
+            resolve(result);
+        }
+    });
+    worker.once('error', (error) => {
+        settled = true;
+        reject(error);
+    });
+    worker.once('exit', (code) => {
+        if (!settled) {
+            reject(new Error(`The study stopped unexpectedly (exit code ${code})`));
+        }
+    });
+});
+
+if (!isMainThread && workerData && workerData.study) {
+    const { study, params, options, simulationOptions } = workerData;
+    try {
+        parentPort.postMessage({ result: runStudySync(study, params, options, simulationOptions) });
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+}
+
+module.exports = {
+    STUDIES,
+    simulateForStudy,
+    runStudySync,
+    runStudy
+};
@@ -0,0 +1,186 @@
+/**
+ * Multi-node (stratified) storage tank model.
+ *
+ * The tank is divided into N horizontal, fully mixed nodes of equal volume, numbered from the top
+ * (node 0) to the bottom (node N - 1). A single node reproduces the fully mixed tank. Each node
+ * exchanges heat through:
+ * - Streams: fluid entering at one height and leaving at another flows through every node in
+ *   between (upwind/plug-flow scheme, Duffie & Beckman sec. 8.4).
+ * - Conduction between adjacent nodes, using an effective conductivity that can include wall effects.
+ * - Standby losses to the room, with the tank UA shared out by node surface area.
+ *
+ * Temperature inversions (a colder node above a warmer one) are removed after each time step by
+ * mixing the affected nodes, which models buoyancy-driven mixing.
+ *
+ * Heights are given as fractions of the tank height: 0 is the bottom, 1 is the top.
+ */
+
+const DEFAULT_TANK = {
+    nodeCount: 1,
+    height: 1.5, // m
+    UA: 0, // W/K
+    roomTemp: 20, // °C
+    conductivity: 0.6, // W/(m·K), still water
+    density: 1000, // kg/m³
+    collectorReturnHeight: 1,
+    collectorOutletHeight: 0,
+    loadInletHeight: 0,
+    loadOutletHeight: 1
+};
+
+/**
+ * Returns the index of the node that contains a given height.
+ *
+ * @param {number} height - Height as a fraction of the tank height (0 = bottom, 1 = top).
+ * @param {number} nodeCount - Number of nodes.
+ * @returns {number} Node index (0 = top node).
+ */
+const getNodeAtHeight = (height, nodeCount) => {
+    const fromTop = Math.max(0, Math.min(1, 1 - height));
+    return Math.min(nodeCount - 1, Math.floor(fromTop * nodeCount));
+};
+
+/**
+ * Resolves tank parameters and derives node geometry.
+ *
+ * @param {Object} params - Tank parameters (see DEFAULT_TANK) plus volume (m³) and specificHeat (J/(kg·K)).
+ * @returns {Object} The tank description with nodeMass (kg), nodeUA (W/K per node) and
+ *   conductance (W/K between adjacent nodes) added.
+ */
+const createTank = (params) => {
+    const tank = { ...DEFAULT_TANK };
+    for (const key of Object.keys(params)) {
+        if (params[key] !== undefined && params[key] !== null) {
+            tank[key] = params[key];
+        }
+    }
+
+    const { volume, height, nodeCount, UA, conductivity, density } = tank;
+    const diameter = Math.sqrt(4 * volume / (Math.PI * height));
+    const crossSection = Math.PI * diameter ** 2 / 4;
+    const nodeHeight = height / nodeCount;
+
+    // Share the UA out in proportion to each node's exposed surface: its side wall, plus the lid
+    // for the top node and the base for the bottom node
+    const sideArea = Math.PI * diameter * nodeHeight;
+    const totalArea = sideArea * nodeCount + 2 * crossSection;
+    const nodeUA = Array.from({ length: nodeCount }, (_, i) => {
+        const area = sideArea + (i === 0 ? crossSection : 0) + (i === nodeCount - 1 ? crossSection : 0);
+        return UA * area / totalArea;
+    });
+
+    return {
+        ...tank,
+        nodeMass: density * volume / nodeCount,
+        nodeUA,
+        conductance: conductivity * crossSection / nodeHeight
+    };
+};
+
+/**
+ * Calculates the rate of change of each node temperature.
+ *
+ * @param {Array<number>} nodeTemps - Node temperatures in °C, top node first.
+ * @param {Object} tank - Tank description from createTank.
+ * @param {Array<Object>} streams - Fluid streams through the tank, each with:
+ *   - flowRate: Mass flow rate in kg/s.
+ *   - temp: Inlet temperature in °C.
+ *   - inletHeight: Height at which the stream enters (0-1).
+ *   - outletHeight: Height at which the stream leaves (0-1).
+ * @returns {Array<number>} Rate of change of each node temperature in °C/s.
+ */
+const calculateTankNodeRates = (nodeTemps, tank, streams) => {
+    const { nodeCount, nodeMass, nodeUA, conductance, roomTemp, specificHeat } = tank;
+    const heatFlows = new Array(nodeCount).fill(0); // W
+
+    for (const { flowRate, temp, inletHeight, outletHeight } of streams) {
+        if (!(flowRate > 0)) {
+            continue;
+        }
+        const inletNode = getNodeAtHeight(inletHeight, nodeCount);
+        const outletNode = getNodeAtHeight(outletHeight, nodeCount);
+        const direction = outletNode >= inletNode ? 1 : -1;
+
+        // Each node on the path receives the stream at its upstream temperature
+        let upstreamTemp = temp;
+        for (let i = inletNode; i !== outletNode + direction; i += direction) {
+            heatFlows[i] += flowRate * specificHeat * (upstreamTemp - nodeTemps[i]);
+            upstreamTemp = nodeTemps[i];
+        }
+    }
+
+    for (let i = 0; i < nodeCount; i++) {
+        if (i > 0) {
+            heatFlows[i] += conductance * (nodeTemps[i - 1] - nodeTemps[i]);
+        }
+        if (i < nodeCount - 1) {
+            heatFlows[i] += conductance * (nodeTemps[i + 1] - nodeTemps[i]);
+        }
+        heatFlows[i] -= nodeUA[i] * (nodeTemps[i] - roomTemp);
+    }
+
+    return heatFlows.map(heatFlow => heatFlow / (nodeMass * specificHeat));
+};
+
+/**
+ * Removes temperature inversions by mixing each colder node with the warmer nodes below it
+ * until the profile decreases monotonically from top to bottom. Nodes have equal mass, so
+ * mixing averages their temperatures and conserves energy.
+ *
+ * @param {Array<number>} nodeTemps - Node temperatures in °C, top node first.
+ * @returns {Array<number>} The mixed node temperatures.
+ */
+const mixInversions = (nodeTemps) => {
+    // Pool-adjacent-violators: merge blocks until block averages are non-increasing downwards
+    const blocks = [];
+    for (const temp of nodeTemps) {
+        blocks.push({ sum: temp, count: 1 });
+        while (blocks.length > 1) {
+            const lower = blocks[blocks.length - 1];
+            const upper = blocks[blocks.length - 2];
+            if (upper.sum / upper.count >= lower.sum / lower.count) {
+                break;
+            }
+            blocks.pop();
+            upper.sum += lower.sum;
+            upper.count += lower.count;
+        }
+    }
+    return blocks.flatMap(({ sum, count }) => new Array(count).fill(sum / count));
+};
+
+/**
+ * Estimates the shortest thermal time constant of any node: its heat capacity divided by the
+ * total conductance coupling it to its surroundings. Explicit integrators become unstable
+ * when the step is much larger than this.
+ *
+ * @param {Object} tank - Tank description from createTank.
+ * @param {number} flowRate - Largest mass flow rate through the tank in kg/s.
+ * @returns {number} Shortest node time constant in seconds.
+ */
+const getTankTimeConstant = (tank, flowRate) => {
+    const { nodeCount, nodeMass, nodeUA, conductance, specificHeat } = tank;
+    const neighbours = Math.min(2, nodeCount - 1);
+    const maxUA = Math.max(...nodeUA);
+    return nodeMass * specificHeat / (flowRate * specificHeat + neighbours * conductance + maxUA);
+};
+
+/**
+ * Calculates the mass-weighted mean temperature of the tank.
+ *
+ * @param {Array<number>} nodeTemps - Node temperatures in °C.
+ * @returns {number} Mean tank temperature in °C.
+ */
+const getMeanTankTemp = (nodeTemps) => {
+    return nodeTemps.reduce((sum, temp) => sum + temp, 0) / nodeTemps.length;
+};
+
+module.exports = {
+    DEFAULT_TANK,
+    getNodeAtHeight,
+    createTank,
+    calculateTankNodeRates,
+    mixInversions,
+    getTankTimeConstant,
+    getMeanTankTemp
+};
@@ -0,0 +1,119 @@
+const { fahrenheitToCelsius, celsiusToFahrenheit } = require('./utils');
+
+/**
+ * Unit systems of the simulation API.
+ *
+ * The calculation core works in SI throughout (temperatures in °C, temperature differences in K).
+ * Requests choose a unit system and are converted to SI once, on the way in, and their reports
+ * are converted back once, on the way out:
+ *
+ *   - 'imperial' (the default, matching the original API): temperatures in °F and temperature
+ *     differences in °F.
+ *   - 'si': temperatures in °C and temperature differences in K.
+ *
+ * Only temperatures differ between the systems; areas, volumes, lengths, powers and flows are
+ * metric in both. Percentages (pump efficiency, minimum pump speed, ...) are given as 0-100 in
+ * both systems and used as fractions by the core.
+ */
+
+const identity = (value) => value;
+
+// Conversions of each quantity from (toSI) and to (fromSI) the request's units
+const UNIT_SYSTEMS = {
+    si: {
+        temperature: { unit: '°C', toSI: identity, fromSI: identity },
+        temperatureDifference: { unit: 'K', toSI: identity, fromSI: identity },
+        percent: { unit: '%', toSI: (value) => value / 100, fromSI: (value) => value * 100 }
+    },
+    imperial: {
+        temperature: { unit: '°F', toSI: fahrenheitToCelsius, fromSI: celsiusToFahrenheit },
+        temperatureDifference: { unit: '°F', toSI: (value) => value * 5 / 9, fromSI: (value) => value * 9 / 5 },
+        percent: { unit: '%', toSI: (value) => value / 100, fromSI: (value) => value * 100 }
+    }
+};
+
+const DEFAULT_UNIT_SYSTEM = 'imperial';
+
+// Report fields holding temperatures
+const REPORT_TEMPERATURES = ['fluidTemp', 'panelTemp', 'tankTemp', 'deliveredTemp', 'ambientTemp', 'minCollectorTemp'];
+
+/**
+ * Looks up the conversion of a quantity.
+ *
+ * @param {string} quantity - 'temperature', 'temperatureDifference' or 'percent'.
+ * @param {string} units - A key of UNIT_SYSTEMS.
+ * @returns {Object} An object containing unit (its symbol), toSI and fromSI.
+ */
+const getConversion = (quantity, units = DEFAULT_UNIT_SYSTEM) => {
+    const system = UNIT_SYSTEMS[units];
+    if (!system) {
+        throw new Error(`Unknown unit system "${units}", expected one of: ${Object.keys(UNIT_SYSTEMS).join(', ')}`);
+    }
+    const conversion = system[quantity];
+    if (!conversion) {
+        throw new Error(`Unknown quantity "${quantity}", expected one of: ${Object.keys(system).join(', ')}`);
+    }
+    return conversion;
+};
+
+/**
+ * Converts a value given in a unit system to SI.
+ *
+ * @param {number} value - The value in the request's units.
+ * @param {string} quantity - The quantity it holds (see getConversion).
+ * @param {string} units - A key of UNIT_SYSTEMS.
+ * @returns {number} The value in SI units.
+ */
+const toSI = (value, quantity, units) => getConversion(quantity, units).toSI(value);
+
+/**
+ * Converts an SI value to a unit system.
+ *
+ * @param {number} value - The value in SI units.
+ * @param {string} quantity - The quantity it holds (see getConversion).
+ * @param {string} units - A key of UNIT_SYSTEMS.
+ * @returns {number} The value in the request's units.
+ */
+const fromSI = (value, quantity, units) => getConversion(quantity, units).fromSI(value);
+
+/**
+ * Converts a simulation report, or a state of the same shape, from SI to a unit system.
+ *
+ * @param {Object} record - A report from simulateTemperature or a state from createSimulation.
+ * @param {string} units - A key of UNIT_SYSTEMS.
+ * @returns {Object} The converted record; temperatures it does not hold stay absent.
+ */
+const convertReport = (record, units = DEFAULT_UNIT_SYSTEM) => {
+    const { fromSI: convert } = getConversion('temperature', units);
+    const converted = { ...record };
+    for (const field of REPORT_TEMPERATURES) {
+        if (record[field] !== undefined) {
+            converted[field] = convert(record[field]);
+        }
+    }
+    if (record.tankNodeTemps) {
+        converted.tankNodeTemps = record.tankNodeTemps.map(convert);
+    }
+    return converted;
+};
+
+/**
+ * Converts simulation reports from SI to a unit system.
+ *
+ * @param {Array<Object>} results - Output of simulateTemperature.
+ * @param {string} units - A key of UNIT_SYSTEMS.
+ * @returns {Array<Object>} The converted reports.
+ */
+const convertReports = (results, units = DEFAULT_UNIT_SYSTEM) => {
+    return results.map(record => convertReport(record, units));
+};
+
+module.exports = {
+    UNIT_SYSTEMS,
+    DEFAULT_UNIT_SYSTEM,
+    getConversion,
+    toSI,
+    fromSI,
+    convertReport,
+    convertReports
+};
@@ -0,0 +1,461 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Hourly weather file support for EnergyPlus EPW and NREL TMY3 CSV files.
+ *
+ * Both formats are parsed into the same shape:
+ *   {
+ *     format: 'epw' | 'tmy3',
+ *     location: { name, latitude, longitude, timeZone, altitude },
+ *     records: [{ month, day, hour, dryBulb, globalHorizontal, diffuseHorizontal, directNormal, windSpeed }]
+ *   }
+ *
+ * Each record describes the hour that starts at `hour` (0-23) local standard time; both file
+ * formats label hours 1-24 by the end of the interval. Irradiance values are hourly averages in W/m²,
+ * temperatures are in °C and wind speed in m/s.
+ *
+ * The simulation's calendar has no leap days (see getDayOfYear), so validation drops the records of
+ * February 29th from leap-year files, leaving the 8760 hours of a common year.
+ */
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Fields filled from the file, with the physically plausible range used during validation.
+const FIELD_RANGES = {
+    dryBulb: [-70, 70],
+    globalHorizontal: [0, 1500],
+    diffuseHorizontal: [0, 1000],
+    directNormal: [0, 1500],
+    windSpeed: [0, 40]
+};
+
+// EPW data columns (0-based) and their "missing" sentinel values.
+const EPW_COLUMNS = {
+    dryBulb: { index: 6, missing: 99.9 },
+    globalHorizontal: { index: 13, missing: 9999 },
+    directNormal: { index: 14, missing: 9999 },
+    diffuseHorizontal: { index: 15, missing: 9999 },
+    windSpeed: { index: 21, missing: 999 }
+};
+const EPW_HEADER_LINES = 8;
+
+// TMY3 column header prefixes; TMY3 marks missing data with -9900.
+const TMY3_COLUMNS = {
+    dryBulb: 'Dry-bulb',
+    globalHorizontal: 'GHI (',
+    directNormal: 'DNI (',
+    diffuseHorizontal: 'DHI (',
+    windSpeed: 'Wspd'
+};
+const TMY3_MISSING = -9900;
+
+/**
+ * Splits one CSV line into fields, honouring double-quoted fields.
+ *
+ * @param {string} line - A single CSV line.
+ * @returns {Array<string>} The trimmed field values.
+ */
+const splitCsvLine = (line) => {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+    for (const char of line) {
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+};
+
+/**
+ * Splits file content into non-empty lines, accepting both LF and CRLF line endings.
+ *
+ * @param {string} content - Raw file content.
+ * @returns {Array<string>} Non-empty lines.
+ */
+const splitLines = (content) => content.split(/\r?\n/).filter(line => line.trim() !== '');
+
+/**
+ * Converts a month and day to the day of the year, ignoring leap days.
+ *
+ * @param {number} month - Month (1-12).
+ * @param {number} day - Day of the month (1-31).
+ * @returns {number} Day of the year (1-365).
+ */
+const getDayOfYear = (month, day) => {
+    let dayOfYear = day;
+    for (let m = 0; m < month - 1; m++) {
+        dayOfYear += DAYS_IN_MONTH[m];
+    }
+    return dayOfYear;
+};
+
+/**
+ * Finds the month containing a day of the year, ignoring leap days.
+ *
+ * @param {number} dayOfYear - Day of the year (1-365).
+ * @returns {number} Month (1-12).
+ */
+const getMonth = (dayOfYear) => {
+    let month = 1;
+    let lastDay = DAYS_IN_MONTH[0];
+    while (month < 12 && dayOfYear > lastDay) {
+        lastDay += DAYS_IN_MONTH[month];
+        month++;
+    }
+    return month;
+};
+
+/**
+ * Parses a numeric field, returning null for blanks, non-numbers and the format's missing sentinel.
+ *
+ * @param {string} value - Raw field value.
+ * @param {number} missing - Sentinel value denoting missing data.
+ * @returns {number|null} The parsed value, or null if missing.
+ */
+const parseValue = (value, missing) => {
+    const number = parseFloat(value);
+    if (value === undefined || value === '' || isNaN(number)) {
+        return null;
+    }
+    return number === missing ? null : number;
+};
+
+/**
+ * Parses an EnergyPlus weather (EPW) file.
+ *
+ * @param {string} content - Raw EPW file content.
+ * @returns {Object} Parsed weather data (see module documentation).
+ * @throws {Error} If the file does not have an EPW LOCATION header or has no data rows.
+ */
+const parseEpw = (content) => {
+    const lines = splitLines(content);
+    const header = splitCsvLine(lines[0] || '');
+    if (header[0].toUpperCase() !== 'LOCATION' || header.length < 10) {
+        throw new Error('EPW file must start with a LOCATION header line');
+    }
+
+    const location = {
+        name: [header[1], header[2], header[3]].filter(Boolean).join(', '),
+        latitude: parseFloat(header[6]),
+        longitude: parseFloat(header[7]),
+        timeZone: parseFloat(header[8]),
+        altitude: parseFloat(header[9])
+    };
+
+    const records = lines.slice(EPW_HEADER_LINES).map(line => {
+        const fields = splitCsvLine(line);
+        const record = {
+            month: parseInt(fields[1], 10),
+            day: parseInt(fields[2], 10),
+            hour: parseInt(fields[3], 10) - 1
+        };
+        for (const [key, { index, missing }] of Object.entries(EPW_COLUMNS)) {
+            record[key] = parseValue(fields[index], missing);
+        }
+        return record;
+    });
+
+    if (records.length === 0) {
+        throw new Error('EPW file contains no data rows');
+    }
+
+    return { format: 'epw', location, records };
+};
+
+/**
+ * Parses an NREL TMY3 CSV file.
+ *
+ * @param {string} content - Raw TMY3 file content.
+ * @returns {Object} Parsed weather data (see module documentation).
+ * @throws {Error} If the station header or a required column is missing.
+ */
+const parseTmy3 = (content) => {
+    const lines = splitLines(content);
+    if (lines.length < 3) {
+        throw new Error('TMY3 file must contain a station header, a column header and data rows');
+    }
+
+    const station = splitCsvLine(lines[0]);
+    const location = {
+        name: [station[1], station[2]].filter(Boolean).join(', '),
+        latitude: parseFloat(station[4]),
+        longitude: parseFloat(station[5]),
+        timeZone: parseFloat(station[3]),
+        altitude: parseFloat(station[6])
+    };
+    if ([location.latitude, location.longitude, location.timeZone].some(isNaN)) {
+        throw new Error('TMY3 station header must contain time zone, latitude and longitude');
+    }
+
+    const columns = splitCsvLine(lines[1]);
+    const dateIndex = columns.findIndex(name => name.startsWith('Date'));
+    const timeIndex = columns.findIndex(name => name.startsWith('Time'));
+    const indices = {};
+    for (const [key, prefix] of Object.entries(TMY3_COLUMNS)) {
+        indices[key] = columns.findIndex(name => name.startsWith(prefix));
+    }
+    const missingColumns = Object.keys(indices).filter(key => indices[key] === -1);
+    if (dateIndex === -1) {
+        missingColumns.unshift('Date');
+    }
+    if (timeIndex === -1) {
+        missingColumns.unshift('Time');
+    }
+    if (missingColumns.length > 0) {
+        throw new Error(`TMY3 file is missing required columns: ${missingColumns.join(', ')}`);
+    }
+
+    const records = lines.slice(2).map(line => {
+        const fields = splitCsvLine(line);
+        const [month, day] = (fields[dateIndex] || '').split('/').map(value => parseInt(value, 10));
+        const record = {
+            month,
+            day,
+            hour: parseInt(fields[timeIndex], 10) - 1
+        };
+        for (const [key, index] of Object.entries(indices)) {
+            record[key] = parseValue(fields[index], TMY3_MISSING);
+        }
+        return record;
+    });
+
+    return { format: 'tmy3', location, records };
+};
+
+/**
+ * Parses an EPW or TMY3 file, detecting the format from its first line.
+ *
+ * @param {string} content - Raw file content.
+ * @returns {Object} Parsed weather data (see module documentation).
+ */
+const parseWeatherFile = (content) => {
+    if (typeof content !== 'string' || content.trim() === '') {
+        throw new Error('Weather file is empty');
+    }
+    return content.trimStart().toUpperCase().startsWith('LOCATION') ? parseEpw(content) : parseTmy3(content);
+};
+
+/**
+ * Validates parsed weather data, drops the records of February 29th and fills isolated missing
+ * values in place by linear interpolation between the nearest valid neighbours.
+ *
+ * @param {Object} data - Parsed weather data.
+ * @returns {Object} An object containing:
+ *   - errors: Problems that make the file unusable.
+ *   - warnings: Problems that were tolerated or repaired.
+ */
+const validateWeatherData = (data) => {
+    const errors = [];
+    const warnings = [];
+    const { location, records } = data;
+
+    if (Math.abs(location.latitude) > 90 || isNaN(location.latitude)) {
+        errors.push(`Invalid latitude: ${location.latitude}`);
+    }
+    if (Math.abs(location.longitude) > 180 || isNaN(location.longitude)) {
+        errors.push(`Invalid longitude: ${location.longitude}`);
+    }
+    if (Math.abs(location.timeZone) > 14 || isNaN(location.timeZone)) {
+        errors.push(`Invalid time zone: ${location.timeZone}`);
+    }
+    const leapDayRecords = records.filter(record => record.month === 2 && record.day === 29).length;
+    if (leapDayRecords > 0) {
+        const kept = records.filter(record => !(record.month === 2 && record.day === 29));
+        records.splice(0, records.length, ...kept);
+        warnings.push(`Dropped ${leapDayRecords} records for February 29th`);
+    }
+    if (records.length !== 8760) {
+        warnings.push(`Expected 8760 hourly records, found ${records.length}`);
+    }
+
+    records.forEach((record, i) => {
+        const { month, day, hour } = record;
+        if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= 31) || !(hour >= 0 && hour <= 23)) {
+            errors.push(`Row ${i + 1}: invalid date/time ${month}/${day} hour ${hour + 1}`);
+        }
+    });
+
+    for (const [key, [min, max]] of Object.entries(FIELD_RANGES)) {
+        let missing = 0;
+        records.forEach(record => {
+            if (record[key] !== null && (record[key] < min || record[key] > max)) {
+                warnings.push(`${key} value ${record[key]} on ${record.month}/${record.day} hour ${record.hour + 1} is outside [${min}, ${max}]`);
+                record[key] = null;
+            }
+            if (record[key] === null) {
+                missing++;
+            }
+        });
+
+        if (missing === records.length) {
+            errors.push(`No valid ${key} values`);
+        } else if (missing > 0) {
+            fillMissing(records, key);
+            warnings.push(`Interpolated ${missing} missing ${key} values`);
+        }
+    }
+
+    return { errors, warnings };
+};
+
+/**
+ * Replaces null values of one field by linear interpolation, holding the nearest valid value at the ends.
+ *
+ * @param {Array<Object>} records - Weather records, modified in place.
+ * @param {string} key - Field name to fill.
+ */
+const fillMissing = (records, key) => {
+    let previous = -1;
+    for (let i = 0; i <= records.length; i++) {
+        if (i < records.length && records[i][key] === null) {
+            continue;
+        }
+        const start = previous >= 0 ? records[previous][key] : records[i][key];
+        const end = i < records.length ? records[i][key] : start;
+        for (let j = previous + 1; j < i; j++) {
+            const fraction = (j - previous) / (i - previous);
+            records[j][key] = start + (end - start) * fraction;
+        }
+        previous = i;
+    }
+};
+
+/**
+ * Resolves the path of a weather file, keeping it within a weather-data directory when one is given.
+ *
+ * @param {string} filePath - The requested path, relative to the directory when there is one.
+ * @param {string|null|undefined} directory - Directory the file must be in; null when no path is
+ *   allowed, undefined when any path is.
+ * @returns {string} The path to read.
+ */
+const resolveWeatherPath = (filePath, directory) => {
+    if (directory === undefined) {
+        return filePath;
+    }
+    if (directory === null) {
+        throw new Error('Weather files cannot be read from a path here, send their content instead');
+    }
+    let root;
+    let resolved;
+    try {
+        root = fs.realpathSync(directory);
+        resolved = fs.realpathSync(path.resolve(root, String(filePath)));
+    } catch (error) {
+        throw new Error(`Weather file "${filePath}" not found`);
+    }
+    const relative = path.relative(root, resolved);
+    if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`Weather file "${filePath}" is outside the weather data directory`);
+    }
+    return resolved;
+};
+
+/**
+ * Reads and parses a weather file from either inline content or a path on the server.
+ *
+ * @param {Object} source - Either { content } with the raw file text or { path } to a local file.
+ * @param {Object} options - An object containing directory, the weather-data directory that paths
+ *   are resolved in and may not leave (null to refuse paths, default any path).
+ * @returns {Object} Parsed weather data together with validation results ({ ...data, errors, warnings }).
+ */
+const loadWeatherFile = (source, { directory } = {}) => {
+    let content = source.content;
+    if (content === undefined && source.path) {
+        content = fs.readFileSync(resolveWeatherPath(source.path, directory), 'utf8');
+    }
+    const data = parseWeatherFile(content);
+    return { ...data, ...validateWeatherData(data) };
+};
+
+/**
+ * Parses an "MM-DD" or "MM/DD" date string.
+ *
+ * @param {string} date - Date string.
+ * @returns {Object} An object containing month and day.
+ */
+const parseMonthDay = (date) => {
+    const [month, day] = String(date).split(/[-/]/).map(value => parseInt(value, 10));
+    if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= DAYS_IN_MONTH[month - 1])) {
+        throw new Error(`Invalid date "${date}", expected MM-DD`);
+    }
+    return { month, day };
+};
+
+/**
+ * Selects the records between two dates (inclusive), wrapping around the end of the year
+ * when the end date precedes the start date.
+ *
+ * @param {Array<Object>} records - Weather records.
+ * @param {string} startDate - First day to include, "MM-DD". Defaults to the first record.
+ * @param {string} endDate - Last day to include, "MM-DD". Defaults to the day before startDate.
+ * @returns {Array<Object>} The selected records, in chronological order.
+ */
+const selectDateRange = (records, startDate, endDate) => {
+    const first = records.findIndex(record => {
+        if (!startDate) {
+            return true;
+        }
+        const { month, day } = parseMonthDay(startDate);
+        return record.month === month && record.day === day;
+    });
+    if (first === -1) {
+        throw new Error(`Start date ${startDate} not found in weather file`);
+    }
+
+    const ordered = [...records.slice(first), ...records.slice(0, first)];
+    if (!endDate) {
+        return ordered;
+    }
+
+    const { month, day } = parseMonthDay(endDate);
+    let last = -1;
+    ordered.forEach((record, i) => {
+        if (record.month === month && record.day === day) {
+            last = i;
+        }
+    });
+    if (last === -1) {
+        throw new Error(`End date ${endDate} not found in weather file`);
+    }
+    return ordered.slice(0, last + 1);
+};
+
+/**
+ * Summarizes parsed weather data for display after an upload.
+ *
+ * @param {Array<Object>} records - Weather records.
+ * @returns {Object} Record count, temperature range and mean, annual horizontal insolation
+ *   in kWh/m² and mean wind speed.
+ */
+const summarizeWeatherData = (records) => {
+    const temps = records.map(record => record.dryBulb);
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    return {
+        recordCount: records.length,
+        minDryBulb: Math.min(...temps),
+        maxDryBulb: Math.max(...temps),
+        meanDryBulb: sum(temps) / records.length,
+        globalHorizontalKWh: sum(records.map(record => record.globalHorizontal)) / 1000,
+        meanWindSpeed: sum(records.map(record => record.windSpeed)) / records.length
+    };
+};
+
+module.exports = {
+    getDayOfYear,
+    getMonth,
+    parseEpw,
+    parseTmy3,
+    parseWeatherFile,
+    validateWeatherData,
+    loadWeatherFile,
+    selectDateRange,
+    summarizeWeatherData
+};
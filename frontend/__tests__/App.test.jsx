@@ -0,0 +1,138 @@
+/**
+ * @jest-environment jsdom
+ */
+const React = require('react');
+const { render, screen, fireEvent, act, within } = require('@testing-library/react');
+const { describeFields } = require('../../backend/schema');
+const { DEFAULT_SITE } = require('../../backend/solar');
+const App = require('../src/App');
+
+const fields = describeFields('si', DEFAULT_SITE);
+
+// A server client whose runs are driven by the test
+const createFakeApi = () => {
+  const watched = {};
+  let started = 0;
+  return {
+    watched,
+    getSchema: jest.fn(() => Promise.resolve(fields)),
+    startRun: jest.fn(() => {
+      started += 1;
+      return Promise.resolve({ id: `run-${started}`, status: 'running' });
+    }),
+    watchRun: jest.fn((id, handlers) => {
+      watched[id] = handlers;
+      return jest.fn();
+    }),
+    pauseRun: jest.fn(id => Promise.resolve({ id, status: 'paused' })),
+    resumeRun: jest.fn(id => Promise.resolve({ id, status: 'running' })),
+    stopRun: jest.fn(() => Promise.resolve(null))
+  };
+};
+
+const report = (time) => ({ time, fluidTemp: 20 + time, panelTemp: 25 + time, tankTemp: 20 + time / 2, ambientTemp: 15 });
+
+describe('Dashboard', () => {
+  test('starts a run with the parameters and changes set, and charts it live', async () => {
+    const api = createFakeApi();
+    render(<App api={api} />);
+    await screen.findByText('Solar thermal simulator');
+    expect(api.getSchema).toHaveBeenCalledWith('si');
+
+    fireEvent.change(screen.getByLabelText(/^Area/), { target: { value: '6' } });
+    fireEvent.change(screen.getByLabelText(/^Duration/), { target: { value: '12' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add change' }));
+    fireEvent.change(screen.getByLabelText('Value of change 1'), { target: { value: '4' } });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Run' }));
+    });
+
+    expect(api.startRun).toHaveBeenCalledWith({ area: 6, duration: 12, units: 'si', inputChanges: { 1: { minAmbientTemp: 4 } } }, 20);
+    const panel = screen.getByRole('region', { name: 'Run 1' });
+    expect(within(panel).getByText('running')).toBeTruthy();
+    expect(within(panel).getByText('0 of 12')).toBeTruthy();
+
+    act(() => {
+      api.watched['run-1'].onStep(report(0), 0);
+      api.watched['run-1'].onStep(report(1), 1);
+      api.watched['run-1'].onStep(report(1), 1);
+    });
+    expect(within(panel).getByText('2 of 12')).toBeTruthy();
+    expect(panel.querySelectorAll('polyline')).toHaveLength(4);
+
+    act(() => api.watched['run-1'].onEnd({ status: 'finished', error: null }));
+    expect(within(panel).getByText('finished')).toBeTruthy();
+    fireEvent.click(within(panel).getByRole('button', { name: 'Remove' }));
+    expect(screen.queryByRole('region', { name: 'Run 1' })).toBeNull();
+    expect(api.stopRun).toHaveBeenCalledWith('run-1');
+  });
+
+  test('stops following a removed run and frees its session', async () => {
+    const api = createFakeApi();
+    api.stopRun.mockImplementation(() => Promise.reject(new Error('No session with id "run-1"')));
+    render(<App api={api} />);
+    const runButton = await screen.findByRole('button', { name: 'Run' });
+    await act(async () => {
+      fireEvent.click(runButton);
+    });
+    const stopWatching = api.watchRun.mock.results[0].value;
+
+    // A run that failed without the stream ending is removed while still followed
+    act(() => api.watched['run-1'].onStatus({ status: 'error' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Remove' }));
+    expect(stopWatching).toHaveBeenCalledTimes(1);
+    expect(api.stopRun).toHaveBeenCalledWith('run-1');
+    expect(screen.queryByRole('region', { name: 'Run 1' })).toBeNull();
+  });
+
+  test('keeps runs side by side and controls each one', async () => {
+    const api = createFakeApi();
+    render(<App api={api} />);
+    const runButton = await screen.findByRole('button', { name: 'Run' });
+    for (let i = 0; i < 4; i++) {
+      await act(async () => {
+        fireEvent.click(runButton);
+      });
+    }
+    expect(screen.getAllByRole('region').map(region => region.getAttribute('aria-label'))).toEqual(['Run 1', 'Run 2', 'Run 3', 'Run 4']);
+    expect(runButton.disabled).toBe(true);
+
+    const second = screen.getByRole('region', { name: 'Run 2' });
+    await act(async () => {
+      fireEvent.click(within(second).getByRole('button', { name: 'Pause' }));
+    });
+    expect(api.pauseRun).toHaveBeenCalledWith('run-2');
+    expect(within(second).getByText('paused')).toBeTruthy();
+    await act(async () => {
+      fireEvent.click(within(second).getByRole('button', { name: 'Stop' }));
+    });
+    expect(api.stopRun).toHaveBeenCalledWith('run-2');
+    act(() => api.watched['run-2'].onEnd({ status: 'closed', error: null }));
+    fireEvent.click(within(second).getByRole('button', { name: 'Remove' }));
+    expect(api.stopRun).toHaveBeenCalledTimes(1);
+    expect(runButton.disabled).toBe(false);
+  });
+
+  test('shows why a run was rejected next to the parameters', async () => {
+    const api = createFakeApi();
+    const error = new Error('area must be greater than 0');
+    error.fieldErrors = [{ field: 'area', message: 'must be greater than 0' }];
+    api.startRun.mockImplementationOnce(() => Promise.reject(error));
+    render(<App api={api} />);
+
+    const runButton = await screen.findByRole('button', { name: 'Run' });
+    await act(async () => {
+      fireEvent.click(runButton);
+    });
+    expect(within(screen.getByRole('alert')).getByText('area must be greater than 0')).toBeTruthy();
+    expect(screen.getByText('must be greater than 0')).toBeTruthy();
+    expect(screen.queryAllByRole('region')).toHaveLength(0);
+  });
+
+  test('reports a server it cannot reach', async () => {
+    const api = createFakeApi();
+    api.getSchema.mockImplementationOnce(() => Promise.reject(new Error('Failed to fetch')));
+    render(<App api={api} />);
+    expect(await screen.findByText(/Cannot reach the simulation server: Failed to fetch/)).toBeTruthy();
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * @jest-environment jsdom
+ */
+const React = require('react');
+const { render, screen, fireEvent, within } = require('@testing-library/react');
+const { describeFields } = require('../../backend/schema');
+const { DEFAULT_SITE } = require('../../backend/solar');
+const ParameterPanel = require('../src/components/ParameterPanel');
+const { CONTROL_GROUPS } = require('../src/fields');
+
+const fields = describeFields('si', DEFAULT_SITE);
+
+const renderPanel = (props = {}) => {
+  const handlers = { onChange: jest.fn(), onReset: jest.fn() };
+  const view = render(<ParameterPanel fields={fields} params={{}} {...handlers} {...props} />);
+  return { ...view, ...handlers };
+};
+
+describe('Parameter Panel', () => {
+  test('groups a control for every parameter', () => {
+    const { container } = renderPanel();
+    expect([...container.querySelectorAll('legend')].map(legend => legend.textContent))
+      .toEqual(CONTROL_GROUPS.map(group => group.title));
+    expect(container.querySelectorAll('.control')).toHaveLength(CONTROL_GROUPS.flatMap(group => group.controls).length);
+  });
+
+  test('chooses the kind of control from the schema and shows defaults', () => {
+    renderPanel();
+    expect(screen.getByLabelText(/^Area/).value).toBe('2');
+    expect(screen.getByLabelText(/^Pump efficiency/).value).toBe('70');
+    expect(screen.getByLabelText(/^Fixed ambient/).placeholder).toBe('off');
+    expect(screen.getByLabelText(/^Adaptive tolerance/).placeholder).toBe('auto');
+    expect(screen.getByLabelText('Integrator').value).toBe('rk4');
+    expect(within(screen.getByLabelText('Integrator')).queryByText('default')).toBeNull();
+    expect(screen.getByLabelText('Reference collector').value).toBe('');
+    expect(screen.getByLabelText(/Variable speed pump/).type).toBe('checkbox');
+  });
+
+  test('reports changes and resets by parameter name', () => {
+    const { onChange, onReset } = renderPanel({ params: { tankVolume: 0.5, collector: 'flat-plate-selective' } });
+    expect(screen.getByLabelText(/^Volume/).value).toBe('0.5');
+
+    fireEvent.change(screen.getByLabelText(/^Area/), { target: { value: '6' } });
+    expect(onChange).toHaveBeenCalledWith('area', 6);
+    fireEvent.change(screen.getByLabelText('Auxiliary heater'), { target: { value: 'gas' } });
+    expect(onChange).toHaveBeenCalledWith('auxType', 'gas');
+    fireEvent.click(screen.getByLabelText(/Variable speed pump/));
+    expect(onChange).toHaveBeenCalledWith('variableSpeed', true);
+    fireEvent.change(screen.getByLabelText('Reference collector'), { target: { value: '' } });
+    expect(onReset).toHaveBeenCalledWith('collector');
+    fireEvent.click(screen.getByRole('button', { name: 'Reset Volume' }));
+    expect(onReset).toHaveBeenCalledWith('tankVolume');
+  });
+
+  test('shows the errors of a rejected run next to their parameters', () => {
+    const { container } = renderPanel({ fieldErrors: { area: 'must be greater than 0' } });
+    expect(screen.getByText('must be greater than 0')).toBeTruthy();
+    expect(container.querySelectorAll('.control-error')).toHaveLength(1);
+  });
+});
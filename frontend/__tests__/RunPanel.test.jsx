@@ -0,0 +1,48 @@
+/**
+ * @jest-environment jsdom
+ */
+const React = require('react');
+const { render, screen, fireEvent } = require('@testing-library/react');
+const RunPanel = require('../src/components/RunPanel');
+
+const reports = [
+  { time: 0, fluidTemp: 20, panelTemp: 25, tankTemp: 20, ambientTemp: 15 },
+  { time: 1, fluidTemp: 35, panelTemp: 48.25, tankTemp: 24.04, ambientTemp: 18 }
+];
+const run = { id: 'abc', name: 'Run 1', status: 'running', reports, error: null, totalSteps: 24 };
+
+const renderPanel = (changes = {}) => {
+  const handlers = { onPause: jest.fn(), onResume: jest.fn(), onStop: jest.fn(), onRemove: jest.fn() };
+  render(<RunPanel run={{ ...run, ...changes }} {...handlers} />);
+  return handlers;
+};
+
+describe('Run Panel', () => {
+  test('shows the progress and latest temperatures of a running run', () => {
+    const { onPause, onStop } = renderPanel();
+    expect(screen.getByRole('region', { name: 'Run 1' })).toBeTruthy();
+    expect(screen.getByText('2 of 24')).toBeTruthy();
+    expect(screen.getByText('24.0 °C')).toBeTruthy();
+    expect(screen.getByText('48.3 °C')).toBeTruthy();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+    expect(onPause).toHaveBeenCalledWith('abc');
+    fireEvent.click(screen.getByRole('button', { name: 'Stop' }));
+    expect(onStop).toHaveBeenCalledWith('abc');
+    expect(screen.queryByRole('button', { name: 'Remove' })).toBeNull();
+  });
+
+  test('resumes a paused run', () => {
+    const { onResume } = renderPanel({ status: 'paused' });
+    fireEvent.click(screen.getByRole('button', { name: 'Resume' }));
+    expect(onResume).toHaveBeenCalledWith('abc');
+  });
+
+  test('offers to remove a run that has ended and shows why it failed', () => {
+    const { onRemove } = renderPanel({ status: 'failed', error: 'Tank temperature diverged' });
+    expect(screen.getByText('Tank temperature diverged')).toBeTruthy();
+    expect(screen.queryByRole('button', { name: 'Stop' })).toBeNull();
+    fireEvent.click(screen.getByRole('button', { name: 'Remove' }));
+    expect(onRemove).toHaveBeenCalledWith('abc');
+  });
+});
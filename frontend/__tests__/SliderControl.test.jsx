@@ -0,0 +1,47 @@
+/**
+ * @jest-environment jsdom
+ */
+const React = require('react');
+const { render, screen, fireEvent } = require('@testing-library/react');
+const SliderControl = require('../src/components/SliderControl');
+
+const control = { name: 'area', label: 'Area', unit: 'm²', min: 0.5, max: 20, step: 0.5 };
+
+describe('Slider Control', () => {
+  test('shows the value with its unit and passes typed values on', () => {
+    const onChange = jest.fn();
+    const onReset = jest.fn();
+    render(<SliderControl control={control} value={4} changed={false} onChange={onChange} onReset={onReset} />);
+
+    const input = screen.getByLabelText(/^Area/);
+    expect(input.value).toBe('4');
+    expect(screen.getByText('(m²)')).toBeTruthy();
+    expect(screen.queryByRole('button', { name: 'Reset Area' })).toBeNull();
+
+    fireEvent.change(input, { target: { value: '25' } });
+    expect(onChange).toHaveBeenCalledWith(25);
+    fireEvent.change(input, { target: { value: '' } });
+    expect(onReset).toHaveBeenCalled();
+  });
+
+  test('slides over the control range in steps', () => {
+    const onChange = jest.fn();
+    render(<SliderControl control={control} value={25} changed onChange={onChange} onReset={jest.fn()} />);
+
+    const slider = screen.getByRole('slider', { name: 'Adjust Area' });
+    expect([slider.min, slider.max, slider.step, slider.value]).toEqual(['0.5', '20', '0.5', '20']);
+    fireEvent.change(slider, { target: { value: '7.5' } });
+    expect(onChange).toHaveBeenCalledWith(7.5);
+  });
+
+  test('offers a reset once changed and shows missing values and errors', () => {
+    const onReset = jest.fn();
+    render(<SliderControl control={{ ...control, unit: undefined }} unit="°C" value={null} placeholder="off" changed error="must be a number" onChange={jest.fn()} onReset={onReset} />);
+
+    expect(screen.getByLabelText(/^Area/).placeholder).toBe('off');
+    expect(screen.getByText('(°C)')).toBeTruthy();
+    expect(screen.getByText('must be a number')).toBeTruthy();
+    fireEvent.click(screen.getByRole('button', { name: 'Reset Area' }));
+    expect(onReset).toHaveBeenCalled();
+  });
+});
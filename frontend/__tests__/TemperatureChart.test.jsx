@@ -0,0 +1,43 @@
+/**
+ * @jest-environment jsdom
+ */
+const React = require('react');
+const { render, screen } = require('@testing-library/react');
+const TemperatureChart = require('../src/components/TemperatureChart');
+
+const reports = [
+  { time: 6, fluidTemp: 20, panelTemp: 25, tankTemp: 20, ambientTemp: 15 },
+  { time: 7, fluidTemp: 35, panelTemp: 48, tankTemp: 24, ambientTemp: 18 },
+  { time: 8, fluidTemp: 50, panelTemp: 61, tankTemp: 30, ambientTemp: 21 }
+];
+
+describe('Temperature Chart', () => {
+  test('waits for the first report', () => {
+    render(<TemperatureChart reports={[]} />);
+    expect(screen.getByText(/Waiting for the first step/)).toBeTruthy();
+  });
+
+  test('draws one line per temperature within the plot', () => {
+    const { container } = render(<TemperatureChart reports={reports} width={400} height={200} />);
+    const lines = [...container.querySelectorAll('polyline')];
+    expect(lines.map(line => line.getAttribute('data-series'))).toEqual(['fluidTemp', 'panelTemp', 'tankTemp', 'ambientTemp']);
+
+    const points = lines.flatMap(line => line.getAttribute('points').split(' ').map(point => point.split(',').map(Number)));
+    expect(points).toHaveLength(12);
+    for (const [x, y] of points) {
+      expect(x).toBeGreaterThanOrEqual(40);
+      expect(x).toBeLessThanOrEqual(390);
+      expect(y).toBeGreaterThanOrEqual(10);
+      expect(y).toBeLessThanOrEqual(172);
+    }
+    // The hottest panel temperature is at the top, the coldest ambient one at the bottom
+    const panel = lines[1].getAttribute('points').split(' ').map(point => point.split(',').map(Number));
+    expect(panel[2]).toEqual([390, 10]);
+    expect(screen.getByText('Ambient')).toBeTruthy();
+  });
+
+  test('leaves out temperatures the reports do not have', () => {
+    const { container } = render(<TemperatureChart reports={reports.map(({ ambientTemp, ...report }) => report)} />);
+    expect(container.querySelectorAll('polyline')).toHaveLength(3);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * @jest-environment jsdom
+ */
+const React = require('react');
+const { render, screen, fireEvent, within } = require('@testing-library/react');
+const { describeFields } = require('../../backend/schema');
+const { DEFAULT_SITE } = require('../../backend/solar');
+const TimelineEditor = require('../src/components/TimelineEditor');
+const { toInputChanges } = require('../src/fields');
+
+const fields = describeFields('si', DEFAULT_SITE);
+
+// Holds the timeline the way the dashboard does and exposes its latest value
+const renderEditor = (initial = []) => {
+  const latest = { timeline: initial };
+  const Holder = () => {
+    const [timeline, setTimeline] = React.useState(initial);
+    latest.timeline = timeline;
+    return <TimelineEditor fields={fields} timeline={timeline} onChange={setTimeline} />;
+  };
+  render(<Holder />);
+  return latest;
+};
+
+describe('Timeline Editor', () => {
+  test('adds, edits and removes parameter changes', () => {
+    const latest = renderEditor();
+    expect(screen.getByText(/No changes/)).toBeTruthy();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add change' }));
+    fireEvent.change(screen.getByLabelText('Hour of change 1'), { target: { value: '6' } });
+    fireEvent.change(screen.getByLabelText('Parameter of change 1'), { target: { value: 'tankTemp' } });
+    fireEvent.change(screen.getByLabelText('Value of change 1'), { target: { value: '55' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add change' }));
+    fireEvent.change(screen.getByLabelText('Parameter of change 2'), { target: { value: 'auxType' } });
+    fireEvent.change(screen.getByLabelText('Value of change 2'), { target: { value: 'none' } });
+    expect(toInputChanges(latest.timeline)).toEqual({ 6: { tankTemp: 55 }, 7: { auxType: 'none' } });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove change 1' }));
+    expect(toInputChanges(latest.timeline)).toEqual({ 7: { auxType: 'none' } });
+  });
+
+  test('offers only the parameters that can change during a run', () => {
+    renderEditor([{ id: 1, hour: 2, field: 'area', value: 3 }]);
+    const options = within(screen.getByLabelText('Parameter of change 1')).getAllByRole('option').map(option => option.value);
+    expect(options).toContain('tankTemp');
+    expect(options).toContain('variableSpeed');
+    expect(options).not.toContain('duration');
+    expect(options).not.toContain('tankNodes');
+    expect(screen.getByLabelText('Value of change 1').value).toBe('3');
+  });
+
+  test('clears the value when the parameter changes', () => {
+    const latest = renderEditor([{ id: 1, hour: 2, field: 'area', value: 3 }]);
+    fireEvent.change(screen.getByLabelText('Parameter of change 1'), { target: { value: 'pumpPower' } });
+    expect(latest.timeline).toEqual([{ id: 1, hour: 2, field: 'pumpPower', value: undefined }]);
+  });
+});
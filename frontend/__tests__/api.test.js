@@ -0,0 +1,72 @@
+const { createApi } = require('../src/api');
+
+const respond = (status, body) => Promise.resolve({ status, ok: status < 400, json: () => Promise.resolve(body) });
+
+// Records the event sources opened and lets tests dispatch their events
+const createEventSourceClass = () => {
+  const sources = [];
+  class FakeEventSource {
+    constructor(url) {
+      this.url = url;
+      this.listeners = {};
+      this.closed = false;
+      sources.push(this);
+    }
+
+    addEventListener(type, listener) {
+      this.listeners[type] = listener;
+    }
+
+    close() {
+      this.closed = true;
+    }
+
+    emit(type, data, lastEventId = '') {
+      this.listeners[type]({ data: JSON.stringify(data), lastEventId });
+    }
+  }
+  return { FakeEventSource, sources };
+};
+
+describe('Dashboard API Client', () => {
+  test('fetches the schema and starts runs as sessions', async () => {
+    const fetch = jest.fn()
+      .mockReturnValueOnce(respond(200, { units: 'si', fields: { area: { type: 'number' } } }))
+      .mockReturnValueOnce(respond(201, { id: 'abc', status: 'running' }));
+    const api = createApi({ baseUrl: 'http://localhost:3001', fetch });
+
+    expect(await api.getSchema('si')).toEqual({ area: { type: 'number' } });
+    expect(fetch).toHaveBeenLastCalledWith('http://localhost:3001/schema?units=si', { method: 'GET', headers: undefined, body: undefined });
+    expect(await api.startRun({ area: 4, units: 'si' }, 50)).toEqual({ id: 'abc', status: 'running' });
+    const [url, init] = fetch.mock.calls[1];
+    expect(url).toBe('http://localhost:3001/sessions');
+    expect(init.method).toBe('POST');
+    expect(JSON.parse(init.body)).toEqual({ area: 4, units: 'si', speed: 50 });
+  });
+
+  test('throws the server errors of rejected requests', async () => {
+    const fieldErrors = [{ field: 'area', message: 'must be greater than 0' }];
+    const api = createApi({ fetch: () => respond(400, { errors: ['area must be greater than 0'], fieldErrors }) });
+    await expect(api.startRun({ area: 0 }, 10)).rejects.toMatchObject({ message: 'area must be greater than 0', fieldErrors });
+    const stopped = createApi({ fetch: () => respond(204) });
+    expect(await stopped.stopRun('abc')).toBeNull();
+  });
+
+  test('follows a run until its end event', () => {
+    const { FakeEventSource, sources } = createEventSourceClass();
+    const api = createApi({ fetch: jest.fn(), EventSource: FakeEventSource });
+    const handlers = { onStep: jest.fn(), onStatus: jest.fn(), onEnd: jest.fn() };
+    api.watchRun('abc', handlers);
+
+    const [source] = sources;
+    expect(source.url).toBe('/sessions/abc/events');
+    source.emit('step', { time: 0, tankTemp: 20 }, '0');
+    source.emit('status', { status: 'paused' });
+    expect(handlers.onStep).toHaveBeenCalledWith({ time: 0, tankTemp: 20 }, 0);
+    expect(handlers.onStatus).toHaveBeenCalledWith({ status: 'paused' });
+    expect(source.closed).toBe(false);
+    source.emit('end', { status: 'finished', error: null });
+    expect(handlers.onEnd).toHaveBeenCalledWith({ status: 'finished', error: null });
+    expect(source.closed).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+const { describeFields } = require('../../backend/schema');
+const { DEFAULT_SITE } = require('../../backend/solar');
+const { EXCLUDED_FIELDS, CONTROL_GROUPS, getControl, getValue, roundToStep, getControlRange, toInputChanges, buildRequest } = require('../src/fields');
+
+const fields = describeFields('si', DEFAULT_SITE);
+const controls = CONTROL_GROUPS.flatMap(group => group.controls);
+
+describe('Parameter Controls', () => {
+  test('cover every simulation parameter outside the excluded ones, once', () => {
+    const names = controls.map(control => control.name);
+    expect(new Set(names).size).toBe(names.length);
+    expect([...names, ...EXCLUDED_FIELDS].sort()).toEqual(Object.keys(fields).sort());
+  });
+
+  test('give numeric parameters slider ranges within the server limits and around their defaults', () => {
+    for (const control of controls.filter(item => ['number', 'integer'].includes(fields[item.name].type))) {
+      const spec = fields[control.name];
+      expect([control.name, control.min < control.max && control.step > 0]).toEqual([control.name, true]);
+      if (spec.min !== undefined) {
+        expect([control.name, control.min >= spec.min]).toEqual([control.name, true]);
+      }
+      if (spec.above !== undefined) {
+        expect([control.name, control.min > spec.above]).toEqual([control.name, true]);
+      }
+      if (spec.max !== undefined) {
+        expect([control.name, control.max <= spec.max]).toEqual([control.name, true]);
+      }
+      if (typeof spec.default === 'number') {
+        expect([control.name, spec.default >= control.min && spec.default <= control.max]).toEqual([control.name, true]);
+      }
+    }
+  });
+
+  test('look up controls and current values', () => {
+    expect(getControl('tankUA')).toMatchObject({ label: 'Heat loss UA', unit: 'W/K' });
+    expect(getControl('economics')).toBeNull();
+    expect(getValue({ area: 6 }, fields, 'area')).toBe(6);
+    expect(getValue({}, fields, 'area')).toBe(2);
+    expect(getValue({}, fields, 'tolerance')).toBeUndefined();
+  });
+
+  test('keep the report start below the run duration', () => {
+    const startHour = getControl('startHour');
+    expect(startHour.label).toBe('Report from hour');
+    expect(getControlRange(startHour, {}, fields).max).toBe(23);
+    expect(getControlRange(startHour, { duration: 6 }, fields).max).toBe(5);
+    expect(getControlRange(startHour, { duration: 1000 }, fields).max).toBe(startHour.max);
+    expect(getControlRange(getControl('area'), { duration: 6 }, fields)).toBe(getControl('area'));
+  });
+
+  test('rounds slider positions to their step', () => {
+    expect(roundToStep(0.30000000000000004, 0.01)).toBe(0.3);
+    expect(roundToStep(12.26, 0.5)).toBe(12.5);
+    expect(roundToStep(1234, 100)).toBe(1200);
+  });
+});
+
+describe('Run Requests', () => {
+  test('turn timeline entries into input changes keyed by hour', () => {
+    const timeline = [
+      { id: 1, hour: 3, field: 'tankTemp', value: 50 },
+      { id: 2, hour: 3, field: 'auxType', value: 'gas' },
+      { id: 3, hour: 6, field: 'pumpPower', value: 0 },
+      { id: 4, hour: '', field: 'area', value: 4 },
+      { id: 5, hour: 8, field: 'area', value: undefined }
+    ];
+    expect(toInputChanges(timeline)).toEqual({ 3: { tankTemp: 50, auxType: 'gas' }, 6: { pumpPower: 0 } });
+  });
+
+  test('send the parameters set in SI units', () => {
+    expect(buildRequest({ area: 4 }, [{ id: 1, hour: 2, field: 'area', value: 5 }]))
+      .toEqual({ area: 4, units: 'si', inputChanges: { 2: { area: 5 } } });
+  });
+});
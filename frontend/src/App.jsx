@@ -0,0 +1,167 @@
+const React = require('react');
+const ParameterPanel = require('./components/ParameterPanel');
+const TimelineEditor = require('./components/TimelineEditor');
+const RunPanel = require('./components/RunPanel');
+const SliderControl = require('./components/SliderControl');
+const { UNITS, getValue, buildRequest } = require('./fields');
+
+const { useState, useEffect, useRef } = React;
+
+const MAX_RUNS = 4; // shown side by side
+const DEFAULT_SPEED = 20; // steps per second
+const SPEED_CONTROL = { name: 'speed', label: 'Run speed', unit: 'steps/s', min: 1, max: 200, step: 1 };
+
+/**
+ * The dashboard: the parameters of the next run, the changes to make during it, and the runs
+ * started so far, each charted live as its steps arrive.
+ *
+ * @param {Object} props - An object containing api, the server client (see api.js).
+ * @returns {Object} The rendered dashboard.
+ */
+const App = ({ api }) => {
+    const [fields, setFields] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [params, setParams] = useState({});
+    const [timeline, setTimeline] = useState([]);
+    const [speed, setSpeed] = useState(DEFAULT_SPEED);
+    const [runs, setRuns] = useState([]);
+    const [errors, setErrors] = useState([]);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const runCount = useRef(0);
+    const watchers = useRef(new Map()); // run id -> stops following it
+
+    useEffect(() => {
+        let cancelled = false;
+        api.getSchema(UNITS).then(
+            (schema) => !cancelled && setFields(schema),
+            (error) => !cancelled && setLoadError(error.message)
+        );
+        return () => {
+            cancelled = true;
+        };
+    }, [api]);
+
+    // Stop following runs when the dashboard goes away
+    useEffect(() => () => {
+        for (const stop of watchers.current.values()) {
+            stop();
+        }
+    }, []);
+
+    const updateRun = (id, changes) => setRuns(current => current.map(run => (
+        run.id === id ? { ...run, ...(typeof changes === 'function' ? changes(run) : changes) } : run
+    )));
+
+    const changeParam = (name, value) => setParams(current => ({ ...current, [name]: value }));
+    const resetParam = (name) => setParams(({ [name]: removed, ...rest }) => rest);
+
+    const startRun = async () => {
+        setErrors([]);
+        setFieldErrors({});
+        let status;
+        try {
+            status = await api.startRun(buildRequest(params, timeline), speed);
+        } catch (error) {
+            setErrors(error.message.split('; '));
+            setFieldErrors(Object.fromEntries((error.fieldErrors || []).map(({ field, message }) => [field, message])));
+            return;
+        }
+
+        const { id } = status;
+        runCount.current += 1;
+        const reportedHours = getValue(params, fields, 'duration') - getValue(params, fields, 'startHour');
+        const totalSteps = Math.max(0, Math.ceil(reportedHours * 3600 / getValue(params, fields, 'reportInterval')));
+        setRuns(current => [...current, { id, name: `Run ${runCount.current}`, status: status.status, reports: [], error: null, totalSteps }]);
+        watchers.current.set(id, api.watchRun(id, {
+            // A step already received (after a reconnect) is not added twice
+            onStep: (report, index) => updateRun(id, run => ({ reports: index < run.reports.length ? run.reports : [...run.reports, report] })),
+            onStatus: (update) => updateRun(id, { status: update.status }),
+            onEnd: (update) => {
+                watchers.current.delete(id);
+                updateRun(id, { status: update.status, error: update.error });
+            }
+        }));
+    };
+
+    const controlRun = (action) => async (id) => {
+        try {
+            const status = await action(id);
+            if (status) {
+                updateRun(id, { status: status.status });
+            }
+        } catch (error) {
+            updateRun(id, { error: error.message });
+        }
+    };
+
+    // Stops following the run and frees its server session, unless Stop already closed it
+    const removeRun = (id) => {
+        const stop = watchers.current.get(id);
+        if (stop) {
+            stop();
+            watchers.current.delete(id);
+        }
+        const run = runs.find(item => item.id === id);
+        if (run && run.status !== 'closed') {
+            Promise.resolve(api.stopRun(id)).catch(() => {});
+        }
+        setRuns(current => current.filter(item => item.id !== id));
+    };
+
+    if (loadError) {
+        return <div className="dashboard-error">Cannot reach the simulation server: {loadError}</div>;
+    }
+    if (!fields) {
+        return <div className="loading">Loading…</div>;
+    }
+
+    return (
+        <div className="dashboard">
+            <header className="dashboard-header">
+                <h1>Solar thermal simulator</h1>
+            </header>
+            <aside className="sidebar">
+                <div className="sidebar-actions">
+                    <button type="button" onClick={() => setParams({})} disabled={Object.keys(params).length === 0}>Reset all to defaults</button>
+                </div>
+                <ParameterPanel fields={fields} params={params} fieldErrors={fieldErrors} onChange={changeParam} onReset={resetParam} />
+            </aside>
+            <main>
+                <section className="toolbar">
+                    <SliderControl
+                        control={SPEED_CONTROL}
+                        value={speed}
+                        changed={speed !== DEFAULT_SPEED}
+                        onChange={setSpeed}
+                        onReset={() => setSpeed(DEFAULT_SPEED)}
+                    />
+                    <button type="button" className="primary" onClick={startRun} disabled={runs.length >= MAX_RUNS}>Run</button>
+                    {runs.length >= MAX_RUNS ? <span className="hint">Remove a run to start another.</span> : null}
+                </section>
+                {errors.length > 0 ? (
+                    <ul className="errors" role="alert">
+                        {errors.map(message => <li key={message}>{message}</li>)}
+                    </ul>
+                ) : null}
+                <section className="timeline">
+                    <h2>Changes during the run</h2>
+                    <TimelineEditor fields={fields} timeline={timeline} onChange={setTimeline} />
+                </section>
+                <section className="runs">
+                    {runs.map(run => (
+                        <RunPanel
+                            key={run.id}
+                            run={run}
+                            onPause={controlRun(api.pauseRun)}
+                            onResume={controlRun(api.resumeRun)}
+                            onStop={controlRun(api.stopRun)}
+                            onRemove={removeRun}
+                        />
+                    ))}
+                </section>
+            </main>
+        </div>
+    );
+};
+
+module.exports = App;
@@ -0,0 +1,92 @@
+/**
+ * Client of the simulation server used by the dashboard.
+ *
+ * Runs are interactive sessions (POST /sessions) whose steps are streamed as Server-Sent Events,
+ * so their charts fill in while they run. Failed requests throw an Error with the server's messages
+ * and, for invalid parameters, its fieldErrors.
+ */
+
+/**
+ * Creates a client.
+ *
+ * @param {Object} options - An object containing:
+ *   - baseUrl: Address of the server, default '' (the server the dashboard was loaded from).
+ *   - fetch: The fetch function, default the browser's.
+ *   - EventSource: The EventSource class, default the browser's.
+ * @returns {Object} An object containing getSchema, startRun, watchRun, pauseRun, resumeRun and
+ *   stopRun functions.
+ */
+const createApi = (options = {}) => {
+    const {
+        baseUrl = '',
+        fetch: fetchImpl = (...args) => window.fetch(...args),
+        EventSource: EventSourceImpl = typeof window !== 'undefined' ? window.EventSource : undefined
+    } = options;
+
+    const request = async (method, path, body) => {
+        const response = await fetchImpl(`${baseUrl}${path}`, {
+            method,
+            headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        if (response.status === 204) {
+            return null;
+        }
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error((data.errors || []).join('; ') || `Request failed with status ${response.status}`);
+            error.fieldErrors = data.fieldErrors || [];
+            throw error;
+        }
+        return data;
+    };
+
+    /**
+     * Fetches the parameter descriptions (see the server's GET /schema).
+     *
+     * @param {string} units - The unit system of limits and defaults.
+     * @returns {Promise<Object>} Field descriptions keyed by parameter name.
+     */
+    const getSchema = async (units) => (await request('GET', `/schema?units=${encodeURIComponent(units)}`)).fields;
+
+    /**
+     * Starts a run.
+     *
+     * @param {Object} body - The /simulate parameters of the run.
+     * @param {number} speed - Steps per second.
+     * @returns {Promise<Object>} The session's status, including its id.
+     */
+    const startRun = (body, speed) => request('POST', '/sessions', { ...body, speed });
+
+    /**
+     * Follows a run's events until it ends.
+     *
+     * @param {string} id - The session id.
+     * @param {Object} handlers - An object containing onStep (called with each report and its
+     *   index), onStatus and onEnd (called with the session's status).
+     * @returns {Function} Stops following the run.
+     */
+    const watchRun = (id, { onStep, onStatus, onEnd }) => {
+        const source = new EventSourceImpl(`${baseUrl}/sessions/${encodeURIComponent(id)}/events`);
+        source.addEventListener('step', (event) => onStep(JSON.parse(event.data), Number(event.lastEventId)));
+        source.addEventListener('status', (event) => onStatus(JSON.parse(event.data)));
+        source.addEventListener('end', (event) => {
+            // The server closes the stream; without this the browser would reconnect
+            source.close();
+            onEnd(JSON.parse(event.data));
+        });
+        return () => source.close();
+    };
+
+    const pauseRun = (id) => request('POST', `/sessions/${encodeURIComponent(id)}/pause`);
+
+    const resumeRun = (id) => request('POST', `/sessions/${encodeURIComponent(id)}/resume`);
+
+    const stopRun = (id) => request('DELETE', `/sessions/${encodeURIComponent(id)}`);
+
+    return { getSchema, startRun, watchRun, pauseRun, resumeRun, stopRun };
+};
+
+module.exports = {
+    createApi
+};
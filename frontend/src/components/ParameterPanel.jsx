@@ -0,0 +1,91 @@
+const React = require('react');
+const SliderControl = require('./SliderControl');
+const { CONTROL_GROUPS, getValue, getControlRange } = require('../fields');
+
+/**
+ * A parameter with named choices (an integrator, a load profile, ...). Parameters that may be left
+ * to the server, or switched off, get an extra choice for that.
+ *
+ * @param {Object} props - An object containing control, spec (the field description), value,
+ *   changed, error, onChange and onReset (see SliderControl).
+ * @returns {Object} The rendered control.
+ */
+const SelectControl = ({ control, spec, value, changed, error, onChange, onReset }) => {
+    const unset = spec.nullable || spec.default === undefined;
+    return (
+        <div className={`control${error ? ' control-error' : ''}`}>
+            <label htmlFor={`param-${control.name}`}>{control.label}</label>
+            <div className="control-row">
+                <select
+                    id={`param-${control.name}`}
+                    value={typeof value === 'string' ? value : ''}
+                    onChange={(event) => (event.target.value === '' ? onReset() : onChange(event.target.value))}
+                >
+                    {unset || typeof value !== 'string' ? <option value="">{spec.nullable ? 'none' : 'default'}</option> : null}
+                    {spec.values.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+                {changed
+                    ? <button type="button" className="reset" title="Back to the default" aria-label={`Reset ${control.label}`} onClick={onReset}>↺</button>
+                    : null}
+            </div>
+            {error ? <div className="error">{error}</div> : null}
+        </div>
+    );
+};
+
+/**
+ * A parameter that is switched on or off.
+ *
+ * @param {Object} props - An object containing control, value, error and onChange.
+ * @returns {Object} The rendered control.
+ */
+const ToggleControl = ({ control, value, error, onChange }) => (
+    <div className={`control${error ? ' control-error' : ''}`}>
+        <label>
+            <input type="checkbox" checked={Boolean(value)} onChange={(event) => onChange(event.target.checked)} />
+            {` ${control.label}`}
+        </label>
+        {error ? <div className="error">{error}</div> : null}
+    </div>
+);
+
+/**
+ * The parameters of the next run, grouped as in fields.js.
+ *
+ * @param {Object} props - An object containing:
+ *   - fields: Field descriptions from GET /schema.
+ *   - params: The parameters set on the dashboard.
+ *   - fieldErrors: Messages keyed by parameter name, from the last rejected run.
+ *   - onChange: Called with a parameter's name and new value.
+ *   - onReset: Called with a parameter's name to go back to its default.
+ * @returns {Object} The rendered panel.
+ */
+const ParameterPanel = ({ fields, params, fieldErrors = {}, onChange, onReset }) => (
+    <div className="parameter-panel">
+        {CONTROL_GROUPS.map(group => (
+            <fieldset key={group.title}>
+                <legend>{group.title}</legend>
+                {group.controls.filter(control => fields[control.name]).map(control => {
+                    const spec = fields[control.name];
+                    const props = {
+                        control: getControlRange(control, params, fields),
+                        value: getValue(params, fields, control.name),
+                        changed: params[control.name] !== undefined,
+                        error: fieldErrors[control.name],
+                        onChange: (value) => onChange(control.name, value),
+                        onReset: () => onReset(control.name)
+                    };
+                    if (spec.values) {
+                        return <SelectControl key={control.name} {...props} spec={spec} />;
+                    }
+                    if (spec.type === 'boolean') {
+                        return <ToggleControl key={control.name} {...props} />;
+                    }
+                    return <SliderControl key={control.name} {...props} unit={spec.unit} placeholder={spec.nullable ? 'off' : 'auto'} />;
+                })}
+            </fieldset>
+        ))}
+    </div>
+);
+
+module.exports = ParameterPanel;
@@ -0,0 +1,42 @@
+const React = require('react');
+const TemperatureChart = require('./TemperatureChart');
+
+/**
+ * One run of the dashboard: its live chart, progress and controls.
+ *
+ * @param {Object} props - An object containing:
+ *   - run: The run ({ id, name, status, reports, error, totalSteps }).
+ *   - onPause, onResume, onStop, onRemove: Called with the run's id.
+ * @returns {Object} The rendered panel.
+ */
+const RunPanel = ({ run, onPause, onResume, onStop, onRemove }) => {
+    const { id, name, status, reports, error, totalSteps } = run;
+    const active = status === 'running' || status === 'paused';
+    const last = reports[reports.length - 1];
+    const formatTemp = (value) => (typeof value === 'number' ? `${value.toFixed(1)} °C` : '–');
+
+    return (
+        <section className={`run run-${status}`} aria-label={name}>
+            <header>
+                <h3>{name}</h3>
+                <span className="status">{status}</span>
+            </header>
+            <TemperatureChart reports={reports} />
+            <dl className="run-summary">
+                <dt>Steps</dt><dd>{totalSteps ? `${reports.length} of ${totalSteps}` : reports.length}</dd>
+                <dt>Tank</dt><dd>{formatTemp(last && last.tankTemp)}</dd>
+                <dt>Panel</dt><dd>{formatTemp(last && last.panelTemp)}</dd>
+            </dl>
+            {error ? <div className="error">{error}</div> : null}
+            <div className="run-actions">
+                {status === 'running' ? <button type="button" onClick={() => onPause(id)}>Pause</button> : null}
+                {status === 'paused' ? <button type="button" onClick={() => onResume(id)}>Resume</button> : null}
+                {active
+                    ? <button type="button" onClick={() => onStop(id)}>Stop</button>
+                    : <button type="button" onClick={() => onRemove(id)}>Remove</button>}
+            </div>
+        </section>
+    );
+};
+
+module.exports = RunPanel;
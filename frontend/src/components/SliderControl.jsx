@@ -0,0 +1,68 @@
+const React = require('react');
+const { roundToStep } = require('../fields');
+
+/**
+ * A numeric parameter: a slider over the control's range and a box for typing any value.
+ *
+ * @param {Object} props - An object containing:
+ *   - control: The control ({ name, label, unit, min, max, step }, see fields.js).
+ *   - unit: Unit of the value when the control has none (from the schema).
+ *   - value: The current value; null or undefined when the parameter is off or left to the server.
+ *   - placeholder: Text shown for a missing value, default 'auto'.
+ *   - changed: Whether the value was set on the dashboard (shows the reset button).
+ *   - error: Validation message of the parameter, if any.
+ *   - onChange: Called with the new value.
+ *   - onReset: Called to go back to the server's default.
+ * @returns {Object} The rendered control.
+ */
+const SliderControl = ({ control, unit, value, placeholder = 'auto', changed, error, onChange, onReset }) => {
+    const { name, label, min, max, step } = control;
+    const hasValue = typeof value === 'number';
+    const position = hasValue ? Math.min(max, Math.max(min, value)) : min;
+    const shownUnit = control.unit || unit;
+
+    const handleInput = (event) => {
+        const text = event.target.value;
+        if (text === '') {
+            onReset();
+        } else if (Number.isFinite(Number(text))) {
+            onChange(Number(text));
+        }
+    };
+
+    return (
+        <div className={`control${error ? ' control-error' : ''}`}>
+            <label htmlFor={`param-${name}`}>
+                {label}
+                {shownUnit ? <span className="unit"> ({shownUnit})</span> : null}
+            </label>
+            <div className="control-row">
+                <div className={`slider${hasValue ? '' : ' slider-unset'}`}>
+                    <input
+                        type="range"
+                        aria-label={`Adjust ${label}`}
+                        min={min}
+                        max={max}
+                        step={step}
+                        value={position}
+                        onChange={(event) => onChange(roundToStep(Number(event.target.value), step))}
+                    />
+                </div>
+                <input
+                    id={`param-${name}`}
+                    type="number"
+                    step={step}
+                    value={hasValue ? value : ''}
+                    placeholder={placeholder}
+                    onChange={handleInput}
+                />
+                {changed
+                    ? <button type="button" className="reset" title="Back to the default" aria-label={`Reset ${label}`} onClick={onReset}>↺</button>
+                    : null}
+            </div>
+            {error ? <div className="error">{error}</div> : null}
+        </div>
+    );
+};
+
+module.exports = SliderControl;
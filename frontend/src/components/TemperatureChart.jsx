@@ -0,0 +1,90 @@
+const React = require('react');
+
+// Temperatures charted, with their colours
+const SERIES = [
+    { field: 'fluidTemp', label: 'Fluid', color: '#1c7ed6' },
+    { field: 'panelTemp', label: 'Panel', color: '#d9480f' },
+    { field: 'tankTemp', label: 'Tank', color: '#2b8a3e' },
+    { field: 'ambientTemp', label: 'Ambient', color: '#868e96' }
+];
+
+const MARGIN = { top: 10, right: 10, bottom: 28, left: 40 };
+
+/**
+ * Picks round axis ticks covering a range.
+ *
+ * @param {number} min - Lowest value.
+ * @param {number} max - Highest value.
+ * @param {number} count - Rough number of ticks wanted.
+ * @returns {Array<number>} The ticks, ascending.
+ */
+const getTicks = (min, max, count) => {
+    const rough = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+    const ticks = [];
+    for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+        ticks.push(Number(tick.toPrecision(12)));
+    }
+    return ticks;
+};
+
+/**
+ * Line chart of the fluid, panel, tank and ambient temperatures of a run's reports.
+ *
+ * @param {Object} props - An object containing:
+ *   - reports: The reports received so far (in °C, with time in hours).
+ *   - width, height: Size of the chart in pixels, default 480 × 240.
+ * @returns {Object} The rendered chart.
+ */
+const TemperatureChart = ({ reports, width = 480, height = 240 }) => {
+    if (reports.length === 0) {
+        return <div className="chart chart-empty" style={{ width, height }}>Waiting for the first step…</div>;
+    }
+
+    const values = reports.flatMap(report => SERIES.map(({ field }) => report[field]).filter(value => typeof value === 'number'));
+    let low = Math.min(...values);
+    let high = Math.max(...values);
+    if (high - low < 1) {
+        low -= 0.5;
+        high += 0.5;
+    }
+    const start = reports[0].time;
+    const end = Math.max(reports[reports.length - 1].time, start + 1);
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const x = (time) => MARGIN.left + (time - start) / (end - start) * plotWidth;
+    const y = (value) => MARGIN.top + (high - value) / (high - low) * plotHeight;
+
+    return (
+        <figure className="chart">
+            <svg width={width} height={height} role="img" aria-label="Temperatures over time">
+                {getTicks(low, high, 5).map(tick => (
+                    <g key={`y${tick}`} className="tick">
+                        <line x1={MARGIN.left} x2={width - MARGIN.right} y1={y(tick)} y2={y(tick)} />
+                        <text x={MARGIN.left - 4} y={y(tick)} textAnchor="end" dominantBaseline="middle">{tick}</text>
+                    </g>
+                ))}
+                {getTicks(start, end, 6).map(tick => (
+                    <text key={`x${tick}`} className="tick" x={x(tick)} y={height - 8} textAnchor="middle">{tick}</text>
+                ))}
+                {SERIES.map(({ field, color }) => {
+                    const points = reports
+                        .filter(report => typeof report[field] === 'number')
+                        .map(report => `${x(report.time).toFixed(1)},${y(report[field]).toFixed(1)}`);
+                    return points.length > 0
+                        ? <polyline key={field} data-series={field} points={points.join(' ')} fill="none" stroke={color} strokeWidth={2} />
+                        : null;
+                })}
+            </svg>
+            <figcaption className="legend">
+                {SERIES.map(({ field, label, color }) => (
+                    <span key={field}><span className="swatch" style={{ backgroundColor: color }} />{label}</span>
+                ))}
+                <span className="axis-note">°C against hour</span>
+            </figcaption>
+        </figure>
+    );
+};
+
+module.exports = TemperatureChart;
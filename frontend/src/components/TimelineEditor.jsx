@@ -0,0 +1,104 @@
+const React = require('react');
+const { CONTROL_GROUPS } = require('../fields');
+
+/**
+ * Lists the parameters that can change during a run: those with a control that the server does not
+ * mark fixed.
+ *
+ * @param {Object} fields - Field descriptions from GET /schema.
+ * @returns {Array<Object>} The controls, in panel order.
+ */
+const getChangeableControls = (fields) => CONTROL_GROUPS
+    .flatMap(group => group.controls)
+    .filter(control => fields[control.name] && !fields[control.name].fixed);
+
+/**
+ * Editor of the parameter changes made during a run (a request's inputChanges): one row per
+ * change, giving the hour since the start it applies from, the parameter and its new value.
+ *
+ * @param {Object} props - An object containing:
+ *   - fields: Field descriptions from GET /schema.
+ *   - timeline: The entries { id, hour, field, value }.
+ *   - onChange: Called with the edited entries.
+ * @returns {Object} The rendered editor.
+ */
+const TimelineEditor = ({ fields, timeline, onChange }) => {
+    const controls = getChangeableControls(fields);
+    const nextId = timeline.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+
+    const update = (id, changes) => onChange(timeline.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+    const add = () => {
+        const last = timeline[timeline.length - 1];
+        onChange([...timeline, { id: nextId, hour: last ? last.hour + 1 : 1, field: controls[0].name, value: undefined }]);
+    };
+    const remove = (id) => onChange(timeline.filter(entry => entry.id !== id));
+
+    const renderValue = (entry) => {
+        const spec = fields[entry.field];
+        const label = `Value of change ${entry.id}`;
+        if (spec.values) {
+            return (
+                <select aria-label={label} value={entry.value || ''} onChange={(event) => update(entry.id, { value: event.target.value || undefined })}>
+                    <option value="">choose</option>
+                    {spec.values.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+            );
+        }
+        if (spec.type === 'boolean') {
+            return <input type="checkbox" aria-label={label} checked={Boolean(entry.value)} onChange={(event) => update(entry.id, { value: event.target.checked })} />;
+        }
+        return (
+            <input
+                type="number"
+                aria-label={label}
+                value={typeof entry.value === 'number' ? entry.value : ''}
+                placeholder={spec.unit || ''}
+                onChange={(event) => update(entry.id, { value: event.target.value === '' ? undefined : Number(event.target.value) })}
+            />
+        );
+    };
+
+    return (
+        <div className="timeline-editor">
+            {timeline.length === 0 ? <p className="hint">No changes: the parameters stay as set for the whole run.</p> : null}
+            {timeline.length > 0 ? (
+                <table>
+                    <thead>
+                        <tr><th>Hour</th><th>Parameter</th><th>Value</th><th /></tr>
+                    </thead>
+                    <tbody>
+                        {timeline.map(entry => (
+                            <tr key={entry.id}>
+                                <td>
+                                    <input
+                                        type="number"
+                                        min={0}
+                                        aria-label={`Hour of change ${entry.id}`}
+                                        value={entry.hour}
+                                        onChange={(event) => update(entry.id, { hour: event.target.value === '' ? '' : Number(event.target.value) })}
+                                    />
+                                </td>
+                                <td>
+                                    <select
+                                        aria-label={`Parameter of change ${entry.id}`}
+                                        value={entry.field}
+                                        onChange={(event) => update(entry.id, { field: event.target.value, value: undefined })}
+                                    >
+                                        {controls.map(control => <option key={control.name} value={control.name}>{control.label}</option>)}
+                                    </select>
+                                </td>
+                                <td>{renderValue(entry)}</td>
+                                <td>
+                                    <button type="button" aria-label={`Remove change ${entry.id}`} onClick={() => remove(entry.id)}>✕</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : null}
+            <button type="button" onClick={add}>Add change</button>
+        </div>
+    );
+};
+
+module.exports = TimelineEditor;
@@ -0,0 +1,230 @@
+/**
+ * Controls of the dashboard's parameter panel.
+ *
+ * The dashboard sends its requests in SI units (temperatures in °C, temperature differences in K,
+ * percentages as 0-100), and every /simulate parameter that describes the system or its
+ * surroundings gets a control: a slider for numbers, a list for named choices and a checkbox for
+ * switches. Which kind, the allowed values and the defaults come from the server (GET /schema);
+ * the catalogue below groups the parameters and gives each slider its range and step. The range
+ * is a convenient span within the server's limits, and other valid values can still be typed in.
+ *
+ * Parameters without a control either have their own editor (inputChanges, on the timeline) or do
+ * not apply to a live run (annual runs, economics, resumed states and weather files).
+ *
+ * A slider whose range depends on another parameter names it as below: it stays below that
+ * parameter's current value. startHour is one: it starts the run that many hours in, leaving out
+ * the reports before it, so it cannot reach the duration. (The days of a weather file that a run
+ * covers are picked with weatherFile.startDate instead.)
+ */
+
+const UNITS = 'si';
+
+// Parameters left out of the panel
+const EXCLUDED_FIELDS = ['units', 'inputChanges', 'currentState', 'weatherFile', 'annual', 'includeHourly', 'economics', 'pumpCurve'];
+
+const CONTROL_GROUPS = [
+    {
+        title: 'Run',
+        controls: [
+            { name: 'hour', label: 'Start hour of day', unit: 'h', min: 0, max: 24, step: 1 },
+            { name: 'duration', label: 'Duration', unit: 'h', min: 1, max: 168, step: 1 },
+            { name: 'startHour', label: 'Report from hour', unit: 'h', min: 0, max: 167, step: 1, below: 'duration' },
+            { name: 'timeStep', label: 'Time step', unit: 's', min: 60, max: 3600, step: 60 },
+            { name: 'reportInterval', label: 'Report interval', unit: 's', min: 300, max: 21600, step: 300 },
+            { name: 'integrator', label: 'Integrator' },
+            { name: 'tolerance', label: 'Adaptive tolerance', unit: 'K', min: 0.001, max: 1, step: 0.001 }
+        ]
+    },
+    {
+        title: 'Weather',
+        controls: [
+            { name: 'minAmbientTemp', label: 'Minimum ambient', min: -30, max: 45, step: 0.5 },
+            { name: 'maxAmbientTemp', label: 'Maximum ambient', min: -30, max: 45, step: 0.5 },
+            { name: 'fixedTemp', label: 'Fixed ambient', min: -30, max: 45, step: 0.5 },
+            { name: 'cloudCover', label: 'Cloud cover', unit: '%', min: 0, max: 100, step: 1 },
+            { name: 'windSpeed', label: 'Wind speed', unit: 'm/s', min: 0, max: 20, step: 0.5 }
+        ]
+    },
+    {
+        title: 'Site',
+        controls: [
+            { name: 'latitude', label: 'Latitude', unit: '°', min: -90, max: 90, step: 0.5 },
+            { name: 'longitude', label: 'Longitude', unit: '°', min: -180, max: 180, step: 0.5 },
+            { name: 'timeZone', label: 'Time zone', unit: 'h', min: -12, max: 14, step: 0.5 },
+            { name: 'dayOfYear', label: 'Day of year', min: 1, max: 365, step: 1 },
+            { name: 'tilt', label: 'Tilt', unit: '°', min: 0, max: 180, step: 1 },
+            { name: 'azimuth', label: 'Azimuth', unit: '°', min: -180, max: 180, step: 5 },
+            { name: 'albedo', label: 'Ground albedo', min: 0, max: 1, step: 0.05 },
+            { name: 'altitude', label: 'Altitude', unit: 'm', min: -500, max: 5000, step: 50 }
+        ]
+    },
+    {
+        title: 'Collectors',
+        controls: [
+            { name: 'collector', label: 'Reference collector' },
+            { name: 'area', label: 'Area', unit: 'm²', min: 0.5, max: 20, step: 0.5 },
+            { name: 'efficiency', label: "Efficiency factor F'", min: 0, max: 1, step: 0.01 },
+            { name: 'transmittance', label: 'Cover transmittance', min: 0, max: 1, step: 0.01 },
+            { name: 'absorptance', label: 'Absorber absorptance', min: 0, max: 1, step: 0.01 },
+            { name: 'U_L', label: 'Loss coefficient U_L', unit: 'W/(m²·K)', min: 0.5, max: 30, step: 0.5 },
+            { name: 'windLossCoefficient', label: 'Wind loss coefficient', unit: 'W/(m²·K)/(m/s)', min: 0, max: 10, step: 0.1 },
+            { name: 'seriesCount', label: 'Collectors in series', min: 1, max: 10, step: 1 },
+            { name: 'parallelCount', label: 'Parallel rows', min: 1, max: 10, step: 1 }
+        ]
+    },
+    {
+        title: 'Collector loop',
+        controls: [
+            { name: 'fluidTemp', label: 'Initial fluid temperature', min: -20, max: 100, step: 1 },
+            { name: 'collectorFluid', label: 'Fluid' },
+            { name: 'specificHeat', label: 'Specific heat', unit: 'J/(kg·K)', min: 3000, max: 4500, step: 10 },
+            { name: 'heatExchangerEffectiveness', label: 'Heat exchanger effectiveness', min: 1, max: 100, step: 1 },
+            { name: 'tankSideFlowRate', label: 'Tank side flow rate', unit: 'kg/s', min: 0.005, max: 0.5, step: 0.005 },
+            { name: 'pumpPower', label: 'Pump power', unit: 'W', min: 0, max: 200, step: 5 },
+            { name: 'pumpEfficiency', label: 'Pump efficiency', min: 1, max: 100, step: 1 },
+            { name: 'hydraulicHead', label: 'Hydraulic head', unit: 'm', min: 0.5, max: 20, step: 0.5 },
+            { name: 'staticHead', label: 'Static head', unit: 'm', min: 0, max: 20, step: 0.5 },
+            { name: 'supplyPipeLength', label: 'Supply pipe length', unit: 'm', min: 0, max: 50, step: 1 },
+            { name: 'returnPipeLength', label: 'Return pipe length', unit: 'm', min: 0, max: 50, step: 1 },
+            { name: 'pipeDiameter', label: 'Pipe diameter', unit: 'm', min: 0.006, max: 0.05, step: 0.001 },
+            { name: 'pipeRoughness', label: 'Pipe roughness', unit: 'm', min: 0, max: 0.0001, step: 0.0000005 },
+            { name: 'fittingsK', label: 'Fittings loss coefficient', min: 0, max: 50, step: 0.5 },
+            { name: 'insulationThickness', label: 'Insulation thickness', unit: 'm', min: 0, max: 0.05, step: 0.001 },
+            { name: 'insulationConductivity', label: 'Insulation conductivity', unit: 'W/(m·K)', min: 0.01, max: 0.1, step: 0.005 },
+            { name: 'pipeAmbientTemp', label: 'Pipe surroundings', min: -20, max: 40, step: 1 }
+        ]
+    },
+    {
+        title: 'Controller',
+        controls: [
+            { name: 'pumpControl', label: 'Pump control' },
+            { name: 'pumpOnDeltaT', label: 'Pump on difference', min: 0, max: 20, step: 0.5 },
+            { name: 'pumpOffDeltaT', label: 'Pump off difference', min: 0, max: 10, step: 0.5 },
+            { name: 'tankHighLimit', label: 'Tank high limit', min: 40, max: 100, step: 1 },
+            { name: 'highLimitDeadband', label: 'High limit deadband', min: 0, max: 10, step: 0.5 },
+            { name: 'variableSpeed', label: 'Variable speed pump' },
+            { name: 'minPumpSpeed', label: 'Minimum pump speed', min: 0, max: 100, step: 5 },
+            { name: 'fullSpeedDeltaT', label: 'Full speed difference', min: 1, max: 30, step: 0.5 }
+        ]
+    },
+    {
+        title: 'Tank',
+        controls: [
+            { name: 'tankVolume', label: 'Volume', unit: 'm³', min: 0.05, max: 2, step: 0.05 },
+            { name: 'tankTemp', label: 'Initial temperature', min: 5, max: 95, step: 1 },
+            { name: 'tankNodes', label: 'Stratification nodes', min: 1, max: 20, step: 1 },
+            { name: 'tankHeight', label: 'Height', unit: 'm', min: 0.5, max: 3, step: 0.1 },
+            { name: 'tankUA', label: 'Heat loss UA', unit: 'W/K', min: 0, max: 10, step: 0.1 },
+            { name: 'roomTemp', label: 'Room temperature', min: 0, max: 40, step: 0.5 },
+            { name: 'tankConductivity', label: 'Effective conductivity', unit: 'W/(m·K)', min: 0, max: 5, step: 0.1 },
+            { name: 'collectorReturnHeight', label: 'Collector return height', min: 0, max: 1, step: 0.05 },
+            { name: 'collectorOutletHeight', label: 'Collector outlet height', min: 0, max: 1, step: 0.05 },
+            { name: 'loadInletHeight', label: 'Load inlet height', min: 0, max: 1, step: 0.05 },
+            { name: 'loadOutletHeight', label: 'Load outlet height', min: 0, max: 1, step: 0.05 }
+        ]
+    },
+    {
+        title: 'Load and auxiliary heater',
+        controls: [
+            { name: 'loadProfile', label: 'Load profile' },
+            { name: 'dailyLoadVolume', label: 'Daily draw', unit: 'L', min: 0, max: 1000, step: 10 },
+            { name: 'loadInterval', label: 'Custom profile interval', unit: 's', min: 300, max: 7200, step: 300 },
+            { name: 'mainsTemp', label: 'Mains temperature', min: 0, max: 30, step: 0.5 },
+            { name: 'auxType', label: 'Auxiliary heater' },
+            { name: 'auxSetpoint', label: 'Auxiliary setpoint', min: 30, max: 80, step: 1 },
+            { name: 'auxCapacity', label: 'Auxiliary capacity', unit: 'W', min: 0, max: 10000, step: 100 },
+            { name: 'auxEfficiency', label: 'Auxiliary efficiency', min: 1, max: 100, step: 1 }
+        ]
+    }
+];
+
+/**
+ * Looks up the control of a parameter.
+ *
+ * @param {string} name - The parameter name.
+ * @returns {Object|null} The control ({ name, label, unit, min, max, step }), or null if it has none.
+ */
+const getControl = (name) => {
+    for (const group of CONTROL_GROUPS) {
+        const control = group.controls.find(item => item.name === name);
+        if (control) {
+            return control;
+        }
+    }
+    return null;
+};
+
+/**
+ * Reads the value a parameter will have in a run.
+ *
+ * @param {Object} params - The parameters set on the dashboard.
+ * @param {Object} fields - Field descriptions from GET /schema.
+ * @param {string} name - The parameter name.
+ * @returns {*} The value set, otherwise the server's default (undefined when it has none).
+ */
+const getValue = (params, fields, name) => (params[name] !== undefined ? params[name] : (fields[name] || {}).default);
+
+/**
+ * Rounds a slider position to its step, avoiding binary fractions such as 0.30000000000000004.
+ *
+ * @param {number} value - The position.
+ * @param {number} step - The slider's step.
+ * @returns {number} The rounded value.
+ */
+const roundToStep = (value, step) => {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    return Number((Math.round(value / step) * step).toFixed(decimals));
+};
+
+/**
+ * Limits a control's range by the parameter it must stay below, if any.
+ *
+ * @param {Object} control - The control from CONTROL_GROUPS.
+ * @param {Object} params - The parameters set on the dashboard.
+ * @param {Object} fields - Field descriptions from GET /schema.
+ * @returns {Object} The control, with max lowered to a step below that parameter's value.
+ */
+const getControlRange = (control, params, fields) => {
+    const limit = control.below ? getValue(params, fields, control.below) : undefined;
+    if (typeof limit !== 'number') {
+        return control;
+    }
+    return { ...control, max: Math.max(control.min, Math.min(control.max, roundToStep(limit - control.step, control.step))) };
+};
+
+/**
+ * Converts timeline entries to the inputChanges of a request.
+ *
+ * @param {Array<Object>} timeline - Entries { hour, field, value }; incomplete ones are skipped.
+ * @returns {Object} Parameter changes keyed by the hour they apply from.
+ */
+const toInputChanges = (timeline) => {
+    const inputChanges = {};
+    for (const { hour, field, value } of timeline) {
+        if (typeof hour === 'number' && hour >= 0 && field && value !== undefined && value !== '') {
+            inputChanges[hour] = { ...inputChanges[hour], [field]: value };
+        }
+    }
+    return inputChanges;
+};
+
+/**
+ * Builds the /sessions request of a run.
+ *
+ * @param {Object} params - The parameters set on the dashboard; the rest take the server's defaults.
+ * @param {Array<Object>} timeline - Timeline entries (see toInputChanges).
+ * @returns {Object} The request body.
+ */
+const buildRequest = (params, timeline) => ({ ...params, units: UNITS, inputChanges: toInputChanges(timeline) });
+
+module.exports = {
+    UNITS,
+    EXCLUDED_FIELDS,
+    CONTROL_GROUPS,
+    getControl,
+    getValue,
+    roundToStep,
+    getControlRange,
+    toInputChanges,
+    buildRequest
+};
@@ -0,0 +1,7 @@
+const React = require('react');
+const { createRoot } = require('react-dom/client');
+const App = require('./App');
+const { createApi } = require('./api');
+
+// Entry point of the dashboard bundle (npm run build)
+createRoot(document.getElementById('root')).render(<App api={createApi()} />);